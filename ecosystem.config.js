@@ -16,6 +16,8 @@ module.exports = {
       env: {
         NODE_ENV: "production",
         PORT: 3000,
+        // Share rate limit counters between instances (cluster mode)
+        RATE_LIMIT_STORE: "mongo",
       },
       env_development: {
         NODE_ENV: "development",
@@ -4,20 +4,55 @@
  */
 
 const API_BASE = "/api";
+const TOKEN_STORAGE_KEY = "authToken";
+const SESSION_STORAGE_KEY = "sessionId";
+const DEFAULT_SESSION_ID = "default";
+
+// Endpoints that are not scoped to a WhatsApp session
+const UNSCOPED_ENDPOINTS = ["/auth/login", "/sessions"];
 
 class ApiClient {
   constructor() {
     this.baseUrl = API_BASE;
+    this.token = localStorage.getItem(TOKEN_STORAGE_KEY);
+    this.sessionId =
+      localStorage.getItem(SESSION_STORAGE_KEY) || DEFAULT_SESSION_ID;
+  }
+
+  setToken(token) {
+    this.token = token;
+    if (token) {
+      localStorage.setItem(TOKEN_STORAGE_KEY, token);
+    } else {
+      localStorage.removeItem(TOKEN_STORAGE_KEY);
+    }
+  }
+
+  // WhatsApp account the dashboard works with
+  setSession(sessionId) {
+    this.sessionId = sessionId;
+    localStorage.setItem(SESSION_STORAGE_KEY, sessionId);
+  }
+
+  sessionPrefix(endpoint) {
+    if (
+      this.sessionId === DEFAULT_SESSION_ID ||
+      UNSCOPED_ENDPOINTS.some((path) => endpoint.startsWith(path))
+    ) {
+      return "";
+    }
+    return `/sessions/${encodeURIComponent(this.sessionId)}`;
   }
 
   async request(endpoint, options = {}) {
-    const url = `${this.baseUrl}${endpoint}`;
+    const url = `${this.baseUrl}${this.sessionPrefix(endpoint)}${endpoint}`;
     const config = {
+      ...options,
       headers: {
         "Content-Type": "application/json",
+        ...(this.token && { Authorization: `Bearer ${this.token}` }),
         ...options.headers,
       },
-      ...options,
     };
 
     if (config.body && typeof config.body === "object") {
@@ -28,6 +63,11 @@ class ApiClient {
       const response = await fetch(url, config);
       const data = await response.json();
 
+      if (response.status === 401) {
+        // Let the dashboard show the login screen
+        window.dispatchEvent(new CustomEvent("auth:required"));
+      }
+
       if (!response.ok) {
         const error = new Error(data.message || "Request failed");
         error.response = {
@@ -44,6 +84,52 @@ class ApiClient {
     }
   }
 
+  // Access endpoints
+  async login(username, password) {
+    return this.request("/auth/login", {
+      method: "POST",
+      body: { username, password },
+    });
+  }
+
+  async getMe() {
+    return this.request("/auth/me");
+  }
+
+  async revokeToken() {
+    return this.request("/auth/token", { method: "DELETE" });
+  }
+
+  // Session (WhatsApp account) endpoints
+  async getSessions() {
+    return this.request("/sessions");
+  }
+
+  async createSession(sessionId, label) {
+    return this.request("/sessions", {
+      method: "POST",
+      body: { sessionId, label },
+    });
+  }
+
+  async startSession(sessionId) {
+    return this.request(`/sessions/${encodeURIComponent(sessionId)}/start`, {
+      method: "POST",
+    });
+  }
+
+  async stopSession(sessionId) {
+    return this.request(`/sessions/${encodeURIComponent(sessionId)}/stop`, {
+      method: "POST",
+    });
+  }
+
+  async deleteSession(sessionId) {
+    return this.request(`/sessions/${encodeURIComponent(sessionId)}`, {
+      method: "DELETE",
+    });
+  }
+
   // Auth endpoints
   async initializeClient() {
     return this.request("/auth/initialize", { method: "POST" });
@@ -53,6 +139,17 @@ class ApiClient {
     return this.request("/auth/qr");
   }
 
+  async requestPairingCode(phoneNumber) {
+    return this.request("/auth/pairing-code", {
+      method: "POST",
+      body: { phoneNumber },
+    });
+  }
+
+  async cancelPairing() {
+    return this.request("/auth/pairing-code", { method: "DELETE" });
+  }
+
   async getStatus() {
     return this.request("/auth/status");
   }
@@ -192,6 +289,16 @@ class ApiClient {
     });
   }
 
+  async previewAutoMessage(groupId, type, message) {
+    return this.request(
+      `/groups/${encodeURIComponent(groupId)}/auto-message/preview`,
+      {
+        method: "POST",
+        body: { type, message },
+      }
+    );
+  }
+
   async toggleAutoMessage(groupId, type) {
     return this.request(
       `/groups/${encodeURIComponent(groupId)}/auto-message/${type}/toggle`,
@@ -201,6 +308,25 @@ class ApiClient {
     );
   }
 
+  async uploadAutoMessageMedia(groupId, type, media) {
+    return this.request(
+      `/groups/${encodeURIComponent(groupId)}/auto-message/${type}/media`,
+      {
+        method: "PUT",
+        body: media,
+      }
+    );
+  }
+
+  async removeAutoMessageMedia(groupId, type) {
+    return this.request(
+      `/groups/${encodeURIComponent(groupId)}/auto-message/${type}/media`,
+      {
+        method: "DELETE",
+      }
+    );
+  }
+
   async setGroupRules(groupId, rules) {
     return this.request(`/groups/${encodeURIComponent(groupId)}/rules`, {
       method: "PUT",
@@ -292,6 +418,80 @@ class ApiClient {
     });
   }
 
+  // Scheduled message endpoints
+  async getSchedules(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.request(`/schedules${query ? `?${query}` : ""}`);
+  }
+
+  async createSchedule(data) {
+    return this.request("/schedules", { method: "POST", body: data });
+  }
+
+  async updateSchedule(scheduleId, data) {
+    return this.request(`/schedules/${scheduleId}`, {
+      method: "PUT",
+      body: data,
+    });
+  }
+
+  async deleteSchedule(scheduleId) {
+    return this.request(`/schedules/${scheduleId}`, { method: "DELETE" });
+  }
+
+  // Global settings endpoints
+  async getSettings() {
+    return this.request("/settings");
+  }
+
+  async updateSettings(data) {
+    return this.request("/settings", { method: "PATCH", body: data });
+  }
+
+  async getAuditLog(limit = 20) {
+    return this.request(`/settings/audit-log?limit=${limit}`);
+  }
+
+  async runRetention(dryRun = false) {
+    return this.request("/settings/retention/run", {
+      method: "POST",
+      body: { dryRun },
+    });
+  }
+
+  async getAlerts() {
+    return this.request("/settings/alerts");
+  }
+
+  async testAlert() {
+    return this.request("/settings/alerts/test", { method: "POST" });
+  }
+
+  // Maintenance endpoints
+  async getMaintenance() {
+    return this.request("/settings/maintenance");
+  }
+
+  async setMaintenance(enabled) {
+    return this.request("/settings/maintenance", {
+      method: "PUT",
+      body: { enabled },
+    });
+  }
+
+  // Away mode endpoints
+  async getAwaySettings() {
+    return this.request("/settings/away");
+  }
+
+  async updateAwaySettings(data) {
+    return this.request("/settings/away", { method: "PUT", body: data });
+  }
+
+  async getAwayLog(limit = 50) {
+    return this.request(`/settings/away/log?limit=${limit}`);
+  }
+
   // Contact endpoints
   async getContacts() {
     return this.request("/contacts");
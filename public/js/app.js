@@ -10,6 +10,10 @@ class WhatsAppDashboard {
     this.allChats = [];
     this.currentTab = "watchlist";
     this.isConnected = false;
+    this.isStarted = false;
+    this.permissions = null; // null = no auth, everything allowed
+    this.sessions = [];
+    this.isPairing = false;
 
     this.init();
   }
@@ -17,21 +21,146 @@ class WhatsAppDashboard {
   async init() {
     this.cacheElements();
     this.bindEvents();
+
+    // Ask for dashboard credentials first when the API requires them
+    if (!(await this.checkAccess())) {
+      this.showLoginScreen();
+      return;
+    }
+
+    await this.start();
+  }
+
+  async start() {
+    if (this.isStarted) {
+      this.socket.connect();
+      await this.checkStatus();
+      return;
+    }
+
+    this.isStarted = true;
     this.initSocket();
     this.initContextMenu();
+    await this.loadSessions();
     await this.checkStatus();
   }
 
+  async loadSessions() {
+    try {
+      const response = await api.getSessions();
+      this.sessions = response.data || [];
+    } catch (error) {
+      this.sessions = [];
+    }
+
+    // The stored session may have been deleted meanwhile
+    if (!this.sessions.some((s) => s.sessionId === api.sessionId)) {
+      api.setSession("default");
+    }
+    this.renderSessionSelects();
+  }
+
+  renderSessionSelects() {
+    const options = this.sessions
+      .map(
+        (s) =>
+          `<option value="${this.escapeHtml(s.sessionId)}">${this.escapeHtml(
+            s.label || s.sessionId
+          )}${
+            s.phoneNumber ? ` (+${this.escapeHtml(s.phoneNumber)})` : ""
+          }</option>`
+      )
+      .join("");
+
+    [this.sessionSelect, this.authSessionSelect].forEach((select) => {
+      select.innerHTML = options;
+      select.value = api.sessionId;
+      select.classList.toggle("hidden", this.sessions.length <= 1);
+    });
+  }
+
+  async switchSession(sessionId) {
+    if (sessionId === api.sessionId) return;
+
+    api.setSession(sessionId);
+    this.currentChat = null;
+    this.watchlist = [];
+    this.isConnected = false;
+    this.closePanel();
+    this.chatContent.classList.add("hidden");
+    this.emptyState.classList.remove("hidden");
+
+    this.renderSessionSelects();
+    this.showAuthScreen();
+    await this.checkStatus();
+  }
+
+  // Events from other WhatsApp sessions are ignored
+  isCurrentSession(data) {
+    return !data || !data.sessionId || data.sessionId === api.sessionId;
+  }
+
+  async checkAccess() {
+    try {
+      const response = await api.getMe();
+      const { authEnabled, principal } = response.data;
+
+      this.signOutBtn.classList.toggle("hidden", !authEnabled);
+      this.permissions = principal ? principal.permissions : null;
+      this.applyPermissions();
+      return true;
+    } catch (error) {
+      // Other failures are reported by checkStatus
+      return !(error.response && error.response.status === 401);
+    }
+  }
+
+  can(permission) {
+    return !this.permissions || this.permissions.includes(permission);
+  }
+
+  applyPermissions() {
+    document.querySelectorAll("[data-permission]").forEach((el) => {
+      el.classList.toggle(
+        "permission-denied",
+        !this.can(el.dataset.permission)
+      );
+    });
+  }
+
   cacheElements() {
     // Screens
+    this.loginScreen = document.getElementById("login-screen");
     this.authScreen = document.getElementById("auth-screen");
     this.dashboardScreen = document.getElementById("dashboard-screen");
 
+    // Login elements
+    this.loginForm = document.getElementById("login-form");
+    this.loginUsername = document.getElementById("login-username");
+    this.loginPassword = document.getElementById("login-password");
+    this.loginError = document.getElementById("login-error");
+    this.loginBtn = document.getElementById("login-btn");
+    this.signOutBtn = document.getElementById("sign-out-btn");
+    this.schedulesBtn = document.getElementById("schedules-btn");
+    this.awayBtn = document.getElementById("away-btn");
+    this.settingsBtn = document.getElementById("settings-btn");
+    this.sessionsBtn = document.getElementById("sessions-btn");
+    this.sessionSelect = document.getElementById("session-select");
+    this.authSessionSelect = document.getElementById("auth-session-select");
+    this.maintenanceBanner = document.getElementById("maintenance-banner");
+    this.maintenanceOffBtn = document.getElementById("maintenance-off-btn");
+
     // Auth elements
     this.qrLoading = document.getElementById("qr-loading");
     this.qrCode = document.getElementById("qr-code");
     this.qrImage = document.getElementById("qr-image");
     this.qrAuthenticated = document.getElementById("qr-authenticated");
+    this.pairingCode = document.getElementById("pairing-code");
+    this.pairingCodeValue = document.getElementById("pairing-code-value");
+    this.pairingForm = document.getElementById("pairing-form");
+    this.pairingPhone = document.getElementById("pairing-phone");
+    this.pairingBtn = document.getElementById("pairing-btn");
+    this.pairingToggle = document.getElementById("pairing-toggle");
     this.statusIndicator = document.getElementById("status-indicator");
     this.statusText = document.getElementById("status-text");
     this.initBtn = document.getElementById("init-btn");
@@ -99,6 +228,37 @@ class WhatsAppDashboard {
   }
 
   bindEvents() {
+    // Dashboard login
+    this.loginForm.addEventListener("submit", (e) => this.handleLogin(e));
+    this.signOutBtn.addEventListener("click", () => this.signOut());
+    window.addEventListener("auth:required", () => this.handleAuthRequired());
+
+    // Scheduled messages
+    this.schedulesBtn.addEventListener("click", () =>
+      this.showSchedulesPanel()
+    );
+
+    // Away mode
+    this.awayBtn.addEventListener("click", () => this.showAwayPanel());
+
+    // Global settings
+    this.settingsBtn.addEventListener("click", () =>
+      this.showGlobalSettingsPanel()
+    );
+
+    // WhatsApp sessions
+    this.sessionsBtn.addEventListener("click", () => this.showSessionsPanel());
+    [this.sessionSelect, this.authSessionSelect].forEach((select) => {
+      select.addEventListener("change", (e) =>
+        this.switchSession(e.target.value)
+      );
+    });
+
+    // Maintenance mode
+    this.maintenanceOffBtn.addEventListener("click", () =>
+      this.turnOffMaintenance()
+    );
+
     // Tab switching
     document.querySelectorAll(".tab-btn").forEach((btn) => {
       btn.addEventListener("click", (e) =>
@@ -185,10 +345,25 @@ class WhatsAppDashboard {
 
     // Init button (for reconnect)
     this.initBtn.addEventListener("click", () => this.initializeClient());
+
+    // Pairing code login
+    this.pairingToggle.addEventListener("click", () => {
+      if (this.isPairing) {
+        this.cancelPairing();
+      } else {
+        this.pairingForm.classList.toggle("hidden");
+        this.pairingPhone.focus();
+      }
+    });
+    this.pairingForm.addEventListener("submit", (e) =>
+      this.requestPairingCode(e)
+    );
   }
 
   initSocket() {
     this.socket = io({
+      // Evaluated on every (re)connect so a new login token is picked up
+      auth: (cb) => cb({ token: api.token }),
       reconnection: true,
       reconnectionDelay: 1000,
       reconnectionAttempts: 10,
@@ -203,55 +378,118 @@ class WhatsAppDashboard {
       console.log("Socket disconnected");
     });
 
+    this.socket.on("connect_error", (error) => {
+      if (error.data && error.data.code === "UNAUTHORIZED") {
+        this.handleAuthRequired();
+      }
+    });
+
     // Client status events
     this.socket.on("client:status", (data) => {
+      if (!this.isCurrentSession(data)) return;
       this.handleStatusChange(data.status);
     });
 
     this.socket.on("client:qr", (data) => {
+      if (!this.isCurrentSession(data)) return;
       this.showQRCode(data.qr);
     });
 
+    this.socket.on("client:pairing_code", (data) => {
+      if (!this.isCurrentSession(data)) return;
+      this.showPairingCode(data.code);
+    });
+
     this.socket.on("client:ready", (info) => {
+      if (!this.isCurrentSession(info)) return;
       this.handleClientReady(info);
     });
 
     this.socket.on("client:disconnected", (data) => {
+      if (!this.isCurrentSession(data)) return;
       this.handleDisconnected(data.reason);
     });
 
+    this.socket.on("client:reconnecting", (data) => {
+      if (!this.isCurrentSession(data)) return;
+      this.handleReconnecting(data);
+    });
+
+    this.socket.on("client:reconnect_failed", (data) => {
+      if (!this.isCurrentSession(data)) return;
+      this.initBtn.classList.remove("hidden");
+      this.toast(
+        `Could not reconnect after ${data.attempts} attempts`,
+        "error"
+      );
+    });
+
     // Message events
     this.socket.on("message:new", (message) => {
+      if (!this.isCurrentSession(message)) return;
       this.handleNewMessage(message);
     });
 
     this.socket.on("watchlist:message", (data) => {
+      if (!this.isCurrentSession(data)) return;
       this.handleWatchlistMessage(data);
     });
 
     this.socket.on("message:ack", (data) => {
+      if (!this.isCurrentSession(data)) return;
       this.updateMessageAck(data);
     });
 
     // Group events
     this.socket.on("group:join", (data) => {
+      if (!this.isCurrentSession(data)) return;
       this.toast(`New member joined ${data.chatId}`, "info");
     });
 
     this.socket.on("group:leave", (data) => {
+      if (!this.isCurrentSession(data)) return;
       this.toast(`Member left ${data.chatId}`, "info");
     });
+
+    this.socket.on("group:moderation", (data) => {
+      if (!this.isCurrentSession(data)) return;
+      this.handleModerationEvent(data);
+    });
+
+    // Scheduled message events
+    this.socket.on("schedule:sent", (schedule) => {
+      if (!this.isCurrentSession(schedule)) return;
+      this.handleScheduleEvent(schedule, true);
+    });
+
+    this.socket.on("schedule:failed", (schedule) => {
+      if (!this.isCurrentSession(schedule)) return;
+      this.handleScheduleEvent(schedule, false);
+    });
+
+    // Maintenance mode
+    this.socket.on("settings:maintenance", (state) => {
+      this.setMaintenanceBanner(state.enabled);
+      this.toast(
+        `🛠️ Maintenance mode ${state.enabled ? "enabled" : "disabled"}${
+          state.changedBy ? ` by ${state.changedBy}` : ""
+        }`,
+        "info"
+      );
+    });
   }
 
   async checkStatus() {
     try {
       const response = await api.getStatus();
-      const { status, isReady, hasQR, session } = response.data;
+      const { status, isReady, hasQR, pairingCode, session } = response.data;
 
       this.handleStatusChange(status);
 
       if (isReady && session) {
         this.handleClientReady(session);
+      } else if (pairingCode) {
+        this.showPairingCode(pairingCode);
       } else if (hasQR || status === "qr_ready") {
         // Fetch and show the QR code
         await this.showQRCode(null);
@@ -276,6 +514,7 @@ class WhatsAppDashboard {
     const statusMap = {
       initializing: { text: "Initializing...", class: "connecting" },
       qr_ready: { text: "Scan QR Code", class: "connecting" },
+      pairing_code_ready: { text: "Enter Pairing Code", class: "connecting" },
       authenticated: { text: "Authenticated", class: "connecting" },
       ready: { text: "Connected", class: "connected" },
       disconnected: { text: "Disconnected", class: "error" },
@@ -298,6 +537,7 @@ class WhatsAppDashboard {
   async showQRCode(qr) {
     this.qrLoading.classList.add("hidden");
     this.qrAuthenticated.classList.add("hidden");
+    this.pairingCode.classList.add("hidden");
     this.qrCode.classList.remove("hidden");
 
     // If it's a data URL, use directly
@@ -331,11 +571,61 @@ class WhatsAppDashboard {
     }
   }
 
+  showPairingCode(code) {
+    this.setPairing(true);
+    this.qrLoading.classList.add("hidden");
+    this.qrCode.classList.add("hidden");
+    this.qrAuthenticated.classList.add("hidden");
+    this.pairingCode.classList.remove("hidden");
+
+    // Shown as ABCD-EFGH, like WhatsApp does
+    this.pairingCodeValue.textContent = code.replace(/^(.{4})(.{4})$/, "$1-$2");
+  }
+
+  setPairing(isPairing) {
+    this.isPairing = isPairing;
+    this.pairingForm.classList.add("hidden");
+    this.pairingToggle.textContent = isPairing
+      ? "Use QR code instead"
+      : "Link with phone number instead";
+  }
+
+  async requestPairingCode(e) {
+    e.preventDefault();
+    this.pairingBtn.disabled = true;
+
+    try {
+      await api.requestPairingCode(this.pairingPhone.value);
+      this.setPairing(true);
+      this.qrCode.classList.add("hidden");
+      this.qrLoading.classList.remove("hidden");
+      this.qrLoading.querySelector("p").textContent =
+        "Requesting pairing code...";
+    } catch (error) {
+      this.toast(error.message || "Failed to request pairing code", "error");
+    } finally {
+      this.pairingBtn.disabled = false;
+    }
+  }
+
+  async cancelPairing() {
+    try {
+      await api.cancelPairing();
+      this.setPairing(false);
+      this.pairingCode.classList.add("hidden");
+      this.qrLoading.classList.remove("hidden");
+      this.qrLoading.querySelector("p").textContent = "Initializing...";
+    } catch (error) {
+      this.toast(error.message || "Failed to switch to QR code", "error");
+    }
+  }
+
   async handleClientReady(info) {
     this.isConnected = true;
 
     // Update UI
     this.qrCode.classList.add("hidden");
+    this.pairingCode.classList.add("hidden");
     this.qrLoading.classList.add("hidden");
     this.qrAuthenticated.classList.remove("hidden");
     this.initBtn.classList.add("hidden");
@@ -352,11 +642,75 @@ class WhatsAppDashboard {
     this.toast(`Disconnected: ${reason}`, "error");
   }
 
+  handleReconnecting(data) {
+    const seconds = Math.round(data.delay / 1000);
+    this.updateStatus(
+      "connecting",
+      `Reconnecting in ${seconds}s (attempt ${data.attempt}/${data.maxAttempts})`
+    );
+    this.toast(`Reconnecting in ${seconds}s: ${data.reason}`, "warning");
+  }
+
+  showLoginScreen() {
+    this.authScreen.classList.add("hidden");
+    this.dashboardScreen.classList.add("hidden");
+    this.loginScreen.classList.remove("hidden");
+    this.loginUsername.focus();
+  }
+
+  handleAuthRequired() {
+    if (!this.loginScreen.classList.contains("hidden")) return;
+
+    api.setToken(null);
+    if (this.socket) this.socket.disconnect();
+    this.showLoginScreen();
+    this.toast("Please sign in to continue", "warning");
+  }
+
+  async handleLogin(e) {
+    e.preventDefault();
+    this.loginError.classList.add("hidden");
+    this.loginBtn.disabled = true;
+
+    try {
+      const response = await api.login(
+        this.loginUsername.value,
+        this.loginPassword.value
+      );
+      api.setToken(response.data.token);
+      await this.checkAccess();
+
+      this.loginPassword.value = "";
+      this.loginScreen.classList.add("hidden");
+      this.showAuthScreen();
+      await this.start();
+    } catch (error) {
+      this.loginError.textContent = error.message || "Login failed";
+      this.loginError.classList.remove("hidden");
+    } finally {
+      this.loginBtn.disabled = false;
+    }
+  }
+
+  async signOut() {
+    try {
+      await api.revokeToken();
+    } catch (error) {
+      console.error("Failed to revoke session token:", error);
+    }
+
+    api.setToken(null);
+    if (this.socket) this.socket.disconnect();
+    this.showLoginScreen();
+  }
+
   showAuthScreen() {
     this.authScreen.classList.remove("hidden");
     this.dashboardScreen.classList.add("hidden");
     this.qrLoading.classList.remove("hidden");
     this.qrCode.classList.add("hidden");
+    this.pairingCode.classList.add("hidden");
+    this.setPairing(false);
     this.qrAuthenticated.classList.add("hidden");
   }
 
@@ -372,6 +726,409 @@ class WhatsAppDashboard {
 
     // Load watchlist
     await this.loadWatchlist();
+    await this.loadMaintenance();
+  }
+
+  async showGlobalSettingsPanel() {
+    this.openPanel("Settings");
+    this.panelContent.innerHTML =
+      '<div class="loading">Loading settings...</div>';
+
+    try {
+      const canManage = this.can("settings:manage");
+      const [settingsResponse, auditResponse, alertsResponse] =
+        await Promise.all([
+          api.getSettings(),
+          canManage ? api.getAuditLog() : Promise.resolve({ data: [] }),
+          canManage ? api.getAlerts() : Promise.resolve({ data: null }),
+        ]);
+      const settings = settingsResponse.data;
+      const auditLog = auditResponse.data || [];
+      const alerts = alertsResponse.data;
+      this.globalSettings = settings;
+      if (alerts) {
+        settings.notifications = this.formatNotifications(alerts.notifications);
+      }
+
+      const timezones = Intl.supportedValuesOf
+        ? Intl.supportedValuesOf("timeZone")
+        : [];
+
+      this.panelContent.innerHTML = `
+        <div class="settings-section">
+          <h4>Bot</h4>
+          <div class="form-group">
+            <label class="form-label">Name</label>
+            <input type="text" id="settings-bot-name" class="form-input" value="${this.escapeHtml(
+              settings.botName
+            )}">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Description</label>
+            <textarea id="settings-bot-description" class="form-textarea" rows="2">${this.escapeHtml(
+              settings.botDescription || ""
+            )}</textarea>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Timezone</label>
+            <input type="text" id="settings-timezone" class="form-input" list="settings-timezones" value="${this.escapeHtml(
+              settings.timezone
+            )}">
+            <datalist id="settings-timezones">
+              ${timezones
+                .map((timezone) => `<option value="${timezone}">`)
+                .join("")}
+            </datalist>
+          </div>
+          <div class="form-group">
+            <label class="form-checkbox">
+              <input type="checkbox" id="settings-maintenance" ${
+                settings.maintenanceMode ? "checked" : ""
+              }>
+              <span>Maintenance mode</span>
+            </label>
+          </div>
+        </div>
+
+        <div class="settings-section">
+          <h4>Commands & sending</h4>
+          <div class="form-group">
+            <label class="form-label">Command prefix</label>
+            <input type="text" id="settings-prefix" class="form-input" maxlength="3" value="${this.escapeHtml(
+              settings.defaultCommandPrefix
+            )}">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Disabled commands (comma-separated)</label>
+            <input type="text" id="settings-disabled-commands" class="form-input" value="${this.escapeHtml(
+              settings.disabledCommands.join(", ")
+            )}">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Max messages per minute</label>
+            <input type="number" id="settings-max-messages" class="form-input" min="1" value="${
+              settings.maxMessagesPerMinute
+            }">
+          </div>
+        </div>
+
+        <div class="settings-section">
+          <h4>Logging</h4>
+          <div class="form-group">
+            <label class="form-checkbox">
+              <input type="checkbox" id="settings-logging" ${
+                settings.enableLogging ? "checked" : ""
+              }>
+              <span>Log messages</span>
+            </label>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Keep logs for (days)</label>
+            <input type="number" id="settings-retention" class="form-input" min="1" value="${
+              settings.logRetentionDays
+            }">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Older messages are</label>
+            <select id="settings-retention-action" class="form-select">
+              <option value="delete" ${
+                settings.logRetentionAction === "delete" ? "selected" : ""
+              }>Deleted</option>
+              <option value="archive" ${
+                settings.logRetentionAction === "archive" ? "selected" : ""
+              }>Archived</option>
+            </select>
+          </div>
+          ${
+            canManage
+              ? '<button class="btn" id="run-retention" style="width:100%;">Clean up now</button>'
+              : ""
+          }
+        </div>
+
+        <div class="settings-section">
+          <h4>New group defaults</h4>
+          <div class="form-group">
+            <label class="form-label">Welcome message</label>
+            <textarea id="settings-default-welcome" class="form-textarea" rows="2">${this.escapeHtml(
+              settings.defaultWelcomeMessage
+            )}</textarea>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Farewell message</label>
+            <textarea id="settings-default-farewell" class="form-textarea" rows="2">${this.escapeHtml(
+              settings.defaultFarewellMessage
+            )}</textarea>
+          </div>
+        </div>
+
+        ${
+          canManage
+            ? `
+          <div class="settings-section">
+            <h4>Downtime alerts</h4>
+            ${[
+              ["email", "address", "Email address", "email"],
+              ["slack", "webhookUrl", "Slack webhook URL", "url"],
+              ["http", "url", "HTTP endpoint (JSON POST)", "url"],
+            ]
+              .map(
+                ([channel, field, label, type]) => `
+              <div class="form-group">
+                <label class="form-checkbox">
+                  <input type="checkbox" id="settings-alert-${channel}" ${
+                  settings.notifications[channel].enabled ? "checked" : ""
+                }>
+                  <span>${label}</span>
+                </label>
+                <input type="${type}" id="settings-alert-${channel}-${field}" class="form-input" value="${this.escapeHtml(
+                  settings.notifications[channel][field] || ""
+                )}">
+              </div>
+            `
+              )
+              .join("")}
+            ${
+              alerts.active.length > 0
+                ? `<div class="schedule-list">${alerts.active
+                    .map(
+                      (alert) => `
+              <div class="schedule-item">
+                <div class="schedule-info">
+                  <div class="schedule-chat">${this.escapeHtml(alert.type)}${
+                        alert.sessionId
+                          ? ` · ${this.escapeHtml(alert.sessionId)}`
+                          : ""
+                      }</div>
+                  <div class="schedule-meta">Since ${new Date(
+                    alert.startedAt
+                  ).toLocaleString()}${alert.sentAt ? " · alerted" : ""}</div>
+                </div>
+              </div>
+            `
+                    )
+                    .join("")}</div>`
+                : ""
+            }
+            <button class="btn" id="test-alert" style="width:100%;">Send test alert</button>
+          </div>
+
+          <button class="btn btn-primary" id="save-settings" style="width:100%;">Save Settings</button>
+
+          <div class="settings-section">
+            <h4>Recent changes</h4>
+            <div class="schedule-list">
+              ${
+                auditLog.length === 0
+                  ? '<p class="empty-list">No changes recorded</p>'
+                  : auditLog
+                      .map(
+                        (entry) => `
+                <div class="schedule-item">
+                  <div class="schedule-info">
+                    <div class="schedule-chat">${this.escapeHtml(
+                      this.formatAuditEntry(entry)
+                    )}</div>
+                    <div class="schedule-meta">${this.escapeHtml(
+                      entry.actor || "anonymous"
+                    )} · ${new Date(entry.createdAt).toLocaleString()}</div>
+                  </div>
+                </div>
+              `
+                      )
+                      .join("")
+              }
+            </div>
+          </div>
+        `
+            : ""
+        }
+      `;
+
+      const saveBtn = document.getElementById("save-settings");
+      if (saveBtn) {
+        saveBtn.addEventListener("click", () => this.saveSettings());
+      }
+
+      const retentionBtn = document.getElementById("run-retention");
+      if (retentionBtn) {
+        retentionBtn.addEventListener("click", () => this.runRetention());
+      }
+
+      const testAlertBtn = document.getElementById("test-alert");
+      if (testAlertBtn) {
+        testAlertBtn.addEventListener("click", () => this.testAlert());
+      }
+    } catch (error) {
+      this.panelContent.innerHTML =
+        '<p class="error">Failed to load settings</p>';
+    }
+  }
+
+  formatAuditEntry(entry) {
+    switch (entry.action) {
+      case "settings.updated":
+        return `Changed ${Object.keys(entry.details?.changes || {}).join(
+          ", "
+        )}`;
+      case "retention.deleted":
+      case "retention.archived":
+        return `${
+          entry.action === "retention.deleted" ? "Deleted" : "Archived"
+        } ${entry.details?.total} old messages`;
+      case "maintenance.enabled":
+        return "Maintenance mode enabled";
+      case "maintenance.disabled":
+        return "Maintenance mode disabled";
+      default:
+        return entry.action;
+    }
+  }
+
+  async saveSettings() {
+    const form = {
+      botName: document.getElementById("settings-bot-name").value.trim(),
+      botDescription: document.getElementById("settings-bot-description").value,
+      timezone: document.getElementById("settings-timezone").value.trim(),
+      maintenanceMode: document.getElementById("settings-maintenance").checked,
+      defaultCommandPrefix: document
+        .getElementById("settings-prefix")
+        .value.trim(),
+      disabledCommands: document
+        .getElementById("settings-disabled-commands")
+        .value.split(",")
+        .map((name) => name.trim())
+        .filter(Boolean),
+      maxMessagesPerMinute: parseInt(
+        document.getElementById("settings-max-messages").value
+      ),
+      enableLogging: document.getElementById("settings-logging").checked,
+      logRetentionDays: parseInt(
+        document.getElementById("settings-retention").value
+      ),
+      logRetentionAction: document.getElementById("settings-retention-action")
+        .value,
+      defaultWelcomeMessage: document.getElementById("settings-default-welcome")
+        .value,
+      defaultFarewellMessage: document.getElementById(
+        "settings-default-farewell"
+      ).value,
+    };
+
+    if (document.getElementById("settings-alert-email")) {
+      const channel = (name, field) => ({
+        enabled: document.getElementById(`settings-alert-${name}`).checked,
+        [field]: document
+          .getElementById(`settings-alert-${name}-${field}`)
+          .value.trim(),
+      });
+      form.notifications = this.formatNotifications({
+        email: channel("email", "address"),
+        slack: channel("slack", "webhookUrl"),
+        http: channel("http", "url"),
+      });
+    }
+
+    // Only send what changed so the audit log stays readable
+    const updates = {};
+    for (const [field, value] of Object.entries(form)) {
+      if (
+        JSON.stringify(value) !== JSON.stringify(this.globalSettings[field])
+      ) {
+        updates[field] = value;
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      this.toast("No changes to save", "info");
+      return;
+    }
+
+    try {
+      await api.updateSettings(updates);
+      this.toast("Settings saved", "success");
+      this.showGlobalSettingsPanel();
+    } catch (error) {
+      this.toast(error.message || "Failed to save settings", "error");
+    }
+  }
+
+  // Same shape from the API and the form, so unchanged alerts aren't saved
+  formatNotifications(notifications = {}) {
+    const channel = (name, field) => ({
+      enabled: Boolean(notifications[name]?.enabled),
+      [field]: notifications[name]?.[field] || null,
+    });
+    return {
+      email: channel("email", "address"),
+      slack: channel("slack", "webhookUrl"),
+      http: channel("http", "url"),
+    };
+  }
+
+  async testAlert() {
+    try {
+      const response = await api.testAlert();
+      const failed = response.data.filter((result) => !result.success);
+      this.toast(
+        failed.length > 0
+          ? `${response.message}: ${failed
+              .map((result) => `${result.notifier} (${result.error})`)
+              .join(", ")}`
+          : response.message,
+        failed.length > 0 ? "error" : "success"
+      );
+    } catch (error) {
+      this.toast(error.message || "Failed to send test alert", "error");
+    }
+  }
+
+  async runRetention() {
+    try {
+      const preview = await api.runRetention(true);
+      if (preview.data.total === 0) {
+        this.toast("No messages past the retention window", "info");
+        return;
+      }
+
+      const verb =
+        preview.data.action === "archive" ? "Archive" : "Permanently delete";
+      if (
+        !confirm(
+          `${verb} ${preview.data.total} messages from ${preview.data.chats.length} chats?`
+        )
+      ) {
+        return;
+      }
+
+      const response = await api.runRetention();
+      this.toast(response.message, "success");
+      this.showGlobalSettingsPanel();
+    } catch (error) {
+      this.toast(error.message || "Failed to clean up messages", "error");
+    }
+  }
+
+  async loadMaintenance() {
+    try {
+      const response = await api.getMaintenance();
+      this.setMaintenanceBanner(response.data.enabled);
+    } catch (error) {
+      console.error("Failed to load maintenance mode:", error);
+    }
+  }
+
+  setMaintenanceBanner(enabled) {
+    this.maintenanceBanner.classList.toggle("hidden", !enabled);
+  }
+
+  async turnOffMaintenance() {
+    try {
+      await api.setMaintenance(false);
+      this.setMaintenanceBanner(false);
+    } catch (error) {
+      this.toast(error.message || "Failed to turn off maintenance", "error");
+    }
   }
 
   async loadWatchlist() {
@@ -445,7 +1202,7 @@ class WhatsAppDashboard {
     this.contextMenu = document.createElement("div");
     this.contextMenu.className = "context-menu";
     this.contextMenu.innerHTML = `
-      <div class="context-menu-item" data-action="add-watchlist">
+      <div class="context-menu-item" data-action="add-watchlist" data-permission="watchlist:manage">
         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <path d="M12 5v14M5 12h14" stroke-linecap="round" stroke-linejoin="round"/>
         </svg>
@@ -453,6 +1210,7 @@ class WhatsAppDashboard {
       </div>
     `;
     document.body.appendChild(this.contextMenu);
+    this.applyPermissions();
 
     // Hide on click outside
     document.addEventListener("click", () => this.hideContextMenu());
@@ -471,6 +1229,9 @@ class WhatsAppDashboard {
   }
 
   showContextMenu(e, chatId) {
+    // The menu only has watchlist actions
+    if (!this.can("watchlist:manage")) return;
+
     e.preventDefault();
     this.contextMenuTarget = chatId;
 
@@ -736,7 +1497,9 @@ class WhatsAppDashboard {
     }
 
     // Action menu
-    const actionsHtml = `
+    const actionsHtml = !this.can("messages:send")
+      ? ""
+      : `
       <div class="message-actions">
         <button class="message-action-btn" data-action="reply" title="Reply">
           <svg viewBox="0 0 24 24" fill="currentColor">
@@ -810,7 +1573,8 @@ class WhatsAppDashboard {
       if (media.data) {
         return `data:${media.mimetype};base64,${media.data}`;
       }
-      return `/api/messages/${encodeURIComponent(messageId)}/media`;
+      const path = `/messages/${encodeURIComponent(messageId)}/media`;
+      return `${api.baseUrl}${api.sessionPrefix(path)}${path}`;
     };
 
     const mediaUrl = getMediaUrl();
@@ -1178,6 +1942,26 @@ class WhatsAppDashboard {
     }
   }
 
+  handleModerationEvent(data) {
+    const actionLabels = {
+      delete: "Deleted a message from",
+      warn: "Warned",
+      mute: "Locked group because of",
+      remove: "Removed",
+    };
+    const label = actionLabels[data.action] || data.action;
+    const target = this.formatPhoneNumber(data.participantId);
+    const group = data.groupName || data.groupId;
+    const domains = data.details?.domains?.length
+      ? ` (${data.details.domains.join(", ")})`
+      : "";
+
+    this.toast(
+      `🛡️ ${label} ${target} in ${group}: ${data.type}${domains}`,
+      data.success ? "warning" : "error"
+    );
+  }
+
   updateMessageAck(data) {
     const msgEl = this.messagesContainer.querySelector(
       `[data-message-id="${data.messageId}"]`
@@ -1357,7 +2141,9 @@ class WhatsAppDashboard {
                 )}</div>
                 ${p.isAdmin ? '<div class="participant-role">Admin</div>' : ""}
               </div>
-              <div class="participant-actions">
+              ${
+                this.can("groups:manage")
+                  ? `<div class="participant-actions">
                 <button class="icon-btn" title="${
                   p.isAdmin ? "Demote" : "Promote"
                 }" data-action="${p.isAdmin ? "demote" : "promote"}">
@@ -1366,7 +2152,9 @@ class WhatsAppDashboard {
                 <button class="icon-btn" title="Remove" data-action="remove">
                   <svg viewBox="0 0 24 24" fill="currentColor"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>
                 </button>
-              </div>
+              </div>`
+                  : ""
+              }
             </div>
           `
             )
@@ -1439,6 +2227,8 @@ class WhatsAppDashboard {
             <textarea id="welcome-message" class="form-textarea" placeholder="Welcome message...">${
               settings.autoMessages?.welcome?.message || ""
             }</textarea>
+            ${this.renderTemplatePreview("welcome")}
+            ${this.renderAutoMessageMedia(settings.autoMessages?.welcome)}
           </div>
 
           <div class="form-group">
@@ -1451,6 +2241,42 @@ class WhatsAppDashboard {
             <textarea id="farewell-message" class="form-textarea" placeholder="Farewell message...">${
               settings.autoMessages?.farewell?.message || ""
             }</textarea>
+            ${this.renderTemplatePreview("farewell")}
+          </div>
+
+          <div class="form-group">
+            <label class="form-checkbox">
+              <input type="checkbox" id="announcement-enabled" ${
+                settings.autoMessages?.announcement?.enabled ? "checked" : ""
+              }>
+              <span>Recurring Announcement</span>
+            </label>
+            <textarea id="announcement-message" class="form-textarea" placeholder="Announcement...">${
+              settings.autoMessages?.announcement?.message || ""
+            }</textarea>
+            ${this.renderTemplatePreview("announcement")}
+            <input type="text" id="announcement-cron" class="form-input" style="margin-top: 8px;" placeholder="Cron, e.g. 0 9 * * mon" value="${this.escapeHtml(
+              settings.autoMessages?.announcement?.cron || ""
+            )}">
+            <input type="url" id="announcement-media-url" class="form-input" style="margin-top: 8px;" placeholder="Image or video URL (optional)" value="${this.escapeHtml(
+              settings.autoMessages?.announcement?.mediaUrl || ""
+            )}">
+            <label class="form-checkbox" style="margin-top: 8px;">
+              <input type="checkbox" id="include-rules-in-announcement" ${
+                settings.autoMessages?.announcement?.includeGroupRules
+                  ? "checked"
+                  : ""
+              }>
+              <span>Include rules in announcement</span>
+            </label>
+            ${
+              settings.autoMessages?.announcement?.enabled &&
+              settings.autoMessages.announcement.nextRunAt
+                ? `<div class="schedule-meta">Next: ${new Date(
+                    settings.autoMessages.announcement.nextRunAt
+                  ).toLocaleString()}</div>`
+                : ""
+            }
           </div>
 
           <div class="form-group">
@@ -1468,6 +2294,54 @@ class WhatsAppDashboard {
             </label>
           </div>
 
+          <div class="settings-section">
+            <h4>Downtime alerts</h4>
+            ${[
+              ["email", "address", "Email address", "email"],
+              ["slack", "webhookUrl", "Slack webhook URL", "url"],
+              ["http", "url", "HTTP endpoint (JSON POST)", "url"],
+            ]
+              .map(
+                ([channel, field, label, type]) => `
+              <div class="form-group">
+                <label class="form-checkbox">
+                  <input type="checkbox" id="settings-alert-${channel}" ${
+                  settings.notifications[channel].enabled ? "checked" : ""
+                }>
+                  <span>${label}</span>
+                </label>
+                <input type="${type}" id="settings-alert-${channel}-${field}" class="form-input" value="${this.escapeHtml(
+                  settings.notifications[channel][field] || ""
+                )}">
+              </div>
+            `
+              )
+              .join("")}
+            ${
+              alerts.active.length > 0
+                ? `<div class="schedule-list">${alerts.active
+                    .map(
+                      (alert) => `
+              <div class="schedule-item">
+                <div class="schedule-info">
+                  <div class="schedule-chat">${this.escapeHtml(alert.type)}${
+                        alert.sessionId
+                          ? ` · ${this.escapeHtml(alert.sessionId)}`
+                          : ""
+                      }</div>
+                  <div class="schedule-meta">Since ${new Date(
+                    alert.startedAt
+                  ).toLocaleString()}${alert.sentAt ? " · alerted" : ""}</div>
+                </div>
+              </div>
+            `
+                    )
+                    .join("")}</div>`
+                : ""
+            }
+            <button class="btn" id="test-alert" style="width:100%;">Send test alert</button>
+          </div>
+
           <button class="btn btn-primary" id="save-settings" style="width:100%;">Save Settings</button>
         </div>
       `;
@@ -1475,12 +2349,123 @@ class WhatsAppDashboard {
       document
         .getElementById("save-settings")
         .addEventListener("click", () => this.saveGroupSettings(chatId));
+
+      this.panelContent
+        .querySelectorAll(".template-preview-btn")
+        .forEach((btn) =>
+          btn.addEventListener("click", () =>
+            this.previewAutoMessage(chatId, btn.dataset.type)
+          )
+        );
+
+      document
+        .getElementById("welcome-media-input")
+        .addEventListener("change", (e) =>
+          this.uploadWelcomeMedia(chatId, e.target.files[0])
+        );
+
+      const removeMediaBtn = document.getElementById("remove-welcome-media");
+      if (removeMediaBtn) {
+        removeMediaBtn.addEventListener("click", () =>
+          this.removeWelcomeMedia(chatId)
+        );
+      }
     } catch (error) {
       this.panelContent.innerHTML =
         '<p class="error">Failed to load settings</p>';
     }
   }
 
+  renderTemplatePreview(type) {
+    return `
+      <button class="btn template-preview-btn" data-type="${type}">Preview</button>
+      <div class="template-preview hidden" id="${type}-preview"></div>
+    `;
+  }
+
+  async previewAutoMessage(chatId, type) {
+    const message = document.getElementById(`${type}-message`).value;
+    const output = document.getElementById(`${type}-preview`);
+
+    try {
+      const response = await api.previewAutoMessage(chatId, type, message);
+      output.textContent = response.data.text;
+      output.classList.remove("error");
+    } catch (error) {
+      output.textContent = error.message || "Failed to render preview";
+      output.classList.add("error");
+    }
+    output.classList.remove("hidden");
+  }
+
+  renderAutoMessageMedia(config = {}) {
+    const hasMedia =
+      config.includeMedia && (config.mediaAssetId || config.mediaUrl);
+    const mediaTypes = {
+      image: "Image / video",
+      gif: "GIF",
+      sticker: "Sticker",
+      document: "Document",
+    };
+
+    return `
+      <div class="auto-message-media">
+        <span class="schedule-meta">${
+          hasMedia
+            ? `📎 ${this.escapeHtml(config.mediaUrl || "Uploaded file")}`
+            : "No media"
+        }</span>
+        <select id="welcome-media-type" class="form-select">
+          ${Object.entries(mediaTypes)
+            .map(
+              ([value, label]) =>
+                `<option value="${value}" ${
+                  (config.mediaType || "image") === value ? "selected" : ""
+                }>${label}</option>`
+            )
+            .join("")}
+        </select>
+        <input type="file" id="welcome-media-input" class="form-input" accept="image/*,video/*,application/pdf,.doc,.docx,.xls,.xlsx,.zip">
+        ${
+          hasMedia
+            ? '<button class="btn" id="remove-welcome-media">Remove media</button>'
+            : ""
+        }
+      </div>
+    `;
+  }
+
+  async uploadWelcomeMedia(chatId, file) {
+    if (!file) return;
+
+    try {
+      this.toast("Uploading media...", "info");
+      const base64 = await this.fileToBase64(file);
+
+      await api.uploadAutoMessageMedia(chatId, "welcome", {
+        base64: base64.split(",")[1],
+        mimetype: file.type || "application/octet-stream",
+        filename: file.name,
+        mediaType: document.getElementById("welcome-media-type").value,
+      });
+
+      this.toast("Welcome media uploaded", "success");
+      this.showSettingsPanel();
+    } catch (error) {
+      this.toast("Failed to upload media", "error");
+    }
+  }
+
+  async removeWelcomeMedia(chatId) {
+    try {
+      await api.removeAutoMessageMedia(chatId, "welcome");
+      this.toast("Welcome media removed", "success");
+      this.showSettingsPanel();
+    } catch (error) {
+      this.toast("Failed to remove media", "error");
+    }
+  }
+
   async saveGroupSettings(chatId) {
     const welcomeEnabled = document.getElementById("welcome-enabled").checked;
     const welcomeMessage = document.getElementById("welcome-message").value;
@@ -1490,6 +2475,21 @@ class WhatsAppDashboard {
     const includeRulesInWelcome = document.getElementById(
       "include-rules-in-welcome"
     ).checked;
+    const announcementEnabled = document.getElementById(
+      "announcement-enabled"
+    ).checked;
+    const announcementMessage = document.getElementById(
+      "announcement-message"
+    ).value;
+    const announcementCron = document
+      .getElementById("announcement-cron")
+      .value.trim();
+    const announcementMediaUrl = document
+      .getElementById("announcement-media-url")
+      .value.trim();
+    const includeRulesInAnnouncement = document.getElementById(
+      "include-rules-in-announcement"
+    ).checked;
 
     try {
       // Update welcome message
@@ -1497,6 +2497,7 @@ class WhatsAppDashboard {
         enabled: welcomeEnabled,
         message: welcomeMessage,
         includeGroupRules: includeRulesInWelcome,
+        mediaType: document.getElementById("welcome-media-type").value,
       });
 
       // Update farewell message
@@ -1505,6 +2506,16 @@ class WhatsAppDashboard {
         message: farewellMessage,
       });
 
+      // Update recurring announcement
+      await api.updateAutoMessage(chatId, "announcement", {
+        enabled: announcementEnabled,
+        message: announcementMessage,
+        ...(announcementCron && { cron: announcementCron }),
+        includeMedia: Boolean(announcementMediaUrl),
+        mediaUrl: announcementMediaUrl || null,
+        includeGroupRules: includeRulesInAnnouncement,
+      });
+
       // Update group rules
       if (groupRules.trim()) {
         await api.setGroupRules(chatId, groupRules);
@@ -1513,7 +2524,441 @@ class WhatsAppDashboard {
       this.toast("Settings saved successfully", "success");
     } catch (error) {
       console.error("Failed to save settings:", error);
-      this.toast("Failed to save settings", "error");
+      this.toast(error.message || "Failed to save settings", "error");
+    }
+  }
+
+  async showSchedulesPanel() {
+    this.openPanel("Scheduled Messages");
+    this.panelContent.innerHTML =
+      '<div class="loading">Loading scheduled messages...</div>';
+
+    try {
+      const response = await api.getSchedules({ status: "scheduled" });
+      const schedules = response.data || [];
+      const canSend = this.can("messages:send");
+
+      this.panelContent.innerHTML = `
+        ${
+          canSend && this.currentChat
+            ? `<button class="btn btn-primary" id="new-schedule-btn" style="width:100%;">Schedule message for this chat</button>`
+            : ""
+        }
+        <div class="schedule-list">
+          ${
+            schedules.length === 0
+              ? '<p class="empty-list">No upcoming messages</p>'
+              : schedules
+                  .map(
+                    (s) => `
+            <div class="schedule-item" data-id="${s.id}">
+              <div class="schedule-info">
+                <div class="schedule-chat">${this.escapeHtml(
+                  s.chatName || this.formatPhoneNumber(s.chatId)
+                )}</div>
+                <div class="schedule-preview">${this.escapeHtml(
+                  this.truncate(this.describeSchedule(s), 60)
+                )}</div>
+                <div class="schedule-meta">
+                  ${new Date(s.nextRunAt).toLocaleString()}
+                  ${s.recurring ? ` · 🔁 ${this.escapeHtml(s.cron)}` : ""}
+                </div>
+              </div>
+              ${
+                canSend
+                  ? `<button class="icon-btn" title="Delete" data-action="delete">
+                <svg viewBox="0 0 24 24" fill="currentColor"><path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/></svg>
+              </button>`
+                  : ""
+              }
+            </div>
+          `
+                  )
+                  .join("")
+          }
+        </div>
+      `;
+
+      const newScheduleBtn = document.getElementById("new-schedule-btn");
+      if (newScheduleBtn) {
+        newScheduleBtn.addEventListener("click", () =>
+          this.showScheduleModal()
+        );
+      }
+
+      this.panelContent
+        .querySelectorAll('.schedule-item [data-action="delete"]')
+        .forEach((btn) => {
+          btn.addEventListener("click", () =>
+            this.deleteSchedule(btn.closest(".schedule-item").dataset.id)
+          );
+        });
+    } catch (error) {
+      this.panelContent.innerHTML =
+        '<p class="error">Failed to load scheduled messages</p>';
+    }
+  }
+
+  describeSchedule(schedule) {
+    switch (schedule.type) {
+      case "media":
+        return `📎 ${
+          schedule.media?.caption || schedule.media?.filename || "Media"
+        }`;
+      case "poll":
+        return `📊 ${schedule.poll?.question || "Poll"}`;
+      case "location":
+        return `📍 ${schedule.location?.name || "Location"}`;
+      default:
+        return schedule.content;
+    }
+  }
+
+  showScheduleModal() {
+    if (!this.currentChat) return;
+
+    this.openModal(
+      "Schedule Message",
+      `
+      <div class="form-group">
+        <label class="form-label">Message</label>
+        <textarea id="schedule-content" class="form-textarea" placeholder="Enter the message to send..."></textarea>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Send at (bot timezone)</label>
+        <input type="datetime-local" id="schedule-send-at" class="form-input">
+      </div>
+      <div class="form-group">
+        <label class="form-label">Or repeat on a cron schedule</label>
+        <input type="text" id="schedule-cron" class="form-input" placeholder="0 9 * * mon-fri">
+      </div>
+      <button class="btn btn-primary" id="confirm-schedule" style="width:100%;">Schedule</button>
+    `
+    );
+
+    document
+      .getElementById("confirm-schedule")
+      .addEventListener("click", async () => {
+        const content = document.getElementById("schedule-content").value;
+        const sendAt = document.getElementById("schedule-send-at").value;
+        const cron = document.getElementById("schedule-cron").value.trim();
+        const chatId = this.currentChat.chatId || this.currentChat.id;
+
+        try {
+          await api.createSchedule({
+            chatId,
+            chatName: this.currentChat.chatName || this.currentChat.name,
+            type: "text",
+            content,
+            ...(cron ? { cron } : { sendAt }),
+          });
+          this.toast("Message scheduled", "success");
+          this.closeModal();
+          this.showSchedulesPanel();
+        } catch (error) {
+          this.toast(error.message || "Failed to schedule message", "error");
+        }
+      });
+  }
+
+  async deleteSchedule(scheduleId) {
+    try {
+      await api.deleteSchedule(scheduleId);
+      this.toast("Scheduled message deleted", "success");
+      this.showSchedulesPanel();
+    } catch (error) {
+      this.toast("Failed to delete scheduled message", "error");
+    }
+  }
+
+  handleScheduleEvent(schedule, success) {
+    const target = schedule.chatName || this.formatPhoneNumber(schedule.chatId);
+    this.toast(
+      success
+        ? `⏰ Scheduled message sent to ${target}`
+        : `⏰ Scheduled message to ${target} failed: ${schedule.lastError}`,
+      success ? "success" : "error"
+    );
+
+    // Keep the list current while it is open
+    if (this.panelContent.querySelector(".schedule-list")) {
+      this.showSchedulesPanel();
+    }
+  }
+
+  async showSessionsPanel() {
+    this.openPanel("WhatsApp Accounts");
+    this.panelContent.innerHTML =
+      '<div class="loading">Loading accounts...</div>';
+
+    try {
+      await this.loadSessions();
+
+      this.panelContent.innerHTML = `
+        <div class="session-list">
+          ${this.sessions
+            .map(
+              (s) => `
+            <div class="session-item${
+              s.sessionId === api.sessionId ? " current" : ""
+            }" data-id="${this.escapeHtml(s.sessionId)}">
+              <div class="session-info">
+                <div class="session-name">${this.escapeHtml(
+                  s.label || s.sessionId
+                )}</div>
+                <div class="session-meta">
+                  ${this.escapeHtml(s.sessionId)}
+                  ${
+                    s.phoneNumber ? ` · +${this.escapeHtml(s.phoneNumber)}` : ""
+                  }
+                  · ${this.escapeHtml(s.status)}
+                </div>
+              </div>
+              <div class="session-actions">
+                ${
+                  s.sessionId !== api.sessionId
+                    ? '<button class="btn" data-action="switch">Switch</button>'
+                    : ""
+                }
+                ${
+                  s.autoStart
+                    ? '<button class="btn" data-action="stop">Stop</button>'
+                    : '<button class="btn" data-action="start">Start</button>'
+                }
+                ${
+                  s.isDefault
+                    ? ""
+                    : `<button class="icon-btn" title="Delete" data-action="delete">
+                  <svg viewBox="0 0 24 24" fill="currentColor"><path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/></svg>
+                </button>`
+                }
+              </div>
+            </div>
+          `
+            )
+            .join("")}
+        </div>
+
+        <div class="settings-section">
+          <h4>Add account</h4>
+          <div class="form-group">
+            <label class="form-label">Session ID</label>
+            <input type="text" id="new-session-id" class="form-input" placeholder="sales" maxlength="32">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Label</label>
+            <input type="text" id="new-session-label" class="form-input" placeholder="Sales team" maxlength="64">
+          </div>
+          <button class="btn btn-primary" id="create-session-btn" style="width:100%;">Add and scan QR code</button>
+        </div>
+      `;
+
+      this.panelContent
+        .querySelectorAll(".session-item [data-action]")
+        .forEach((btn) => {
+          btn.addEventListener("click", () =>
+            this.handleSessionAction(
+              btn.dataset.action,
+              btn.closest(".session-item").dataset.id
+            )
+          );
+        });
+
+      document
+        .getElementById("create-session-btn")
+        .addEventListener("click", () => this.createSession());
+    } catch (error) {
+      this.panelContent.innerHTML =
+        '<p class="error">Failed to load accounts</p>';
+    }
+  }
+
+  async handleSessionAction(action, sessionId) {
+    if (action === "switch") {
+      await this.switchSession(sessionId);
+      return;
+    }
+
+    if (
+      action === "delete" &&
+      !confirm(
+        `Delete ${sessionId}? Its WhatsApp login is removed; logged messages are kept.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      if (action === "start") await api.startSession(sessionId);
+      if (action === "stop") await api.stopSession(sessionId);
+      if (action === "delete") await api.deleteSession(sessionId);
+
+      const done = { start: "started", stop: "stopped", delete: "deleted" };
+      this.toast(`Session ${sessionId} ${done[action]}`, "success");
+      if (action === "delete" && sessionId === api.sessionId) {
+        await this.switchSession("default");
+      }
+      this.showSessionsPanel();
+    } catch (error) {
+      this.toast(error.message || `Failed to ${action} session`, "error");
+    }
+  }
+
+  async createSession() {
+    const sessionId = document.getElementById("new-session-id").value.trim();
+    const label = document.getElementById("new-session-label").value.trim();
+
+    try {
+      await api.createSession(sessionId, label || undefined);
+      this.toast(`Session ${sessionId} created`, "success");
+      await this.loadSessions();
+      // Show the new session's QR code
+      await this.switchSession(sessionId);
+    } catch (error) {
+      this.toast(error.message || "Failed to create session", "error");
+    }
+  }
+
+  async showAwayPanel() {
+    this.openPanel("Away Mode");
+    this.panelContent.innerHTML =
+      '<div class="loading">Loading away mode...</div>';
+
+    try {
+      const [settingsResponse, logResponse] = await Promise.all([
+        api.getAwaySettings(),
+        api.getAwayLog(),
+      ]);
+      const settings = settingsResponse.data;
+      const log = logResponse.data || [];
+      const canManage = this.can("settings:manage");
+      const dayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+      this.panelContent.innerHTML = `
+        <div class="settings-section">
+          <div class="schedule-meta">
+            ${
+              settings.open
+                ? "🟢 Within business hours"
+                : `🌙 Away${
+                    settings.nextOpeningAt
+                      ? ` until ${new Date(
+                          settings.nextOpeningAt
+                        ).toLocaleString()}`
+                      : ""
+                  }`
+            } · ${this.escapeHtml(settings.timezone)}
+          </div>
+
+          <div class="form-group">
+            <label class="form-checkbox">
+              <input type="checkbox" id="away-enabled" ${
+                settings.enabled ? "checked" : ""
+              }>
+              <span>Answer private chats outside business hours</span>
+            </label>
+            <textarea id="away-message" class="form-textarea" placeholder="Away message...">${this.escapeHtml(
+              settings.message || ""
+            )}</textarea>
+          </div>
+
+          <div class="form-group">
+            <label class="form-label">Business hours</label>
+            ${dayNames
+              .map(
+                (name, day) => `
+              <div class="away-day">
+                <span>${name}</span>
+                <input type="text" class="form-input" data-day="${day}" placeholder="Closed" value="${settings.businessHours
+                  .filter((range) => range.day === day)
+                  .map((range) => `${range.start}-${range.end}`)
+                  .join(", ")}">
+              </div>
+            `
+              )
+              .join("")}
+          </div>
+
+          <div class="form-group">
+            <label class="form-label">Holidays (one YYYY-MM-DD per line)</label>
+            <textarea id="away-holidays" class="form-textarea" rows="3">${settings.holidays.join(
+              "\n"
+            )}</textarea>
+          </div>
+
+          ${
+            canManage
+              ? '<button class="btn btn-primary" id="save-away" style="width:100%;">Save</button>'
+              : ""
+          }
+        </div>
+
+        <div class="settings-section">
+          <h4>Recently sent</h4>
+          <div class="schedule-list">
+            ${
+              log.length === 0
+                ? '<p class="empty-list">No away messages sent yet</p>'
+                : log
+                    .map(
+                      (entry) => `
+              <div class="schedule-item">
+                <div class="schedule-info">
+                  <div class="schedule-chat">${this.escapeHtml(
+                    entry.contactName || this.formatPhoneNumber(entry.contactId)
+                  )}</div>
+                  <div class="schedule-meta">${new Date(
+                    entry.createdAt
+                  ).toLocaleString()}</div>
+                </div>
+              </div>
+            `
+                    )
+                    .join("")
+            }
+          </div>
+        </div>
+      `;
+
+      const saveBtn = document.getElementById("save-away");
+      if (saveBtn) {
+        saveBtn.addEventListener("click", () => this.saveAwaySettings());
+      }
+    } catch (error) {
+      this.panelContent.innerHTML =
+        '<p class="error">Failed to load away mode</p>';
+    }
+  }
+
+  async saveAwaySettings() {
+    // "09:00-12:00, 13:00-17:00" per day
+    const businessHours = [];
+    this.panelContent.querySelectorAll(".away-day input").forEach((input) => {
+      input.value
+        .split(",")
+        .map((range) => range.trim())
+        .filter(Boolean)
+        .forEach((range) => {
+          const [start, end] = range.split("-").map((time) => time.trim());
+          businessHours.push({ day: Number(input.dataset.day), start, end });
+        });
+    });
+
+    try {
+      await api.updateAwaySettings({
+        enabled: document.getElementById("away-enabled").checked,
+        message: document.getElementById("away-message").value,
+        businessHours,
+        holidays: document
+          .getElementById("away-holidays")
+          .value.split("\n")
+          .map((day) => day.trim())
+          .filter(Boolean),
+      });
+      this.toast("Away mode saved", "success");
+      this.showAwayPanel();
+    } catch (error) {
+      this.toast(error.message || "Failed to save away mode", "error");
     }
   }
 
@@ -9,10 +9,23 @@ const http = require("http");
 const { Server } = require("socket.io");
 const app = require("./src/app");
 const { connectDB } = require("./src/config/database");
-const { initializeClient } = require("./src/config/whatsapp");
 const { setBroadcastFunction } = require("./src/events/handlers");
+const { authenticateSocket } = require("./src/middlewares");
+const {
+  authService,
+  scheduleService,
+  flowService,
+  retentionService,
+  sessionService,
+  watchdogService,
+  alertService,
+} = require("./src/services");
 const logger = require("./src/utils/logger");
-const { WS_EVENTS } = require("./src/config/constants");
+const {
+  WS_EVENTS,
+  WS_EVENT_PERMISSIONS,
+  DEFAULTS,
+} = require("./src/config/constants");
 
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || "0.0.0.0";
@@ -32,17 +45,24 @@ const io = new Server(server, {
   pingInterval: 25000,
 });
 
+// Require an API key or dashboard session token on the handshake
+io.use(authenticateSocket);
+
 // WebSocket connection handling
 io.on("connection", (socket) => {
   logger.info(`🔌 Client connected: ${socket.id}`);
 
-  // Send current status on connection
+  // Send the default session's status on connection
   const { getClientStatus, getCurrentQR } = require("./src/config/whatsapp");
-  socket.emit(WS_EVENTS.CLIENT_STATUS, { status: getClientStatus() });
+  const sessionId = DEFAULTS.SESSION_ID;
+  socket.emit(WS_EVENTS.CLIENT_STATUS, {
+    status: getClientStatus(sessionId),
+    sessionId,
+  });
 
-  const qr = getCurrentQR();
-  if (qr) {
-    socket.emit(WS_EVENTS.CLIENT_QR, { qr });
+  const qr = getCurrentQR(sessionId);
+  if (qr && canReceive(socket, WS_EVENTS.CLIENT_QR)) {
+    socket.emit(WS_EVENTS.CLIENT_QR, { qr, sessionId });
   }
 
   socket.on("disconnect", () => {
@@ -65,24 +85,70 @@ io.on("connection", (socket) => {
   });
 });
 
+// Close sockets whose API key or session token was revoked
+authService.on("revoked", ({ credentialHash, userId }) => {
+  for (const socket of io.of("/").sockets.values()) {
+    const { auth, credentialHash: socketHash } = socket.data;
+    const matches = credentialHash
+      ? socketHash === credentialHash
+      : auth?.type === "session" && auth.id === userId;
+
+    if (matches) {
+      logger.info(`🔌 Closing socket ${socket.id}: credential revoked`);
+      socket.disconnect(true);
+    }
+  }
+});
+
+/**
+ * Whether a socket's role may receive an event (see WS_EVENT_PERMISSIONS)
+ */
+function canReceive(socket, event) {
+  const permission = WS_EVENT_PERMISSIONS[event];
+  return (
+    !permission ||
+    !authService.isEnabled() ||
+    authService.hasPermission(socket.data.auth, permission)
+  );
+}
+
 // Set up broadcast function for event handlers
 setBroadcastFunction((event, data) => {
-  io.emit(event, data);
+  if (!WS_EVENT_PERMISSIONS[event]) {
+    io.emit(event, data);
+    return;
+  }
+
+  for (const socket of io.of("/").sockets.values()) {
+    if (canReceive(socket, event)) socket.emit(event, data);
+  }
 });
 
 // Graceful shutdown
 function gracefulShutdown(signal) {
   logger.info(`\n${signal} received. Starting graceful shutdown...`);
 
+  alertService.stop();
+  scheduleService.stop();
+  flowService.stop();
+  retentionService.stop();
+  watchdogService.stop();
+
   server.close(async () => {
     logger.info("HTTP server closed");
 
     try {
-      const { destroyClient } = require("./src/config/whatsapp");
-      await destroyClient();
-      logger.info("WhatsApp client destroyed");
+      await sessionService.recordShutdown();
+    } catch (err) {
+      logger.error("Error recording session shutdown:", err.message);
+    }
+
+    try {
+      const { destroyAllClients } = require("./src/config/whatsapp");
+      await destroyAllClients();
+      logger.info("WhatsApp clients destroyed");
     } catch (err) {
-      logger.error("Error destroying WhatsApp client:", err.message);
+      logger.error("Error destroying WhatsApp clients:", err.message);
     }
 
     try {
@@ -123,6 +189,29 @@ async function start() {
     logger.info("🔄 Connecting to MongoDB...");
     await connectDB();
 
+    // Alert GlobalSettings.notifications when a client or MongoDB goes down
+    alertService.start();
+
+    if (!authService.isEnabled()) {
+      logger.warn("⚠️ AUTH_ENABLED=false - the API and dashboard are open");
+    } else if (!(await authService.isLoginConfigured())) {
+      logger.warn(
+        "⚠️ No users and no ADMIN_PASSWORD - dashboard login is disabled, only API keys work"
+      );
+    }
+
+    // Send scheduled messages (they wait while the client is not ready)
+    scheduleService.start();
+
+    // Time out flow sessions nobody answered
+    flowService.start();
+
+    // Purge logged messages past GlobalSettings.logRetentionDays
+    retentionService.start();
+
+    // Restart WhatsApp clients that crash, disconnect or hang
+    watchdogService.start();
+
     // Start HTTP server
     server.listen(PORT, HOST, () => {
       logger.info(`🚀 Server running at http://${HOST}:${PORT}`);
@@ -131,10 +220,10 @@ async function start() {
       logger.info(`📚 API: http://localhost:${PORT}/api`);
     });
 
-    // Initialize WhatsApp client (non-blocking)
-    logger.info("📱 Initializing WhatsApp client...");
-    initializeClient().catch((err) => {
-      logger.error("Failed to initialize WhatsApp client:", err.message);
+    // Initialize the WhatsApp clients (non-blocking)
+    logger.info("📱 Initializing WhatsApp sessions...");
+    sessionService.startAll().catch((err) => {
+      logger.error("Failed to initialize WhatsApp sessions:", err.message);
     });
   } catch (error) {
     logger.error("Failed to start server:", error.message);
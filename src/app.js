@@ -15,6 +15,16 @@ const logger = require("./utils/logger");
 // Create Express app
 const app = express();
 
+// Behind a reverse proxy, use the client IP from X-Forwarded-For
+// (rate limiting is keyed by IP for unauthenticated requests)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set(
+    "trust proxy",
+    trustProxy === "true" ? true : Number(trustProxy) || trustProxy
+  );
+}
+
 // Security middleware
 app.use(
   helmet({
@@ -28,7 +38,14 @@ app.use(
   cors({
     origin: process.env.CORS_ORIGIN || "*",
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+    exposedHeaders: [
+      "RateLimit-Policy",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+      "Retry-After",
+    ],
     credentials: true,
   })
 );
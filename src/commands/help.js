@@ -0,0 +1,47 @@
+/**
+ * !help - List available commands or show usage for one command
+ */
+
+module.exports = {
+  name: "help",
+  description: "List available commands",
+  usage: "[command]",
+  aliases: ["commands"],
+
+  async execute({ args, prefix, reply, getAvailableCommands, getCommand }) {
+    if (args[0]) {
+      const command = getCommand(args[0]);
+      if (!command) {
+        return reply(`❓ Unknown command: ${args[0]}`);
+      }
+
+      const lines = [
+        `*${prefix}${command.name}* ${command.usage}`.trim(),
+        command.description,
+      ];
+      if (command.aliases.length > 0) {
+        lines.push(
+          `Aliases: ${command.aliases.map((a) => prefix + a).join(", ")}`
+        );
+      }
+      if (command.adminOnly) {
+        lines.push("🔒 Admins only");
+      }
+      return reply(lines.join("\n"));
+    }
+
+    const available = await getAvailableCommands();
+    const list = available
+      .map(
+        (command) =>
+          `• *${prefix}${command.name}*${
+            command.usage ? ` ${command.usage}` : ""
+          } - ${command.description}${command.adminOnly ? " 🔒" : ""}`
+      )
+      .join("\n");
+
+    return reply(
+      `📖 *Available Commands*\n\n${list}\n\nType ${prefix}help <command> for details.`
+    );
+  },
+};
@@ -0,0 +1,98 @@
+/**
+ * Command Registry
+ * Loads every command module in this directory and indexes it by name and alias
+ *
+ * A command module exports an object with:
+ *   name        {string}   - Command name (without prefix)
+ *   description {string}   - Short description shown in help
+ *   usage       {string}   - Argument synopsis, e.g. "<message>"
+ *   aliases     {string[]} - Alternative names
+ *   adminOnly   {boolean}  - Restrict to group admins
+ *   groupOnly   {boolean}  - Only available in groups
+ *   execute     {Function} - async (context) => void
+ */
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+
+// Registered commands keyed by name
+const commands = new Map();
+
+// Alias -> command name lookup
+const aliases = new Map();
+
+/**
+ * Register a command
+ * @param {Object} command
+ */
+function registerCommand(command) {
+  if (!command?.name || typeof command.execute !== "function") {
+    throw new Error("Command must have a name and an execute function");
+  }
+
+  const name = command.name.toLowerCase();
+  if (commands.has(name)) {
+    throw new Error(`Command "${name}" is already registered`);
+  }
+
+  commands.set(name, {
+    description: "",
+    usage: "",
+    aliases: [],
+    adminOnly: false,
+    groupOnly: false,
+    ...command,
+    name,
+  });
+
+  for (const alias of command.aliases || []) {
+    aliases.set(alias.toLowerCase(), name);
+  }
+}
+
+/**
+ * Load all command modules from this directory
+ */
+function loadCommands() {
+  const files = fs
+    .readdirSync(__dirname)
+    .filter((file) => file.endsWith(".js") && file !== "index.js");
+
+  for (const file of files) {
+    try {
+      registerCommand(require(path.join(__dirname, file)));
+    } catch (error) {
+      logger.error(`Failed to load command ${file}: ${error.message}`);
+    }
+  }
+
+  logger.debug(`Loaded ${commands.size} chat commands`);
+}
+
+/**
+ * Get a command by name or alias
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function getCommand(name) {
+  if (!name) return null;
+  const key = name.toLowerCase();
+  return commands.get(key) || commands.get(aliases.get(key)) || null;
+}
+
+/**
+ * Get all registered commands
+ * @returns {Object[]}
+ */
+function getCommands() {
+  return [...commands.values()];
+}
+
+loadCommands();
+
+module.exports = {
+  registerCommand,
+  getCommand,
+  getCommands,
+};
@@ -0,0 +1,15 @@
+/**
+ * !ping - Check that the bot is responding
+ */
+
+module.exports = {
+  name: "ping",
+  description: "Check that the bot is online",
+
+  async execute({ message, reply }) {
+    const latency = message.timestamp
+      ? Date.now() - message.timestamp * 1000
+      : null;
+    return reply(latency !== null ? `🏓 Pong! (${latency}ms)` : "🏓 Pong!");
+  },
+};
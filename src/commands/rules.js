@@ -0,0 +1,16 @@
+/**
+ * !rules - Show the group rules
+ */
+
+module.exports = {
+  name: "rules",
+  description: "Show the group rules",
+  groupOnly: true,
+
+  async execute({ settings, reply }) {
+    if (!settings?.groupRules) {
+      return reply("No rules have been set for this group.");
+    }
+    return reply(`📋 *Group Rules*:\n${settings.groupRules}`);
+  },
+};
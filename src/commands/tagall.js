@@ -0,0 +1,22 @@
+/**
+ * !tagall - Mention every group member
+ */
+
+const groupService = require("../services/group.service");
+const { SEND_PRIORITY } = require("../config/constants");
+
+module.exports = {
+  name: "tagall",
+  description: "Mention every member of the group",
+  usage: "[message]",
+  aliases: ["everyone"],
+  adminOnly: true,
+  groupOnly: true,
+
+  async execute({ chat, rawArgs }) {
+    await groupService.tagAllMembers(chat.id._serialized, rawArgs, {
+      hideMentions: true,
+      priority: SEND_PRIORITY.REPLY,
+    });
+  },
+};
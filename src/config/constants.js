@@ -63,10 +63,169 @@ const AUTO_MESSAGE_TYPES = Object.freeze({
   ANNOUNCEMENT: "announcement",
 });
 
+// How auto-message media is sent
+const AUTO_MESSAGE_MEDIA_TYPES = Object.freeze({
+  IMAGE: "image", // Also plain video
+  GIF: "gif",
+  STICKER: "sticker",
+  DOCUMENT: "document",
+});
+
+// Automated moderation types
+const MODERATION_TYPES = Object.freeze({
+  SPAM: "spam",
+  LINK: "link",
+});
+
+// Scheduled message content types
+const SCHEDULED_MESSAGE_TYPES = Object.freeze({
+  TEXT: "text",
+  MEDIA: "media",
+  POLL: "poll",
+  LOCATION: "location",
+});
+
+// Scheduled message states
+const SCHEDULE_STATUS = Object.freeze({
+  SCHEDULED: "scheduled",
+  PAUSED: "paused",
+  COMPLETED: "completed",
+  FAILED: "failed",
+});
+
+// How auto-reply rules match incoming text
+const AUTO_REPLY_MATCH_TYPES = Object.freeze({
+  EXACT: "exact",
+  CONTAINS: "contains",
+  STARTS_WITH: "starts_with",
+  REGEX: "regex",
+});
+
+// Chats an auto-reply rule applies to
+const AUTO_REPLY_SCOPES = Object.freeze({
+  ALL: "all",
+  CHATS: "chats", // Only the rule's chatIds
+  GROUPS: "groups",
+  DIRECT: "direct",
+});
+
+// Auto-reply content types
+const AUTO_REPLY_TYPES = Object.freeze({
+  TEXT: "text",
+  MEDIA: "media",
+  POLL: "poll",
+});
+
+// Conversational flow steps
+const FLOW_NODE_TYPES = Object.freeze({
+  MESSAGE: "message", // Send text and continue to next
+  MENU: "menu", // Send numbered options and branch on the answer
+  QUESTION: "question", // Store the answer in a variable
+  HANDOFF: "handoff", // Hand the conversation to a human
+  END: "end",
+});
+
+// Flow session lifecycle
+const FLOW_SESSION_STATUS = Object.freeze({
+  ACTIVE: "active",
+  COMPLETED: "completed",
+  HANDED_OFF: "handed_off",
+  TIMED_OUT: "timed_out",
+  CANCELLED: "cancelled",
+});
+
+// What the retention job does with messages past logRetentionDays
+const RETENTION_ACTIONS = Object.freeze({
+  DELETE: "delete",
+  ARCHIVE: "archive", // Move to the ArchivedMessage collection
+});
+
+// GlobalSettings fields exposed by GET/PATCH /api/settings. Away mode and
+// webhooks have their own endpoints.
+const SETTINGS_FIELDS = Object.freeze([
+  "botName",
+  "botDescription",
+  "defaultCommandPrefix",
+  "maxMessagesPerMinute",
+  "enableLogging",
+  "logRetentionDays",
+  "logRetentionAction",
+  "defaultWelcomeMessage",
+  "defaultFarewellMessage",
+  "timezone",
+  "disabledCommands",
+  "maintenanceMode",
+  "notifications",
+]);
+
+// Problems alerted through GlobalSettings.notifications
+const ALERT_TYPES = Object.freeze({
+  CLIENT_DISCONNECTED: "client_disconnected",
+  CLIENT_FAILED: "client_failed",
+  AUTH_FAILURE: "auth_failure",
+  LOGIN_REQUIRED: "login_required", // QR or pairing code needed again
+  DATABASE_DOWN: "database_down",
+  TEST: "test",
+});
+
+// Outbound send queue priorities (lower runs first)
+const SEND_PRIORITY = Object.freeze({
+  MANUAL: 1, // Dashboard and API sends
+  REPLY: 2, // Bot replies to users (commands, moderation notices)
+  AUTOMATION: 3, // Welcome/farewell and other automated messages
+});
+
+// Dashboard operator roles
+const ROLES = Object.freeze({
+  OWNER: "owner",
+  ADMIN: "admin",
+  AGENT: "agent",
+  VIEWER: "viewer",
+});
+
+// Permission scopes checked per API route
+const PERMISSIONS = Object.freeze({
+  CHATS_READ: "chats:read",
+  CHATS_MANAGE: "chats:manage",
+  MESSAGES_SEND: "messages:send",
+  MESSAGES_MANAGE: "messages:manage",
+  WATCHLIST_MANAGE: "watchlist:manage",
+  GROUPS_MANAGE: "groups:manage",
+  CONTACTS_BLOCK: "contacts:block",
+  SETTINGS_MANAGE: "settings:manage",
+  SESSION_LOGOUT: "session:logout",
+  SESSIONS_MANAGE: "sessions:manage",
+  USERS_MANAGE: "users:manage",
+});
+
+// Permissions granted to each role (each role includes the one below it)
+const VIEWER_PERMISSIONS = [PERMISSIONS.CHATS_READ];
+const AGENT_PERMISSIONS = [
+  ...VIEWER_PERMISSIONS,
+  PERMISSIONS.MESSAGES_SEND,
+  PERMISSIONS.WATCHLIST_MANAGE,
+];
+const ADMIN_PERMISSIONS = [
+  ...AGENT_PERMISSIONS,
+  PERMISSIONS.CHATS_MANAGE,
+  PERMISSIONS.MESSAGES_MANAGE,
+  PERMISSIONS.GROUPS_MANAGE,
+  PERMISSIONS.CONTACTS_BLOCK,
+  PERMISSIONS.SETTINGS_MANAGE,
+];
+
+const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.OWNER]: Object.values(PERMISSIONS),
+  [ROLES.ADMIN]: ADMIN_PERMISSIONS,
+  [ROLES.AGENT]: AGENT_PERMISSIONS,
+  [ROLES.VIEWER]: VIEWER_PERMISSIONS,
+});
+
 // Client connection states
 const CLIENT_STATUS = Object.freeze({
   INITIALIZING: "initializing",
   QR_READY: "qr_ready",
+  PAIRING_CODE_READY: "pairing_code_ready",
   AUTHENTICATED: "authenticated",
   READY: "ready",
   DISCONNECTED: "disconnected",
@@ -96,9 +255,12 @@ const WS_EVENTS = Object.freeze({
   // Connection events
   CLIENT_READY: "client:ready",
   CLIENT_QR: "client:qr",
+  CLIENT_PAIRING_CODE: "client:pairing_code",
   CLIENT_AUTHENTICATED: "client:authenticated",
   CLIENT_DISCONNECTED: "client:disconnected",
   CLIENT_STATUS: "client:status",
+  CLIENT_RECONNECTING: "client:reconnecting",
+  CLIENT_RECONNECT_FAILED: "client:reconnect_failed",
 
   // Message events
   MESSAGE_NEW: "message:new",
@@ -113,6 +275,17 @@ const WS_EVENTS = Object.freeze({
   GROUP_UPDATE: "group:update",
   GROUP_ADMIN_CHANGED: "group:admin_changed",
   GROUP_MEMBERSHIP_REQUEST: "group:membership_request",
+  GROUP_MODERATION: "group:moderation",
+
+  // Scheduled message events
+  SCHEDULE_SENT: "schedule:sent",
+  SCHEDULE_FAILED: "schedule:failed",
+
+  // Flow events
+  FLOW_HANDOFF: "flow:handoff",
+
+  // Settings events
+  MAINTENANCE_MODE: "settings:maintenance",
 
   // Chat events
   CHAT_UPDATE: "chat:update",
@@ -127,6 +300,13 @@ const WS_EVENTS = Object.freeze({
   WATCHLIST_MESSAGE: "watchlist:message",
 });
 
+// Events only sent to sockets whose role has the permission; a QR or
+// pairing code links the bot's WhatsApp account to whoever uses it
+const WS_EVENT_PERMISSIONS = Object.freeze({
+  [WS_EVENTS.CLIENT_QR]: PERMISSIONS.SESSION_LOGOUT,
+  [WS_EVENTS.CLIENT_PAIRING_CODE]: PERMISSIONS.SESSION_LOGOUT,
+});
+
 // API response status codes
 const RESPONSE_STATUS = Object.freeze({
   SUCCESS: "success",
@@ -139,12 +319,47 @@ const RESPONSE_STATUS = Object.freeze({
 
 // Default configurations
 const DEFAULTS = Object.freeze({
+  SESSION_ID: "default", // WhatsApp session behind the unscoped /api routes
   BACKUP_SYNC_INTERVAL: 300000, // 5 minutes
+  WATCHDOG_INTERVAL: 30000, // How often client health is checked
+  WATCHDOG_STATE_TIMEOUT: 10000, // Longest client.getState() may take
+  WATCHDOG_STUCK_TIMEOUT: 180000, // Longest a client may stay initializing or authenticated
+  WATCHDOG_MAX_FAILED_CHECKS: 2, // Failed health checks before a ready client is restarted
+  RECONNECT_BASE_DELAY: 5000, // First reconnect delay, doubled per attempt
+  RECONNECT_MAX_DELAY: 300000, // 5 minutes
+  RECONNECT_MAX_ATTEMPTS: 10,
   MESSAGE_FETCH_LIMIT: 50,
   CHAT_FETCH_LIMIT: 50,
   RATE_LIMIT_WINDOW: 60000, // 1 minute
   RATE_LIMIT_MAX_REQUESTS: 100,
+  RATE_LIMIT_SEND_MAX_REQUESTS: 20,
   SESSION_TIMEOUT: 86400000, // 24 hours
+  WEBHOOK_TIMEOUT: 10000, // 10 seconds
+  WEBHOOK_MAX_RETRIES: 3,
+  WEBHOOK_RETRY_DELAY: 1000,
+  SEND_ACCOUNT_BURST: 5, // Messages the account may send back-to-back
+  SEND_CHAT_BURST: 3,
+  SEND_CHAT_PER_MINUTE: 12,
+  SEND_MIN_DELAY: 800, // Human-like pause between sends
+  SEND_MAX_DELAY: 2500,
+  SEND_QUEUE_MAX_PENDING: 1000,
+  SEND_QUEUE_FAILED_HISTORY: 100,
+  SEND_TASK_TIMEOUT: 120000, // A send still pending after this fails (2 minutes)
+  SCHEDULER_INTERVAL: 15000, // How often due scheduled messages are checked
+  SCHEDULE_LOCK_TIMEOUT: 300000, // 5 minutes
+  MEDIA_CACHE_TTL: 3600000, // 1 hour
+  MEDIA_CACHE_MAX_ENTRIES: 50,
+  WELCOME_BATCH_MAX_WAIT: 60000, // Longest a join burst delays its welcome
+  WELCOME_ADD_COOLDOWN: 60000, // No welcomes after our own addParticipants
+  AUTO_REPLY_CACHE_TTL: 60000, // How long rules are cached between reloads
+  AUTO_REPLY_REGEX_MAX_INPUT: 1000, // Characters of a message a regex rule sees
+  FLOW_CACHE_TTL: 60000, // How long enabled flows are cached
+  FLOW_SESSION_TIMEOUT: 30, // Minutes a flow waits for an answer
+  FLOW_MAX_STEPS: 20, // Nodes run for one incoming message (loop guard)
+  RETENTION_INTERVAL: 3600000, // How often old messages are purged (1 hour)
+  RETENTION_BATCH_SIZE: 1000, // Messages archived per round trip
+  ALERT_DELAY: 60000, // How long a problem must last before it is alerted
+  NOTIFIER_TIMEOUT: 10000, // 10 seconds
 });
 
 // Error messages
@@ -162,16 +377,53 @@ const ERROR_MESSAGES = Object.freeze({
   SESSION_EXPIRED: "Session expired. Please authenticate again.",
   WATCHLIST_ALREADY_EXISTS: "Chat is already in watchlist",
   WATCHLIST_NOT_FOUND: "Chat not found in watchlist",
+  WEBHOOK_NOT_FOUND: "Webhook not found",
+  AUTH_REQUIRED: "Authentication required",
+  INVALID_CREDENTIALS: "Invalid username or password",
+  INVALID_AUTH_TOKEN: "Invalid or expired API key or session token",
+  LOGIN_NOT_CONFIGURED: "Dashboard login is not configured",
+  API_KEY_NOT_FOUND: "API key not found",
+  USER_NOT_FOUND: "User not found",
+  LAST_OWNER: "At least one active owner is required",
+  SEND_QUEUE_FULL: "Send queue is full. Please try again later.",
+  SCHEDULE_NOT_FOUND: "Scheduled message not found",
+  SCHEDULE_IN_PAST: "sendAt must be in the future",
+  MEDIA_ASSET_NOT_FOUND: "Media asset not found",
+  AUTO_REPLY_NOT_FOUND: "Auto-reply rule not found",
+  FLOW_NOT_FOUND: "Flow not found",
+  FLOW_SESSION_NOT_FOUND: "Flow session not found",
+  SESSION_NOT_FOUND: "WhatsApp session not found",
+  MAINTENANCE_MODE:
+    "Maintenance mode is on. Sends are paused; pass force: true to send anyway.",
+  ROLE_NOT_ALLOWED:
+    "You cannot grant a role with more permissions than your own",
 });
 
 module.exports = {
   MESSAGE_TYPES,
   GROUP_ACTIONS,
   AUTO_MESSAGE_TYPES,
+  AUTO_MESSAGE_MEDIA_TYPES,
+  MODERATION_TYPES,
+  SCHEDULED_MESSAGE_TYPES,
+  SCHEDULE_STATUS,
+  AUTO_REPLY_MATCH_TYPES,
+  AUTO_REPLY_SCOPES,
+  AUTO_REPLY_TYPES,
+  FLOW_NODE_TYPES,
+  FLOW_SESSION_STATUS,
+  SETTINGS_FIELDS,
+  ALERT_TYPES,
+  RETENTION_ACTIONS,
+  SEND_PRIORITY,
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
   CLIENT_STATUS,
   CHAT_TYPES,
   MESSAGE_ACK,
   WS_EVENTS,
+  WS_EVENT_PERMISSIONS,
   RESPONSE_STATUS,
   DEFAULTS,
   ERROR_MESSAGES,
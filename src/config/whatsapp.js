@@ -1,21 +1,75 @@
 /**
  * WhatsApp Client Configuration
- * Centralized configuration for the WhatsApp Web.js client
+ * Centralized configuration for the WhatsApp Web.js clients
+ *
+ * One client runs per WhatsApp session (account). Functions take an
+ * optional sessionId and default to the session of the current context
+ * (see utils/session-context), so existing callers keep working.
  */
 
-const { Client, LocalAuth } = require("whatsapp-web.js");
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const { Client, LocalAuth, RemoteAuth } = require("whatsapp-web.js");
+const { MongoStore } = require("wwebjs-mongo");
 const logger = require("../utils/logger");
+const {
+  runInSession,
+  getCurrentSessionId,
+} = require("../utils/session-context");
 const { CLIENT_STATUS, DEFAULTS } = require("./constants");
 
-// Client instance (singleton)
-let client = null;
-let clientStatus = CLIENT_STATUS.DISCONNECTED;
-let currentQR = null;
+// Client state by sessionId: { client, status, qr, pairingPhone, pairingCode }
+const sessions = new Map();
 
-// Event emitter for broadcasting client events
+// Event emitter for broadcasting client events. Listeners run in the
+// context of the session that emitted the event.
 const EventEmitter = require("events");
 const clientEvents = new EventEmitter();
 
+// Session storage
+const AUTH_DATA_PATH = "./.wwebjs_auth";
+
+/**
+ * Auth strategy selected by WHATSAPP_AUTH_STRATEGY: "local" keeps the
+ * session in .wwebjs_auth, "remote" backs it up to MongoDB
+ * @returns {string} "local" or "remote"
+ */
+function getAuthStrategy() {
+  return process.env.WHATSAPP_AUTH_STRATEGY === "remote" ? "remote" : "local";
+}
+
+/**
+ * Client state of a session, created on first use
+ * @param {string} sessionId
+ * @returns {Object} { client, status, qr, pairingPhone, pairingCode }
+ */
+function getState(sessionId) {
+  if (!sessions.has(sessionId)) {
+    sessions.set(sessionId, {
+      client: null,
+      status: CLIENT_STATUS.DISCONNECTED,
+      qr: null,
+      // Set while logging in with a pairing code instead of the QR code
+      pairingPhone: null,
+      pairingCode: null,
+    });
+  }
+  return sessions.get(sessionId);
+}
+
+/**
+ * Emit a client event as the given session
+ */
+function emit(sessionId, event, ...args) {
+  runInSession(sessionId, () => clientEvents.emit(event, ...args));
+}
+
+function setStatus(sessionId, status, reason = null) {
+  getState(sessionId).status = status;
+  emit(sessionId, "status", status, reason);
+}
+
 /**
  * Get Puppeteer configuration based on environment
  */
@@ -41,20 +95,23 @@ function getPuppeteerConfig() {
 }
 
 /**
- * Initialize the WhatsApp client with RemoteAuth
- * @returns {Promise<Client>}
+ * Initialize a session's WhatsApp client
+ * @param {string} sessionId
+ * @returns {Promise<Client|null>} The client if it is already ready
  */
-async function initializeClient() {
-  if (client && clientStatus === CLIENT_STATUS.READY) {
-    logger.info("📱 Using existing WhatsApp client");
-    return client;
+async function initializeClient(sessionId = getCurrentSessionId()) {
+  const state = getState(sessionId);
+  if (state.client && state.status === CLIENT_STATUS.READY) {
+    logger.info(`📱 [${sessionId}] Using existing WhatsApp client`);
+    return state.client;
   }
 
   // Start initialization in background
-  initializeAsync().catch((error) => {
-    logger.error(`❌ Failed to initialize WhatsApp client: ${error.message}`);
-    clientStatus = CLIENT_STATUS.FAILED;
-    clientEvents.emit("status", clientStatus);
+  runInSession(sessionId, () => initializeAsync(sessionId)).catch((error) => {
+    logger.error(
+      `❌ [${sessionId}] Failed to initialize WhatsApp client: ${error.message}`
+    );
+    setStatus(sessionId, CLIENT_STATUS.FAILED, error.message);
   });
 
   return null;
@@ -62,162 +119,392 @@ async function initializeClient() {
 
 /**
  * Actual initialization (runs in background)
+ * @param {string} sessionId
  */
-async function initializeAsync() {
-  logger.info("📱 Initializing WhatsApp client...");
-  clientStatus = CLIENT_STATUS.INITIALIZING;
-  clientEvents.emit("status", clientStatus);
-
-  // Create client with LocalAuth strategy (stores session in .wwebjs_auth folder)
-  logger.info("📱 Creating WhatsApp client with LocalAuth...");
-  client = new Client({
-    authStrategy: new LocalAuth({
-      clientId: "default",
-      dataPath: "./.wwebjs_auth",
-    }),
+async function initializeAsync(sessionId) {
+  logger.info(`📱 [${sessionId}] Initializing WhatsApp client...`);
+  setStatus(sessionId, CLIENT_STATUS.INITIALIZING);
+
+  const { pairingPhone } = getState(sessionId);
+  const strategy = getAuthStrategy();
+  logger.info(
+    `📱 [${sessionId}] Creating WhatsApp client with ${
+      strategy === "remote" ? "RemoteAuth" : "LocalAuth"
+    }...`
+  );
+  const client = new Client({
+    authStrategy:
+      strategy === "remote"
+        ? await createRemoteAuth(sessionId)
+        : createLocalAuth(sessionId),
     puppeteer: getPuppeteerConfig(),
+    ...(pairingPhone && {
+      pairWithPhoneNumber: {
+        phoneNumber: pairingPhone,
+        showNotification: true,
+      },
+    }),
   });
+  getState(sessionId).client = client;
 
   // Attach event listeners
-  attachEventListeners(client);
+  attachEventListeners(client, sessionId);
 
   // Initialize the client
-  logger.info("📱 Starting client initialization (this may take a while)...");
+  logger.info(
+    `📱 [${sessionId}] Starting client initialization (this may take a while)...`
+  );
   await client.initialize();
 
-  logger.info("📱 Client initialization completed");
+  logger.info(`📱 [${sessionId}] Client initialization completed`);
   return client;
 }
 
+/**
+ * LocalAuth: session files in .wwebjs_auth/session-<sessionId>
+ * @param {string} sessionId
+ * @returns {LocalAuth}
+ */
+function createLocalAuth(sessionId) {
+  return new LocalAuth({
+    clientId: sessionId,
+    dataPath: AUTH_DATA_PATH,
+  });
+}
+
+/**
+ * RemoteAuth: session zipped into GridFS (whatsapp-RemoteAuth-<sessionId>)
+ * and re-synced every BACKUP_SYNC_INTERVAL, so it survives redeploys
+ * @param {string} sessionId
+ * @returns {Promise<RemoteAuth>}
+ */
+async function createRemoteAuth(sessionId) {
+  const authStrategy = new RemoteAuth({
+    clientId: sessionId,
+    dataPath: AUTH_DATA_PATH,
+    store: new MongoStore({ mongoose }),
+    backupSyncIntervalMs: DEFAULTS.BACKUP_SYNC_INTERVAL,
+  });
+
+  await migrateLocalSession(authStrategy, sessionId);
+  return authStrategy;
+}
+
+/**
+ * One-time migration: upload an existing LocalAuth session to MongoDB so
+ * switching to RemoteAuth doesn't require scanning the QR code again.
+ * Skipped once a remote session exists.
+ * @param {RemoteAuth} authStrategy
+ * @param {string} sessionId
+ */
+async function migrateLocalSession(authStrategy, sessionId) {
+  const localDir = getLocalSessionDir(sessionId);
+  const remoteName = getRemoteSessionName(sessionId);
+
+  if (!fs.existsSync(localDir)) return;
+  if (await authStrategy.store.sessionExists({ session: remoteName })) {
+    return;
+  }
+
+  logger.info(`💾 [${sessionId}] Migrating LocalAuth session to MongoDB...`);
+  try {
+    // Reuse RemoteAuth's own zip-and-upload, pointed at the local folder
+    authStrategy.userDataDir = localDir;
+    authStrategy.sessionName = remoteName;
+    await authStrategy.storeRemoteSession();
+    logger.info(
+      `💾 [${sessionId}] LocalAuth session migrated; ${localDir} can be removed`
+    );
+  } catch (error) {
+    logger.error(
+      `❌ [${sessionId}] Session migration failed: ${error.message}`
+    );
+  }
+}
+
+function getLocalSessionDir(sessionId) {
+  return path.resolve(AUTH_DATA_PATH, `session-${sessionId}`);
+}
+
+function getRemoteSessionName(sessionId) {
+  return `RemoteAuth-${sessionId}`;
+}
+
 /**
  * Attach all event listeners to the client
  * @param {Client} client
+ * @param {string} sessionId
  */
-function attachEventListeners(client) {
+function attachEventListeners(client, sessionId) {
+  const state = getState(sessionId);
+
+  // A client being torn down for a restart must not touch the new one's state
+  const on = (event, handler) =>
+    client.on(event, (...args) => {
+      if (sessions.get(sessionId)?.client === client) handler(...args);
+    });
+
   // QR Code event
-  client.on("qr", (qr) => {
-    currentQR = qr;
-    clientStatus = CLIENT_STATUS.QR_READY;
-    logger.info("📱 QR Code received");
-    clientEvents.emit("qr", qr);
-    clientEvents.emit("status", clientStatus);
+  on("qr", (qr) => {
+    state.qr = qr;
+    state.status = CLIENT_STATUS.QR_READY;
+    logger.info(`📱 [${sessionId}] QR Code received`);
+    emit(sessionId, "qr", qr);
+    emit(sessionId, "status", state.status);
+  });
+
+  // Pairing code event (pairWithPhoneNumber)
+  on("code", (code) => {
+    state.pairingCode = code;
+    state.status = CLIENT_STATUS.PAIRING_CODE_READY;
+    logger.info(`📱 [${sessionId}] Pairing code received`);
+    emit(sessionId, "pairing_code", code);
+    emit(sessionId, "status", state.status);
   });
 
   // Authenticated event
-  client.on("authenticated", () => {
-    currentQR = null;
-    clientStatus = CLIENT_STATUS.AUTHENTICATED;
-    logger.info("✅ WhatsApp client authenticated");
-    clientEvents.emit("authenticated");
-    clientEvents.emit("status", clientStatus);
+  on("authenticated", () => {
+    state.qr = null;
+    state.pairingPhone = null;
+    state.pairingCode = null;
+    state.status = CLIENT_STATUS.AUTHENTICATED;
+    logger.info(`✅ [${sessionId}] WhatsApp client authenticated`);
+    emit(sessionId, "authenticated");
+    emit(sessionId, "status", state.status);
   });
 
   // Ready event
-  client.on("ready", () => {
-    clientStatus = CLIENT_STATUS.READY;
-    logger.info("✅ WhatsApp client is ready");
-    clientEvents.emit("ready", client.info);
-    clientEvents.emit("status", clientStatus);
+  on("ready", () => {
+    state.status = CLIENT_STATUS.READY;
+    logger.info(`✅ [${sessionId}] WhatsApp client is ready`);
+    emit(sessionId, "ready", client.info);
+    emit(sessionId, "status", state.status);
   });
 
   // Disconnected event
-  client.on("disconnected", (reason) => {
-    clientStatus = CLIENT_STATUS.DISCONNECTED;
-    currentQR = null;
-    logger.warn(`📱 WhatsApp client disconnected: ${reason}`);
-    clientEvents.emit("disconnected", reason);
-    clientEvents.emit("status", clientStatus);
+  on("disconnected", (reason) => {
+    state.status = CLIENT_STATUS.DISCONNECTED;
+    state.qr = null;
+    logger.warn(`📱 [${sessionId}] WhatsApp client disconnected: ${reason}`);
+    emit(sessionId, "disconnected", reason);
+    emit(sessionId, "status", state.status, reason);
   });
 
   // Remote session saved
-  client.on("remote_session_saved", () => {
-    logger.info("💾 Remote session saved to MongoDB");
-    clientEvents.emit("session_saved");
+  on("remote_session_saved", () => {
+    logger.info(`💾 [${sessionId}] Remote session saved to MongoDB`);
+    emit(sessionId, "session_saved");
   });
 
   // Authentication failure
-  client.on("auth_failure", (msg) => {
-    clientStatus = CLIENT_STATUS.FAILED;
-    logger.error(`❌ Authentication failed: ${msg}`);
-    clientEvents.emit("auth_failure", msg);
-    clientEvents.emit("status", clientStatus);
+  on("auth_failure", (msg) => {
+    state.status = CLIENT_STATUS.FAILED;
+    logger.error(`❌ [${sessionId}] Authentication failed: ${msg}`);
+    emit(sessionId, "auth_failure", msg);
+    emit(sessionId, "status", state.status, msg);
   });
 
   // Loading screen progress
-  client.on("loading_screen", (percent, message) => {
-    logger.info(`📱 Loading: ${percent}% - ${message}`);
-    clientEvents.emit("loading", { percent, message });
+  on("loading_screen", (percent, message) => {
+    logger.info(`📱 [${sessionId}] Loading: ${percent}% - ${message}`);
+    emit(sessionId, "loading", { percent, message });
   });
 
   // State change
-  client.on("change_state", (state) => {
-    logger.info(`📱 Client state changed: ${state}`);
-    clientEvents.emit("state_change", state);
+  on("change_state", (clientState) => {
+    logger.info(`📱 [${sessionId}] Client state changed: ${clientState}`);
+    emit(sessionId, "state_change", clientState);
   });
 }
 
 /**
- * Get the current WhatsApp client instance
+ * Get a session's WhatsApp client instance
+ * @param {string} sessionId
  * @returns {Client|null}
  */
-function getClient() {
-  return client;
+function getClient(sessionId = getCurrentSessionId()) {
+  return sessions.get(sessionId)?.client || null;
 }
 
 /**
- * Get current client status
+ * Get a session's client status
+ * @param {string} sessionId
  * @returns {string}
  */
-function getClientStatus() {
-  return clientStatus;
+function getClientStatus(sessionId = getCurrentSessionId()) {
+  return sessions.get(sessionId)?.status || CLIENT_STATUS.DISCONNECTED;
 }
 
 /**
- * Get current QR code
+ * Get a session's current QR code
+ * @param {string} sessionId
  * @returns {string|null}
  */
-function getCurrentQR() {
-  return currentQR;
+function getCurrentQR(sessionId = getCurrentSessionId()) {
+  return sessions.get(sessionId)?.qr || null;
 }
 
 /**
- * Check if client is ready
+ * Get a session's current pairing code
+ * @param {string} sessionId
+ * @returns {string|null}
+ */
+function getPairingCode(sessionId = getCurrentSessionId()) {
+  return sessions.get(sessionId)?.pairingCode || null;
+}
+
+/**
+ * Log in with a pairing code for the phone number instead of the QR code.
+ * The client restarts and emits "pairing_code" once WhatsApp Web has one.
+ * @param {string} phoneNumber - International format, digits only
+ * @param {string} sessionId
+ */
+async function startPairing(phoneNumber, sessionId = getCurrentSessionId()) {
+  const state = getState(sessionId);
+  state.pairingPhone = phoneNumber;
+  state.pairingCode = null;
+  return restartClient(sessionId);
+}
+
+/**
+ * Go back to QR code login
+ * @param {string} sessionId
+ */
+async function stopPairing(sessionId = getCurrentSessionId()) {
+  const state = getState(sessionId);
+  state.pairingPhone = null;
+  state.pairingCode = null;
+  return restartClient(sessionId);
+}
+
+/**
+ * Check if a session's client is ready
+ * @param {string} sessionId
  * @returns {boolean}
  */
-function isClientReady() {
-  return client && clientStatus === CLIENT_STATUS.READY;
+function isClientReady(sessionId = getCurrentSessionId()) {
+  const state = sessions.get(sessionId);
+  return Boolean(state?.client && state.status === CLIENT_STATUS.READY);
+}
+
+/**
+ * Sessions with a ready client
+ * @returns {string[]}
+ */
+function getReadySessionIds() {
+  return [...sessions.keys()].filter((sessionId) => isClientReady(sessionId));
+}
+
+/**
+ * Destroy a session's client and cleanup
+ * @param {string} sessionId
+ */
+async function destroyClient(sessionId = getCurrentSessionId()) {
+  const state = sessions.get(sessionId);
+  if (state?.client) {
+    try {
+      await state.client.destroy();
+      state.client = null;
+      state.status = CLIENT_STATUS.DISCONNECTED;
+      state.qr = null;
+      state.pairingCode = null;
+      logger.info(`📱 [${sessionId}] WhatsApp client destroyed`);
+    } catch (error) {
+      logger.error(
+        `❌ [${sessionId}] Error destroying client: ${error.message}`
+      );
+      throw error;
+    }
+  }
 }
 
 /**
- * Destroy the client and cleanup
+ * Replace a session's client with a new one. The old client is destroyed
+ * first, even if its browser has crashed.
+ * @param {string} sessionId
  */
-async function destroyClient() {
+async function restartClient(sessionId = getCurrentSessionId()) {
+  const state = getState(sessionId);
+  const { client } = state;
+  state.client = null;
+  state.qr = null;
+  state.pairingCode = null;
+
   if (client) {
     try {
       await client.destroy();
-      client = null;
-      clientStatus = CLIENT_STATUS.DISCONNECTED;
-      currentQR = null;
-      logger.info("📱 WhatsApp client destroyed");
     } catch (error) {
-      logger.error(`❌ Error destroying client: ${error.message}`);
-      throw error;
+      logger.warn(
+        `📱 [${sessionId}] Error destroying client for restart: ${error.message}`
+      );
+    }
+  }
+
+  logger.info(`📱 [${sessionId}] Restarting WhatsApp client`);
+  return initializeClient(sessionId);
+}
+
+/**
+ * Destroy every session's client (shutdown)
+ */
+async function destroyAllClients() {
+  for (const sessionId of sessions.keys()) {
+    try {
+      await destroyClient(sessionId);
+    } catch (error) {
+      // Already logged; keep shutting down the others
+    }
+  }
+}
+
+/**
+ * Delete the stored session (MongoDB backup or local folder) so the next
+ * start asks for a new QR code. Destroy the client first.
+ * @param {string} sessionId
+ */
+async function clearStoredSession(sessionId = getCurrentSessionId()) {
+  if (getAuthStrategy() === "remote") {
+    for (const suffix of ["files", "chunks"]) {
+      try {
+        await mongoose.connection
+          .collection(`whatsapp-${getRemoteSessionName(sessionId)}.${suffix}`)
+          .drop();
+      } catch (error) {
+        // Collection might not exist
+      }
     }
+    return;
   }
+
+  await fs.promises.rm(getLocalSessionDir(sessionId), {
+    recursive: true,
+    force: true,
+  });
+}
+
+/**
+ * Forget a deleted session's client state
+ * @param {string} sessionId
+ */
+function removeSessionState(sessionId) {
+  sessions.delete(sessionId);
 }
 
 /**
  * Logout and clear session
+ * @param {string} sessionId
  */
-async function logoutClient() {
-  if (client) {
+async function logoutClient(sessionId = getCurrentSessionId()) {
+  const state = sessions.get(sessionId);
+  if (state?.client) {
     try {
-      await client.logout();
-      clientStatus = CLIENT_STATUS.DISCONNECTED;
-      currentQR = null;
-      logger.info("📱 WhatsApp client logged out");
+      await state.client.logout();
+      state.status = CLIENT_STATUS.DISCONNECTED;
+      state.qr = null;
+      state.pairingCode = null;
+      logger.info(`📱 [${sessionId}] WhatsApp client logged out`);
     } catch (error) {
-      logger.error(`❌ Error logging out: ${error.message}`);
+      logger.error(`❌ [${sessionId}] Error logging out: ${error.message}`);
       throw error;
     }
   }
@@ -228,8 +515,17 @@ module.exports = {
   getClient,
   getClientStatus,
   getCurrentQR,
+  getPairingCode,
+  startPairing,
+  stopPairing,
   isClientReady,
+  getReadySessionIds,
+  restartClient,
   destroyClient,
+  destroyAllClients,
   logoutClient,
+  clearStoredSession,
+  removeSessionState,
+  getAuthStrategy,
   clientEvents,
 };
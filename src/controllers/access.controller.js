@@ -0,0 +1,128 @@
+/**
+ * Access Controller
+ * Handles dashboard login and API key management
+ */
+
+const { authService } = require("../services");
+const { formatSuccessResponse } = require("../utils/formatters");
+const { asyncHandler, ApiError } = require("../middlewares");
+const { ERROR_MESSAGES } = require("../config/constants");
+
+/**
+ * Log in to the dashboard
+ * POST /api/auth/login
+ */
+const login = asyncHandler(async (req, res) => {
+  if (!(await authService.isLoginConfigured())) {
+    throw new ApiError(
+      ERROR_MESSAGES.LOGIN_NOT_CONFIGURED,
+      503,
+      "LOGIN_NOT_CONFIGURED"
+    );
+  }
+
+  const { username, password } = req.body;
+  const session = await authService.login(username, password, {
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+
+  if (!session) {
+    throw new ApiError(
+      ERROR_MESSAGES.INVALID_CREDENTIALS,
+      401,
+      "INVALID_CREDENTIALS"
+    );
+  }
+
+  res.json(formatSuccessResponse(session, "Logged in successfully"));
+});
+
+/**
+ * Get the authenticated principal and its permissions
+ * GET /api/auth/me
+ */
+const getMe = asyncHandler(async (req, res) => {
+  res.json(
+    formatSuccessResponse(
+      {
+        authEnabled: authService.isEnabled(),
+        principal: req.auth || null,
+      },
+      "Principal retrieved"
+    )
+  );
+});
+
+/**
+ * Log out of the dashboard (revoke the current session token)
+ * DELETE /api/auth/token
+ */
+const revokeToken = asyncHandler(async (req, res) => {
+  await authService.logout(authService.extractCredential(req.headers));
+  res.json(formatSuccessResponse(null, "Session token revoked"));
+});
+
+/**
+ * Get API keys
+ * GET /api/auth/api-keys
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await authService.getApiKeys();
+  res.json(
+    formatSuccessResponse(apiKeys, `Retrieved ${apiKeys.length} API keys`)
+  );
+});
+
+/**
+ * Create API key
+ * POST /api/auth/api-keys
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, role, expiresAt } = req.body;
+
+  if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+    throw new ApiError("Invalid expiresAt date", 400, "VALIDATION_ERROR");
+  }
+
+  if (role && !authService.canGrantRole(req.auth, role)) {
+    throw new ApiError(ERROR_MESSAGES.ROLE_NOT_ALLOWED, 403, "FORBIDDEN");
+  }
+
+  const apiKey = await authService.createApiKey(
+    { name, role, expiresAt },
+    req.auth?.name || null
+  );
+
+  res
+    .status(201)
+    .json(
+      formatSuccessResponse(
+        apiKey,
+        "API key created. Store it now, it will not be shown again."
+      )
+    );
+});
+
+/**
+ * Revoke API key
+ * DELETE /api/auth/api-keys/:keyId
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await authService.revokeApiKey(req.params.keyId);
+
+  if (!apiKey) {
+    throw new ApiError(ERROR_MESSAGES.API_KEY_NOT_FOUND, 404, "NOT_FOUND");
+  }
+
+  res.json(formatSuccessResponse(apiKey, "API key revoked"));
+});
+
+module.exports = {
+  login,
+  getMe,
+  revokeToken,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
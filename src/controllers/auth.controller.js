@@ -3,14 +3,20 @@
  * Handles WhatsApp authentication and session management
  */
 
-const { whatsappService } = require("../services");
+const { whatsappService, sessionService, authService } = require("../services");
 const {
   formatSuccessResponse,
   formatErrorResponse,
 } = require("../utils/formatters");
 const { asyncHandler, ApiError } = require("../middlewares");
 const { Session } = require("../models");
-const { getCurrentQR, getClientStatus } = require("../config/whatsapp");
+const {
+  getCurrentQR,
+  getPairingCode,
+  getClientStatus,
+} = require("../config/whatsapp");
+const { getCurrentSessionId } = require("../utils/session-context");
+const { PERMISSIONS } = require("../config/constants");
 const QRCode = require("qrcode");
 
 /**
@@ -76,6 +82,66 @@ const getQR = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Log in with a pairing code instead of the QR code. The client restarts
+ * and the code is sent over WebSocket (client:pairing_code).
+ * POST /api/auth/pairing-code
+ */
+const requestPairingCode = asyncHandler(async (req, res) => {
+  if (getClientStatus() === "ready") {
+    throw new ApiError(
+      "Already authenticated, no pairing code needed",
+      400,
+      "ALREADY_AUTHENTICATED"
+    );
+  }
+
+  // WhatsApp expects the international number without symbols
+  const phoneNumber = req.body.phoneNumber.replace(/\D/g, "");
+  await whatsappService.requestPairingCode(phoneNumber);
+
+  res.json(
+    formatSuccessResponse(
+      { phoneNumber, status: getClientStatus() },
+      "Pairing started, the code will be sent over WebSocket"
+    )
+  );
+});
+
+/**
+ * Get current pairing code
+ * GET /api/auth/pairing-code
+ */
+const getPairing = asyncHandler(async (req, res) => {
+  const code = getPairingCode();
+
+  res.json(
+    formatSuccessResponse(
+      { code, status: getClientStatus() },
+      code ? "Pairing code retrieved" : "No pairing code available"
+    )
+  );
+});
+
+/**
+ * Go back to QR code login
+ * DELETE /api/auth/pairing-code
+ */
+const cancelPairing = asyncHandler(async (req, res) => {
+  if (getClientStatus() === "ready") {
+    throw new ApiError("Already authenticated", 400, "ALREADY_AUTHENTICATED");
+  }
+
+  await whatsappService.cancelPairing();
+
+  res.json(
+    formatSuccessResponse(
+      { status: getClientStatus() },
+      "Switched to QR code login"
+    )
+  );
+});
+
 /**
  * Get current connection status
  * GET /api/auth/status
@@ -83,8 +149,17 @@ const getQR = asyncHandler(async (req, res) => {
 const getStatus = asyncHandler(async (req, res) => {
   const statusData = whatsappService.getStatus();
 
+  // Only those who may link the account get the QR or pairing code itself
+  if (
+    authService.isEnabled() &&
+    !authService.hasPermission(req.auth, PERMISSIONS.SESSION_LOGOUT)
+  ) {
+    statusData.qr = null;
+    statusData.pairingCode = null;
+  }
+
   // Get session from database
-  const session = await Session.findOne({ sessionId: "default" });
+  const session = await Session.findOne({ sessionId: getCurrentSessionId() });
 
   res.json(
     formatSuccessResponse(
@@ -104,6 +179,29 @@ const getStatus = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * Get status history and uptime per day
+ * GET /api/auth/history?days=7&limit=100
+ */
+const getHistory = asyncHandler(async (req, res) => {
+  const sessionId = getCurrentSessionId();
+  const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 90);
+
+  const [events, uptime] = await Promise.all([
+    sessionService.getHistory(sessionId, {
+      limit: parseInt(req.query.limit) || 100,
+    }),
+    sessionService.getUptime(sessionId, days),
+  ]);
+
+  res.json(
+    formatSuccessResponse(
+      { sessionId, ...uptime, events },
+      `Retrieved ${events.length} status changes`
+    )
+  );
+});
+
 /**
  * Get client info (when connected)
  * GET /api/auth/info
@@ -123,7 +221,7 @@ const logout = asyncHandler(async (req, res) => {
 
   // Update session
   await Session.findOneAndUpdate(
-    { sessionId: "default" },
+    { sessionId: getCurrentSessionId() },
     { authenticated: false, status: "disconnected" }
   );
 
@@ -135,8 +233,7 @@ const logout = asyncHandler(async (req, res) => {
  * POST /api/auth/clear-session
  */
 const clearSession = asyncHandler(async (req, res) => {
-  const { destroyClient } = require("../config/whatsapp");
-  const mongoose = require("mongoose");
+  const { destroyClient, clearStoredSession } = require("../config/whatsapp");
 
   // Destroy current client
   try {
@@ -145,16 +242,12 @@ const clearSession = asyncHandler(async (req, res) => {
     // Ignore errors during destroy
   }
 
-  // Delete RemoteAuth session from MongoDB
-  try {
-    await mongoose.connection.collection("whatsapp-RemoteAuth-default").drop();
-  } catch (err) {
-    // Collection might not exist
-  }
+  // Delete the RemoteAuth backup or LocalAuth folder
+  await clearStoredSession();
 
   // Clear session in database
   await Session.findOneAndUpdate(
-    { sessionId: "default" },
+    { sessionId: getCurrentSessionId() },
     {
       authenticated: false,
       status: "disconnected",
@@ -174,7 +267,11 @@ const clearSession = asyncHandler(async (req, res) => {
 module.exports = {
   initialize,
   getQR,
+  requestPairingCode,
+  getPairing,
+  cancelPairing,
   getStatus,
+  getHistory,
   getInfo,
   logout,
   clearSession,
@@ -0,0 +1,103 @@
+/**
+ * Auto-Reply Controller
+ * Handles keyword auto-reply rule endpoints
+ */
+
+const { autoReplyService } = require("../services");
+const { formatSuccessResponse } = require("../utils/formatters");
+const { asyncHandler, ApiError } = require("../middlewares");
+const { ERROR_MESSAGES } = require("../config/constants");
+
+/**
+ * Load a rule or throw 404
+ */
+async function findRuleOrFail(ruleId) {
+  const rule = await autoReplyService.getRule(ruleId);
+  if (!rule) {
+    throw new ApiError(ERROR_MESSAGES.AUTO_REPLY_NOT_FOUND, 404, "NOT_FOUND");
+  }
+  return rule;
+}
+
+/**
+ * Get auto-reply rules
+ * GET /api/auto-replies
+ */
+const getRules = asyncHandler(async (req, res) => {
+  const rules = await autoReplyService.getRules();
+  res.json(
+    formatSuccessResponse(rules, `Retrieved ${rules.length} auto-reply rules`)
+  );
+});
+
+/**
+ * Get auto-reply rule
+ * GET /api/auto-replies/:ruleId
+ */
+const getRule = asyncHandler(async (req, res) => {
+  const rule = await findRuleOrFail(req.params.ruleId);
+  res.json(
+    formatSuccessResponse(
+      autoReplyService.formatRule(rule),
+      "Auto-reply rule retrieved"
+    )
+  );
+});
+
+/**
+ * Create auto-reply rule
+ * POST /api/auto-replies
+ */
+const createRule = asyncHandler(async (req, res) => {
+  const rule = await autoReplyService.createRule(
+    req.body,
+    req.auth?.name || null
+  );
+  res.status(201).json(formatSuccessResponse(rule, "Auto-reply rule created"));
+});
+
+/**
+ * Update auto-reply rule
+ * PUT /api/auto-replies/:ruleId
+ */
+const updateRule = asyncHandler(async (req, res) => {
+  const existing = await findRuleOrFail(req.params.ruleId);
+  const rule = await autoReplyService.updateRule(existing, req.body);
+  res.json(formatSuccessResponse(rule, "Auto-reply rule updated"));
+});
+
+/**
+ * Delete auto-reply rule
+ * DELETE /api/auto-replies/:ruleId
+ */
+const deleteRule = asyncHandler(async (req, res) => {
+  const rule = await findRuleOrFail(req.params.ruleId);
+  await autoReplyService.deleteRule(rule);
+  res.json(formatSuccessResponse(null, "Auto-reply rule deleted"));
+});
+
+/**
+ * Dry-run a message against the rules
+ * POST /api/auto-replies/test
+ */
+const testMessage = asyncHandler(async (req, res) => {
+  const { message, chatId } = req.body;
+  const result = await autoReplyService.testMessage(message, chatId);
+  res.json(
+    formatSuccessResponse(
+      result,
+      result.matched
+        ? `Rule "${result.rule.name}" would reply`
+        : "No rule would reply"
+    )
+  );
+});
+
+module.exports = {
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  testMessage,
+};
@@ -0,0 +1,45 @@
+/**
+ * Away Controller
+ * Handles away mode (out-of-office) endpoints
+ */
+
+const { awayService } = require("../services");
+const { formatSuccessResponse } = require("../utils/formatters");
+const { asyncHandler } = require("../middlewares");
+
+/**
+ * Get away mode settings
+ * GET /api/settings/away
+ */
+const getAwaySettings = asyncHandler(async (req, res) => {
+  const settings = await awayService.getSettings();
+  res.json(formatSuccessResponse(settings, "Away mode settings retrieved"));
+});
+
+/**
+ * Update away mode settings
+ * PUT /api/settings/away
+ */
+const updateAwaySettings = asyncHandler(async (req, res) => {
+  const settings = await awayService.updateSettings(req.body);
+  res.json(formatSuccessResponse(settings, "Away mode settings updated"));
+});
+
+/**
+ * Get contacts that received the away message
+ * GET /api/settings/away/log
+ */
+const getAwayLog = asyncHandler(async (req, res) => {
+  const log = await awayService.getLog({
+    limit: parseInt(req.query.limit) || 100,
+  });
+  res.json(
+    formatSuccessResponse(log, `Retrieved ${log.length} away log entries`)
+  );
+});
+
+module.exports = {
+  getAwaySettings,
+  updateAwaySettings,
+  getAwayLog,
+};
@@ -0,0 +1,52 @@
+/**
+ * Command Controller
+ * Handles chat command listing and toggling
+ */
+
+const { commandService } = require("../services");
+const { formatSuccessResponse } = require("../utils/formatters");
+const { asyncHandler, ApiError } = require("../middlewares");
+
+/**
+ * List commands
+ * GET /api/commands
+ */
+const listCommands = asyncHandler(async (req, res) => {
+  const { groupId } = req.query;
+  const commands = await commandService.listCommands(groupId);
+  res.json(
+    formatSuccessResponse(commands, `Retrieved ${commands.length} commands`)
+  );
+});
+
+/**
+ * Enable/disable a command globally or for a group
+ * POST /api/commands/:name/toggle
+ */
+const toggleCommand = asyncHandler(async (req, res) => {
+  const { groupId, enabled } = req.body;
+
+  if (!commandService.getCommand(req.params.name)) {
+    throw new ApiError(
+      `Command "${req.params.name}" not found`,
+      404,
+      "NOT_FOUND"
+    );
+  }
+
+  const result = await commandService.toggleCommand(req.params.name, {
+    groupId,
+    enabled: typeof enabled === "boolean" ? enabled : undefined,
+  });
+  res.json(
+    formatSuccessResponse(
+      result,
+      `Command ${result.enabled ? "enabled" : "disabled"}`
+    )
+  );
+});
+
+module.exports = {
+  listCommands,
+  toggleCommand,
+};
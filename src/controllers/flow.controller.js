@@ -0,0 +1,131 @@
+/**
+ * Flow Controller
+ * Handles conversational flow and flow session endpoints
+ */
+
+const { flowService } = require("../services");
+const { formatSuccessResponse } = require("../utils/formatters");
+const { asyncHandler, ApiError } = require("../middlewares");
+const { ERROR_MESSAGES } = require("../config/constants");
+
+/**
+ * Load a flow or throw 404
+ */
+async function findFlowOrFail(flowId) {
+  const flow = await flowService.getFlow(flowId);
+  if (!flow) {
+    throw new ApiError(ERROR_MESSAGES.FLOW_NOT_FOUND, 404, "NOT_FOUND");
+  }
+  return flow;
+}
+
+/**
+ * Load a session or throw 404
+ */
+async function findSessionOrFail(sessionId) {
+  const session = await flowService.getSession(sessionId);
+  if (!session) {
+    throw new ApiError(ERROR_MESSAGES.FLOW_SESSION_NOT_FOUND, 404, "NOT_FOUND");
+  }
+  return session;
+}
+
+/**
+ * Get flows
+ * GET /api/flows
+ */
+const getFlows = asyncHandler(async (req, res) => {
+  const flows = await flowService.getFlows();
+  res.json(formatSuccessResponse(flows, `Retrieved ${flows.length} flows`));
+});
+
+/**
+ * Get flow
+ * GET /api/flows/:flowId
+ */
+const getFlow = asyncHandler(async (req, res) => {
+  const flow = await findFlowOrFail(req.params.flowId);
+  res.json(
+    formatSuccessResponse(flowService.formatFlow(flow), "Flow retrieved")
+  );
+});
+
+/**
+ * Create flow
+ * POST /api/flows
+ */
+const createFlow = asyncHandler(async (req, res) => {
+  const flow = await flowService.createFlow(req.body, req.auth?.name || null);
+  res.status(201).json(formatSuccessResponse(flow, "Flow created"));
+});
+
+/**
+ * Update flow
+ * PUT /api/flows/:flowId
+ */
+const updateFlow = asyncHandler(async (req, res) => {
+  const existing = await findFlowOrFail(req.params.flowId);
+  const flow = await flowService.updateFlow(existing, req.body);
+  res.json(formatSuccessResponse(flow, "Flow updated"));
+});
+
+/**
+ * Delete flow
+ * DELETE /api/flows/:flowId
+ */
+const deleteFlow = asyncHandler(async (req, res) => {
+  const flow = await findFlowOrFail(req.params.flowId);
+  await flowService.deleteFlow(flow);
+  res.json(formatSuccessResponse(null, "Flow deleted"));
+});
+
+/**
+ * Get flow sessions
+ * GET /api/flows/sessions?status=active&flowId=...
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const { status, flowId, limit } = req.query;
+  const sessions = await flowService.getSessions({
+    status,
+    flowId,
+    limit: parseInt(limit) || 100,
+  });
+  res.json(
+    formatSuccessResponse(sessions, `Retrieved ${sessions.length} sessions`)
+  );
+});
+
+/**
+ * Get flow session
+ * GET /api/flows/sessions/:sessionId
+ */
+const getSession = asyncHandler(async (req, res) => {
+  const session = await findSessionOrFail(req.params.sessionId);
+  res.json(
+    formatSuccessResponse(
+      flowService.formatSession(session),
+      "Flow session retrieved"
+    )
+  );
+});
+
+/**
+ * Cancel flow session
+ * DELETE /api/flows/sessions/:sessionId
+ */
+const cancelSession = asyncHandler(async (req, res) => {
+  const existing = await findSessionOrFail(req.params.sessionId);
+  const session = await flowService.cancelSession(existing);
+  res.json(formatSuccessResponse(session, "Flow session cancelled"));
+});
+
+module.exports = {
+  getFlows,
+  getFlow,
+  createFlow,
+  updateFlow,
+  deleteFlow,
+  getSessions,
+  getSession,
+  cancelSession,
+};
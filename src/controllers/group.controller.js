@@ -3,7 +3,11 @@
  * Handles group management endpoints
  */
 
-const { groupService, messageService } = require("../services");
+const {
+  groupService,
+  messageService,
+  moderationService,
+} = require("../services");
 const { formatSuccessResponse } = require("../utils/formatters");
 const { asyncHandler } = require("../middlewares");
 
@@ -237,6 +241,46 @@ const toggleAutoMessage = asyncHandler(async (req, res) => {
   res.json(formatSuccessResponse(settings, "Auto-message toggled"));
 });
 
+/**
+ * Preview auto-message
+ * POST /api/groups/:id/auto-message/preview
+ */
+const previewAutoMessage = asyncHandler(async (req, res) => {
+  const { type, message, participantIds } = req.body;
+  const preview = await groupService.previewAutoMessage(req.params.id, type, {
+    message,
+    participantIds,
+  });
+  res.json(formatSuccessResponse(preview, "Auto-message preview rendered"));
+});
+
+/**
+ * Upload auto-message media
+ * PUT /api/groups/:id/auto-message/:type/media
+ */
+const setAutoMessageMedia = asyncHandler(async (req, res) => {
+  const { base64, mimetype, filename, mediaType } = req.body;
+  const settings = await groupService.setAutoMessageMedia(
+    req.params.id,
+    req.params.type,
+    { base64, mimetype, filename },
+    { mediaType, createdBy: req.auth?.name || null }
+  );
+  res.json(formatSuccessResponse(settings, "Auto-message media uploaded"));
+});
+
+/**
+ * Remove auto-message media
+ * DELETE /api/groups/:id/auto-message/:type/media
+ */
+const removeAutoMessageMedia = asyncHandler(async (req, res) => {
+  const settings = await groupService.removeAutoMessageMedia(
+    req.params.id,
+    req.params.type
+  );
+  res.json(formatSuccessResponse(settings, "Auto-message media removed"));
+});
+
 /**
  * Set group rules
  * PUT /api/groups/:id/rules
@@ -273,6 +317,22 @@ const sendMessage = asyncHandler(async (req, res) => {
   res.json(formatSuccessResponse(message, "Message sent"));
 });
 
+/**
+ * Get moderation strike history
+ * GET /api/groups/:id/moderation
+ */
+const getModerationHistory = asyncHandler(async (req, res) => {
+  const { limit, type, participantId } = req.query;
+  const history = await moderationService.getHistory(req.params.id, {
+    limit: parseInt(limit) || 50,
+    type,
+    participantId,
+  });
+  res.json(
+    formatSuccessResponse(history, `Retrieved ${history.length} strikes`)
+  );
+});
+
 module.exports = {
   getAllGroups,
   getGroupById,
@@ -294,7 +354,11 @@ module.exports = {
   getGroupSettings,
   updateAutoMessage,
   toggleAutoMessage,
+  previewAutoMessage,
+  setAutoMessageMedia,
+  removeAutoMessageMedia,
   setGroupRules,
   getMessages,
   sendMessage,
+  getModerationHistory,
 };
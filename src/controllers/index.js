@@ -8,6 +8,17 @@ const chatController = require("./chat.controller");
 const watchlistController = require("./watchlist.controller");
 const messageController = require("./message.controller");
 const contactController = require("./contact.controller");
+const commandController = require("./command.controller");
+const webhookController = require("./webhook.controller");
+const accessController = require("./access.controller");
+const userController = require("./user.controller");
+const queueController = require("./queue.controller");
+const scheduleController = require("./schedule.controller");
+const autoReplyController = require("./auto-reply.controller");
+const awayController = require("./away.controller");
+const flowController = require("./flow.controller");
+const settingsController = require("./settings.controller");
+const sessionController = require("./session.controller");
 
 module.exports = {
   authController,
@@ -16,4 +27,15 @@ module.exports = {
   watchlistController,
   messageController,
   contactController,
+  commandController,
+  webhookController,
+  accessController,
+  userController,
+  queueController,
+  scheduleController,
+  autoReplyController,
+  awayController,
+  flowController,
+  settingsController,
+  sessionController,
 };
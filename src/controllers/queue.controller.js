@@ -0,0 +1,26 @@
+/**
+ * Queue Controller
+ * Exposes the outbound send queue
+ */
+
+const { queueService } = require("../services");
+const { formatSuccessResponse } = require("../utils/formatters");
+const { asyncHandler } = require("../middlewares");
+
+/**
+ * Get pending, active and failed send jobs
+ * GET /api/queue
+ */
+const getQueue = asyncHandler(async (req, res) => {
+  const status = queueService.getStatus();
+  res.json(
+    formatSuccessResponse(
+      status,
+      `${status.stats.pending} pending, ${status.failed.length} failed`
+    )
+  );
+});
+
+module.exports = {
+  getQueue,
+};
@@ -0,0 +1,115 @@
+/**
+ * Schedule Controller
+ * Handles scheduled message endpoints
+ */
+
+const { scheduleService } = require("../services");
+const { formatSuccessResponse } = require("../utils/formatters");
+const { asyncHandler, ApiError } = require("../middlewares");
+const { ERROR_MESSAGES } = require("../config/constants");
+
+/**
+ * Load a scheduled message or throw 404
+ */
+async function findScheduleOrFail(scheduleId) {
+  const schedule = await scheduleService.getSchedule(scheduleId);
+  if (!schedule) {
+    throw new ApiError(ERROR_MESSAGES.SCHEDULE_NOT_FOUND, 404, "NOT_FOUND");
+  }
+  return schedule;
+}
+
+/**
+ * Resolve sendAt in the bot's timezone and make sure it is in the future
+ */
+async function resolveSendAt(sendAt) {
+  if (!sendAt) return undefined;
+
+  const date = await scheduleService.resolveSendAt(sendAt);
+  if (!date || date <= new Date()) {
+    throw new ApiError(
+      ERROR_MESSAGES.SCHEDULE_IN_PAST,
+      400,
+      "VALIDATION_ERROR"
+    );
+  }
+  return date;
+}
+
+/**
+ * Get scheduled messages
+ * GET /api/schedules
+ */
+const getSchedules = asyncHandler(async (req, res) => {
+  const { status, chatId, limit } = req.query;
+  const schedules = await scheduleService.getSchedules({
+    status,
+    chatId,
+    limit: parseInt(limit) || 100,
+  });
+  res.json(
+    formatSuccessResponse(
+      schedules,
+      `Retrieved ${schedules.length} scheduled messages`
+    )
+  );
+});
+
+/**
+ * Get scheduled message
+ * GET /api/schedules/:scheduleId
+ */
+const getSchedule = asyncHandler(async (req, res) => {
+  const schedule = await findScheduleOrFail(req.params.scheduleId);
+  res.json(
+    formatSuccessResponse(
+      scheduleService.formatSchedule(schedule),
+      "Scheduled message retrieved"
+    )
+  );
+});
+
+/**
+ * Create scheduled message
+ * POST /api/schedules
+ */
+const createSchedule = asyncHandler(async (req, res) => {
+  const sendAt = await resolveSendAt(req.body.sendAt);
+  const schedule = await scheduleService.createSchedule(
+    { ...req.body, sendAt },
+    req.auth?.name || null
+  );
+  res.status(201).json(formatSuccessResponse(schedule, "Message scheduled"));
+});
+
+/**
+ * Update scheduled message
+ * PUT /api/schedules/:scheduleId
+ */
+const updateSchedule = asyncHandler(async (req, res) => {
+  const existing = await findScheduleOrFail(req.params.scheduleId);
+  const sendAt = await resolveSendAt(req.body.sendAt);
+  const schedule = await scheduleService.updateSchedule(existing, {
+    ...req.body,
+    sendAt,
+  });
+  res.json(formatSuccessResponse(schedule, "Scheduled message updated"));
+});
+
+/**
+ * Delete scheduled message
+ * DELETE /api/schedules/:scheduleId
+ */
+const deleteSchedule = asyncHandler(async (req, res) => {
+  const schedule = await findScheduleOrFail(req.params.scheduleId);
+  await scheduleService.deleteSchedule(schedule);
+  res.json(formatSuccessResponse(null, "Scheduled message deleted"));
+});
+
+module.exports = {
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+};
@@ -0,0 +1,103 @@
+/**
+ * Session Controller
+ * Handles WhatsApp session (account) management endpoints
+ */
+
+const { sessionService } = require("../services");
+const { formatSuccessResponse } = require("../utils/formatters");
+const { asyncHandler, ApiError } = require("../middlewares");
+const { DEFAULTS, ERROR_MESSAGES } = require("../config/constants");
+
+/**
+ * Load a session or throw 404
+ */
+async function findSessionOrFail(sessionId) {
+  const session = await sessionService.getSession(sessionId);
+  if (!session) {
+    throw new ApiError(ERROR_MESSAGES.SESSION_NOT_FOUND, 404, "NOT_FOUND");
+  }
+  return session;
+}
+
+/**
+ * Get sessions
+ * GET /api/sessions
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.getSessions();
+  res.json(
+    formatSuccessResponse(sessions, `Retrieved ${sessions.length} sessions`)
+  );
+});
+
+/**
+ * Get session
+ * GET /api/sessions/:sessionId
+ */
+const getSession = asyncHandler(async (req, res) => {
+  const session = await findSessionOrFail(req.params.sessionId);
+  res.json(
+    formatSuccessResponse(
+      sessionService.formatSession(session),
+      "Session retrieved"
+    )
+  );
+});
+
+/**
+ * Create a session and start its client
+ * POST /api/sessions
+ */
+const createSession = asyncHandler(async (req, res) => {
+  const session = await sessionService.createSession(req.body);
+  res
+    .status(201)
+    .json(formatSuccessResponse(session, "Session created. Scan the QR code."));
+});
+
+/**
+ * Start a session's client
+ * POST /api/sessions/:sessionId/start
+ */
+const startSession = asyncHandler(async (req, res) => {
+  const session = await findSessionOrFail(req.params.sessionId);
+  const result = await sessionService.startSession(session);
+  res.json(formatSuccessResponse(result, "Session starting"));
+});
+
+/**
+ * Stop a session's client
+ * POST /api/sessions/:sessionId/stop
+ */
+const stopSession = asyncHandler(async (req, res) => {
+  const session = await findSessionOrFail(req.params.sessionId);
+  const result = await sessionService.stopSession(session);
+  res.json(formatSuccessResponse(result, "Session stopped"));
+});
+
+/**
+ * Delete a session and its login
+ * DELETE /api/sessions/:sessionId
+ */
+const deleteSession = asyncHandler(async (req, res) => {
+  if (req.params.sessionId === DEFAULTS.SESSION_ID) {
+    throw new ApiError(
+      "The default session cannot be deleted",
+      400,
+      "VALIDATION_ERROR"
+    );
+  }
+
+  const session = await findSessionOrFail(req.params.sessionId);
+  await sessionService.deleteSession(session);
+  res.json(formatSuccessResponse(null, "Session deleted"));
+});
+
+module.exports = {
+  getSessions,
+  getSession,
+  createSession,
+  startSession,
+  stopSession,
+  deleteSession,
+};
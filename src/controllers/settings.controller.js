@@ -0,0 +1,160 @@
+/**
+ * Settings Controller
+ * Handles global settings, maintenance mode, retention, alerts and audit log
+ * endpoints
+ */
+
+const {
+  settingsService,
+  retentionService,
+  alertService,
+} = require("../services");
+const { formatSuccessResponse } = require("../utils/formatters");
+const { asyncHandler, ApiError } = require("../middlewares");
+
+/**
+ * Get global settings
+ * GET /api/settings
+ */
+const getSettings = asyncHandler(async (req, res) => {
+  const settings = await settingsService.getSettings();
+  res.json(formatSuccessResponse(settings, "Settings retrieved"));
+});
+
+/**
+ * Update global settings
+ * PATCH /api/settings
+ */
+const updateSettings = asyncHandler(async (req, res) => {
+  const settings = await settingsService.updateSettings(
+    req.body,
+    req.auth?.name || null
+  );
+  res.json(formatSuccessResponse(settings, "Settings updated"));
+});
+
+/**
+ * Get message retention settings and the last run
+ * GET /api/settings/retention
+ */
+const getRetention = asyncHandler(async (req, res) => {
+  const status = await retentionService.getStatus();
+  res.json(formatSuccessResponse(status, "Retention status retrieved"));
+});
+
+/**
+ * Run the retention job now
+ * POST /api/settings/retention/run
+ */
+const runRetention = asyncHandler(async (req, res) => {
+  const report = await retentionService.run({
+    dryRun: req.body?.dryRun === true,
+  });
+  if (!report) {
+    throw new ApiError("Retention job is already running", 409, "CONFLICT");
+  }
+
+  res.json(
+    formatSuccessResponse(
+      report,
+      `${report.dryRun ? "Would remove" : "Removed"} ${report.total} messages`
+    )
+  );
+});
+
+/**
+ * Get alert channels and the problems going on now
+ * GET /api/settings/alerts
+ */
+const getAlerts = asyncHandler(async (req, res) => {
+  const notifications = await settingsService.getNotifications();
+  res.json(
+    formatSuccessResponse(
+      { notifications, active: alertService.getActive() },
+      "Alerts retrieved"
+    )
+  );
+});
+
+/**
+ * Send a test alert through every enabled channel
+ * POST /api/settings/alerts/test
+ */
+const testAlert = asyncHandler(async (req, res) => {
+  const results = await alertService.sendTest();
+  if (results.length === 0) {
+    throw new ApiError(
+      "No alert channel is enabled (email also needs SMTP_HOST)",
+      400,
+      "VALIDATION_ERROR"
+    );
+  }
+
+  const failed = results.filter((result) => !result.success).length;
+  res.json(
+    formatSuccessResponse(
+      results,
+      failed > 0
+        ? `${failed} of ${results.length} alert channels failed`
+        : "Test alert sent"
+    )
+  );
+});
+
+/**
+ * Get maintenance mode
+ * GET /api/settings/maintenance
+ */
+const getMaintenance = asyncHandler(async (req, res) => {
+  const maintenance = await settingsService.getMaintenance();
+  res.json(formatSuccessResponse(maintenance, "Maintenance mode retrieved"));
+});
+
+/**
+ * Turn maintenance mode on or off
+ * PUT /api/settings/maintenance
+ */
+const setMaintenance = asyncHandler(async (req, res) => {
+  const { enabled } = req.body;
+  if (typeof enabled !== "boolean") {
+    throw new ApiError("enabled must be a boolean", 400, "VALIDATION_ERROR");
+  }
+
+  const result = await settingsService.setMaintenanceMode(
+    enabled,
+    req.auth?.name || null
+  );
+  res.json(
+    formatSuccessResponse(
+      result,
+      `Maintenance mode ${enabled ? "enabled" : "disabled"}`
+    )
+  );
+});
+
+/**
+ * Get audit log
+ * GET /api/settings/audit-log?action=...&limit=100
+ */
+const getAuditLog = asyncHandler(async (req, res) => {
+  const { action, limit } = req.query;
+  const entries = await settingsService.getAuditLog({
+    action,
+    limit: parseInt(limit) || 100,
+  });
+  res.json(
+    formatSuccessResponse(entries, `Retrieved ${entries.length} audit entries`)
+  );
+});
+
+module.exports = {
+  getSettings,
+  updateSettings,
+  getRetention,
+  runRetention,
+  getAlerts,
+  testAlert,
+  getMaintenance,
+  setMaintenance,
+  getAuditLog,
+};
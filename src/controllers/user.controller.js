@@ -0,0 +1,113 @@
+/**
+ * User Controller
+ * Handles dashboard operator accounts and roles
+ */
+
+const { userService, authService } = require("../services");
+const { formatSuccessResponse } = require("../utils/formatters");
+const { asyncHandler, ApiError } = require("../middlewares");
+const {
+  ERROR_MESSAGES,
+  ROLES,
+  ROLE_PERMISSIONS,
+} = require("../config/constants");
+
+/**
+ * Load a user or throw 404
+ */
+async function findUserOrFail(userId) {
+  const user = await userService.getUser(userId);
+  if (!user) {
+    throw new ApiError(ERROR_MESSAGES.USER_NOT_FOUND, 404, "NOT_FOUND");
+  }
+  return user;
+}
+
+/**
+ * Get users
+ * GET /api/users
+ */
+const getUsers = asyncHandler(async (req, res) => {
+  const users = await userService.getUsers();
+  res.json(formatSuccessResponse(users, `Retrieved ${users.length} users`));
+});
+
+/**
+ * Get roles and their permissions
+ * GET /api/users/roles
+ */
+const getRoles = asyncHandler(async (req, res) => {
+  const roles = Object.values(ROLES).map((role) => ({
+    role,
+    permissions: ROLE_PERMISSIONS[role],
+  }));
+  res.json(formatSuccessResponse(roles, "Roles retrieved"));
+});
+
+/**
+ * Create user
+ * POST /api/users
+ */
+const createUser = asyncHandler(async (req, res) => {
+  const { username, password, displayName, role = ROLES.VIEWER } = req.body;
+
+  if (!authService.canGrantRole(req.auth, role)) {
+    throw new ApiError(ERROR_MESSAGES.ROLE_NOT_ALLOWED, 403, "FORBIDDEN");
+  }
+
+  const user = await userService.createUser({
+    username,
+    password,
+    displayName,
+    role,
+  });
+  res.status(201).json(formatSuccessResponse(user, "User created"));
+});
+
+/**
+ * Update user
+ * PUT /api/users/:userId
+ */
+const updateUser = asyncHandler(async (req, res) => {
+  const user = await findUserOrFail(req.params.userId);
+  const { displayName, role, active, password } = req.body;
+
+  if (role && !authService.canGrantRole(req.auth, role)) {
+    throw new ApiError(ERROR_MESSAGES.ROLE_NOT_ALLOWED, 403, "FORBIDDEN");
+  }
+
+  if (await userService.wouldRemoveLastOwner(user, { role, active })) {
+    throw new ApiError(ERROR_MESSAGES.LAST_OWNER, 409, "LAST_OWNER");
+  }
+
+  const updated = await userService.updateUser(user, {
+    displayName,
+    role,
+    active,
+    password,
+  });
+  res.json(formatSuccessResponse(updated, "User updated"));
+});
+
+/**
+ * Delete user
+ * DELETE /api/users/:userId
+ */
+const deleteUser = asyncHandler(async (req, res) => {
+  const user = await findUserOrFail(req.params.userId);
+
+  if (await userService.wouldRemoveLastOwner(user)) {
+    throw new ApiError(ERROR_MESSAGES.LAST_OWNER, 409, "LAST_OWNER");
+  }
+
+  await userService.deleteUser(user);
+  res.json(formatSuccessResponse(null, "User deleted"));
+});
+
+module.exports = {
+  getUsers,
+  getRoles,
+  createUser,
+  updateUser,
+  deleteUser,
+};
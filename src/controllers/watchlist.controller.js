@@ -5,7 +5,7 @@
 
 const { watchlistService } = require("../services");
 const { formatSuccessResponse } = require("../utils/formatters");
-const { asyncHandler } = require("../middlewares");
+const { asyncHandler, ApiError } = require("../middlewares");
 
 /**
  * Get watchlist
@@ -142,6 +142,30 @@ const addNotes = asyncHandler(async (req, res) => {
   res.json(formatSuccessResponse(item, "Notes updated"));
 });
 
+/**
+ * Set message retention
+ * PUT /api/watchlist/:chatId/retention
+ */
+const setRetention = asyncHandler(async (req, res) => {
+  const { retentionDays } = req.body;
+  if (
+    retentionDays !== null &&
+    !(Number.isInteger(retentionDays) && retentionDays >= 1)
+  ) {
+    throw new ApiError(
+      "retentionDays must be a positive integer or null",
+      400,
+      "VALIDATION_ERROR"
+    );
+  }
+
+  const item = await watchlistService.setRetention(
+    req.params.chatId,
+    retentionDays
+  );
+  res.json(formatSuccessResponse(item, "Retention updated"));
+});
+
 /**
  * Add tags
  * POST /api/watchlist/:chatId/tags
@@ -178,6 +202,7 @@ module.exports = {
   getAvailableChats,
   refreshChatInfo,
   addNotes,
+  setRetention,
   addTags,
   removeTag,
 };
@@ -0,0 +1,92 @@
+/**
+ * Webhook Controller
+ * Handles outgoing webhook configuration endpoints
+ */
+
+const { webhookService } = require("../services");
+const { formatSuccessResponse } = require("../utils/formatters");
+const { asyncHandler } = require("../middlewares");
+
+/**
+ * Get webhooks
+ * GET /api/settings/webhooks
+ */
+const getWebhooks = asyncHandler(async (req, res) => {
+  const webhooks = await webhookService.getWebhooks();
+  res.json(
+    formatSuccessResponse(webhooks, `Retrieved ${webhooks.length} webhooks`)
+  );
+});
+
+/**
+ * Create webhook
+ * POST /api/settings/webhooks
+ */
+const createWebhook = asyncHandler(async (req, res) => {
+  const webhook = await webhookService.createWebhook(req.body);
+  res.status(201).json(formatSuccessResponse(webhook, "Webhook created"));
+});
+
+/**
+ * Update webhook
+ * PUT /api/settings/webhooks/:webhookId
+ */
+const updateWebhook = asyncHandler(async (req, res) => {
+  const webhook = await webhookService.updateWebhook(
+    req.params.webhookId,
+    req.body
+  );
+  res.json(formatSuccessResponse(webhook, "Webhook updated"));
+});
+
+/**
+ * Delete webhook
+ * DELETE /api/settings/webhooks/:webhookId
+ */
+const deleteWebhook = asyncHandler(async (req, res) => {
+  await webhookService.deleteWebhook(req.params.webhookId);
+  res.json(formatSuccessResponse(null, "Webhook deleted"));
+});
+
+/**
+ * Send test event
+ * POST /api/settings/webhooks/:webhookId/test
+ */
+const testWebhook = asyncHandler(async (req, res) => {
+  const delivery = await webhookService.sendTestEvent(req.params.webhookId);
+  res.json(
+    formatSuccessResponse(
+      delivery,
+      delivery.status === "success"
+        ? "Test event delivered"
+        : "Test event delivery failed"
+    )
+  );
+});
+
+/**
+ * Get delivery log
+ * GET /api/settings/webhooks/:webhookId/deliveries
+ */
+const getDeliveries = asyncHandler(async (req, res) => {
+  const { limit, status } = req.query;
+  const deliveries = await webhookService.getDeliveries(req.params.webhookId, {
+    limit: parseInt(limit) || 50,
+    status,
+  });
+  res.json(
+    formatSuccessResponse(
+      deliveries,
+      `Retrieved ${deliveries.length} deliveries`
+    )
+  );
+});
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  testWebhook,
+  getDeliveries,
+};
@@ -16,6 +16,26 @@ const {
   formatReaction,
 } = require("../utils/formatters");
 const { delay } = require("../utils/helpers");
+const {
+  moderationService,
+  commandService,
+  webhookService,
+  messageService,
+  scheduleService,
+  templateService,
+  welcomeService,
+  autoReplyService,
+  awayService,
+  flowService,
+  settingsService,
+  watchdogService,
+  sessionService,
+} = require("../services");
+const {
+  runInSession,
+  getSessionScope,
+  getCurrentSessionId,
+} = require("../utils/session-context");
 const logger = require("../utils/logger");
 
 // Store for WebSocket broadcast function
@@ -29,26 +49,44 @@ function setBroadcastFunction(fn) {
 }
 
 /**
- * Broadcast event to all connected WebSocket clients
+ * Broadcast event to all connected WebSocket clients and outgoing webhooks.
+ * Events raised by a WhatsApp session carry its sessionId.
  */
 function broadcast(event, data) {
+  const sessionId = getSessionScope();
+  if (sessionId && data && typeof data === "object" && !Array.isArray(data)) {
+    data = { ...data, sessionId };
+  }
+
   if (broadcastFn) {
     broadcastFn(event, data);
   }
+
+  // Webhook delivery runs in the background so handlers aren't blocked
+  webhookService.dispatch(event, data).catch((error) => {
+    logger.error(`Error dispatching webhooks for ${event}: ${error.message}`);
+  });
 }
 
 /**
- * Initialize all event handlers
+ * Initialize all event handlers for the current session's client
  */
 function initializeEventHandlers() {
-  const client = getClient();
+  const sessionId = getCurrentSessionId();
+  const client = getClient(sessionId);
   if (!client) {
     logger.warn("Cannot initialize event handlers: client not available");
     return;
   }
 
+  // Handlers run as the session, so services use its client and data
+  const on = (event, handler) =>
+    client.on(event, (...args) =>
+      runInSession(sessionId, () => handler(...args))
+    );
+
   // Message received (from others)
-  client.on("message", async (message) => {
+  on("message", async (message) => {
     try {
       await handleMessage(message);
     } catch (error) {
@@ -57,7 +95,7 @@ function initializeEventHandlers() {
   });
 
   // Message created (sent or received)
-  client.on("message_create", async (message) => {
+  on("message_create", async (message) => {
     try {
       await handleMessageCreate(message);
     } catch (error) {
@@ -66,7 +104,7 @@ function initializeEventHandlers() {
   });
 
   // Message acknowledgement (sent, delivered, read)
-  client.on("message_ack", async (message, ack) => {
+  on("message_ack", async (message, ack) => {
     try {
       await handleMessageAck(message, ack);
     } catch (error) {
@@ -75,7 +113,7 @@ function initializeEventHandlers() {
   });
 
   // Message revoked/deleted
-  client.on("message_revoke_everyone", async (message, revokedMsg) => {
+  on("message_revoke_everyone", async (message, revokedMsg) => {
     try {
       await handleMessageRevoke(message, revokedMsg);
     } catch (error) {
@@ -84,7 +122,7 @@ function initializeEventHandlers() {
   });
 
   // Message edited
-  client.on("message_edit", async (message, newBody, oldBody) => {
+  on("message_edit", async (message, newBody, oldBody) => {
     try {
       await handleMessageEdit(message, newBody, oldBody);
     } catch (error) {
@@ -93,7 +131,7 @@ function initializeEventHandlers() {
   });
 
   // Message reaction
-  client.on("message_reaction", async (reaction) => {
+  on("message_reaction", async (reaction) => {
     try {
       await handleMessageReaction(reaction);
     } catch (error) {
@@ -102,7 +140,7 @@ function initializeEventHandlers() {
   });
 
   // Group join
-  client.on("group_join", async (notification) => {
+  on("group_join", async (notification) => {
     try {
       await handleGroupJoin(notification);
     } catch (error) {
@@ -111,7 +149,7 @@ function initializeEventHandlers() {
   });
 
   // Group leave
-  client.on("group_leave", async (notification) => {
+  on("group_leave", async (notification) => {
     try {
       await handleGroupLeave(notification);
     } catch (error) {
@@ -120,7 +158,7 @@ function initializeEventHandlers() {
   });
 
   // Group update (settings changed)
-  client.on("group_update", async (notification) => {
+  on("group_update", async (notification) => {
     try {
       await handleGroupUpdate(notification);
     } catch (error) {
@@ -129,7 +167,7 @@ function initializeEventHandlers() {
   });
 
   // Group admin changed
-  client.on("group_admin_changed", async (notification) => {
+  on("group_admin_changed", async (notification) => {
     try {
       await handleGroupAdminChanged(notification);
     } catch (error) {
@@ -138,7 +176,7 @@ function initializeEventHandlers() {
   });
 
   // Group membership request
-  client.on("group_membership_request", async (notification) => {
+  on("group_membership_request", async (notification) => {
     try {
       await handleGroupMembershipRequest(notification);
     } catch (error) {
@@ -147,7 +185,7 @@ function initializeEventHandlers() {
   });
 
   // Contact changed
-  client.on("contact_changed", async (message, oldId, newId, isContact) => {
+  on("contact_changed", async (message, oldId, newId, isContact) => {
     try {
       broadcast(WS_EVENTS.CONTACT_CHANGED, { oldId, newId, isContact });
     } catch (error) {
@@ -156,7 +194,7 @@ function initializeEventHandlers() {
   });
 
   // Chat archived
-  client.on("chat_archived", async (chat, currState, prevState) => {
+  on("chat_archived", async (chat, currState, prevState) => {
     try {
       broadcast(WS_EVENTS.CHAT_ARCHIVED, {
         chatId: chat.id._serialized,
@@ -167,7 +205,7 @@ function initializeEventHandlers() {
     }
   });
 
-  logger.info("✅ Event handlers initialized");
+  logger.info(`✅ [${sessionId}] Event handlers initialized`);
 }
 
 /**
@@ -175,18 +213,66 @@ function initializeEventHandlers() {
  */
 async function handleMessage(message) {
   const chatId = message.from;
+  let chat = null;
+  let settings = null;
+  let strike = null;
 
   // Log group IDs prominently for easy copying
   if (chatId.includes("@g.us")) {
-    const chat = await message.getChat();
+    chat = await message.getChat();
     logger.info(
       `📥 GROUP MESSAGE - ID: ${chatId} | Name: "${chat.name || "Unknown"}"`
     );
     logger.info(`   └─ Copy this Group ID to add to watchlist: ${chatId}`);
+
+    settings = await GroupSettings.findOne({ groupId: chatId, isActive: true });
+
+    // Apply automated moderation policies
+    strike = await handleModeration(message, chat, settings);
   } else {
     logger.debug(`📥 Message from: ${chatId}`);
   }
 
+  // Automation is paused during maintenance
+  const paused = await settingsService.isMaintenanceMode();
+
+  // Dispatch chat commands (skipped for moderated messages)
+  let handled = false;
+  if (!strike && !paused) {
+    try {
+      handled = await commandService.dispatch(message, { chat, settings });
+    } catch (error) {
+      logger.error(`Error dispatching command: ${error.message}`);
+    }
+  }
+
+  // Active flow sessions take the contact's next message
+  if (!strike && !paused && !handled) {
+    try {
+      handled = await flowService.handleMessage(message);
+    } catch (error) {
+      logger.error(`Error running flow: ${error.message}`);
+    }
+  }
+
+  // Keyword auto-replies answer anything that wasn't a command or flow step
+  if (!strike && !paused && !handled) {
+    try {
+      handled = await autoReplyService.handleMessage(message);
+    } catch (error) {
+      logger.error(`Error sending auto-reply: ${error.message}`);
+    }
+  }
+
+  // Out-of-office reply to private chats nothing else answered
+  if (!paused && !handled) {
+    try {
+      await awayService.handleMessage(message);
+    } catch (error) {
+      logger.error(`Error sending away message: ${error.message}`);
+    }
+  }
+
   // Check if message is from a watchlist chat
   const watchlistItem = await Watchlist.findOne({ chatId, isActive: true });
 
@@ -224,6 +310,43 @@ async function handleMessage(message) {
   broadcast(WS_EVENTS.MESSAGE_NEW, formatMessage(message));
 }
 
+/**
+ * Handle automated moderation for group messages
+ * @returns {Promise<Object|null>} Recorded strike, if any
+ */
+async function handleModeration(message, chat, settings) {
+  if (!settings?.antiSpam?.enabled && !settings?.antiLink?.enabled) {
+    return null;
+  }
+
+  const strike = await moderationService.moderateMessage(
+    message,
+    chat,
+    settings
+  );
+
+  if (strike) {
+    logger.info(
+      `Moderation: ${strike.type} strike (${strike.action}) for ${strike.participantId} in ${strike.groupId}`
+    );
+
+    broadcast(WS_EVENTS.GROUP_MODERATION, {
+      groupId: strike.groupId,
+      groupName: chat.name,
+      participantId: strike.participantId,
+      type: strike.type,
+      action: strike.action,
+      success: strike.success,
+      reason: strike.reason,
+      messageId: strike.messageId,
+      details: strike.details,
+      timestamp: strike.createdAt,
+    });
+  }
+
+  return strike;
+}
+
 /**
  * Handle message creation (sent messages)
  */
@@ -359,53 +482,16 @@ async function handleGroupJoin(notification) {
   const settings = await GroupSettings.findOne({ groupId, isActive: true });
 
   if (settings?.autoMessages?.welcome?.enabled) {
-    const client = getClient();
-    const config = settings.autoMessages.welcome;
-
-    // Wait configured delay
-    await delay(config.delay || 3000);
-
-    try {
-      // Build welcome message
-      let message = config.message;
-
-      // Get joined contacts for mentions
-      const mentions = [];
-      for (const id of joinedIds) {
-        try {
-          const contact = await client.getContactById(id);
-          mentions.push(contact);
-
-          // Replace placeholder with mention
-          if (config.mentionUser) {
-            message = message.replace(
-              "{user}",
-              `@${contact.number || contact.id.user}`
-            );
-            message = message.replace(
-              "@{user}",
-              `@${contact.number || contact.id.user}`
-            );
-          }
-        } catch (err) {
-          logger.warn(`Could not get contact for ${id}`);
-        }
-      }
-
-      // Include group rules if configured
-      if (config.includeGroupRules && settings.groupRules) {
-        message += `\n\n📋 *Group Rules*:\n${settings.groupRules}`;
-      }
-
-      // Send welcome message
-      const chat = await client.getChatById(groupId);
-      await chat.sendMessage(message, {
-        mentions: config.mentionUser ? mentions : [],
-      });
-
-      logger.info(`Sent welcome message in group ${groupId}`);
-    } catch (error) {
-      logger.error(`Failed to send welcome message: ${error.message}`);
+    if (welcomeService.isSuppressed(groupId)) {
+      logger.info(`Skipped welcome in group ${groupId}: members added by us`);
+    } else {
+      // Joins within the delay share one welcome
+      welcomeService.collect(
+        groupId,
+        joinedIds,
+        settings.autoMessages.welcome.delay || 3000,
+        (memberIds) => sendWelcome(groupId, memberIds)
+      );
     }
   }
 
@@ -423,6 +509,37 @@ async function handleGroupJoin(notification) {
   }
 }
 
+/**
+ * Send one welcome message for a batch of joined members
+ */
+async function sendWelcome(groupId, memberIds) {
+  // Settings may have changed while the batch was collected
+  const settings = await GroupSettings.findOne({ groupId, isActive: true });
+  const config = settings?.autoMessages?.welcome;
+  if (!config?.enabled) return;
+
+  if (await settingsService.isMaintenanceMode()) {
+    logger.info(`Skipped welcome in group ${groupId}: maintenance mode`);
+    return;
+  }
+
+  const { text, mentions } = await templateService.renderAutoMessage(
+    settings,
+    AUTO_MESSAGE_TYPES.WELCOME,
+    memberIds,
+    { timezone: await scheduleService.getTimezone() }
+  );
+
+  await messageService.sendAutoMessage(groupId, config, text, {
+    mentions,
+    label: "welcome",
+  });
+
+  logger.info(
+    `Sent welcome message for ${memberIds.length} member(s) in group ${groupId}`
+  );
+}
+
 /**
  * Handle group leave - send farewell message if configured
  */
@@ -444,19 +561,24 @@ async function handleGroupLeave(notification) {
     // Wait configured delay
     await delay(config.delay || 3000);
 
-    try {
-      const client = getClient();
-      let message = config.message;
+    if (await settingsService.isMaintenanceMode()) {
+      logger.info(`Skipped farewell in group ${groupId}: maintenance mode`);
+      return;
+    }
 
-      // Replace user placeholder (can't mention users who left)
-      message = message.replace(
-        "{user}",
-        leftIds.length === 1 ? "member" : "members"
+    try {
+      const { text, mentions } = await templateService.renderAutoMessage(
+        settings,
+        AUTO_MESSAGE_TYPES.FAREWELL,
+        leftIds,
+        { timezone: await scheduleService.getTimezone() }
       );
 
       // Send farewell message
-      const chat = await client.getChatById(groupId);
-      await chat.sendMessage(message);
+      await messageService.sendAutoMessage(groupId, config, text, {
+        mentions,
+        label: "farewell",
+      });
 
       logger.info(`Sent farewell message in group ${groupId}`);
     } catch (error) {
@@ -531,16 +653,44 @@ async function handleGroupMembershipRequest(notification) {
   });
 }
 
+// Scheduler results
+scheduleService.on("sent", (schedule) => {
+  broadcast(WS_EVENTS.SCHEDULE_SENT, schedule);
+});
+
+scheduleService.on("failed", (schedule) => {
+  broadcast(WS_EVENTS.SCHEDULE_FAILED, schedule);
+});
+
+// Flow handoffs for whoever picks up the conversation
+flowService.on("handoff", (session) => {
+  broadcast(WS_EVENTS.FLOW_HANDOFF, session);
+});
+
+// Maintenance mode toggles
+settingsService.on("maintenance", (state) => {
+  broadcast(WS_EVENTS.MAINTENANCE_MODE, state);
+});
+
+// Client restarts by the watchdog
+watchdogService.on("reconnecting", (attempt) => {
+  broadcast(WS_EVENTS.CLIENT_RECONNECTING, attempt);
+});
+
+watchdogService.on("reconnect_failed", (result) => {
+  broadcast(WS_EVENTS.CLIENT_RECONNECT_FAILED, result);
+});
+
 // Listen for client status changes
-clientEvents.on("status", async (status) => {
+clientEvents.on("status", async (status, reason) => {
   broadcast(WS_EVENTS.CLIENT_STATUS, { status });
 
-  // Update session in database
-  await Session.findOneAndUpdate(
-    { sessionId: "default" },
-    { status, lastActive: new Date() },
-    { upsert: true }
-  );
+  // Update session in database and its history
+  try {
+    await sessionService.recordStatus(getCurrentSessionId(), status, reason);
+  } catch (error) {
+    logger.error(`Error recording session status: ${error.message}`);
+  }
 });
 
 // Listen for QR code
@@ -548,12 +698,17 @@ clientEvents.on("qr", (qr) => {
   broadcast(WS_EVENTS.CLIENT_QR, { qr });
 });
 
+// Listen for pairing code
+clientEvents.on("pairing_code", (code) => {
+  broadcast(WS_EVENTS.CLIENT_PAIRING_CODE, { code });
+});
+
 // Listen for ready event
 clientEvents.on("ready", async (info) => {
   broadcast(WS_EVENTS.CLIENT_READY, info);
 
   // Update session info
-  await Session.updateClientInfo("default", info);
+  await Session.updateClientInfo(getCurrentSessionId(), info);
 
   // Initialize event handlers
   initializeEventHandlers();
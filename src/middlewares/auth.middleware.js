@@ -0,0 +1,95 @@
+/**
+ * Authentication Middleware
+ * Requires an API key or dashboard session token on REST and WebSocket
+ */
+
+const authService = require("../services/auth.service");
+const { ApiError, asyncHandler } = require("./error.middleware");
+const { ERROR_MESSAGES } = require("../config/constants");
+
+/**
+ * Authenticate REST requests and attach the principal as req.auth
+ */
+const authenticate = asyncHandler(async (req, res, next) => {
+  if (!authService.isEnabled()) {
+    return next();
+  }
+
+  const credential = authService.extractCredential(req.headers);
+  if (!credential) {
+    throw new ApiError(ERROR_MESSAGES.AUTH_REQUIRED, 401, "UNAUTHORIZED");
+  }
+
+  const principal = await authService.authenticate(credential);
+  if (!principal) {
+    throw new ApiError(ERROR_MESSAGES.INVALID_AUTH_TOKEN, 401, "UNAUTHORIZED");
+  }
+
+  req.auth = principal;
+  next();
+});
+
+/**
+ * Require permission scopes for a route. Must run after authenticate.
+ * @param {...string} permissions
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!authService.isEnabled()) {
+      return next();
+    }
+
+    if (!req.auth) {
+      return next(
+        new ApiError(ERROR_MESSAGES.AUTH_REQUIRED, 401, "UNAUTHORIZED")
+      );
+    }
+
+    if (!authService.hasPermission(req.auth, ...permissions)) {
+      return next(
+        new ApiError(ERROR_MESSAGES.PERMISSION_DENIED, 403, "FORBIDDEN")
+      );
+    }
+
+    next();
+  };
+}
+
+/**
+ * Authenticate Socket.IO handshakes.
+ * The credential is read from `auth.token` or the same headers as REST.
+ */
+async function authenticateSocket(socket, next) {
+  if (!authService.isEnabled()) {
+    return next();
+  }
+
+  try {
+    const { auth = {}, headers } = socket.handshake;
+    const credential = auth.token || authService.extractCredential(headers);
+    const principal = await authService.authenticate(credential);
+
+    if (!principal) {
+      const error = new Error(
+        credential
+          ? ERROR_MESSAGES.INVALID_AUTH_TOKEN
+          : ERROR_MESSAGES.AUTH_REQUIRED
+      );
+      error.data = { code: "UNAUTHORIZED" };
+      return next(error);
+    }
+
+    socket.data.auth = principal;
+    // Matched against revoked keys and tokens (see server.js)
+    socket.data.credentialHash = authService.hash(credential);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  authenticate,
+  requirePermission,
+  authenticateSocket,
+};
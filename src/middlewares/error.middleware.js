@@ -67,6 +67,11 @@ function errorHandler(err, req, res, next) {
     code = "SERVICE_UNAVAILABLE";
   }
 
+  if (message === ERROR_MESSAGES.MAINTENANCE_MODE) {
+    statusCode = 503;
+    code = "MAINTENANCE_MODE";
+  }
+
   // Log error
   logger.error(`${code}: ${message}`, {
     url: req.originalUrl,
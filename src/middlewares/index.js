@@ -9,11 +9,31 @@ const {
   asyncHandler,
 } = require("./error.middleware");
 const validator = require("./validator.middleware");
+const {
+  authenticate,
+  requirePermission,
+  authenticateSocket,
+} = require("./auth.middleware");
+const {
+  createRateLimiter,
+  apiRateLimit,
+  sendRateLimit,
+} = require("./rate-limit.middleware");
+const { blockDuringMaintenance } = require("./maintenance.middleware");
+const { withSession } = require("./session.middleware");
 
 module.exports = {
   ApiError,
   notFound,
   errorHandler,
   asyncHandler,
+  authenticate,
+  requirePermission,
+  authenticateSocket,
+  createRateLimiter,
+  apiRateLimit,
+  sendRateLimit,
+  blockDuringMaintenance,
+  withSession,
   ...validator,
 };
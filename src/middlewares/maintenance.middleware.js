@@ -0,0 +1,21 @@
+/**
+ * Maintenance Middleware
+ * Rejects outbound sends while maintenance mode is on
+ */
+
+const settingsService = require("../services/settings.service");
+const { asyncHandler } = require("./error.middleware");
+
+/**
+ * Block a send route during maintenance. Pass `force: true` in the body
+ * (or `?force=true`) to send anyway.
+ */
+const blockDuringMaintenance = asyncHandler(async (req, res, next) => {
+  const force = req.body?.force === true || req.query.force === "true";
+  await settingsService.assertSendAllowed(force);
+  next();
+});
+
+module.exports = {
+  blockDuringMaintenance,
+};
@@ -0,0 +1,140 @@
+/**
+ * Rate Limit Middleware
+ * Fixed-window request limits per API key / user / IP with RateLimit-* headers
+ */
+
+const { RateLimit } = require("../models");
+const { ApiError } = require("./error.middleware");
+const { DEFAULTS, ERROR_MESSAGES } = require("../config/constants");
+const logger = require("../utils/logger");
+
+// How often expired in-memory counters are dropped
+const MEMORY_SWEEP_INTERVAL = 60000; // 1 minute
+
+/**
+ * In-process store. Limits are per instance.
+ */
+class MemoryStore {
+  constructor() {
+    this.hits = new Map();
+
+    this.sweepTimer = setInterval(() => this.sweep(), MEMORY_SWEEP_INTERVAL);
+    this.sweepTimer.unref();
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+
+    entry.count++;
+    return { count: entry.count, resetAt: new Date(entry.resetAt) };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * MongoDB store. Limits are shared by every instance using the database.
+ */
+class MongoStore {
+  async hit(key, windowMs) {
+    const { count, resetAt } = await RateLimit.hit(key, windowMs);
+    return { count, resetAt };
+  }
+}
+
+/**
+ * Store selected by RATE_LIMIT_STORE ("memory" or "mongo")
+ * @returns {MemoryStore|MongoStore}
+ */
+function createStore() {
+  return process.env.RATE_LIMIT_STORE === "mongo"
+    ? new MongoStore()
+    : new MemoryStore();
+}
+
+/**
+ * Identify the caller: API key or user when authenticated, otherwise IP
+ */
+function defaultKeyGenerator(req) {
+  if (req.auth) {
+    return `${req.auth.type}:${req.auth.id}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options - { name, windowMs, max, store, keyGenerator }
+ * @returns {Function}
+ */
+function createRateLimiter(options = {}) {
+  const {
+    name = "api",
+    windowMs = DEFAULTS.RATE_LIMIT_WINDOW,
+    max = DEFAULTS.RATE_LIMIT_MAX_REQUESTS,
+    store = createStore(),
+    keyGenerator = defaultKeyGenerator,
+  } = options;
+
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await store.hit(`${name}:${keyGenerator(req)}`, windowMs);
+    } catch (error) {
+      // Don't take the API down with the limiter
+      logger.error(`Rate limiter "${name}" store error: ${error.message}`);
+      return next();
+    }
+
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((result.resetAt.getTime() - Date.now()) / 1000)
+    );
+
+    res.set({
+      "RateLimit-Policy": `${max};w=${Math.round(windowMs / 1000)}`,
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - result.count)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (result.count > max) {
+      res.set("Retry-After", String(resetSeconds));
+      return next(
+        new ApiError(ERROR_MESSAGES.RATE_LIMIT_EXCEEDED, 429, "RATE_LIMITED")
+      );
+    }
+
+    next();
+  };
+}
+
+// General bucket for every API request
+const apiRateLimit = createRateLimiter({ name: "api" });
+
+// Stricter bucket for routes that send WhatsApp messages
+const sendRateLimit = createRateLimiter({
+  name: "send",
+  max: DEFAULTS.RATE_LIMIT_SEND_MAX_REQUESTS,
+});
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  createRateLimiter,
+  apiRateLimit,
+  sendRateLimit,
+};
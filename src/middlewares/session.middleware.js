@@ -0,0 +1,26 @@
+/**
+ * Session Middleware
+ * Runs a request as a WhatsApp session: the one named in
+ * /api/sessions/:sessionId/..., or the default session for the plain routes
+ */
+
+const sessionService = require("../services/session.service");
+const { ApiError } = require("./error.middleware");
+const { DEFAULTS, ERROR_MESSAGES } = require("../config/constants");
+const { runInSession } = require("../utils/session-context");
+
+const withSession = (req, res, next) => {
+  const sessionId = req.params.sessionId || DEFAULTS.SESSION_ID;
+  if (!sessionService.hasSession(sessionId)) {
+    return next(
+      new ApiError(ERROR_MESSAGES.SESSION_NOT_FOUND, 404, "NOT_FOUND")
+    );
+  }
+
+  req.sessionId = sessionId;
+  runInSession(sessionId, next);
+};
+
+module.exports = {
+  withSession,
+};
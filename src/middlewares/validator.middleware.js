@@ -4,6 +4,26 @@
  */
 
 const { ApiError } = require("./error.middleware");
+const {
+  WS_EVENTS,
+  WS_EVENT_PERMISSIONS,
+  ROLES,
+  AUTO_MESSAGE_TYPES,
+  AUTO_MESSAGE_MEDIA_TYPES,
+  SCHEDULED_MESSAGE_TYPES,
+  SCHEDULE_STATUS,
+  AUTO_REPLY_MATCH_TYPES,
+  AUTO_REPLY_SCOPES,
+  AUTO_REPLY_TYPES,
+  FLOW_NODE_TYPES,
+  SETTINGS_FIELDS,
+  RETENTION_ACTIONS,
+} = require("../config/constants");
+const { parseCron, getNextRun, isValidTimezone } = require("../utils/cron");
+const { getTemplateError } = require("../utils/template");
+const { getRegexError } = require("../utils/helpers");
+
+const AUTO_REPLY_PATTERN_MAX_LENGTH = 500;
 
 /**
  * Validate required fields in request body
@@ -149,8 +169,9 @@ function validateParticipants(req, res, next) {
  * Validate auto-message configuration
  */
 function validateAutoMessage(req, res, next) {
-  const { type, message, enabled } = req.body;
-  const validTypes = ["welcome", "farewell", "rules"];
+  const { type, message, enabled, cron, mediaUrl, mediaType, participantIds } =
+    req.body;
+  const validTypes = Object.values(AUTO_MESSAGE_TYPES);
 
   if (type && !validTypes.includes(type)) {
     return next(
@@ -162,6 +183,24 @@ function validateAutoMessage(req, res, next) {
     );
   }
 
+  if (message !== undefined) {
+    const error =
+      typeof message === "string"
+        ? getTemplateError(message)
+        : "message must be a string";
+    if (error) {
+      return next(
+        new ApiError(`Invalid template: ${error}`, 400, "VALIDATION_ERROR")
+      );
+    }
+  }
+
+  if (participantIds !== undefined && !Array.isArray(participantIds)) {
+    return next(
+      new ApiError("participantIds must be an array", 400, "VALIDATION_ERROR")
+    );
+  }
+
   if (enabled === true && (!message || message.trim() === "")) {
     return next(
       new ApiError(
@@ -172,6 +211,43 @@ function validateAutoMessage(req, res, next) {
     );
   }
 
+  if (type === AUTO_MESSAGE_TYPES.ANNOUNCEMENT && cron !== undefined) {
+    let error = null;
+    try {
+      parseCron(cron);
+      if (!getNextRun(cron)) error = "never matches a date";
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (error) {
+      return next(
+        new ApiError(
+          `Invalid announcement cron expression: ${error}`,
+          400,
+          "VALIDATION_ERROR"
+        )
+      );
+    }
+  }
+
+  if (mediaUrl && !/^https?:\/\//i.test(mediaUrl)) {
+    return next(
+      new ApiError("mediaUrl must be an http(s) URL", 400, "VALIDATION_ERROR")
+    );
+  }
+
+  const mediaTypes = Object.values(AUTO_MESSAGE_MEDIA_TYPES);
+  if (mediaType !== undefined && !mediaTypes.includes(mediaType)) {
+    return next(
+      new ApiError(
+        `Invalid mediaType. Must be one of: ${mediaTypes.join(", ")}`,
+        400,
+        "VALIDATION_ERROR"
+      )
+    );
+  }
+
   next();
 }
 
@@ -237,6 +313,666 @@ function validatePoll(req, res, next) {
   next();
 }
 
+/**
+ * Validate webhook configuration
+ * Fields are only checked when present so the same rules apply to updates
+ */
+function validateWebhook(req, res, next) {
+  const { url, events } = req.body;
+
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      parsed = null;
+    }
+
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return next(
+        new ApiError(
+          "Webhook URL must be a valid http(s) URL",
+          400,
+          "VALIDATION_ERROR"
+        )
+      );
+    }
+  }
+
+  if (events !== undefined) {
+    // Gated events are never delivered to webhooks (see webhook.service)
+    const validEvents = [
+      "*",
+      ...Object.values(WS_EVENTS).filter(
+        (event) => !WS_EVENT_PERMISSIONS[event]
+      ),
+    ];
+    const invalid = Array.isArray(events)
+      ? events.filter((event) => !validEvents.includes(event))
+      : null;
+
+    if (!invalid || invalid.length > 0) {
+      return next(
+        new ApiError(
+          `Invalid webhook events${
+            invalid ? `: ${invalid.join(", ")}` : ""
+          }. Must be an array of WebSocket event names or "*"`,
+          400,
+          "VALIDATION_ERROR"
+        )
+      );
+    }
+  }
+
+  next();
+}
+
+/**
+ * Validate dashboard user fields
+ * Fields are only checked when present so the same rules apply to updates
+ */
+function validateUser(req, res, next) {
+  const { username, password, role, active } = req.body;
+
+  if (username !== undefined && !/^[a-zA-Z0-9._-]{3,32}$/.test(username)) {
+    return next(
+      new ApiError(
+        "Username must be 3-32 characters: letters, numbers, '.', '_' or '-'",
+        400,
+        "VALIDATION_ERROR"
+      )
+    );
+  }
+
+  if (
+    password !== undefined &&
+    (typeof password !== "string" || password.length < 8)
+  ) {
+    return next(
+      new ApiError(
+        "Password must be at least 8 characters",
+        400,
+        "VALIDATION_ERROR"
+      )
+    );
+  }
+
+  if (role !== undefined && !Object.values(ROLES).includes(role)) {
+    return next(
+      new ApiError(
+        `Invalid role. Must be one of: ${Object.values(ROLES).join(", ")}`,
+        400,
+        "VALIDATION_ERROR"
+      )
+    );
+  }
+
+  if (active !== undefined && typeof active !== "boolean") {
+    return next(
+      new ApiError("active must be a boolean", 400, "VALIDATION_ERROR")
+    );
+  }
+
+  next();
+}
+
+/**
+ * Validate a new WhatsApp session
+ * The sessionId is used in URLs and auth storage names
+ */
+function validateSession(req, res, next) {
+  const { sessionId, label } = req.body;
+
+  if (typeof sessionId !== "string" || !/^[a-z0-9_-]{1,32}$/.test(sessionId)) {
+    return next(
+      new ApiError(
+        "sessionId must be 1-32 characters: lowercase letters, numbers, '_' or '-'",
+        400,
+        "VALIDATION_ERROR"
+      )
+    );
+  }
+
+  if (
+    label !== undefined &&
+    label !== null &&
+    (typeof label !== "string" || label.length > 64)
+  ) {
+    return next(
+      new ApiError(
+        "label must be a string of at most 64 characters",
+        400,
+        "VALIDATION_ERROR"
+      )
+    );
+  }
+
+  next();
+}
+
+/**
+ * Check the content of one scheduled message or auto-reply type
+ * @returns {string|null} Error message
+ */
+function checkMessageContent(type, body) {
+  const { content, media, poll, location } = body;
+
+  switch (type) {
+    case SCHEDULED_MESSAGE_TYPES.TEXT:
+      return typeof content === "string" && content.trim()
+        ? null
+        : "content is required for text messages";
+    case SCHEDULED_MESSAGE_TYPES.MEDIA:
+      if (!media?.url && !media?.path && !media?.base64) {
+        return "media must include url, path, or base64 data";
+      }
+      return media.base64 && !media.mimetype
+        ? "media.mimetype is required with base64 data"
+        : null;
+    case SCHEDULED_MESSAGE_TYPES.POLL:
+      if (!poll?.question?.trim()) return "poll.question is required";
+      return Array.isArray(poll.options) &&
+        poll.options.length >= 2 &&
+        poll.options.length <= 12
+        ? null
+        : "poll.options must be an array of 2-12 options";
+    case SCHEDULED_MESSAGE_TYPES.LOCATION:
+      return typeof location?.latitude === "number" &&
+        Math.abs(location.latitude) <= 90 &&
+        typeof location?.longitude === "number" &&
+        Math.abs(location.longitude) <= 180
+        ? null
+        : "location must include a valid latitude and longitude";
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a scheduled message
+ * On updates, fields are only checked when present
+ */
+function validateSchedule(req, res, next) {
+  const isCreate = req.method === "POST";
+  const { type, sendAt, cron, status } = req.body;
+  const fail = (message) =>
+    next(new ApiError(message, 400, "VALIDATION_ERROR"));
+
+  if (
+    type !== undefined &&
+    !Object.values(SCHEDULED_MESSAGE_TYPES).includes(type)
+  ) {
+    return fail(
+      `Invalid type. Must be one of: ${Object.values(
+        SCHEDULED_MESSAGE_TYPES
+      ).join(", ")}`
+    );
+  }
+
+  // Check the payload of the (new) type and any payload being replaced
+  const payloadFields = {
+    content: SCHEDULED_MESSAGE_TYPES.TEXT,
+    media: SCHEDULED_MESSAGE_TYPES.MEDIA,
+    poll: SCHEDULED_MESSAGE_TYPES.POLL,
+    location: SCHEDULED_MESSAGE_TYPES.LOCATION,
+  };
+  const types = new Set(
+    Object.keys(payloadFields)
+      .filter((field) => req.body[field] !== undefined)
+      .map((field) => payloadFields[field])
+  );
+  if (type || isCreate) types.add(type || SCHEDULED_MESSAGE_TYPES.TEXT);
+
+  for (const contentType of types) {
+    const error = checkMessageContent(contentType, req.body);
+    if (error) return fail(error);
+  }
+
+  if (sendAt && cron) {
+    return fail("Provide either sendAt or cron, not both");
+  }
+
+  if (isCreate && !sendAt && !cron) {
+    return fail("sendAt or cron is required");
+  }
+
+  if (sendAt && isNaN(new Date(sendAt))) {
+    return fail("sendAt must be an ISO 8601 date");
+  }
+
+  if (cron) {
+    try {
+      parseCron(cron);
+    } catch (error) {
+      return fail(`Invalid cron expression: ${error.message}`);
+    }
+
+    if (!getNextRun(cron)) {
+      return fail("Cron expression never matches a date");
+    }
+  }
+
+  const settableStatuses = [SCHEDULE_STATUS.SCHEDULED, SCHEDULE_STATUS.PAUSED];
+  if (status !== undefined && !settableStatuses.includes(status)) {
+    return fail(`status must be one of: ${settableStatuses.join(", ")}`);
+  }
+
+  next();
+}
+
+/**
+ * Validate an auto-reply rule
+ * On updates, fields are only checked when present
+ */
+function validateAutoReply(req, res, next) {
+  const isCreate = req.method === "POST";
+  const {
+    name,
+    matchType,
+    pattern,
+    scope,
+    chatIds,
+    reply,
+    cooldownSeconds,
+    activeHours,
+  } = req.body;
+  const fail = (message) =>
+    next(new ApiError(message, 400, "VALIDATION_ERROR"));
+
+  if ((isCreate || name !== undefined) && !name?.trim?.()) {
+    return fail("name is required");
+  }
+
+  const matchTypes = Object.values(AUTO_REPLY_MATCH_TYPES);
+  if (matchType !== undefined && !matchTypes.includes(matchType)) {
+    return fail(`Invalid matchType. Must be one of: ${matchTypes.join(", ")}`);
+  }
+
+  if (isCreate || pattern !== undefined) {
+    if (typeof pattern !== "string" || !pattern.trim()) {
+      return fail("pattern is required");
+    }
+    if (pattern.length > AUTO_REPLY_PATTERN_MAX_LENGTH) {
+      return fail(
+        `pattern must be at most ${AUTO_REPLY_PATTERN_MAX_LENGTH} characters`
+      );
+    }
+    if (matchType === AUTO_REPLY_MATCH_TYPES.REGEX) {
+      const error = getRegexError(pattern);
+      if (error) return fail(error);
+    }
+  }
+
+  const scopes = Object.values(AUTO_REPLY_SCOPES);
+  if (scope !== undefined && !scopes.includes(scope)) {
+    return fail(`Invalid scope. Must be one of: ${scopes.join(", ")}`);
+  }
+
+  if (chatIds !== undefined && !Array.isArray(chatIds)) {
+    return fail("chatIds must be an array");
+  }
+
+  if (scope === AUTO_REPLY_SCOPES.CHATS && !chatIds?.length) {
+    return fail('chatIds is required for the "chats" scope');
+  }
+
+  if (isCreate || reply !== undefined) {
+    const replyTypes = Object.values(AUTO_REPLY_TYPES);
+    const type = reply?.type || AUTO_REPLY_TYPES.TEXT;
+    if (!reply || typeof reply !== "object") {
+      return fail("reply is required");
+    }
+    if (!replyTypes.includes(type)) {
+      return fail(
+        `Invalid reply.type. Must be one of: ${replyTypes.join(", ")}`
+      );
+    }
+
+    const error = checkMessageContent(type, reply);
+    if (error) return fail(`reply.${error}`);
+  }
+
+  if (
+    cooldownSeconds !== undefined &&
+    !(typeof cooldownSeconds === "number" && cooldownSeconds >= 0)
+  ) {
+    return fail("cooldownSeconds must be a non-negative number");
+  }
+
+  if (activeHours) {
+    const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (!time.test(activeHours.start) || !time.test(activeHours.end)) {
+      return fail("activeHours.start and activeHours.end must be HH:MM");
+    }
+    if (activeHours.start === activeHours.end) {
+      return fail("activeHours.start and activeHours.end must differ");
+    }
+    if (
+      activeHours.days !== undefined &&
+      !(
+        Array.isArray(activeHours.days) &&
+        activeHours.days.every(
+          (day) => Number.isInteger(day) && day >= 0 && day <= 6
+        )
+      )
+    ) {
+      return fail("activeHours.days must be an array of 0 (Sunday) to 6");
+    }
+  }
+
+  next();
+}
+
+/**
+ * Validate away mode settings
+ */
+function validateAwayMode(req, res, next) {
+  const { enabled, message, businessHours, holidays } = req.body;
+  const fail = (error) => next(new ApiError(error, 400, "VALIDATION_ERROR"));
+
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    return fail("enabled must be a boolean");
+  }
+
+  if (
+    message !== undefined &&
+    (typeof message !== "string" || !message.trim())
+  ) {
+    return fail("message must be a non-empty string");
+  }
+
+  if (businessHours !== undefined) {
+    if (!Array.isArray(businessHours)) {
+      return fail("businessHours must be an array");
+    }
+
+    const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+    for (const range of businessHours) {
+      if (!Number.isInteger(range?.day) || range.day < 0 || range.day > 6) {
+        return fail("businessHours[].day must be 0 (Sunday) to 6");
+      }
+      if (!time.test(range.start) || !time.test(range.end)) {
+        return fail("businessHours[].start and end must be HH:MM");
+      }
+      if (range.start >= range.end) {
+        return fail("businessHours[].start must be before end");
+      }
+    }
+
+    if (enabled === true && businessHours.length === 0) {
+      return fail("businessHours can't be empty while away mode is enabled");
+    }
+  }
+
+  if (holidays !== undefined) {
+    const valid =
+      Array.isArray(holidays) &&
+      holidays.every((day) => {
+        // Rejects both bad formats and dates like 2024-02-30
+        const date = new Date(`${day}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().startsWith(day);
+      });
+    if (!valid) {
+      return fail("holidays must be an array of YYYY-MM-DD dates");
+    }
+  }
+
+  next();
+}
+
+/**
+ * Validate a flow's shape; the model checks that transitions point to
+ * existing nodes
+ * On updates, fields are only checked when present
+ */
+function validateFlow(req, res, next) {
+  const isCreate = req.method === "POST";
+  const { name, triggers, scope, startNode, nodes, timeoutMinutes } = req.body;
+  const fail = (message) =>
+    next(new ApiError(message, 400, "VALIDATION_ERROR"));
+
+  if ((isCreate || name !== undefined) && !name?.trim?.()) {
+    return fail("name is required");
+  }
+
+  if (
+    triggers !== undefined &&
+    !(
+      Array.isArray(triggers) &&
+      triggers.every((trigger) => typeof trigger === "string" && trigger.trim())
+    )
+  ) {
+    return fail("triggers must be an array of non-empty strings");
+  }
+
+  const scopes = [
+    AUTO_REPLY_SCOPES.ALL,
+    AUTO_REPLY_SCOPES.GROUPS,
+    AUTO_REPLY_SCOPES.DIRECT,
+  ];
+  if (scope !== undefined && !scopes.includes(scope)) {
+    return fail(`Invalid scope. Must be one of: ${scopes.join(", ")}`);
+  }
+
+  if ((isCreate || startNode !== undefined) && !startNode?.trim?.()) {
+    return fail("startNode is required");
+  }
+
+  if (isCreate || nodes !== undefined) {
+    if (!Array.isArray(nodes) || nodes.length === 0) {
+      return fail("nodes must be a non-empty array");
+    }
+
+    const nodeTypes = Object.values(FLOW_NODE_TYPES);
+    for (const node of nodes) {
+      if (!node?.id?.trim?.()) {
+        return fail("nodes[].id is required");
+      }
+      if (!nodeTypes.includes(node.type)) {
+        return fail(
+          `Invalid type for node "${node.id}". Must be one of: ${nodeTypes.join(
+            ", "
+          )}`
+        );
+      }
+      if (node.text !== undefined && typeof node.text !== "string") {
+        return fail(`text of node "${node.id}" must be a string`);
+      }
+      if (
+        node.options !== undefined &&
+        !(
+          Array.isArray(node.options) &&
+          node.options.every(
+            (option) => option?.key && option.label && option.next
+          )
+        )
+      ) {
+        return fail(
+          `options of node "${node.id}" must be an array of { key, label, next }`
+        );
+      }
+    }
+  }
+
+  if (
+    timeoutMinutes !== undefined &&
+    !(typeof timeoutMinutes === "number" && timeoutMinutes >= 1)
+  ) {
+    return fail("timeoutMinutes must be a number of at least 1");
+  }
+
+  next();
+}
+
+/**
+ * Validate a global settings update
+ */
+function validateSettings(req, res, next) {
+  const fail = (message) =>
+    next(new ApiError(message, 400, "VALIDATION_ERROR"));
+  const {
+    botName,
+    botDescription,
+    defaultCommandPrefix,
+    maxMessagesPerMinute,
+    enableLogging,
+    logRetentionDays,
+    logRetentionAction,
+    defaultWelcomeMessage,
+    defaultFarewellMessage,
+    timezone,
+    disabledCommands,
+    maintenanceMode,
+    notifications,
+  } = req.body;
+
+  const unknown = Object.keys(req.body).filter(
+    (field) => !SETTINGS_FIELDS.includes(field)
+  );
+  if (unknown.length > 0) {
+    return fail(`Unknown settings: ${unknown.join(", ")}`);
+  }
+
+  if (botName !== undefined && !botName?.trim?.()) {
+    return fail("botName must be a non-empty string");
+  }
+
+  if (botDescription !== undefined && typeof botDescription !== "string") {
+    return fail("botDescription must be a string");
+  }
+
+  if (
+    defaultCommandPrefix !== undefined &&
+    !(
+      typeof defaultCommandPrefix === "string" &&
+      /^\S{1,3}$/.test(defaultCommandPrefix)
+    )
+  ) {
+    return fail("defaultCommandPrefix must be 1-3 non-space characters");
+  }
+
+  if (
+    maxMessagesPerMinute !== undefined &&
+    !(Number.isInteger(maxMessagesPerMinute) && maxMessagesPerMinute >= 1)
+  ) {
+    return fail("maxMessagesPerMinute must be a positive integer");
+  }
+
+  if (
+    logRetentionDays !== undefined &&
+    !(Number.isInteger(logRetentionDays) && logRetentionDays >= 1)
+  ) {
+    return fail("logRetentionDays must be a positive integer");
+  }
+
+  const retentionActions = Object.values(RETENTION_ACTIONS);
+  if (
+    logRetentionAction !== undefined &&
+    !retentionActions.includes(logRetentionAction)
+  ) {
+    return fail(
+      `Invalid logRetentionAction. Must be one of: ${retentionActions.join(
+        ", "
+      )}`
+    );
+  }
+
+  for (const [field, value] of [
+    ["enableLogging", enableLogging],
+    ["maintenanceMode", maintenanceMode],
+  ]) {
+    if (value !== undefined && typeof value !== "boolean") {
+      return fail(`${field} must be a boolean`);
+    }
+  }
+
+  for (const [field, value] of [
+    ["defaultWelcomeMessage", defaultWelcomeMessage],
+    ["defaultFarewellMessage", defaultFarewellMessage],
+  ]) {
+    if (value === undefined) continue;
+    if (typeof value !== "string") {
+      return fail(`${field} must be a string`);
+    }
+
+    const error = getTemplateError(value);
+    if (error) return fail(`${field}: ${error}`);
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return fail(`Invalid timezone "${timezone}"`);
+  }
+
+  if (
+    disabledCommands !== undefined &&
+    !(
+      Array.isArray(disabledCommands) &&
+      disabledCommands.every((name) => typeof name === "string")
+    )
+  ) {
+    return fail("disabledCommands must be an array of command names");
+  }
+
+  if (notifications !== undefined) {
+    const error = getNotificationsError(notifications);
+    if (error) return fail(`notifications: ${error}`);
+  }
+
+  next();
+}
+
+/**
+ * Check GlobalSettings.notifications: { email, slack, http }, each with
+ * enabled and its address. Channels and keys left out keep their value.
+ * @returns {string|null} What is wrong, if anything
+ */
+function getNotificationsError(notifications) {
+  const isUrl = (value) => {
+    try {
+      return ["http:", "https:"].includes(new URL(value).protocol);
+    } catch {
+      return false;
+    }
+  };
+  const channels = {
+    email: ["address", (value) => /^[^\s@]+@[^\s@]+$/.test(value), "an email"],
+    slack: ["webhookUrl", isUrl, "an http(s) URL"],
+    http: ["url", isUrl, "an http(s) URL"],
+  };
+
+  if (!notifications || typeof notifications !== "object") {
+    return "must be an object";
+  }
+
+  for (const [name, config] of Object.entries(notifications)) {
+    if (!channels[name]) return `unknown channel "${name}"`;
+    if (!config || typeof config !== "object") {
+      return `${name} must be an object`;
+    }
+
+    const [field, isValid, expected] = channels[name];
+    const unknown = Object.keys(config).find(
+      (key) => key !== "enabled" && key !== field
+    );
+    if (unknown) return `unknown field "${name}.${unknown}"`;
+    if (config.enabled !== undefined && typeof config.enabled !== "boolean") {
+      return `${name}.enabled must be a boolean`;
+    }
+    if (
+      config[field] !== undefined &&
+      config[field] !== null &&
+      !isValid(config[field])
+    ) {
+      return `${name}.${field} must be ${expected}`;
+    }
+    if (config.enabled && config[field] !== undefined && !config[field]) {
+      return `${name}.${field} is required when enabled`;
+    }
+  }
+
+  return null;
+}
+
 /**
  * Sanitize input strings
  */
@@ -274,5 +1010,13 @@ module.exports = {
   validateAutoMessage,
   validateMedia,
   validatePoll,
+  validateWebhook,
+  validateUser,
+  validateSession,
+  validateSchedule,
+  validateAutoReply,
+  validateAwayMode,
+  validateFlow,
+  validateSettings,
   sanitizeInput,
 };
@@ -0,0 +1,67 @@
+/**
+ * API Key Model
+ * Hashed API keys for programmatic access to the REST API and WebSocket
+ */
+
+const mongoose = require("mongoose");
+const { ROLES } = require("../config/constants");
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // First characters of the key, shown so keys can be told apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      default: ROLES.ADMIN,
+    },
+    createdBy: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Instance methods
+apiKeySchema.methods.isActive = function () {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+// Static methods
+apiKeySchema.statics.findActiveByHash = async function (keyHash) {
+  const apiKey = await this.findOne({ keyHash });
+  return apiKey && apiKey.isActive() ? apiKey : null;
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,23 @@
+/**
+ * Archived Message Model
+ * Logged messages moved out of the Message collection by the retention job
+ */
+
+const mongoose = require("mongoose");
+const Message = require("./message.model");
+
+const archivedMessageSchema = Message.schema.clone();
+
+archivedMessageSchema.add({
+  archivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const ArchivedMessage = mongoose.model(
+  "ArchivedMessage",
+  archivedMessageSchema
+);
+
+module.exports = ArchivedMessage;
@@ -0,0 +1,50 @@
+/**
+ * Audit Log Model
+ * Who changed bot-wide settings and when
+ */
+
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // e.g. "maintenance.enabled"
+    action: {
+      type: String,
+      required: true,
+    },
+    // API key or user name; null when auth is disabled
+    actor: {
+      type: String,
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Static methods
+auditLogSchema.statics.record = async function (
+  action,
+  actor = null,
+  details = null
+) {
+  return this.create({ action, actor, details });
+};
+
+auditLogSchema.statics.getEntries = async function (options = {}) {
+  const { action, limit = 100 } = options;
+  const query = action ? { action } : {};
+  return this.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+};
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = AuditLog;
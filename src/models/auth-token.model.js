@@ -0,0 +1,57 @@
+/**
+ * Auth Token Model
+ * Dashboard session tokens issued on login (stored hashed)
+ */
+
+const mongoose = require("mongoose");
+
+const authTokenSchema = new mongoose.Schema(
+  {
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    username: {
+      type: String,
+      required: true,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired tokens are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+authTokenSchema.statics.findActiveByHash = async function (tokenHash) {
+  return this.findOne({ tokenHash, expiresAt: { $gt: new Date() } });
+};
+
+const AuthToken = mongoose.model("AuthToken", authTokenSchema);
+
+module.exports = AuthToken;
@@ -0,0 +1,235 @@
+/**
+ * Auto-Reply Rule Model
+ * Keyword rules that answer incoming messages
+ */
+
+const mongoose = require("mongoose");
+const {
+  AUTO_REPLY_MATCH_TYPES,
+  AUTO_REPLY_SCOPES,
+  AUTO_REPLY_TYPES,
+  DEFAULTS,
+} = require("../config/constants");
+const { isGroupId, getRegexError } = require("../utils/helpers");
+
+// Same inputs as messageService.sendMedia
+const mediaSchema = new mongoose.Schema(
+  {
+    url: { type: String },
+    path: { type: String },
+    base64: { type: String },
+    mimetype: { type: String },
+    filename: { type: String },
+    caption: { type: String, default: "" },
+    sendAsDocument: { type: Boolean, default: false },
+    sendAsSticker: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const pollSchema = new mongoose.Schema(
+  {
+    question: { type: String, required: true },
+    options: [{ type: String }],
+    allowMultipleAnswers: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const replySchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: Object.values(AUTO_REPLY_TYPES),
+      default: AUTO_REPLY_TYPES.TEXT,
+    },
+    content: { type: String, default: "" },
+    media: { type: mediaSchema, default: null },
+    poll: { type: pollSchema, default: null },
+  },
+  { _id: false }
+);
+
+// "HH:MM" wall-clock times in GlobalSettings.timezone
+const activeHoursSchema = new mongoose.Schema(
+  {
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+    // 0 = Sunday; empty means every day
+    days: [{ type: Number, min: 0, max: 6 }],
+  },
+  { _id: false }
+);
+
+const autoReplyRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Rules are tried in ascending order; the first match replies
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    matchType: {
+      type: String,
+      enum: Object.values(AUTO_REPLY_MATCH_TYPES),
+      default: AUTO_REPLY_MATCH_TYPES.CONTAINS,
+    },
+    pattern: {
+      type: String,
+      required: true,
+    },
+    caseSensitive: {
+      type: Boolean,
+      default: false,
+    },
+    scope: {
+      type: String,
+      enum: Object.values(AUTO_REPLY_SCOPES),
+      default: AUTO_REPLY_SCOPES.ALL,
+    },
+    // Used with the "chats" scope
+    chatIds: [
+      {
+        type: String,
+      },
+    ],
+    reply: {
+      type: replySchema,
+      required: true,
+    },
+    // Quote the triggering message
+    quote: {
+      type: Boolean,
+      default: true,
+    },
+    // Minimum time between replies of this rule in the same chat
+    cooldownSeconds: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    activeHours: {
+      type: activeHoursSchema,
+      default: null,
+    },
+    matchCount: {
+      type: Number,
+      default: 0,
+    },
+    lastMatchedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+autoReplyRuleSchema.index({ enabled: 1, priority: 1 });
+
+// Catches updates that switch an existing pattern to regex matching
+autoReplyRuleSchema.pre("validate", function (next) {
+  if (this.matchType === AUTO_REPLY_MATCH_TYPES.REGEX) {
+    const error = getRegexError(this.pattern);
+    if (error) this.invalidate("pattern", error);
+  }
+  next();
+});
+
+// Instance methods
+autoReplyRuleSchema.methods.appliesTo = function (chatId) {
+  switch (this.scope) {
+    case AUTO_REPLY_SCOPES.CHATS:
+      return this.chatIds.includes(chatId);
+    case AUTO_REPLY_SCOPES.GROUPS:
+      return isGroupId(chatId);
+    case AUTO_REPLY_SCOPES.DIRECT:
+      return !isGroupId(chatId);
+    default:
+      return true;
+  }
+};
+
+autoReplyRuleSchema.methods.matches = function (text) {
+  const flags = this.caseSensitive ? "" : "i";
+  if (this.matchType === AUTO_REPLY_MATCH_TYPES.REGEX) {
+    // Bounds the time a slow pattern can take on a long message
+    return new RegExp(this.pattern, flags).test(
+      text.slice(0, DEFAULTS.AUTO_REPLY_REGEX_MAX_INPUT)
+    );
+  }
+
+  const body = this.caseSensitive ? text.trim() : text.trim().toLowerCase();
+  const pattern = this.caseSensitive
+    ? this.pattern.trim()
+    : this.pattern.trim().toLowerCase();
+
+  switch (this.matchType) {
+    case AUTO_REPLY_MATCH_TYPES.EXACT:
+      return body === pattern;
+    case AUTO_REPLY_MATCH_TYPES.STARTS_WITH:
+      return body.startsWith(pattern);
+    default:
+      return body.includes(pattern);
+  }
+};
+
+/**
+ * Whether the rule is active at a wall-clock time
+ * @param {Object} parts - { hour, minute, weekday } in the bot's timezone
+ */
+autoReplyRuleSchema.methods.isActiveAt = function ({ hour, minute, weekday }) {
+  if (!this.activeHours) return true;
+
+  const { start, end, days } = this.activeHours;
+  const toMinutes = (time) => {
+    const [h, m] = time.split(":").map(Number);
+    return h * 60 + m;
+  };
+  const now = hour * 60 + minute;
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+
+  // A window like 22:00-06:00 runs past midnight and belongs to the day it
+  // starts on
+  const overnight = from > to;
+  const inWindow = overnight
+    ? now >= from || now < to
+    : now >= from && now < to;
+  if (!inWindow) return false;
+  if (!days?.length) return true;
+
+  const day = overnight && now < to ? (weekday + 6) % 7 : weekday;
+  return days.includes(day);
+};
+
+// Static methods
+autoReplyRuleSchema.statics.getRules = async function (options = {}) {
+  const { enabledOnly = false } = options;
+  const query = enabledOnly ? { enabled: true } : {};
+  return this.find(query).sort({ priority: 1, createdAt: 1 });
+};
+
+autoReplyRuleSchema.statics.recordMatch = async function (ruleId) {
+  return this.updateOne(
+    { _id: ruleId },
+    { $inc: { matchCount: 1 }, $set: { lastMatchedAt: new Date() } }
+  );
+};
+
+const AutoReplyRule = mongoose.model("AutoReplyRule", autoReplyRuleSchema);
+
+module.exports = AutoReplyRule;
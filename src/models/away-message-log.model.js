@@ -0,0 +1,67 @@
+/**
+ * Away Message Log Model
+ * Contacts that received the away message, one entry per away period
+ */
+
+const mongoose = require("mongoose");
+const sessionScopePlugin = require("./session-scope.plugin");
+
+// Log entries are kept for 90 days
+const AWAY_LOG_TTL = 90 * 24 * 60 * 60; // seconds
+
+const awayMessageLogSchema = new mongoose.Schema(
+  {
+    contactId: {
+      type: String,
+      required: true,
+    },
+    contactName: {
+      type: String,
+      default: null,
+    },
+    // When business hours resume; identifies the away period
+    periodEndsAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+awayMessageLogSchema.plugin(sessionScopePlugin);
+
+// At most one away message per contact and period, across instances
+awayMessageLogSchema.index(
+  { sessionId: 1, contactId: 1, periodEndsAt: 1 },
+  { unique: true }
+);
+awayMessageLogSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: AWAY_LOG_TTL }
+);
+
+// Static methods
+awayMessageLogSchema.statics.claim = async function (
+  contactId,
+  periodEndsAt,
+  contactName = null
+) {
+  try {
+    return await this.create({ contactId, periodEndsAt, contactName });
+  } catch (error) {
+    // Already answered in this period
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+awayMessageLogSchema.statics.getLog = async function (options = {}) {
+  const { limit = 100 } = options;
+  return this.find().sort({ createdAt: -1 }).limit(limit).lean();
+};
+
+const AwayMessageLog = mongoose.model("AwayMessageLog", awayMessageLogSchema);
+
+module.exports = AwayMessageLog;
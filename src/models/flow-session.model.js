@@ -0,0 +1,143 @@
+/**
+ * Flow Session Model
+ * Where a contact is in a flow and the answers collected so far
+ */
+
+const mongoose = require("mongoose");
+const { FLOW_SESSION_STATUS } = require("../config/constants");
+const sessionScopePlugin = require("./session-scope.plugin");
+
+// Finished sessions are kept for 30 days
+const FLOW_SESSION_TTL = 30 * 24 * 60 * 60; // seconds
+
+// Steps kept per session for inspection
+const HISTORY_LIMIT = 50;
+
+const historySchema = new mongoose.Schema(
+  {
+    nodeId: { type: String, required: true },
+    input: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const flowSessionSchema = new mongoose.Schema(
+  {
+    flowId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Flow",
+      required: true,
+    },
+    flowName: {
+      type: String,
+      default: "",
+    },
+    chatId: {
+      type: String,
+      required: true,
+    },
+    // Sender; differs from chatId in groups
+    contactId: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(FLOW_SESSION_STATUS),
+      default: FLOW_SESSION_STATUS.ACTIVE,
+    },
+    // Node waiting for an answer
+    currentNode: {
+      type: String,
+      default: null,
+    },
+    answers: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+    history: [historySchema],
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+flowSessionSchema.plugin(sessionScopePlugin);
+
+// One active session per contact and chat, across instances
+flowSessionSchema.index(
+  { sessionId: 1, chatId: 1, contactId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: FLOW_SESSION_STATUS.ACTIVE },
+  }
+);
+flowSessionSchema.index({ status: 1, expiresAt: 1 });
+flowSessionSchema.index(
+  { endedAt: 1 },
+  { expireAfterSeconds: FLOW_SESSION_TTL }
+);
+
+// Instance methods
+flowSessionSchema.methods.isExpired = function () {
+  return Boolean(this.expiresAt && this.expiresAt <= new Date());
+};
+
+flowSessionSchema.methods.recordStep = function (nodeId, input) {
+  this.history.push({ nodeId, input });
+  if (this.history.length > HISTORY_LIMIT) {
+    this.history.splice(0, this.history.length - HISTORY_LIMIT);
+  }
+};
+
+flowSessionSchema.methods.end = async function (status) {
+  this.status = status;
+  this.endedAt = new Date();
+  this.expiresAt = null;
+  return this.save();
+};
+
+// Static methods
+flowSessionSchema.statics.findActive = async function (chatId, contactId) {
+  return this.findOne({
+    chatId,
+    contactId,
+    status: FLOW_SESSION_STATUS.ACTIVE,
+  });
+};
+
+flowSessionSchema.statics.expireStale = async function () {
+  const now = new Date();
+  return this.updateMany(
+    { status: FLOW_SESSION_STATUS.ACTIVE, expiresAt: { $lte: now } },
+    {
+      $set: {
+        status: FLOW_SESSION_STATUS.TIMED_OUT,
+        endedAt: now,
+        expiresAt: null,
+      },
+    }
+  );
+};
+
+flowSessionSchema.statics.getSessions = async function (options = {}) {
+  const { status, flowId, limit = 100 } = options;
+  const query = {};
+  if (status) query.status = status;
+  if (flowId) query.flowId = flowId;
+  return this.find(query).sort({ updatedAt: -1 }).limit(limit);
+};
+
+const FlowSession = mongoose.model("FlowSession", flowSessionSchema);
+
+module.exports = FlowSession;
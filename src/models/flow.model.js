@@ -0,0 +1,196 @@
+/**
+ * Flow Model
+ * Multi-step conversations built from nodes and transitions
+ */
+
+const mongoose = require("mongoose");
+const {
+  AUTO_REPLY_SCOPES,
+  FLOW_NODE_TYPES,
+  DEFAULTS,
+} = require("../config/constants");
+const { isGroupId } = require("../utils/helpers");
+
+// A menu choice; the contact answers with key (or the label)
+const optionSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    label: { type: String, required: true },
+    next: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const nodeSchema = new mongoose.Schema(
+  {
+    id: { type: String, required: true, trim: true },
+    type: {
+      type: String,
+      enum: Object.values(FLOW_NODE_TYPES),
+      required: true,
+    },
+    // May reference collected answers as {variable}
+    text: { type: String, default: "" },
+    options: [optionSchema],
+    // Answer of a question (or the chosen menu label) is stored under this
+    variable: { type: String, default: null },
+    // Following node; a message node without one ends the flow
+    next: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const flowSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Messages that start the flow (case-insensitive, whole message)
+    triggers: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    scope: {
+      type: String,
+      enum: [
+        AUTO_REPLY_SCOPES.ALL,
+        AUTO_REPLY_SCOPES.GROUPS,
+        AUTO_REPLY_SCOPES.DIRECT,
+      ],
+      default: AUTO_REPLY_SCOPES.DIRECT,
+    },
+    startNode: {
+      type: String,
+      required: true,
+    },
+    nodes: [nodeSchema],
+    // Sessions waiting longer than this for an answer time out
+    timeoutMinutes: {
+      type: Number,
+      default: DEFAULTS.FLOW_SESSION_TIMEOUT,
+      min: 1,
+    },
+    invalidOptionText: {
+      type: String,
+      default:
+        "Sorry, I didn't get that. Please reply with one of the options.",
+    },
+    // Stops the flow at any step
+    cancelKeyword: {
+      type: String,
+      default: "cancel",
+    },
+    cancelText: {
+      type: String,
+      default: "Okay, we've stopped here.",
+    },
+    startCount: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+flowSchema.index({ enabled: 1 });
+
+// Every transition has to land on a node of this flow
+flowSchema.pre("validate", function (next) {
+  const ids = new Set();
+  for (const node of this.nodes) {
+    if (ids.has(node.id)) {
+      this.invalidate("nodes", `Duplicate node id "${node.id}"`);
+      return next();
+    }
+    ids.add(node.id);
+  }
+
+  if (this.startNode && !ids.has(this.startNode)) {
+    this.invalidate("startNode", `Unknown start node "${this.startNode}"`);
+  }
+
+  for (const node of this.nodes) {
+    const targets = [
+      node.next,
+      ...node.options.map((option) => option.next),
+    ].filter(Boolean);
+    const missing = targets.find((target) => !ids.has(target));
+    if (missing) {
+      this.invalidate(
+        "nodes",
+        `Node "${node.id}" points to unknown node "${missing}"`
+      );
+    }
+
+    if (node.type === FLOW_NODE_TYPES.MENU && node.options.length === 0) {
+      this.invalidate("nodes", `Menu node "${node.id}" has no options`);
+    }
+    if (node.type === FLOW_NODE_TYPES.QUESTION) {
+      if (!node.variable) {
+        this.invalidate("nodes", `Question node "${node.id}" needs a variable`);
+      }
+      if (!node.next) {
+        this.invalidate(
+          "nodes",
+          `Question node "${node.id}" needs a next node`
+        );
+      }
+    }
+  }
+
+  next();
+});
+
+// Instance methods
+flowSchema.methods.getNode = function (nodeId) {
+  return this.nodes.find((node) => node.id === nodeId) || null;
+};
+
+flowSchema.methods.appliesTo = function (chatId) {
+  switch (this.scope) {
+    case AUTO_REPLY_SCOPES.GROUPS:
+      return isGroupId(chatId);
+    case AUTO_REPLY_SCOPES.DIRECT:
+      return !isGroupId(chatId);
+    default:
+      return true;
+  }
+};
+
+flowSchema.methods.isTriggeredBy = function (text) {
+  const body = text.trim().toLowerCase();
+  return this.triggers.some((trigger) => trigger.toLowerCase() === body);
+};
+
+// Static methods
+flowSchema.statics.getFlows = async function (options = {}) {
+  const { enabledOnly = false } = options;
+  const query = enabledOnly ? { enabled: true } : {};
+  return this.find(query).sort({ createdAt: 1 });
+};
+
+flowSchema.statics.recordStart = async function (flowId) {
+  return this.updateOne({ _id: flowId }, { $inc: { startCount: 1 } });
+};
+
+const Flow = mongoose.model("Flow", flowSchema);
+
+module.exports = Flow;
@@ -4,14 +4,44 @@
  */
 
 const Session = require("./session.model");
+const SessionEvent = require("./session-event.model");
 const Watchlist = require("./watchlist.model");
 const Message = require("./message.model");
+const ArchivedMessage = require("./archived-message.model");
 const { GroupSettings, GlobalSettings } = require("./settings.model");
+const ModerationLog = require("./moderation.model");
+const WebhookDelivery = require("./webhook-delivery.model");
+const ApiKey = require("./api-key.model");
+const AuthToken = require("./auth-token.model");
+const User = require("./user.model");
+const RateLimit = require("./rate-limit.model");
+const ScheduledMessage = require("./scheduled-message.model");
+const MediaAsset = require("./media-asset.model");
+const AutoReplyRule = require("./auto-reply-rule.model");
+const AwayMessageLog = require("./away-message-log.model");
+const Flow = require("./flow.model");
+const FlowSession = require("./flow-session.model");
+const AuditLog = require("./audit-log.model");
 
 module.exports = {
   Session,
+  SessionEvent,
   Watchlist,
   Message,
+  ArchivedMessage,
   GroupSettings,
   GlobalSettings,
+  ModerationLog,
+  WebhookDelivery,
+  ApiKey,
+  AuthToken,
+  User,
+  RateLimit,
+  ScheduledMessage,
+  MediaAsset,
+  AutoReplyRule,
+  AwayMessageLog,
+  Flow,
+  FlowSession,
+  AuditLog,
 };
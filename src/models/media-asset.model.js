@@ -0,0 +1,39 @@
+/**
+ * Media Asset Model
+ * Files uploaded from the dashboard for auto-messages
+ */
+
+const mongoose = require("mongoose");
+
+const mediaAssetSchema = new mongoose.Schema(
+  {
+    filename: {
+      type: String,
+      default: null,
+    },
+    mimetype: {
+      type: String,
+      required: true,
+    },
+    // Base64 encoded file contents
+    data: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const MediaAsset = mongoose.model("MediaAsset", mediaAssetSchema);
+
+module.exports = MediaAsset;
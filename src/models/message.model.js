@@ -5,13 +5,14 @@
 
 const mongoose = require("mongoose");
 const { MESSAGE_TYPES, MESSAGE_ACK } = require("../config/constants");
+const { GlobalSettings } = require("./settings.model");
+const sessionScopePlugin = require("./session-scope.plugin");
 
 const messageSchema = new mongoose.Schema(
   {
     messageId: {
       type: String,
       required: true,
-      unique: true,
       index: true,
     },
     chatId: {
@@ -131,7 +132,10 @@ const messageSchema = new mongoose.Schema(
   }
 );
 
+messageSchema.plugin(sessionScopePlugin);
+
 // Compound indexes for common queries
+messageSchema.index({ sessionId: 1, messageId: 1 }, { unique: true });
 messageSchema.index({ chatId: 1, timestamp: -1 });
 messageSchema.index({ chatId: 1, isDeleted: 1, timestamp: -1 });
 messageSchema.index({ from: 1, timestamp: -1 });
@@ -179,6 +183,10 @@ messageSchema.methods.markAsEdited = async function (newBody) {
 
 // Static methods
 messageSchema.statics.logMessage = async function (message) {
+  // Nothing is stored while logging is turned off
+  const { enableLogging } = await GlobalSettings.getSettings();
+  if (!enableLogging) return null;
+
   const existingMessage = await this.findOne({
     messageId: message.id?._serialized || message.id,
   });
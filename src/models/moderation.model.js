@@ -0,0 +1,82 @@
+/**
+ * Moderation Log Model
+ * Stores strikes issued by automated group moderation
+ */
+
+const mongoose = require("mongoose");
+const { MODERATION_TYPES } = require("../config/constants");
+
+const moderationLogSchema = new mongoose.Schema(
+  {
+    groupId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    participantId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(MODERATION_TYPES),
+      required: true,
+    },
+    action: {
+      type: String,
+      required: true,
+    },
+    success: {
+      type: Boolean,
+      default: true,
+    },
+    reason: {
+      type: String,
+      default: "",
+    },
+    messageId: {
+      type: String,
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Compound indexes for common queries
+moderationLogSchema.index({ groupId: 1, createdAt: -1 });
+moderationLogSchema.index({ groupId: 1, participantId: 1, createdAt: -1 });
+
+// Static methods
+moderationLogSchema.statics.recordStrike = async function (strike) {
+  return this.create(strike);
+};
+
+moderationLogSchema.statics.getGroupHistory = async function (
+  groupId,
+  options = {}
+) {
+  const { limit = 50, type = null, participantId = null } = options;
+
+  const query = { groupId };
+  if (type) query.type = type;
+  if (participantId) query.participantId = participantId;
+
+  return this.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+};
+
+moderationLogSchema.statics.countStrikes = async function (
+  groupId,
+  participantId
+) {
+  return this.countDocuments({ groupId, participantId });
+};
+
+const ModerationLog = mongoose.model("ModerationLog", moderationLogSchema);
+
+module.exports = ModerationLog;
@@ -0,0 +1,61 @@
+/**
+ * Rate Limit Model
+ * Shared request counters so limits hold across PM2 cluster instances
+ */
+
+const mongoose = require("mongoose");
+
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Counters are removed by MongoDB once their window is over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+rateLimitSchema.statics.hit = async function (key, windowMs) {
+  const now = new Date();
+  const isCurrent = { $gt: ["$resetAt", now] };
+
+  // Single atomic update: count up within the window, otherwise start a new one
+  const update = [
+    {
+      $set: {
+        count: { $cond: [isCurrent, { $add: ["$count", 1] }, 1] },
+        resetAt: {
+          $cond: [isCurrent, "$resetAt", new Date(now.getTime() + windowMs)],
+        },
+      },
+    },
+  ];
+
+  try {
+    return await this.findOneAndUpdate({ key }, update, {
+      upsert: true,
+      new: true,
+      lean: true,
+    });
+  } catch (error) {
+    // Two instances upserting the same new key at once; the retry updates
+    if (error.code === 11000) {
+      return this.findOneAndUpdate({ key }, update, { new: true, lean: true });
+    }
+    throw error;
+  }
+};
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+module.exports = RateLimit;
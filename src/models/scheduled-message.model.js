@@ -0,0 +1,164 @@
+/**
+ * Scheduled Message Model
+ * One-off and recurring messages sent by the scheduler
+ */
+
+const mongoose = require("mongoose");
+const {
+  SCHEDULED_MESSAGE_TYPES,
+  SCHEDULE_STATUS,
+} = require("../config/constants");
+const sessionScopePlugin = require("./session-scope.plugin");
+
+// Same inputs as messageService.sendMedia
+const mediaSchema = new mongoose.Schema(
+  {
+    url: { type: String },
+    path: { type: String },
+    base64: { type: String },
+    mimetype: { type: String },
+    filename: { type: String },
+    caption: { type: String, default: "" },
+    sendAsDocument: { type: Boolean, default: false },
+    sendAsSticker: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const pollSchema = new mongoose.Schema(
+  {
+    question: { type: String, required: true },
+    options: [{ type: String }],
+    allowMultipleAnswers: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const locationSchema = new mongoose.Schema(
+  {
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    name: { type: String },
+    address: { type: String },
+  },
+  { _id: false }
+);
+
+const scheduledMessageSchema = new mongoose.Schema(
+  {
+    chatId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    chatName: {
+      type: String,
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: Object.values(SCHEDULED_MESSAGE_TYPES),
+      default: SCHEDULED_MESSAGE_TYPES.TEXT,
+    },
+    content: {
+      type: String,
+      default: "",
+    },
+    media: {
+      type: mediaSchema,
+      default: null,
+    },
+    poll: {
+      type: pollSchema,
+      default: null,
+    },
+    location: {
+      type: locationSchema,
+      default: null,
+    },
+    // One-off send time; null for recurring messages
+    sendAt: {
+      type: Date,
+      default: null,
+    },
+    // Five-field cron expression in GlobalSettings.timezone
+    cron: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: Object.values(SCHEDULE_STATUS),
+      default: SCHEDULE_STATUS.SCHEDULED,
+    },
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    runCount: {
+      type: Number,
+      default: 0,
+    },
+    // Set while an instance is sending, so others skip the message
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+scheduledMessageSchema.plugin(sessionScopePlugin);
+
+scheduledMessageSchema.index({ sessionId: 1, status: 1, nextRunAt: 1 });
+
+// Instance methods
+scheduledMessageSchema.methods.isRecurring = function () {
+  return Boolean(this.cron);
+};
+
+// Static methods
+scheduledMessageSchema.statics.claimDue = async function (lockMs) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      status: SCHEDULE_STATUS.SCHEDULED,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $set: { lockedUntil: new Date(now.getTime() + lockMs) } },
+    { sort: { nextRunAt: 1 }, new: true }
+  );
+};
+
+scheduledMessageSchema.statics.getSchedules = async function (options = {}) {
+  const { limit = 100, status = null, chatId = null } = options;
+
+  const query = {};
+  if (status) query.status = status;
+  if (chatId) query.chatId = chatId;
+
+  return this.find(query).sort({ nextRunAt: 1, createdAt: -1 }).limit(limit);
+};
+
+const ScheduledMessage = mongoose.model(
+  "ScheduledMessage",
+  scheduledMessageSchema
+);
+
+module.exports = ScheduledMessage;
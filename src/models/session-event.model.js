@@ -0,0 +1,62 @@
+/**
+ * Session Event Model
+ * Status transitions of a WhatsApp session's client, for history and
+ * uptime reporting
+ */
+
+const mongoose = require("mongoose");
+const { CLIENT_STATUS } = require("../config/constants");
+const sessionScopePlugin = require("./session-scope.plugin");
+
+// History is kept for 90 days
+const SESSION_EVENT_TTL = 90 * 24 * 60 * 60; // seconds
+
+const sessionEventSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(CLIENT_STATUS),
+      required: true,
+    },
+    previousStatus: {
+      type: String,
+      default: null,
+    },
+    // From the disconnected or auth_failure event, or why we stopped it
+    reason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+sessionEventSchema.plugin(sessionScopePlugin);
+
+sessionEventSchema.index({ sessionId: 1, createdAt: -1 });
+sessionEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: SESSION_EVENT_TTL }
+);
+
+// Static methods
+sessionEventSchema.statics.getLatest = async function (sessionId, before) {
+  const query = before
+    ? { sessionId, createdAt: { $lt: before } }
+    : { sessionId };
+  return this.findOne(query).sort({ createdAt: -1 }).lean();
+};
+
+sessionEventSchema.statics.getHistory = async function (
+  sessionId,
+  options = {}
+) {
+  const { limit = 100 } = options;
+  return this.find({ sessionId }).sort({ createdAt: -1 }).limit(limit).lean();
+};
+
+const SessionEvent = mongoose.model("SessionEvent", sessionEventSchema);
+
+module.exports = SessionEvent;
@@ -0,0 +1,52 @@
+/**
+ * Session Scope Plugin
+ * Tags documents with the WhatsApp session they belong to and limits
+ * queries to the current session (see utils/session-context)
+ *
+ * Outside a session context (background jobs) queries see every session.
+ * A query that filters on sessionId itself is left alone.
+ */
+
+const { DEFAULTS } = require("../config/constants");
+const { getSessionScope } = require("../utils/session-context");
+
+const QUERY_HOOKS = [
+  "countDocuments",
+  "deleteMany",
+  "deleteOne",
+  "distinct",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+];
+
+function sessionScopePlugin(schema) {
+  schema.add({
+    sessionId: {
+      type: String,
+      default: () => getSessionScope() || DEFAULTS.SESSION_ID,
+    },
+  });
+
+  schema.pre(QUERY_HOOKS, function () {
+    const sessionId = getSessionScope();
+    if (sessionId && !("sessionId" in this.getFilter())) {
+      this.where({ sessionId });
+    }
+  });
+
+  schema.pre("aggregate", function () {
+    const sessionId = getSessionScope();
+    const [first] = this.pipeline();
+    if (sessionId && !(first?.$match && "sessionId" in first.$match)) {
+      this.pipeline().unshift({ $match: { sessionId } });
+    }
+  });
+}
+
+module.exports = sessionScopePlugin;
@@ -14,6 +14,16 @@ const sessionSchema = new mongoose.Schema(
       unique: true,
       default: "default",
     },
+    label: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Start the client when the server starts (false once stopped)
+    autoStart: {
+      type: Boolean,
+      default: true,
+    },
     phoneNumber: {
       type: String,
       default: null,
@@ -4,7 +4,13 @@
  */
 
 const mongoose = require("mongoose");
-const { AUTO_MESSAGE_TYPES } = require("../config/constants");
+const {
+  AUTO_MESSAGE_TYPES,
+  AUTO_MESSAGE_MEDIA_TYPES,
+  RETENTION_ACTIONS,
+} = require("../config/constants");
+const { isValidTimezone } = require("../utils/cron");
+const sessionScopePlugin = require("./session-scope.plugin");
 
 // Auto-message configuration sub-schema
 const autoMessageConfigSchema = new mongoose.Schema(
@@ -33,10 +39,44 @@ const autoMessageConfigSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Uploaded from the dashboard; used when mediaUrl is empty
+    mediaAssetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MediaAsset",
+      default: null,
+    },
+    mediaType: {
+      type: String,
+      enum: Object.values(AUTO_MESSAGE_MEDIA_TYPES),
+      default: AUTO_MESSAGE_MEDIA_TYPES.IMAGE,
+    },
     delay: {
       type: Number,
       default: 3000, // Delay in ms before sending
     },
+    // Announcements only: cron expression in GlobalSettings.timezone
+    cron: {
+      type: String,
+      default: null,
+    },
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastSentAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// One opening window; "HH:MM" in GlobalSettings.timezone
+const businessHoursSchema = new mongoose.Schema(
+  {
+    day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+    start: { type: String, required: true },
+    end: { type: String, required: true },
   },
   { _id: false }
 );
@@ -47,7 +87,6 @@ const groupSettingsSchema = new mongoose.Schema(
     groupId: {
       type: String,
       required: true,
-      unique: true,
       index: true,
     },
     groupName: {
@@ -79,6 +118,15 @@ const groupSettingsSchema = new mongoose.Schema(
           mentionUser: false,
         }),
       },
+      announcement: {
+        type: autoMessageConfigSchema,
+        default: () => ({
+          enabled: false,
+          message: "",
+          mentionUser: false,
+          cron: "0 9 * * mon",
+        }),
+      },
     },
     groupRules: {
       type: String,
@@ -142,6 +190,8 @@ const globalSettingsSchema = new mongoose.Schema(
     botName: {
       type: String,
       default: "WhatsApp Bot",
+      trim: true,
+      required: true,
     },
     botDescription: {
       type: String,
@@ -150,43 +200,81 @@ const globalSettingsSchema = new mongoose.Schema(
     defaultCommandPrefix: {
       type: String,
       default: "!",
+      required: true,
     },
     maxMessagesPerMinute: {
       type: Number,
       default: 30,
+      min: 1,
     },
     enableLogging: {
       type: Boolean,
       default: true,
     },
+    // Logged messages older than this are removed; watchlist items can
+    // override it and starred messages are kept
     logRetentionDays: {
       type: Number,
       default: 30,
+      min: 1,
+    },
+    logRetentionAction: {
+      type: String,
+      enum: Object.values(RETENTION_ACTIONS),
+      default: RETENTION_ACTIONS.DELETE,
     },
+    // Templates new groups start with
     defaultWelcomeMessage: {
       type: String,
-      default: "Welcome to the group! 👋",
+      default: "Welcome to the group, @{user}! 👋",
     },
     defaultFarewellMessage: {
       type: String,
-      default: "Goodbye! 👋",
+      default: "Goodbye, {user}! We'll miss you. 👋",
     },
     timezone: {
       type: String,
       default: "UTC",
+      validate: {
+        validator: isValidTimezone,
+        message: (props) => `Invalid timezone "${props.value}"`,
+      },
     },
+    disabledCommands: [
+      {
+        type: String,
+      },
+    ],
     maintenanceMode: {
       type: Boolean,
       default: false,
     },
+    // Automatic reply to private chats outside business hours
+    awayMode: {
+      enabled: { type: Boolean, default: false },
+      message: {
+        type: String,
+        default:
+          "Thanks for your message! We're away right now and will get back to you during business hours.",
+      },
+      businessHours: {
+        type: [businessHoursSchema],
+        default: () =>
+          [1, 2, 3, 4, 5].map((day) => ({ day, start: "09:00", end: "17:00" })),
+      },
+      // "YYYY-MM-DD" days that are closed all day
+      holidays: [{ type: String }],
+    },
     webhooks: [
       {
         name: { type: String },
         url: { type: String },
         events: [{ type: String }],
         enabled: { type: Boolean, default: true },
+        secret: { type: String },
       },
     ],
+    // Where alerts go when the bot goes down (see services/alert.service)
     notifications: {
       email: {
         enabled: { type: Boolean, default: false },
@@ -196,6 +284,10 @@ const globalSettingsSchema = new mongoose.Schema(
         enabled: { type: Boolean, default: false },
         webhookUrl: { type: String },
       },
+      http: {
+        enabled: { type: Boolean, default: false },
+        url: { type: String },
+      },
     },
   },
   {
@@ -203,6 +295,14 @@ const globalSettingsSchema = new mongoose.Schema(
   }
 );
 
+groupSettingsSchema.plugin(sessionScopePlugin);
+
+groupSettingsSchema.index({ sessionId: 1, groupId: 1 }, { unique: true });
+groupSettingsSchema.index({
+  "autoMessages.announcement.enabled": 1,
+  "autoMessages.announcement.nextRunAt": 1,
+});
+
 // Instance methods for GroupSettings
 groupSettingsSchema.methods.updateAutoMessage = async function (type, config) {
   if (!Object.values(AUTO_MESSAGE_TYPES).includes(type)) {
@@ -225,11 +325,32 @@ groupSettingsSchema.methods.setGroupRules = async function (rules) {
   return this.save();
 };
 
+groupSettingsSchema.methods.setCommandEnabled = async function (name, enabled) {
+  if (enabled) {
+    this.disabledCommands = this.disabledCommands.filter((c) => c !== name);
+    // Keep an existing allow-list consistent
+    if (
+      this.enabledCommands.length > 0 &&
+      !this.enabledCommands.includes(name)
+    ) {
+      this.enabledCommands.push(name);
+    }
+  } else if (!this.disabledCommands.includes(name)) {
+    this.disabledCommands.push(name);
+  }
+  return this.save();
+};
+
 // Static methods for GroupSettings
 groupSettingsSchema.statics.getOrCreate = async function (groupId, groupName) {
   let settings = await this.findOne({ groupId });
   if (!settings) {
-    settings = await this.create({ groupId, groupName });
+    // New groups start from the global default welcome/farewell texts
+    const defaults = await GlobalSettings.getSettings();
+    settings = new this({ groupId, groupName });
+    settings.autoMessages.welcome.message = defaults.defaultWelcomeMessage;
+    settings.autoMessages.farewell.message = defaults.defaultFarewellMessage;
+    await settings.save();
   }
   return settings;
 };
@@ -241,6 +362,71 @@ groupSettingsSchema.statics.getGroupsWithAutoMessage = async function (type) {
   }).lean();
 };
 
+groupSettingsSchema.statics.getDueAnnouncements = async function () {
+  return this.find({
+    "autoMessages.announcement.enabled": true,
+    "autoMessages.announcement.nextRunAt": { $lte: new Date() },
+    isActive: true,
+  });
+};
+
+// Moves nextRunAt forward only if no other instance did so first
+groupSettingsSchema.statics.claimAnnouncement = async function (
+  settings,
+  nextRunAt
+) {
+  const result = await this.updateOne(
+    {
+      _id: settings._id,
+      "autoMessages.announcement.nextRunAt":
+        settings.autoMessages.announcement.nextRunAt,
+    },
+    {
+      $set: {
+        "autoMessages.announcement.nextRunAt": nextRunAt,
+        "autoMessages.announcement.lastSentAt": new Date(),
+      },
+    }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Field each alert channel sends to (see services/notifiers)
+const NOTIFICATION_TARGETS = {
+  email: "address",
+  slack: "webhookUrl",
+  http: "url",
+};
+
+// Checks the channels as merged, since an update may enable a channel
+// without sending its address
+globalSettingsSchema.pre("validate", function (next) {
+  if (this.isModified("notifications")) {
+    for (const [channel, field] of Object.entries(NOTIFICATION_TARGETS)) {
+      const config = this.notifications?.[channel];
+      if (config?.enabled && !config[field]) {
+        this.invalidate(
+          `notifications.${channel}.${field}`,
+          `notifications: ${channel}.${field} is required when enabled`
+        );
+      }
+    }
+  }
+  next();
+});
+
+// Instance methods for GlobalSettings
+globalSettingsSchema.methods.setCommandEnabled = async function (
+  name,
+  enabled
+) {
+  this.disabledCommands = this.disabledCommands.filter((c) => c !== name);
+  if (!enabled) {
+    this.disabledCommands.push(name);
+  }
+  return this.save();
+};
+
 // Static methods for GlobalSettings
 globalSettingsSchema.statics.getSettings = async function () {
   let settings = await this.findOne({ settingsId: "global" });
@@ -254,7 +440,7 @@ globalSettingsSchema.statics.updateSettings = async function (updates) {
   return this.findOneAndUpdate(
     { settingsId: "global" },
     { $set: updates },
-    { new: true, upsert: true }
+    { new: true, upsert: true, runValidators: true }
   );
 };
 
@@ -0,0 +1,87 @@
+/**
+ * User Model
+ * Dashboard operators and their roles
+ */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { ROLES } = require("../config/constants");
+
+// scrypt parameters for password hashes stored as "salt:hash"
+const PASSWORD_KEY_LENGTH = 64;
+const PASSWORD_SALT_BYTES = 16;
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+}
+
+const userSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    displayName: {
+      type: String,
+      default: "",
+    },
+    passwordHash: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      default: ROLES.VIEWER,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    lastLoginAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Instance methods
+userSchema.methods.setPassword = async function (password) {
+  const salt = crypto.randomBytes(PASSWORD_SALT_BYTES).toString("hex");
+  const key = await scrypt(password, salt);
+  this.passwordHash = `${salt}:${key.toString("hex")}`;
+};
+
+userSchema.methods.verifyPassword = async function (password) {
+  const [salt, hash] = (this.passwordHash || "").split(":");
+  if (!salt || !hash) return false;
+
+  const key = await scrypt(password, salt);
+  const expected = Buffer.from(hash, "hex");
+  return (
+    expected.length === key.length && crypto.timingSafeEqual(key, expected)
+  );
+};
+
+// Static methods
+userSchema.statics.findByUsername = async function (username) {
+  return this.findOne({ username: String(username).toLowerCase().trim() });
+};
+
+userSchema.statics.countActiveOwners = async function () {
+  return this.countDocuments({ role: ROLES.OWNER, active: true });
+};
+
+const User = mongoose.model("User", userSchema);
+
+module.exports = User;
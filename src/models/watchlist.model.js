@@ -5,13 +5,14 @@
 
 const mongoose = require("mongoose");
 const { CHAT_TYPES } = require("../config/constants");
+const sessionScopePlugin = require("./session-scope.plugin");
+const { getCurrentSessionId } = require("../utils/session-context");
 
 const watchlistSchema = new mongoose.Schema(
   {
     chatId: {
       type: String,
       required: true,
-      unique: true,
       index: true,
     },
     chatName: {
@@ -70,6 +71,12 @@ const watchlistSchema = new mongoose.Schema(
         type: String,
       },
     ],
+    // Overrides GlobalSettings.logRetentionDays for this chat
+    retentionDays: {
+      type: Number,
+      default: null,
+      min: 1,
+    },
     addedAt: {
       type: Date,
       default: Date.now,
@@ -80,7 +87,10 @@ const watchlistSchema = new mongoose.Schema(
   }
 );
 
+watchlistSchema.plugin(sessionScopePlugin);
+
 // Compound index for efficient queries
+watchlistSchema.index({ sessionId: 1, chatId: 1 }, { unique: true });
 watchlistSchema.index({ isActive: 1, order: 1 });
 watchlistSchema.index({ isActive: 1, pinned: -1, "lastMessage.timestamp": -1 });
 
@@ -159,9 +169,11 @@ watchlistSchema.statics.updateChatInfo = async function (chatId, updates) {
 };
 
 watchlistSchema.statics.reorder = async function (orderedIds) {
+  // bulkWrite skips query middleware, so scope to the session here
+  const sessionId = getCurrentSessionId();
   const bulkOps = orderedIds.map((chatId, index) => ({
     updateOne: {
-      filter: { chatId },
+      filter: { sessionId, chatId },
       update: { order: index },
     },
   }));
@@ -0,0 +1,85 @@
+/**
+ * Webhook Delivery Model
+ * Delivery log for outgoing webhooks configured in GlobalSettings
+ */
+
+const mongoose = require("mongoose");
+
+// Delivery logs are kept for 7 days
+const DELIVERY_LOG_TTL = 7 * 24 * 60 * 60; // seconds
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    webhookName: {
+      type: String,
+      default: "",
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    deliveryId: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["success", "failed"],
+      required: true,
+    },
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: DELIVERY_LOG_TTL }
+);
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+// Static methods
+webhookDeliverySchema.statics.getDeliveries = async function (
+  webhookId,
+  options = {}
+) {
+  const { limit = 50, status = null } = options;
+
+  const query = { webhookId };
+  if (status) query.status = status;
+
+  return this.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+};
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+
+module.exports = WebhookDelivery;
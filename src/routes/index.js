@@ -1,6 +1,9 @@
 /**
  * API Routes
  * Defines all API endpoints
+ *
+ * Session-scoped routes are served under /api/sessions/:sessionId/... and,
+ * for the default session, directly under /api.
  */
 
 const express = require("express");
@@ -11,205 +14,914 @@ const {
   watchlistController,
   messageController,
   contactController,
+  commandController,
+  webhookController,
+  accessController,
+  userController,
+  queueController,
+  scheduleController,
+  autoReplyController,
+  awayController,
+  flowController,
+  settingsController,
+  sessionController,
 } = require("../controllers");
 const {
   validateBody,
   validateChatId,
+  validatePhoneNumber,
   validateParticipants,
   validateAutoMessage,
   validateMedia,
   validatePoll,
+  validateWebhook,
   sanitizeInput,
+  validateUser,
+  validateSession,
+  validateSchedule,
+  validateAutoReply,
+  validateAwayMode,
+  validateFlow,
+  validateSettings,
+  authenticate,
+  requirePermission,
+  apiRateLimit,
+  sendRateLimit,
+  blockDuringMaintenance,
+  withSession,
 } = require("../middlewares");
+const { PERMISSIONS } = require("../config/constants");
 
-const router = express.Router();
+const api = express.Router();
 
 // Apply sanitization to all routes
-router.use(sanitizeInput);
+api.use(sanitizeInput);
+
+// ==================== ACCESS ROUTES ====================
+api.post(
+  "/auth/login",
+  apiRateLimit,
+  validateBody(["username", "password"]),
+  accessController.login
+);
+
+// Everything below requires an API key or dashboard session token
+api.use(authenticate);
+api.use(apiRateLimit);
+
+// ==================== SESSION ROUTES ====================
+api.get(
+  "/sessions",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  sessionController.getSessions
+);
+api.post(
+  "/sessions",
+  requirePermission(PERMISSIONS.SESSIONS_MANAGE),
+  validateSession,
+  sessionController.createSession
+);
+api.get(
+  "/sessions/:sessionId",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  sessionController.getSession
+);
+api.post(
+  "/sessions/:sessionId/start",
+  requirePermission(PERMISSIONS.SESSIONS_MANAGE),
+  sessionController.startSession
+);
+api.post(
+  "/sessions/:sessionId/stop",
+  requirePermission(PERMISSIONS.SESSIONS_MANAGE),
+  sessionController.stopSession
+);
+api.delete(
+  "/sessions/:sessionId",
+  requirePermission(PERMISSIONS.SESSIONS_MANAGE),
+  sessionController.deleteSession
+);
+
+// Routes below run as a WhatsApp session (see the mounts at the end)
+const router = express.Router();
+
+router.get("/auth/me", accessController.getMe);
+router.delete("/auth/token", accessController.revokeToken);
+router.get(
+  "/auth/api-keys",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  accessController.getApiKeys
+);
+router.post(
+  "/auth/api-keys",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateBody(["name"]),
+  accessController.createApiKey
+);
+router.delete(
+  "/auth/api-keys/:keyId",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  accessController.revokeApiKey
+);
+
+// ==================== USER ROUTES ====================
+router.get(
+  "/users",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  userController.getUsers
+);
+router.get(
+  "/users/roles",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  userController.getRoles
+);
+router.post(
+  "/users",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateBody(["username", "password"]),
+  validateUser,
+  userController.createUser
+);
+router.put(
+  "/users/:userId",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateUser,
+  userController.updateUser
+);
+router.delete(
+  "/users/:userId",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  userController.deleteUser
+);
 
 // ==================== AUTH ROUTES ====================
-router.post("/auth/initialize", authController.initialize);
-router.get("/auth/qr", authController.getQR);
-router.get("/auth/status", authController.getStatus);
-router.get("/auth/info", authController.getInfo);
-router.post("/auth/logout", authController.logout);
-router.post("/auth/clear-session", authController.clearSession);
+router.post(
+  "/auth/initialize",
+  requirePermission(PERMISSIONS.SESSION_LOGOUT),
+  authController.initialize
+);
+router.get(
+  "/auth/qr",
+  requirePermission(PERMISSIONS.SESSION_LOGOUT),
+  authController.getQR
+);
+router.post(
+  "/auth/pairing-code",
+  requirePermission(PERMISSIONS.SESSION_LOGOUT),
+  validatePhoneNumber,
+  authController.requestPairingCode
+);
+router.get(
+  "/auth/pairing-code",
+  requirePermission(PERMISSIONS.SESSION_LOGOUT),
+  authController.getPairing
+);
+router.delete(
+  "/auth/pairing-code",
+  requirePermission(PERMISSIONS.SESSION_LOGOUT),
+  authController.cancelPairing
+);
+router.get(
+  "/auth/status",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  authController.getStatus
+);
+router.get(
+  "/auth/history",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  authController.getHistory
+);
+router.get(
+  "/auth/info",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  authController.getInfo
+);
+router.post(
+  "/auth/logout",
+  requirePermission(PERMISSIONS.SESSION_LOGOUT),
+  authController.logout
+);
+router.post(
+  "/auth/clear-session",
+  requirePermission(PERMISSIONS.SESSION_LOGOUT),
+  authController.clearSession
+);
 
 // ==================== GROUP ROUTES ====================
-router.get("/groups", groupController.getAllGroups);
-router.get("/groups/:id", groupController.getGroupById);
-router.get("/groups/:id/participants", groupController.getParticipants);
-router.post("/groups/:id/tag-all", groupController.tagAll);
+router.get(
+  "/groups",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  groupController.getAllGroups
+);
+router.get(
+  "/groups/:id",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  groupController.getGroupById
+);
+router.get(
+  "/groups/:id/participants",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  groupController.getParticipants
+);
+router.post(
+  "/groups/:id/tag-all",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  blockDuringMaintenance,
+  sendRateLimit,
+  groupController.tagAll
+);
 router.post(
   "/groups/:id/members/add",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
   validateParticipants,
   groupController.addParticipants
 );
 router.delete(
   "/groups/:id/members",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
   validateParticipants,
   groupController.removeParticipants
 );
 router.put(
   "/groups/:id/admins/promote",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
   validateParticipants,
   groupController.promoteAdmins
 );
 router.put(
   "/groups/:id/admins/demote",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
   validateParticipants,
   groupController.demoteAdmins
 );
 router.put(
   "/groups/:id/subject",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
   validateBody(["subject"]),
   groupController.updateSubject
 );
-router.put("/groups/:id/description", groupController.updateDescription);
-router.put("/groups/:id/settings", groupController.updateSettings);
-router.get("/groups/:id/invite", groupController.getInviteLink);
-router.post("/groups/:id/invite/revoke", groupController.revokeInviteLink);
-router.post("/groups/:id/leave", groupController.leaveGroup);
-router.get("/groups/:id/requests", groupController.getMembershipRequests);
-router.post("/groups/:id/requests/approve", groupController.approveRequests);
-router.post("/groups/:id/requests/reject", groupController.rejectRequests);
-router.get("/groups/:id/auto-message", groupController.getGroupSettings);
+router.put(
+  "/groups/:id/description",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  groupController.updateDescription
+);
+router.put(
+  "/groups/:id/settings",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  groupController.updateSettings
+);
+router.get(
+  "/groups/:id/invite",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  groupController.getInviteLink
+);
+router.post(
+  "/groups/:id/invite/revoke",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  groupController.revokeInviteLink
+);
+router.post(
+  "/groups/:id/leave",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  groupController.leaveGroup
+);
+router.get(
+  "/groups/:id/requests",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  groupController.getMembershipRequests
+);
+router.post(
+  "/groups/:id/requests/approve",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  groupController.approveRequests
+);
+router.post(
+  "/groups/:id/requests/reject",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  groupController.rejectRequests
+);
+router.get(
+  "/groups/:id/auto-message",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  groupController.getGroupSettings
+);
 router.put(
   "/groups/:id/auto-message",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
   validateAutoMessage,
   groupController.updateAutoMessage
 );
+router.post(
+  "/groups/:id/auto-message/preview",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  validateBody(["type"]),
+  validateAutoMessage,
+  groupController.previewAutoMessage
+);
 router.post(
   "/groups/:id/auto-message/:type/toggle",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
   groupController.toggleAutoMessage
 );
+router.put(
+  "/groups/:id/auto-message/:type/media",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  validateBody(["base64", "mimetype"]),
+  validateAutoMessage,
+  groupController.setAutoMessageMedia
+);
+router.delete(
+  "/groups/:id/auto-message/:type/media",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  groupController.removeAutoMessageMedia
+);
 router.put(
   "/groups/:id/rules",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
   validateBody(["rules"]),
   groupController.setGroupRules
 );
-router.get("/groups/:id/messages", groupController.getMessages);
+router.get(
+  "/groups/:id/moderation",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  groupController.getModerationHistory
+);
+router.get(
+  "/groups/:id/messages",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  groupController.getMessages
+);
 router.post(
   "/groups/:id/messages",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  blockDuringMaintenance,
+  sendRateLimit,
   validateBody(["content"]),
   groupController.sendMessage
 );
 
 // ==================== CHAT ROUTES ====================
-router.get("/chats", chatController.getAllChats);
-router.get("/chats/search", chatController.searchMessages);
-router.get("/chats/:id", chatController.getChatById);
-router.get("/chats/:id/messages", chatController.getMessages);
+router.get(
+  "/chats",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  chatController.getAllChats
+);
+router.get(
+  "/chats/search",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  chatController.searchMessages
+);
+router.get(
+  "/chats/:id",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  chatController.getChatById
+);
+router.get(
+  "/chats/:id/messages",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  chatController.getMessages
+);
 router.post(
   "/chats/:id/messages",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  blockDuringMaintenance,
+  sendRateLimit,
   validateBody(["content"]),
   chatController.sendMessage
 );
-router.post("/chats/:id/media", validateMedia, chatController.sendMedia);
+router.post(
+  "/chats/:id/media",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  blockDuringMaintenance,
+  sendRateLimit,
+  validateMedia,
+  chatController.sendMedia
+);
 router.post(
   "/chats/:id/location",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  blockDuringMaintenance,
+  sendRateLimit,
   validateBody(["latitude", "longitude"]),
   chatController.sendLocation
 );
 router.post(
   "/chats/:id/contact",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  blockDuringMaintenance,
+  sendRateLimit,
   validateBody(["contactIds"]),
   chatController.sendContact
 );
-router.post("/chats/:id/poll", validatePoll, chatController.sendPoll);
-router.post("/chats/:id/archive", chatController.archiveChat);
-router.post("/chats/:id/unarchive", chatController.unarchiveChat);
-router.post("/chats/:id/mute", chatController.muteChat);
-router.post("/chats/:id/unmute", chatController.unmuteChat);
-router.post("/chats/:id/pin", chatController.pinChat);
-router.post("/chats/:id/unpin", chatController.unpinChat);
-router.post("/chats/:id/read", chatController.markAsRead);
-router.post("/chats/:id/unread", chatController.markAsUnread);
-router.delete("/chats/:id/messages", chatController.clearChat);
-router.delete("/chats/:id", chatController.deleteChat);
-router.post("/chats/:id/typing", chatController.sendTyping);
-router.post("/chats/:id/recording", chatController.sendRecording);
-router.post("/chats/:id/clear-state", chatController.clearState);
+router.post(
+  "/chats/:id/poll",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  blockDuringMaintenance,
+  sendRateLimit,
+  validatePoll,
+  chatController.sendPoll
+);
+router.post(
+  "/chats/:id/archive",
+  requirePermission(PERMISSIONS.CHATS_MANAGE),
+  chatController.archiveChat
+);
+router.post(
+  "/chats/:id/unarchive",
+  requirePermission(PERMISSIONS.CHATS_MANAGE),
+  chatController.unarchiveChat
+);
+router.post(
+  "/chats/:id/mute",
+  requirePermission(PERMISSIONS.CHATS_MANAGE),
+  chatController.muteChat
+);
+router.post(
+  "/chats/:id/unmute",
+  requirePermission(PERMISSIONS.CHATS_MANAGE),
+  chatController.unmuteChat
+);
+router.post(
+  "/chats/:id/pin",
+  requirePermission(PERMISSIONS.CHATS_MANAGE),
+  chatController.pinChat
+);
+router.post(
+  "/chats/:id/unpin",
+  requirePermission(PERMISSIONS.CHATS_MANAGE),
+  chatController.unpinChat
+);
+router.post(
+  "/chats/:id/read",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  chatController.markAsRead
+);
+router.post(
+  "/chats/:id/unread",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  chatController.markAsUnread
+);
+router.delete(
+  "/chats/:id/messages",
+  requirePermission(PERMISSIONS.CHATS_MANAGE),
+  chatController.clearChat
+);
+router.delete(
+  "/chats/:id",
+  requirePermission(PERMISSIONS.CHATS_MANAGE),
+  chatController.deleteChat
+);
+router.post(
+  "/chats/:id/typing",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  chatController.sendTyping
+);
+router.post(
+  "/chats/:id/recording",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  chatController.sendRecording
+);
+router.post(
+  "/chats/:id/clear-state",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  chatController.clearState
+);
 
 // ==================== WATCHLIST ROUTES ====================
-router.get("/watchlist", watchlistController.getWatchlist);
-router.get("/watchlist/available", watchlistController.getAvailableChats);
+router.get(
+  "/watchlist",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  watchlistController.getWatchlist
+);
+router.get(
+  "/watchlist/available",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  watchlistController.getAvailableChats
+);
 router.put(
   "/watchlist/reorder",
+  requirePermission(PERMISSIONS.WATCHLIST_MANAGE),
   validateBody(["orderedIds"]),
   watchlistController.reorderWatchlist
 );
 router.post(
   "/watchlist",
+  requirePermission(PERMISSIONS.WATCHLIST_MANAGE),
   validateBody(["chatId"]),
   watchlistController.addToWatchlist
 );
-router.get("/watchlist/:chatId", watchlistController.getWatchlistItem);
-router.put("/watchlist/:chatId", watchlistController.updateWatchlistItem);
-router.delete("/watchlist/:chatId", watchlistController.removeFromWatchlist);
-router.post("/watchlist/:chatId/pin", watchlistController.togglePin);
+router.get(
+  "/watchlist/:chatId",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  watchlistController.getWatchlistItem
+);
+router.put(
+  "/watchlist/:chatId",
+  requirePermission(PERMISSIONS.WATCHLIST_MANAGE),
+  watchlistController.updateWatchlistItem
+);
+router.delete(
+  "/watchlist/:chatId",
+  requirePermission(PERMISSIONS.WATCHLIST_MANAGE),
+  watchlistController.removeFromWatchlist
+);
+router.post(
+  "/watchlist/:chatId/pin",
+  requirePermission(PERMISSIONS.WATCHLIST_MANAGE),
+  watchlistController.togglePin
+);
 router.post(
   "/watchlist/:chatId/notifications",
+  requirePermission(PERMISSIONS.WATCHLIST_MANAGE),
   watchlistController.toggleNotifications
 );
-router.post("/watchlist/:chatId/read", watchlistController.markAsRead);
-router.post("/watchlist/:chatId/refresh", watchlistController.refreshChatInfo);
-router.get("/watchlist/:chatId/messages", watchlistController.getMessages);
-router.put("/watchlist/:chatId/notes", watchlistController.addNotes);
+router.post(
+  "/watchlist/:chatId/read",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  watchlistController.markAsRead
+);
+router.post(
+  "/watchlist/:chatId/refresh",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  watchlistController.refreshChatInfo
+);
+router.get(
+  "/watchlist/:chatId/messages",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  watchlistController.getMessages
+);
+router.put(
+  "/watchlist/:chatId/notes",
+  requirePermission(PERMISSIONS.WATCHLIST_MANAGE),
+  watchlistController.addNotes
+);
+router.put(
+  "/watchlist/:chatId/retention",
+  requirePermission(PERMISSIONS.WATCHLIST_MANAGE),
+  watchlistController.setRetention
+);
 router.post(
   "/watchlist/:chatId/tags",
+  requirePermission(PERMISSIONS.WATCHLIST_MANAGE),
   validateBody(["tags"]),
   watchlistController.addTags
 );
-router.delete("/watchlist/:chatId/tags/:tag", watchlistController.removeTag);
+router.delete(
+  "/watchlist/:chatId/tags/:tag",
+  requirePermission(PERMISSIONS.WATCHLIST_MANAGE),
+  watchlistController.removeTag
+);
 
 // ==================== MESSAGE ROUTES ====================
 router.post(
   "/messages/send",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  blockDuringMaintenance,
+  sendRateLimit,
   validateBody(["chatId", "content"]),
   messageController.sendMessage
 );
 router.post(
   "/messages/media",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  blockDuringMaintenance,
+  sendRateLimit,
   validateBody(["chatId"]),
   validateMedia,
   messageController.sendMedia
 );
-router.get("/messages/:id", messageController.getMessageById);
+router.get(
+  "/messages/:id",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  messageController.getMessageById
+);
 router.put(
   "/messages/:id",
+  requirePermission(PERMISSIONS.MESSAGES_MANAGE),
   validateBody(["content"]),
   messageController.editMessage
 );
-router.delete("/messages/:id", messageController.deleteMessage);
+router.delete(
+  "/messages/:id",
+  requirePermission(PERMISSIONS.MESSAGES_MANAGE),
+  messageController.deleteMessage
+);
 router.post(
   "/messages/:id/reply",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  blockDuringMaintenance,
+  sendRateLimit,
   validateBody(["content"]),
   messageController.replyToMessage
 );
 router.post(
   "/messages/:id/forward",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  blockDuringMaintenance,
+  sendRateLimit,
   validateBody(["chatId"]),
   messageController.forwardMessage
 );
 router.post(
   "/messages/:id/react",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  blockDuringMaintenance,
+  sendRateLimit,
   validateBody(["emoji"]),
   messageController.reactToMessage
 );
-router.post("/messages/:id/star", messageController.starMessage);
-router.delete("/messages/:id/star", messageController.unstarMessage);
-router.get("/messages/:id/media", messageController.downloadMedia);
+router.post(
+  "/messages/:id/star",
+  requirePermission(PERMISSIONS.MESSAGES_MANAGE),
+  messageController.starMessage
+);
+router.delete(
+  "/messages/:id/star",
+  requirePermission(PERMISSIONS.MESSAGES_MANAGE),
+  messageController.unstarMessage
+);
+router.get(
+  "/messages/:id/media",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  messageController.downloadMedia
+);
 
 // ==================== CONTACT ROUTES ====================
-router.get("/contacts", contactController.getAllContacts);
-router.get("/contacts/blocked", contactController.getBlockedContacts);
-router.get("/contacts/search", contactController.searchContacts);
-router.post("/contacts/check", contactController.checkNumber);
-router.get("/contacts/:id", contactController.getContactById);
-router.get("/contacts/:id/picture", contactController.getProfilePicture);
-router.get("/contacts/:id/groups", contactController.getCommonGroups);
-router.post("/contacts/:id/block", contactController.blockContact);
-router.post("/contacts/:id/unblock", contactController.unblockContact);
-
-module.exports = router;
+router.get(
+  "/contacts",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  contactController.getAllContacts
+);
+router.get(
+  "/contacts/blocked",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  contactController.getBlockedContacts
+);
+router.get(
+  "/contacts/search",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  contactController.searchContacts
+);
+router.post(
+  "/contacts/check",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  contactController.checkNumber
+);
+router.get(
+  "/contacts/:id",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  contactController.getContactById
+);
+router.get(
+  "/contacts/:id/picture",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  contactController.getProfilePicture
+);
+router.get(
+  "/contacts/:id/groups",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  contactController.getCommonGroups
+);
+router.post(
+  "/contacts/:id/block",
+  requirePermission(PERMISSIONS.CONTACTS_BLOCK),
+  contactController.blockContact
+);
+router.post(
+  "/contacts/:id/unblock",
+  requirePermission(PERMISSIONS.CONTACTS_BLOCK),
+  contactController.unblockContact
+);
+
+// ==================== COMMAND ROUTES ====================
+router.get(
+  "/commands",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  commandController.listCommands
+);
+router.post(
+  "/commands/:name/toggle",
+  requirePermission(PERMISSIONS.GROUPS_MANAGE),
+  commandController.toggleCommand
+);
+
+// ==================== QUEUE ROUTES ====================
+router.get(
+  "/queue",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  queueController.getQueue
+);
+
+// ==================== SCHEDULE ROUTES ====================
+router.get(
+  "/schedules",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  scheduleController.getSchedules
+);
+router.get(
+  "/schedules/:scheduleId",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  scheduleController.getSchedule
+);
+router.post(
+  "/schedules",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  validateBody(["chatId"]),
+  validateChatId,
+  validateSchedule,
+  scheduleController.createSchedule
+);
+router.put(
+  "/schedules/:scheduleId",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  validateSchedule,
+  scheduleController.updateSchedule
+);
+router.delete(
+  "/schedules/:scheduleId",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  scheduleController.deleteSchedule
+);
+
+// ==================== AUTO-REPLY ROUTES ====================
+router.get(
+  "/auto-replies",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  autoReplyController.getRules
+);
+router.post(
+  "/auto-replies/test",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  validateBody(["message", "chatId"]),
+  autoReplyController.testMessage
+);
+router.get(
+  "/auto-replies/:ruleId",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  autoReplyController.getRule
+);
+router.post(
+  "/auto-replies",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateAutoReply,
+  autoReplyController.createRule
+);
+router.put(
+  "/auto-replies/:ruleId",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateAutoReply,
+  autoReplyController.updateRule
+);
+router.delete(
+  "/auto-replies/:ruleId",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  autoReplyController.deleteRule
+);
+
+// ==================== FLOW ROUTES ====================
+router.get(
+  "/flows",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  flowController.getFlows
+);
+router.get(
+  "/flows/sessions",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  flowController.getSessions
+);
+router.get(
+  "/flows/sessions/:sessionId",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  flowController.getSession
+);
+router.delete(
+  "/flows/sessions/:sessionId",
+  requirePermission(PERMISSIONS.MESSAGES_SEND),
+  flowController.cancelSession
+);
+router.get(
+  "/flows/:flowId",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  flowController.getFlow
+);
+router.post(
+  "/flows",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateFlow,
+  flowController.createFlow
+);
+router.put(
+  "/flows/:flowId",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateFlow,
+  flowController.updateFlow
+);
+router.delete(
+  "/flows/:flowId",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  flowController.deleteFlow
+);
+
+// ==================== SETTINGS ROUTES ====================
+router.get(
+  "/settings",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  settingsController.getSettings
+);
+router.patch(
+  "/settings",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateSettings,
+  settingsController.updateSettings
+);
+router.get(
+  "/settings/retention",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  settingsController.getRetention
+);
+router.post(
+  "/settings/retention/run",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  settingsController.runRetention
+);
+router.get(
+  "/settings/alerts",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  settingsController.getAlerts
+);
+router.post(
+  "/settings/alerts/test",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  settingsController.testAlert
+);
+router.get(
+  "/settings/maintenance",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  settingsController.getMaintenance
+);
+router.put(
+  "/settings/maintenance",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateBody(["enabled"]),
+  settingsController.setMaintenance
+);
+router.get(
+  "/settings/audit-log",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  settingsController.getAuditLog
+);
+router.get(
+  "/settings/away",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  awayController.getAwaySettings
+);
+router.put(
+  "/settings/away",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateAwayMode,
+  awayController.updateAwaySettings
+);
+router.get(
+  "/settings/away/log",
+  requirePermission(PERMISSIONS.CHATS_READ),
+  awayController.getAwayLog
+);
+router.get(
+  "/settings/webhooks",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  webhookController.getWebhooks
+);
+router.post(
+  "/settings/webhooks",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateBody(["name", "url"]),
+  validateWebhook,
+  webhookController.createWebhook
+);
+router.put(
+  "/settings/webhooks/:webhookId",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  validateWebhook,
+  webhookController.updateWebhook
+);
+router.delete(
+  "/settings/webhooks/:webhookId",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  webhookController.deleteWebhook
+);
+router.post(
+  "/settings/webhooks/:webhookId/test",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  webhookController.testWebhook
+);
+router.get(
+  "/settings/webhooks/:webhookId/deliveries",
+  requirePermission(PERMISSIONS.SETTINGS_MANAGE),
+  webhookController.getDeliveries
+);
+
+// ==================== SESSION SCOPE ====================
+api.use("/sessions/:sessionId", withSession, router);
+api.use(withSession, router);
+
+module.exports = api;
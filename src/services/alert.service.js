@@ -0,0 +1,334 @@
+/**
+ * Alert Service
+ * Tells the people in GlobalSettings.notifications when the bot goes down:
+ * a WhatsApp client disconnects, fails or loses its login, or MongoDB drops
+ *
+ * A problem is only alerted once it has lasted DEFAULTS.ALERT_DELAY, so the
+ * watchdog's reconnects and brief network blips stay quiet. Each problem is
+ * alerted once while it lasts, and a "recovered" follow-up is sent when it
+ * clears.
+ */
+
+const mongoose = require("mongoose");
+const { GlobalSettings, Session } = require("../models");
+const { clientEvents } = require("../config/whatsapp");
+const { DEFAULTS, CLIENT_STATUS, ALERT_TYPES } = require("../config/constants");
+const { getCurrentSessionId } = require("../utils/session-context");
+const notifiers = require("./notifiers");
+const logger = require("../utils/logger");
+
+// Disconnect reasons meaning the login is gone (see watchdog.service)
+const LOGGED_OUT_REASONS = ["LOGOUT", "UNPAIRED", "UNPAIRED_IDLE"];
+
+const ALERT_TITLES = {
+  [ALERT_TYPES.CLIENT_DISCONNECTED]: "WhatsApp disconnected",
+  [ALERT_TYPES.CLIENT_FAILED]: "WhatsApp client failed",
+  [ALERT_TYPES.AUTH_FAILURE]: "WhatsApp authentication failed",
+  [ALERT_TYPES.LOGIN_REQUIRED]: "WhatsApp login required",
+  [ALERT_TYPES.DATABASE_DOWN]: "Database unreachable",
+  [ALERT_TYPES.TEST]: "Test alert",
+};
+
+class AlertService {
+  constructor() {
+    this.started = false;
+    // key -> { type, sessionId, detail, startedAt, sentAt, timer }
+    this.alerts = new Map();
+    // Last settings read, for when MongoDB is the thing that's down
+    this.settings = null;
+
+    this.onDisconnected = (reason) => {
+      const sessionId = getCurrentSessionId();
+      if (LOGGED_OUT_REASONS.includes(reason)) {
+        this.raise(ALERT_TYPES.LOGIN_REQUIRED, sessionId, reason);
+      } else {
+        this.raise(ALERT_TYPES.CLIENT_DISCONNECTED, sessionId, reason);
+      }
+    };
+    this.onAuthFailure = (message) =>
+      this.raise(ALERT_TYPES.AUTH_FAILURE, getCurrentSessionId(), message);
+    this.onStatus = (status, reason) => {
+      const sessionId = getCurrentSessionId();
+      // auth_failure also ends in failed; it's alerted on its own
+      if (
+        status === CLIENT_STATUS.FAILED &&
+        !this.alerts.has(this.getKey(ALERT_TYPES.AUTH_FAILURE, sessionId))
+      ) {
+        this.raise(ALERT_TYPES.CLIENT_FAILED, sessionId, reason);
+      }
+    };
+    this.onLoginRequired = () =>
+      this.handleLoginRequired(getCurrentSessionId());
+    this.onReady = () => this.resolveSession(getCurrentSessionId());
+
+    this.onDatabaseDown = () => this.raise(ALERT_TYPES.DATABASE_DOWN);
+    this.onDatabaseUp = () => this.resolve(ALERT_TYPES.DATABASE_DOWN);
+  }
+
+  /**
+   * Follow client and MongoDB connection events. Start after the first
+   * MongoDB connection.
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    clientEvents.on("disconnected", this.onDisconnected);
+    clientEvents.on("auth_failure", this.onAuthFailure);
+    clientEvents.on("status", this.onStatus);
+    clientEvents.on("qr", this.onLoginRequired);
+    clientEvents.on("pairing_code", this.onLoginRequired);
+    clientEvents.on("ready", this.onReady);
+
+    mongoose.connection.on("disconnected", this.onDatabaseDown);
+    mongoose.connection.on("connected", this.onDatabaseUp);
+    mongoose.connection.on("reconnected", this.onDatabaseUp);
+
+    // Cache the settings while MongoDB is up
+    this.getSettings().catch(() => {});
+
+    logger.info("🚨 Downtime alerts started");
+  }
+
+  /**
+   * Stop alerting; call before disconnecting MongoDB on shutdown
+   */
+  stop() {
+    this.started = false;
+
+    clientEvents.off("disconnected", this.onDisconnected);
+    clientEvents.off("auth_failure", this.onAuthFailure);
+    clientEvents.off("status", this.onStatus);
+    clientEvents.off("qr", this.onLoginRequired);
+    clientEvents.off("pairing_code", this.onLoginRequired);
+    clientEvents.off("ready", this.onReady);
+
+    mongoose.connection.off("disconnected", this.onDatabaseDown);
+    mongoose.connection.off("connected", this.onDatabaseUp);
+    mongoose.connection.off("reconnected", this.onDatabaseUp);
+
+    for (const alert of this.alerts.values()) {
+      clearTimeout(alert.timer);
+    }
+    this.alerts.clear();
+  }
+
+  getKey(type, sessionId = null) {
+    return sessionId ? `${sessionId}:${type}` : type;
+  }
+
+  /**
+   * A QR or pairing code only needs an alert for a session that was logged
+   * in before; new sessions show one as a matter of course
+   * @param {string} sessionId
+   */
+  async handleLoginRequired(sessionId) {
+    if (this.alerts.has(this.getKey(ALERT_TYPES.LOGIN_REQUIRED, sessionId))) {
+      return;
+    }
+
+    try {
+      const session = await Session.findOne(
+        { sessionId },
+        { phoneNumber: 1 }
+      ).lean();
+      if (!session?.phoneNumber) return;
+    } catch (error) {
+      logger.warn(`Alert check failed for ${sessionId}: ${error.message}`);
+    }
+
+    this.raise(ALERT_TYPES.LOGIN_REQUIRED, sessionId);
+  }
+
+  /**
+   * Start a problem; it's sent unless it clears within ALERT_DELAY
+   * @param {string} type - One of ALERT_TYPES
+   * @param {string|null} sessionId
+   * @param {string|null} detail - Reason given by the client or driver
+   */
+  raise(type, sessionId = null, detail = null) {
+    const key = this.getKey(type, sessionId);
+    if (!this.started || this.alerts.has(key)) return;
+
+    const alert = {
+      type,
+      sessionId,
+      detail: detail || null,
+      startedAt: new Date(),
+      sentAt: null,
+      timer: null,
+    };
+    alert.timer = setTimeout(() => {
+      alert.timer = null;
+      alert.sentAt = new Date();
+      this.notify(alert).catch((error) =>
+        logger.error(`Alert error: ${error.message}`)
+      );
+    }, DEFAULTS.ALERT_DELAY);
+    alert.timer.unref();
+
+    this.alerts.set(key, alert);
+    const { subject } = this.formatMessage(alert, {
+      botName: this.settings?.botName,
+    });
+    logger.warn(`🚨 ${subject}`);
+  }
+
+  /**
+   * End a problem, with a "recovered" follow-up if it was alerted
+   * @param {string} type
+   * @param {string|null} sessionId
+   */
+  resolve(type, sessionId = null) {
+    const key = this.getKey(type, sessionId);
+    const alert = this.alerts.get(key);
+    if (!alert) return;
+
+    this.alerts.delete(key);
+    clearTimeout(alert.timer);
+    if (!alert.sentAt) return;
+
+    this.notify(alert, { resolvedAt: new Date() }).catch((error) =>
+      logger.error(`Alert error: ${error.message}`)
+    );
+  }
+
+  /**
+   * End every problem of a session's client (it's ready again, stopped
+   * or deleted)
+   * @param {string} sessionId
+   */
+  resolveSession(sessionId) {
+    for (const alert of [...this.alerts.values()]) {
+      if (alert.sessionId === sessionId) this.resolve(alert.type, sessionId);
+    }
+  }
+
+  /**
+   * Send an alert, or its recovery, through every enabled notifier
+   * @param {Object} alert
+   * @param {Object} options - { resolvedAt } for the "recovered" follow-up
+   * @returns {Promise<Array>} [{ notifier, success, error }]
+   */
+  async notify(alert, options = {}) {
+    const { botName, notifications } = await this.getSettings();
+    const enabled = notifiers.filter((notifier) =>
+      notifier.isEnabled(notifications)
+    );
+    if (enabled.length === 0) return [];
+
+    const message = this.formatMessage(alert, { ...options, botName });
+    return Promise.all(
+      enabled.map(async (notifier) => {
+        try {
+          await notifier.send(message, notifications);
+          return { notifier: notifier.name, success: true, error: null };
+        } catch (error) {
+          logger.warn(
+            `Alert via ${notifier.name} failed for ${alert.type}: ${error.message}`
+          );
+          return {
+            notifier: notifier.name,
+            success: false,
+            error: error.message,
+          };
+        }
+      })
+    );
+  }
+
+  /**
+   * Bot name and notification settings; the last ones read while MongoDB
+   * is unreachable
+   * @returns {Promise<Object>} { botName, notifications }
+   */
+  async getSettings() {
+    try {
+      const settings = await GlobalSettings.getSettings();
+      this.settings = {
+        botName: settings.botName,
+        notifications: settings.toObject().notifications || {},
+      };
+    } catch (error) {
+      if (!this.settings) throw error;
+    }
+    return this.settings;
+  }
+
+  /**
+   * @param {Object} alert
+   * @param {Object} options - { botName, resolvedAt }
+   * @returns {Object} { subject, text, resolved, alert }
+   */
+  formatMessage(alert, options = {}) {
+    const { botName = "WhatsApp Bot", resolvedAt = null } = options;
+    const title = ALERT_TITLES[alert.type] || alert.type;
+    const where = alert.sessionId ? ` (session ${alert.sessionId})` : "";
+
+    const payload = {
+      type: alert.type,
+      sessionId: alert.sessionId,
+      detail: alert.detail,
+      startedAt: alert.startedAt,
+      resolvedAt,
+      downtimeMs: resolvedAt ? resolvedAt - alert.startedAt : null,
+    };
+
+    if (resolvedAt) {
+      const minutes = Math.max(1, Math.round(payload.downtimeMs / 60000));
+      return {
+        subject: `[${botName}] Recovered: ${title}${where}`,
+        text: `Back to normal after about ${minutes} minute(s) (since ${alert.startedAt.toISOString()}).`,
+        resolved: true,
+        alert: payload,
+      };
+    }
+
+    return {
+      subject: `[${botName}] ${title}${where}`,
+      text: [
+        `Since ${alert.startedAt.toISOString()}.`,
+        alert.detail ? `Reason: ${alert.detail}` : null,
+        alert.type === ALERT_TYPES.LOGIN_REQUIRED
+          ? "Scan the QR code or enter the pairing code on the dashboard to log in again."
+          : null,
+      ]
+        .filter(Boolean)
+        .join("\n"),
+      resolved: false,
+      alert: payload,
+    };
+  }
+
+  /**
+   * Send a test alert right away
+   * @returns {Promise<Array>} [{ notifier, success, error }], empty when no
+   *   notifier is enabled
+   */
+  async sendTest() {
+    return this.notify({
+      type: ALERT_TYPES.TEST,
+      sessionId: null,
+      detail: "Sent from the settings to check the alert channels",
+      startedAt: new Date(),
+    });
+  }
+
+  /**
+   * Problems going on now
+   * @returns {Array}
+   */
+  getActive() {
+    return [...this.alerts.values()].map(
+      ({ type, sessionId, detail, startedAt, sentAt }) => ({
+        type,
+        sessionId,
+        detail,
+        startedAt,
+        sentAt,
+      })
+    );
+  }
+}
+
+module.exports = new AlertService();
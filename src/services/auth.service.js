@@ -0,0 +1,316 @@
+/**
+ * Auth Service
+ * API keys and dashboard session tokens for the REST API and WebSocket
+ *
+ * Emits "revoked" with { credentialHash } when an API key is revoked or a
+ * session token logged out, and with { userId } when all of a user's
+ * session tokens are, so open sockets using them can be closed
+ */
+
+const EventEmitter = require("events");
+const crypto = require("crypto");
+const { ApiKey, AuthToken, User } = require("../models");
+const userService = require("./user.service");
+const { DEFAULTS, ROLE_PERMISSIONS } = require("../config/constants");
+const logger = require("../utils/logger");
+
+// Prefixes make it possible to tell keys and tokens apart without a lookup
+const API_KEY_PREFIX = "wak_";
+const SESSION_TOKEN_PREFIX = "wst_";
+
+// lastUsedAt is only written once per interval to avoid a write per request
+const LAST_USED_UPDATE_INTERVAL = 60000; // 1 minute
+
+class AuthService extends EventEmitter {
+  constructor() {
+    super();
+    userService.on("sessions_revoked", ({ userId }) =>
+      this.emit("revoked", { userId })
+    );
+  }
+
+  /**
+   * Authentication is on unless explicitly disabled with AUTH_ENABLED=false
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return process.env.AUTH_ENABLED !== "false";
+  }
+
+  /**
+   * Dashboard login needs a user account, or ADMIN_PASSWORD to create the
+   * first owner from
+   * @returns {Promise<boolean>}
+   */
+  async isLoginConfigured() {
+    if (process.env.ADMIN_PASSWORD) return true;
+    return (await User.countDocuments()) > 0;
+  }
+
+  /**
+   * Permissions granted to a role
+   * @param {string} role
+   * @returns {string[]}
+   */
+  getRolePermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+  }
+
+  /**
+   * Check whether a principal holds every given permission
+   * @param {Object} principal
+   * @param {...string} permissions
+   * @returns {boolean}
+   */
+  hasPermission(principal, ...permissions) {
+    const granted = principal?.permissions || [];
+    return permissions.every((permission) => granted.includes(permission));
+  }
+
+  /**
+   * A principal may only hand out roles whose permissions it already holds
+   * @param {Object|undefined} principal - undefined when auth is disabled
+   * @param {string} role
+   * @returns {boolean}
+   */
+  canGrantRole(principal, role) {
+    if (!principal) return true;
+    return this.hasPermission(principal, ...this.getRolePermissions(role));
+  }
+
+  /**
+   * SHA-256 hash used to store keys and tokens
+   * @param {string} value
+   * @returns {string}
+   */
+  hash(value) {
+    return crypto.createHash("sha256").update(value).digest("hex");
+  }
+
+  /**
+   * Generate a random secret with a recognizable prefix
+   * @param {string} prefix
+   * @returns {string}
+   */
+  generateSecret(prefix) {
+    return `${prefix}${crypto.randomBytes(24).toString("base64url")}`;
+  }
+
+  /**
+   * Pull an API key or session token from request headers.
+   * Accepts "X-API-Key: <key>" or "Authorization: Bearer <key|token>".
+   * @param {Object} headers
+   * @returns {string|null}
+   */
+  extractCredential(headers = {}) {
+    if (headers["x-api-key"]) {
+      return headers["x-api-key"];
+    }
+
+    const authorization = headers.authorization || "";
+    const [scheme, value] = authorization.split(" ");
+    if (scheme?.toLowerCase() === "bearer" && value) {
+      return value;
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve a credential to the principal making the request
+   * @param {string} credential
+   * @returns {Promise<Object|null>} { type, id, name, role, permissions }
+   */
+  async authenticate(credential) {
+    if (!credential) return null;
+
+    if (credential.startsWith(API_KEY_PREFIX)) {
+      const apiKey = await ApiKey.findActiveByHash(this.hash(credential));
+      if (!apiKey) return null;
+
+      await this.touch(apiKey);
+      return this.formatPrincipal(
+        "api_key",
+        apiKey._id,
+        apiKey.name,
+        apiKey.role
+      );
+    }
+
+    if (credential.startsWith(SESSION_TOKEN_PREFIX)) {
+      const token = await AuthToken.findActiveByHash(this.hash(credential));
+      if (!token) return null;
+
+      // Role changes and deactivation apply to existing sessions immediately
+      const user = await User.findById(token.userId);
+      if (!user || !user.active) return null;
+
+      await this.touch(token);
+      return this.formatPrincipal(
+        "session",
+        user._id,
+        user.username,
+        user.role
+      );
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the principal attached to requests and sockets
+   * @param {string} type - "api_key" or "session"
+   * @param {ObjectId} id
+   * @param {string} name
+   * @param {string} role
+   * @returns {Object}
+   */
+  formatPrincipal(type, id, name, role) {
+    return {
+      type,
+      id: id.toString(),
+      name,
+      role,
+      permissions: this.getRolePermissions(role),
+    };
+  }
+
+  /**
+   * Record usage of a key or token, throttled
+   * @param {Document} doc
+   */
+  async touch(doc) {
+    const lastUsed = doc.lastUsedAt ? doc.lastUsedAt.getTime() : 0;
+    if (Date.now() - lastUsed < LAST_USED_UPDATE_INTERVAL) return;
+
+    doc.lastUsedAt = new Date();
+    await doc.save();
+  }
+
+  /**
+   * Check dashboard credentials and issue a session token
+   * @param {string} username
+   * @param {string} password
+   * @param {Object} meta - { ip, userAgent }
+   * @returns {Promise<Object|null>} { token, username, expiresAt } or null
+   */
+  async login(username, password, meta = {}) {
+    await userService.ensureOwner();
+
+    const user = await User.findByUsername(username);
+    const valid = user && user.active && (await user.verifyPassword(password));
+
+    if (!valid) {
+      logger.warn(`Failed dashboard login for "${username}" from ${meta.ip}`);
+      return null;
+    }
+
+    const token = this.generateSecret(SESSION_TOKEN_PREFIX);
+    const expiresAt = new Date(Date.now() + DEFAULTS.SESSION_TIMEOUT);
+
+    await AuthToken.create({
+      tokenHash: this.hash(token),
+      userId: user._id,
+      username: user.username,
+      ip: meta.ip || null,
+      userAgent: meta.userAgent || null,
+      expiresAt,
+    });
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    logger.info(`Dashboard login for "${user.username}" from ${meta.ip}`);
+    return {
+      token,
+      expiresAt,
+      user: userService.formatUser(user),
+    };
+  }
+
+  /**
+   * Invalidate a dashboard session token
+   * @param {string} token
+   * @returns {Promise<boolean>}
+   */
+  async logout(token) {
+    if (!token?.startsWith(SESSION_TOKEN_PREFIX)) return false;
+
+    const tokenHash = this.hash(token);
+    const result = await AuthToken.deleteOne({ tokenHash });
+    this.emit("revoked", { credentialHash: tokenHash });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Create an API key. The plain key is only returned here.
+   * @param {Object} data - { name, role, expiresAt }
+   * @param {string|null} createdBy
+   * @returns {Promise<Object>}
+   */
+  async createApiKey({ name, role, expiresAt = null }, createdBy = null) {
+    const key = this.generateSecret(API_KEY_PREFIX);
+
+    const apiKey = await ApiKey.create({
+      name,
+      keyHash: this.hash(key),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      role,
+      createdBy,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+    });
+
+    logger.info(`API key "${name}" created`);
+    return { ...this.formatApiKey(apiKey), key };
+  }
+
+  /**
+   * List API keys (without secrets)
+   * @returns {Promise<Array>}
+   */
+  async getApiKeys() {
+    const apiKeys = await ApiKey.find().sort({ createdAt: -1 });
+    return apiKeys.map((apiKey) => this.formatApiKey(apiKey));
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} keyId
+   * @returns {Promise<Object|null>}
+   */
+  async revokeApiKey(keyId) {
+    const apiKey = await ApiKey.findById(keyId);
+    if (!apiKey) return null;
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      logger.info(`API key "${apiKey.name}" revoked`);
+      this.emit("revoked", { credentialHash: apiKey.keyHash });
+    }
+
+    return this.formatApiKey(apiKey);
+  }
+
+  /**
+   * Format an API key for API responses
+   * @param {Document} apiKey
+   * @returns {Object}
+   */
+  formatApiKey(apiKey) {
+    return {
+      id: apiKey._id.toString(),
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      role: apiKey.role,
+      active: apiKey.isActive(),
+      createdBy: apiKey.createdBy,
+      lastUsedAt: apiKey.lastUsedAt,
+      expiresAt: apiKey.expiresAt,
+      revokedAt: apiKey.revokedAt,
+      createdAt: apiKey.createdAt,
+    };
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,366 @@
+/**
+ * Auto-Reply Service
+ * Keyword rules that answer incoming messages
+ */
+
+const { MessageMedia, Poll } = require("whatsapp-web.js");
+const { AutoReplyRule } = require("../models");
+const { getClient } = require("../config/whatsapp");
+const queueService = require("./queue.service");
+const mediaService = require("./media.service");
+const scheduleService = require("./schedule.service");
+const {
+  DEFAULTS,
+  AUTO_REPLY_TYPES,
+  SEND_PRIORITY,
+} = require("../config/constants");
+const { getZonedParts } = require("../utils/cron");
+const { normalizePhoneNumber } = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+// Fields accepted on create and update
+const RULE_FIELDS = [
+  "name",
+  "enabled",
+  "priority",
+  "matchType",
+  "pattern",
+  "caseSensitive",
+  "scope",
+  "chatIds",
+  "reply",
+  "quote",
+  "cooldownSeconds",
+  "activeHours",
+];
+
+// Why a rule did not answer a message
+const SKIP_REASONS = Object.freeze({
+  DISABLED: "disabled",
+  OUT_OF_SCOPE: "out_of_scope",
+  NO_MATCH: "no_match",
+  INACTIVE_HOURS: "outside_active_hours",
+  COOLDOWN: "cooldown",
+});
+
+class AutoReplyService {
+  constructor() {
+    // Enabled rules, reloaded after changes or AUTO_REPLY_CACHE_TTL
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+    // "ruleId:chatId" -> timestamp the rule may reply again
+    this.cooldowns = new Map();
+  }
+
+  /**
+   * Answer an incoming message with the first matching rule
+   * @param {Message} message
+   * @returns {Promise<boolean>} Whether a reply was sent
+   */
+  async handleMessage(message) {
+    if (message.fromMe || message.isStatus || !message.body) return false;
+
+    const chatId = message.from;
+    const { rule } = await this.evaluate(message.body, chatId, {
+      rules: await this.getEnabledRules(),
+    });
+    if (!rule) return false;
+
+    this.startCooldown(rule, chatId);
+    await AutoReplyRule.recordMatch(rule._id);
+
+    await this.sendReply(message, rule);
+    logger.info(`Auto-reply "${rule.name}" answered a message in ${chatId}`);
+    return true;
+  }
+
+  /**
+   * Run rules against a message text
+   * @param {string} text
+   * @param {string} chatId
+   * @param {Object} options - { rules }
+   * @returns {Promise<Object>} { rule, results } where rule is the first
+   *   match and results explains every rule up to it
+   */
+  async evaluate(text, chatId, { rules }) {
+    const parts = getZonedParts(
+      new Date(),
+      await scheduleService.getTimezone()
+    );
+    const clock = {
+      hour: parts.hour,
+      minute: parts.minute,
+      weekday: new Date(
+        Date.UTC(parts.year, parts.month - 1, parts.day)
+      ).getUTCDay(),
+    };
+
+    const results = [];
+    for (const rule of rules) {
+      const reason = this.getSkipReason(rule, text, chatId, clock);
+      results.push({
+        id: rule._id.toString(),
+        name: rule.name,
+        matched: !reason,
+        reason,
+      });
+      if (!reason) return { rule, results };
+    }
+
+    return { rule: null, results };
+  }
+
+  /**
+   * Why a rule would not answer, or null when it would
+   */
+  getSkipReason(rule, text, chatId, clock) {
+    if (!rule.enabled) return SKIP_REASONS.DISABLED;
+    if (!rule.appliesTo(chatId)) return SKIP_REASONS.OUT_OF_SCOPE;
+
+    try {
+      if (!rule.matches(text)) return SKIP_REASONS.NO_MATCH;
+    } catch (error) {
+      logger.warn(
+        `Auto-reply "${rule.name}" failed to match: ${error.message}`
+      );
+      return SKIP_REASONS.NO_MATCH;
+    }
+
+    if (!rule.isActiveAt(clock)) return SKIP_REASONS.INACTIVE_HOURS;
+    if (this.isCoolingDown(rule, chatId)) return SKIP_REASONS.COOLDOWN;
+    return null;
+  }
+
+  isCoolingDown(rule, chatId) {
+    const until = this.cooldowns.get(`${rule._id}:${chatId}`);
+    return Boolean(until && until > Date.now());
+  }
+
+  startCooldown(rule, chatId) {
+    if (!rule.cooldownSeconds) return;
+
+    const now = Date.now();
+    this.cooldowns.set(
+      `${rule._id}:${chatId}`,
+      now + rule.cooldownSeconds * 1000
+    );
+
+    // Drop expired entries so the map doesn't grow with every chat
+    if (this.cooldowns.size > 1000) {
+      for (const [key, until] of this.cooldowns) {
+        if (until <= now) this.cooldowns.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Send a rule's reply through the send queue
+   * @param {Message} message - Triggering message
+   * @param {Document} rule
+   */
+  async sendReply(message, rule) {
+    const { content, options } = await this.buildReply(rule.reply);
+
+    return queueService.enqueue(
+      message.from,
+      () =>
+        rule.quote
+          ? message.reply(content, undefined, options)
+          : getClient().sendMessage(message.from, content, options),
+      { priority: SEND_PRIORITY.REPLY, label: "auto-reply" }
+    );
+  }
+
+  /**
+   * Turn reply settings into sendMessage content and options
+   * @param {Object} reply
+   * @returns {Promise<Object>} { content, options }
+   */
+  async buildReply(reply) {
+    switch (reply.type) {
+      case AUTO_REPLY_TYPES.MEDIA: {
+        const { media } = reply;
+        let content;
+        if (media.url) {
+          content = await mediaService.getMedia({ mediaUrl: media.url });
+        } else if (media.path) {
+          content = MessageMedia.fromFilePath(media.path);
+        } else {
+          content = new MessageMedia(
+            media.mimetype,
+            media.base64,
+            media.filename
+          );
+        }
+
+        return {
+          content,
+          options: {
+            caption: media.caption || "",
+            sendMediaAsDocument: media.sendAsDocument,
+            sendMediaAsSticker: media.sendAsSticker,
+          },
+        };
+      }
+      case AUTO_REPLY_TYPES.POLL:
+        return {
+          content: new Poll(reply.poll.question, [...reply.poll.options], {
+            allowMultipleAnswers: reply.poll.allowMultipleAnswers,
+          }),
+          options: {},
+        };
+      default:
+        return { content: reply.content, options: {} };
+    }
+  }
+
+  /**
+   * Dry-run: which rule would answer a message, without sending anything
+   * @param {string} text
+   * @param {string} chatId
+   * @returns {Promise<Object>}
+   */
+  async testMessage(text, chatId) {
+    const rules = await AutoReplyRule.getRules();
+    const { rule, results } = await this.evaluate(
+      text,
+      this.normalizeChatId(chatId),
+      { rules }
+    );
+
+    return {
+      matched: Boolean(rule),
+      rule: rule ? this.formatRule(rule) : null,
+      results,
+    };
+  }
+
+  /**
+   * Enabled rules in priority order, cached
+   * @returns {Promise<Array>}
+   */
+  async getEnabledRules() {
+    if (
+      !this.rules ||
+      Date.now() - this.rulesLoadedAt > DEFAULTS.AUTO_REPLY_CACHE_TTL
+    ) {
+      this.rules = await AutoReplyRule.getRules({ enabledOnly: true });
+      this.rulesLoadedAt = Date.now();
+    }
+    return this.rules;
+  }
+
+  /**
+   * List rules in priority order
+   * @returns {Promise<Array>}
+   */
+  async getRules() {
+    const rules = await AutoReplyRule.getRules();
+    return rules.map((rule) => this.formatRule(rule));
+  }
+
+  /**
+   * Get a rule document
+   * @param {string} ruleId
+   * @returns {Promise<Document|null>}
+   */
+  async getRule(ruleId) {
+    return AutoReplyRule.findById(ruleId);
+  }
+
+  /**
+   * Create a rule
+   * @param {Object} data
+   * @param {string|null} createdBy
+   * @returns {Promise<Object>}
+   */
+  async createRule(data, createdBy = null) {
+    const rule = new AutoReplyRule({ createdBy });
+    this.applyChanges(rule, data);
+    await rule.save();
+    this.rules = null;
+
+    logger.info(`Auto-reply rule "${rule.name}" created`);
+    return this.formatRule(rule);
+  }
+
+  /**
+   * Update a rule
+   * @param {Document} rule
+   * @param {Object} updates
+   * @returns {Promise<Object>}
+   */
+  async updateRule(rule, updates) {
+    this.applyChanges(rule, updates);
+    await rule.save();
+    this.rules = null;
+
+    logger.info(`Auto-reply rule "${rule.name}" updated`);
+    return this.formatRule(rule);
+  }
+
+  /**
+   * Delete a rule
+   * @param {Document} rule
+   * @returns {Promise<boolean>}
+   */
+  async deleteRule(rule) {
+    await rule.deleteOne();
+    this.rules = null;
+
+    logger.info(`Auto-reply rule "${rule.name}" deleted`);
+    return true;
+  }
+
+  applyChanges(rule, data) {
+    for (const field of RULE_FIELDS) {
+      if (data[field] !== undefined) {
+        rule[field] = data[field];
+      }
+    }
+
+    if (data.chatIds !== undefined) {
+      rule.chatIds = data.chatIds.map((id) => this.normalizeChatId(id));
+    }
+  }
+
+  /**
+   * Bare numbers become contact IDs; full IDs are kept as they are
+   */
+  normalizeChatId(chatId) {
+    const id = String(chatId).trim();
+    return id.includes("@") ? id : normalizePhoneNumber(id);
+  }
+
+  /**
+   * Format a rule for API responses
+   * @param {Document} rule
+   * @returns {Object}
+   */
+  formatRule(rule) {
+    const reply = rule.reply.toObject();
+    if (reply.media) reply.media = { ...reply.media, base64: undefined };
+
+    return {
+      id: rule._id.toString(),
+      name: rule.name,
+      enabled: rule.enabled,
+      priority: rule.priority,
+      matchType: rule.matchType,
+      pattern: rule.pattern,
+      caseSensitive: rule.caseSensitive,
+      scope: rule.scope,
+      chatIds: rule.chatIds,
+      reply,
+      quote: rule.quote,
+      cooldownSeconds: rule.cooldownSeconds,
+      activeHours: rule.activeHours,
+      matchCount: rule.matchCount,
+      lastMatchedAt: rule.lastMatchedAt,
+      createdBy: rule.createdBy,
+      createdAt: rule.createdAt,
+    };
+  }
+}
+
+module.exports = new AutoReplyService();
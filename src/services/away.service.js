@@ -0,0 +1,152 @@
+/**
+ * Away Service
+ * Answers private chats outside business hours
+ */
+
+const { GlobalSettings, AwayMessageLog } = require("../models");
+const { getClient } = require("../config/whatsapp");
+const queueService = require("./queue.service");
+const scheduleService = require("./schedule.service");
+const { SEND_PRIORITY } = require("../config/constants");
+const {
+  isWithinBusinessHours,
+  getNextOpening,
+} = require("../utils/business-hours");
+const { isGroupId } = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+// How long the away configuration is cached between settings reads
+const CACHE_TTL = 30000; // 30 seconds
+
+// Fields accepted on update
+const AWAY_FIELDS = ["enabled", "message", "businessHours", "holidays"];
+
+class AwayService {
+  constructor() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Send the away message if we're closed and the contact hasn't had it
+   * during this away period
+   * @param {Message} message
+   * @returns {Promise<boolean>} Whether the away message was sent
+   */
+  async handleMessage(message) {
+    const chatId = message.from;
+    if (
+      message.fromMe ||
+      message.isStatus ||
+      isGroupId(chatId) ||
+      chatId.endsWith("@broadcast")
+    ) {
+      return false;
+    }
+
+    const config = await this.getConfig();
+    if (!config.enabled || !config.message) return false;
+
+    const timezone = await scheduleService.getTimezone();
+    const now = new Date();
+    if (isWithinBusinessHours(config, timezone, now)) return false;
+
+    const periodEndsAt = getNextOpening(config, timezone, now);
+    const contact = await message.getContact().catch(() => null);
+    const entry = await AwayMessageLog.claim(
+      chatId,
+      periodEndsAt,
+      contact?.pushname || contact?.name || null
+    );
+    if (!entry) return false;
+
+    await queueService.enqueue(
+      chatId,
+      () => getClient().sendMessage(chatId, config.message),
+      { priority: SEND_PRIORITY.REPLY, label: "away" }
+    );
+
+    logger.info(`Sent away message to ${chatId}`);
+    return true;
+  }
+
+  /**
+   * Away configuration, cached briefly so every message doesn't hit MongoDB
+   * @returns {Promise<Object>}
+   */
+  async getConfig() {
+    if (this.cache && Date.now() < this.cacheExpiresAt) {
+      return this.cache;
+    }
+
+    const settings = await GlobalSettings.getSettings();
+    this.cache = settings.awayMode.toObject();
+    this.cacheExpiresAt = Date.now() + CACHE_TTL;
+
+    return this.cache;
+  }
+
+  /**
+   * Away configuration with the current open/closed state
+   * @returns {Promise<Object>}
+   */
+  async getSettings() {
+    const settings = await GlobalSettings.getSettings();
+    return this.formatSettings(
+      settings.awayMode.toObject(),
+      await scheduleService.getTimezone()
+    );
+  }
+
+  /**
+   * Update the away configuration
+   * @param {Object} updates - { enabled, message, businessHours, holidays }
+   * @returns {Promise<Object>}
+   */
+  async updateSettings(updates) {
+    const settings = await GlobalSettings.getSettings();
+
+    for (const field of AWAY_FIELDS) {
+      if (updates[field] !== undefined) {
+        settings.awayMode[field] = updates[field];
+      }
+    }
+    await settings.save();
+
+    this.cache = null;
+    logger.info(
+      `Away mode ${settings.awayMode.enabled ? "enabled" : "disabled"}`
+    );
+
+    return this.formatSettings(
+      settings.awayMode.toObject(),
+      await scheduleService.getTimezone()
+    );
+  }
+
+  /**
+   * Contacts that received the away message, newest first
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>}
+   */
+  async getLog(options = {}) {
+    return AwayMessageLog.getLog(options);
+  }
+
+  formatSettings(config, timezone) {
+    const now = new Date();
+    const open = isWithinBusinessHours(config, timezone, now);
+
+    return {
+      enabled: config.enabled,
+      message: config.message,
+      businessHours: config.businessHours,
+      holidays: config.holidays,
+      timezone,
+      open,
+      nextOpeningAt: open ? null : getNextOpening(config, timezone, now),
+    };
+  }
+}
+
+module.exports = new AwayService();
@@ -0,0 +1,250 @@
+/**
+ * Command Service
+ * Parses chat commands and dispatches them to the command registry
+ */
+
+const { getClient } = require("../config/whatsapp");
+const { GroupSettings, GlobalSettings } = require("../models");
+const { getCommand, getCommands } = require("../commands");
+const groupService = require("./group.service");
+const queueService = require("./queue.service");
+const {
+  isGroupId,
+  isGroupAdmin,
+  normalizeGroupId,
+} = require("../utils/helpers");
+const { SEND_PRIORITY } = require("../config/constants");
+const logger = require("../utils/logger");
+
+class CommandService {
+  /**
+   * Handle a message if it is a command
+   * @param {Message} message
+   * @param {Object} context - { chat, settings } already loaded by the caller
+   * @returns {Promise<boolean>} Whether the message was handled as a command
+   */
+  async dispatch(message, { chat = null, settings = null } = {}) {
+    if (message.fromMe || !message.body) return false;
+
+    const globalSettings = await GlobalSettings.getSettings();
+    const prefix =
+      settings?.commandPrefix || globalSettings.defaultCommandPrefix;
+
+    const parsed = this.parseCommand(message.body, prefix);
+    if (!parsed) return false;
+
+    // Unknown commands are ignored so regular chatter isn't answered
+    const command = getCommand(parsed.name);
+    if (!command) return false;
+
+    const isGroup = isGroupId(message.from);
+    const groupSettings = isGroup ? settings : null;
+    if (!this.isCommandEnabled(command, globalSettings, groupSettings)) {
+      return false;
+    }
+
+    const reply = (content, options = {}) =>
+      queueService.enqueue(
+        message.from,
+        () => message.reply(content, undefined, options),
+        { priority: SEND_PRIORITY.REPLY, label: "command-reply" }
+      );
+
+    if (command.groupOnly && !isGroup) {
+      await reply("This command only works in groups.");
+      return true;
+    }
+
+    const commandChat = chat || (await message.getChat());
+    const senderId = message.author || message.from;
+    const isAdmin = isGroup && isGroupAdmin(commandChat, senderId);
+
+    if (command.adminOnly && !isAdmin) {
+      await reply("🔒 Only group admins can use this command.");
+      return true;
+    }
+
+    try {
+      await command.execute({
+        message,
+        chat: commandChat,
+        client: getClient(),
+        args: parsed.args,
+        rawArgs: parsed.rawArgs,
+        prefix,
+        settings: groupSettings,
+        isAdmin,
+        reply,
+        getCommand,
+        getAvailableCommands: () =>
+          this.getAvailableCommands(globalSettings, groupSettings, {
+            isGroup,
+            isAdmin,
+          }),
+      });
+
+      logger.info(
+        `Executed command ${prefix}${command.name} from ${senderId} in ${message.from}`
+      );
+    } catch (error) {
+      logger.error(`Command ${command.name} failed: ${error.message}`);
+      await reply(`❌ Command failed: ${error.message}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Split a message into command name and arguments
+   * @param {string} body
+   * @param {string} prefix
+   * @returns {Object|null} { name, args, rawArgs }
+   */
+  parseCommand(body, prefix) {
+    if (!body || !prefix || !body.startsWith(prefix)) return null;
+
+    const input = body.slice(prefix.length).trim();
+    if (!input) return null;
+
+    const [name] = input.split(/\s+/, 1);
+    const rawArgs = input.slice(name.length).trim();
+
+    return {
+      name: name.toLowerCase(),
+      args: this.parseArgs(rawArgs),
+      rawArgs,
+    };
+  }
+
+  /**
+   * Tokenize arguments, keeping quoted strings together
+   * @param {string} input
+   * @returns {string[]}
+   */
+  parseArgs(input) {
+    const args = [];
+    const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+      args.push(match[1] ?? match[2] ?? match[3]);
+    }
+
+    return args;
+  }
+
+  /**
+   * Check whether a command is enabled globally and for a group.
+   * A non-empty enabledCommands list acts as an allow-list for the group;
+   * disabledCommands always wins.
+   * @param {Object} command
+   * @param {Object} globalSettings
+   * @param {Object|null} groupSettings
+   * @returns {boolean}
+   */
+  isCommandEnabled(command, globalSettings, groupSettings) {
+    if (globalSettings?.disabledCommands?.includes(command.name)) {
+      return false;
+    }
+
+    if (!groupSettings) return true;
+
+    if (groupSettings.disabledCommands?.includes(command.name)) {
+      return false;
+    }
+
+    if (groupSettings.enabledCommands?.length > 0) {
+      return groupSettings.enabledCommands.includes(command.name);
+    }
+
+    return true;
+  }
+
+  /**
+   * Commands a user may run in the current chat
+   * @param {Object} globalSettings
+   * @param {Object|null} groupSettings
+   * @param {Object} options - { isGroup, isAdmin }
+   * @returns {Object[]}
+   */
+  getAvailableCommands(globalSettings, groupSettings, options = {}) {
+    return getCommands().filter(
+      (command) =>
+        this.isCommandEnabled(command, globalSettings, groupSettings) &&
+        (!command.groupOnly || options.isGroup) &&
+        (!command.adminOnly || options.isAdmin)
+    );
+  }
+
+  /**
+   * Get a command by name or alias
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  getCommand(name) {
+    return getCommand(name);
+  }
+
+  /**
+   * List all commands with their global (and optionally group) status
+   * @param {string|null} groupId
+   * @returns {Promise<Array>}
+   */
+  async listCommands(groupId = null) {
+    const globalSettings = await GlobalSettings.getSettings();
+    const groupSettings = groupId
+      ? await GroupSettings.findOne({ groupId: normalizeGroupId(groupId) })
+      : null;
+
+    return getCommands().map((command) => ({
+      name: command.name,
+      description: command.description,
+      usage: command.usage,
+      aliases: command.aliases,
+      adminOnly: command.adminOnly,
+      groupOnly: command.groupOnly,
+      enabled: !globalSettings.disabledCommands?.includes(command.name),
+      ...(groupId && {
+        enabledInGroup: this.isCommandEnabled(
+          command,
+          globalSettings,
+          groupSettings
+        ),
+      }),
+    }));
+  }
+
+  /**
+   * Enable or disable a command globally or for one group
+   * @param {string} name
+   * @param {Object} options - { groupId, enabled } (enabled omitted = toggle)
+   * @returns {Promise<Object>}
+   */
+  async toggleCommand(name, { groupId = null, enabled } = {}) {
+    const command = getCommand(name);
+    const globalSettings = await GlobalSettings.getSettings();
+
+    if (groupId) {
+      const settings = await groupService.getGroupSettings(groupId);
+      const next =
+        enabled ?? !this.isCommandEnabled(command, globalSettings, settings);
+      await settings.setCommandEnabled(command.name, next);
+      logger.info(
+        `Command ${command.name} ${next ? "enabled" : "disabled"} in ${
+          settings.groupId
+        }`
+      );
+      return { name: command.name, groupId: settings.groupId, enabled: next };
+    }
+
+    const next =
+      enabled ?? globalSettings.disabledCommands.includes(command.name);
+    await globalSettings.setCommandEnabled(command.name, next);
+    logger.info(
+      `Command ${command.name} ${next ? "enabled" : "disabled"} globally`
+    );
+    return { name: command.name, enabled: next };
+  }
+}
+
+module.exports = new CommandService();
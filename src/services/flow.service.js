@@ -0,0 +1,474 @@
+/**
+ * Flow Service
+ * Runs multi-step conversations (menus, questions, handoffs)
+ *
+ * Emits "handoff" with the formatted session when a flow hands a
+ * conversation to a human
+ */
+
+const EventEmitter = require("events");
+const { Flow, FlowSession } = require("../models");
+const { getClient } = require("../config/whatsapp");
+const queueService = require("./queue.service");
+const {
+  DEFAULTS,
+  FLOW_NODE_TYPES,
+  FLOW_SESSION_STATUS,
+  SEND_PRIORITY,
+} = require("../config/constants");
+const logger = require("../utils/logger");
+
+// Fields accepted on create and update
+const FLOW_FIELDS = [
+  "name",
+  "description",
+  "enabled",
+  "triggers",
+  "scope",
+  "startNode",
+  "nodes",
+  "timeoutMinutes",
+  "invalidOptionText",
+  "cancelKeyword",
+  "cancelText",
+];
+
+// How often sessions waiting past their timeout are closed
+const SWEEP_INTERVAL = 60000; // 1 minute
+
+class FlowService extends EventEmitter {
+  constructor() {
+    super();
+    // Enabled flows, reloaded after changes or FLOW_CACHE_TTL
+    this.flows = null;
+    this.flowsLoadedAt = 0;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Close sessions waiting past their timeout every SWEEP_INTERVAL
+   */
+  start() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(() => this.expireSessions(), SWEEP_INTERVAL);
+    this.sweepTimer.unref();
+
+    logger.info("💬 Flow session sweeper started");
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Continue the sender's active flow, or start one the message triggers
+   * @param {Message} message
+   * @returns {Promise<boolean>} Whether a flow handled the message
+   */
+  async handleMessage(message) {
+    if (message.fromMe || message.isStatus || !message.body) return false;
+
+    const chatId = message.from;
+    const contactId = message.author || message.from;
+    const text = message.body;
+
+    const session = await this.getActiveSession(chatId, contactId);
+    if (session) {
+      const flow = await Flow.findById(session.flowId);
+      if (flow?.enabled) {
+        await this.advance(flow, session, text);
+        return true;
+      }
+      await session.end(FLOW_SESSION_STATUS.CANCELLED);
+    }
+
+    const flows = await this.getEnabledFlows();
+    const flow = flows.find(
+      (candidate) =>
+        candidate.appliesTo(chatId) && candidate.isTriggeredBy(text)
+    );
+    if (!flow) return false;
+
+    return this.startSession(flow, chatId, contactId);
+  }
+
+  /**
+   * Active session of a contact, closing it first if it timed out
+   * @returns {Promise<Document|null>}
+   */
+  async getActiveSession(chatId, contactId) {
+    const session = await FlowSession.findActive(chatId, contactId);
+    if (!session) return null;
+
+    if (session.isExpired()) {
+      await session.end(FLOW_SESSION_STATUS.TIMED_OUT);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Start a flow for a contact
+   * @param {Document} flow
+   * @param {string} chatId
+   * @param {string} contactId
+   * @returns {Promise<boolean>} false if another message started one first
+   */
+  async startSession(flow, chatId, contactId) {
+    let session;
+    try {
+      session = await FlowSession.create({
+        flowId: flow._id,
+        flowName: flow.name,
+        chatId,
+        contactId,
+      });
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+
+    await Flow.recordStart(flow._id);
+    logger.info(`Flow "${flow.name}" started for ${contactId} in ${chatId}`);
+
+    await this.runFrom(flow, session, flow.startNode);
+    return true;
+  }
+
+  /**
+   * Apply a contact's answer to the node their session waits on
+   * @param {Document} flow
+   * @param {Document} session
+   * @param {string} input
+   */
+  async advance(flow, session, input) {
+    const answer = input.trim();
+
+    if (
+      flow.cancelKeyword &&
+      answer.toLowerCase() === flow.cancelKeyword.toLowerCase()
+    ) {
+      await session.end(FLOW_SESSION_STATUS.CANCELLED);
+      if (flow.cancelText) await this.send(session.chatId, flow.cancelText);
+      return;
+    }
+
+    const node = flow.getNode(session.currentNode);
+    if (!node) {
+      // The flow was edited and the node removed
+      logger.warn(
+        `Flow "${flow.name}" has no node "${session.currentNode}"; ending session`
+      );
+      await session.end(FLOW_SESSION_STATUS.CANCELLED);
+      return;
+    }
+
+    session.recordStep(node.id, answer);
+
+    if (node.type === FLOW_NODE_TYPES.MENU) {
+      const option = this.findOption(node, answer);
+      if (!option) {
+        session.expiresAt = this.getExpiry(flow);
+        await session.save();
+        await this.send(
+          session.chatId,
+          `${flow.invalidOptionText}\n\n${this.renderOptions(node)}`
+        );
+        return;
+      }
+
+      if (node.variable) session.answers.set(node.variable, option.label);
+      return this.runFrom(flow, session, option.next);
+    }
+
+    if (node.type === FLOW_NODE_TYPES.QUESTION) {
+      session.answers.set(node.variable, answer);
+    }
+    return this.runFrom(flow, session, node.next);
+  }
+
+  /**
+   * Send nodes from nodeId on until one waits for an answer or the flow ends
+   * @param {Document} flow
+   * @param {Document} session
+   * @param {string|null} nodeId
+   */
+  async runFrom(flow, session, nodeId) {
+    for (let step = 0; step < DEFAULTS.FLOW_MAX_STEPS; step++) {
+      const node = nodeId ? flow.getNode(nodeId) : null;
+      if (!node) {
+        await session.end(FLOW_SESSION_STATUS.COMPLETED);
+        return;
+      }
+
+      session.currentNode = node.id;
+      await this.send(session.chatId, this.renderNode(node, session));
+
+      switch (node.type) {
+        case FLOW_NODE_TYPES.MENU:
+        case FLOW_NODE_TYPES.QUESTION:
+          session.expiresAt = this.getExpiry(flow);
+          await session.save();
+          return;
+        case FLOW_NODE_TYPES.HANDOFF:
+          await session.end(FLOW_SESSION_STATUS.HANDED_OFF);
+          logger.info(
+            `Flow "${flow.name}" handed ${session.contactId} off to a human`
+          );
+          this.emit("handoff", this.formatSession(session));
+          return;
+        case FLOW_NODE_TYPES.END:
+          await session.end(FLOW_SESSION_STATUS.COMPLETED);
+          return;
+        default:
+          nodeId = node.next;
+      }
+    }
+
+    logger.warn(
+      `Flow "${flow.name}" ran ${DEFAULTS.FLOW_MAX_STEPS} steps without waiting; ending session`
+    );
+    await session.end(FLOW_SESSION_STATUS.COMPLETED);
+  }
+
+  /**
+   * Node text with {variable} answers filled in, plus menu options
+   */
+  renderNode(node, session) {
+    const text = node.text.replace(/\{(\w+)\}/g, (match, name) =>
+      session.answers.has(name) ? session.answers.get(name) : match
+    );
+
+    if (node.type !== FLOW_NODE_TYPES.MENU) return text;
+
+    const options = this.renderOptions(node);
+    return text ? `${text}\n\n${options}` : options;
+  }
+
+  renderOptions(node) {
+    return node.options
+      .map((option) => `*${option.key}*. ${option.label}`)
+      .join("\n");
+  }
+
+  /**
+   * Menu option chosen by key or label
+   */
+  findOption(node, answer) {
+    const choice = answer.toLowerCase();
+    return (
+      node.options.find(
+        (option) =>
+          option.key.toLowerCase() === choice ||
+          option.label.toLowerCase() === choice
+      ) || null
+    );
+  }
+
+  getExpiry(flow) {
+    return new Date(Date.now() + flow.timeoutMinutes * 60000);
+  }
+
+  async send(chatId, text) {
+    if (!text) return;
+
+    return queueService.enqueue(
+      chatId,
+      () => getClient().sendMessage(chatId, text),
+      { priority: SEND_PRIORITY.REPLY, label: "flow" }
+    );
+  }
+
+  /**
+   * Close sessions that waited past their timeout
+   */
+  async expireSessions() {
+    try {
+      const { modifiedCount } = await FlowSession.expireStale();
+      if (modifiedCount > 0) {
+        logger.info(`Timed out ${modifiedCount} flow sessions`);
+      }
+    } catch (error) {
+      logger.error(`Error expiring flow sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Enabled flows, cached
+   * @returns {Promise<Array>}
+   */
+  async getEnabledFlows() {
+    if (
+      !this.flows ||
+      Date.now() - this.flowsLoadedAt > DEFAULTS.FLOW_CACHE_TTL
+    ) {
+      this.flows = await Flow.getFlows({ enabledOnly: true });
+      this.flowsLoadedAt = Date.now();
+    }
+    return this.flows;
+  }
+
+  /**
+   * List flows
+   * @returns {Promise<Array>}
+   */
+  async getFlows() {
+    const flows = await Flow.getFlows();
+    return flows.map((flow) => this.formatFlow(flow));
+  }
+
+  /**
+   * Get a flow document
+   * @param {string} flowId
+   * @returns {Promise<Document|null>}
+   */
+  async getFlow(flowId) {
+    return Flow.findById(flowId);
+  }
+
+  /**
+   * Create a flow
+   * @param {Object} data
+   * @param {string|null} createdBy
+   * @returns {Promise<Object>}
+   */
+  async createFlow(data, createdBy = null) {
+    const flow = new Flow({ createdBy });
+    this.applyChanges(flow, data);
+    await flow.save();
+    this.flows = null;
+
+    logger.info(`Flow "${flow.name}" created`);
+    return this.formatFlow(flow);
+  }
+
+  /**
+   * Update a flow
+   * @param {Document} flow
+   * @param {Object} updates
+   * @returns {Promise<Object>}
+   */
+  async updateFlow(flow, updates) {
+    this.applyChanges(flow, updates);
+    await flow.save();
+    this.flows = null;
+
+    logger.info(`Flow "${flow.name}" updated`);
+    return this.formatFlow(flow);
+  }
+
+  /**
+   * Delete a flow and cancel its active sessions
+   * @param {Document} flow
+   * @returns {Promise<boolean>}
+   */
+  async deleteFlow(flow) {
+    await flow.deleteOne();
+    await FlowSession.updateMany(
+      { flowId: flow._id, status: FLOW_SESSION_STATUS.ACTIVE },
+      {
+        $set: {
+          status: FLOW_SESSION_STATUS.CANCELLED,
+          endedAt: new Date(),
+          expiresAt: null,
+        },
+      }
+    );
+    this.flows = null;
+
+    logger.info(`Flow "${flow.name}" deleted`);
+    return true;
+  }
+
+  applyChanges(flow, data) {
+    for (const field of FLOW_FIELDS) {
+      if (data[field] !== undefined) {
+        flow[field] = data[field];
+      }
+    }
+  }
+
+  /**
+   * List sessions, newest activity first
+   * @param {Object} options - { status, flowId, limit }
+   * @returns {Promise<Array>}
+   */
+  async getSessions(options = {}) {
+    const sessions = await FlowSession.getSessions(options);
+    return sessions.map((session) => this.formatSession(session));
+  }
+
+  /**
+   * Get a session document
+   * @param {string} sessionId
+   * @returns {Promise<Document|null>}
+   */
+  async getSession(sessionId) {
+    return FlowSession.findById(sessionId);
+  }
+
+  /**
+   * End a session from the dashboard (e.g. when a human takes over)
+   * @param {Document} session
+   * @returns {Promise<Object>}
+   */
+  async cancelSession(session) {
+    if (session.status === FLOW_SESSION_STATUS.ACTIVE) {
+      await session.end(FLOW_SESSION_STATUS.CANCELLED);
+      logger.info(`Flow session ${session._id} cancelled`);
+    }
+    return this.formatSession(session);
+  }
+
+  /**
+   * Format a flow for API responses
+   * @param {Document} flow
+   * @returns {Object}
+   */
+  formatFlow(flow) {
+    return {
+      id: flow._id.toString(),
+      name: flow.name,
+      description: flow.description,
+      enabled: flow.enabled,
+      triggers: flow.triggers,
+      scope: flow.scope,
+      startNode: flow.startNode,
+      nodes: flow.nodes,
+      timeoutMinutes: flow.timeoutMinutes,
+      invalidOptionText: flow.invalidOptionText,
+      cancelKeyword: flow.cancelKeyword,
+      cancelText: flow.cancelText,
+      startCount: flow.startCount,
+      createdBy: flow.createdBy,
+      createdAt: flow.createdAt,
+    };
+  }
+
+  /**
+   * Format a session for API responses
+   * @param {Document} session
+   * @returns {Object}
+   */
+  formatSession(session) {
+    return {
+      id: session._id.toString(),
+      flowId: session.flowId.toString(),
+      flowName: session.flowName,
+      chatId: session.chatId,
+      contactId: session.contactId,
+      status: session.status,
+      currentNode: session.currentNode,
+      answers: Object.fromEntries(session.answers),
+      history: session.history,
+      expiresAt: session.expiresAt,
+      endedAt: session.endedAt,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+    };
+  }
+}
+
+module.exports = new FlowService();
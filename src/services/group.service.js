@@ -5,7 +5,13 @@
 
 const { getClient, isClientReady } = require("../config/whatsapp");
 const { GroupSettings } = require("../models");
-const { ERROR_MESSAGES } = require("../config/constants");
+const { ERROR_MESSAGES, AUTO_MESSAGE_TYPES } = require("../config/constants");
+const queueService = require("./queue.service");
+const scheduleService = require("./schedule.service");
+const mediaService = require("./media.service");
+const templateService = require("./template.service");
+const welcomeService = require("./welcome.service");
+const { getNextRun } = require("../utils/cron");
 const { formatGroup, formatParticipant } = require("../utils/formatters");
 const {
   normalizeGroupId,
@@ -128,9 +134,11 @@ class GroupService {
     }
 
     // Send message with mentions
-    const sentMessage = await chat.sendMessage(fullMessage, {
-      mentions,
-    });
+    const sentMessage = await queueService.enqueue(
+      normalizedId,
+      () => chat.sendMessage(fullMessage, { mentions }),
+      { priority: options.priority, label: "tag-all" }
+    );
 
     logger.info(`Tagged ${mentions.length} members in group ${groupId}`);
 
@@ -170,6 +178,9 @@ class GroupService {
     const chunks = chunkArray(normalizedIds, 5);
 
     for (const chunk of chunks) {
+      // Joins we cause ourselves don't get a welcome
+      welcomeService.suppress(normalizedId);
+
       try {
         const result = await chat.addParticipants(chunk);
 
@@ -559,7 +570,19 @@ class GroupService {
    */
   async updateAutoMessage(groupId, type, config) {
     const settings = await this.getGroupSettings(groupId);
-    return settings.updateAutoMessage(type, config);
+
+    // Assets are only attached through setAutoMessageMedia
+    const { mediaAssetId, ...updates } = config;
+    const current = settings.autoMessages[type];
+    if (updates.mediaUrl && current?.mediaAssetId) {
+      await mediaService.deleteAsset(current.mediaAssetId);
+      updates.mediaAssetId = null;
+    }
+
+    await settings.updateAutoMessage(type, updates);
+    return type === AUTO_MESSAGE_TYPES.ANNOUNCEMENT
+      ? this.scheduleAnnouncement(settings)
+      : settings;
   }
 
   /**
@@ -570,7 +593,105 @@ class GroupService {
    */
   async toggleAutoMessage(groupId, type) {
     const settings = await this.getGroupSettings(groupId);
-    return settings.toggleAutoMessage(type);
+    await settings.toggleAutoMessage(type);
+    return type === AUTO_MESSAGE_TYPES.ANNOUNCEMENT
+      ? this.scheduleAnnouncement(settings)
+      : settings;
+  }
+
+  /**
+   * Attach an uploaded file to an auto-message, replacing any previous one
+   * @param {string} groupId
+   * @param {string} type
+   * @param {Object} file - { base64, mimetype, filename }
+   * @param {Object} options - { mediaType, createdBy }
+   * @returns {Promise<Object>}
+   */
+  async setAutoMessageMedia(groupId, type, file, options = {}) {
+    if (!Object.values(AUTO_MESSAGE_TYPES).includes(type)) {
+      throw new Error("Invalid auto-message type");
+    }
+
+    const settings = await this.getGroupSettings(groupId);
+    const previousAssetId = settings.autoMessages[type]?.mediaAssetId;
+
+    const asset = await mediaService.createAsset(file, options.createdBy);
+    const updated = await settings.updateAutoMessage(type, {
+      includeMedia: true,
+      mediaAssetId: asset._id,
+      mediaUrl: null,
+      ...(options.mediaType && { mediaType: options.mediaType }),
+    });
+
+    await mediaService.deleteAsset(previousAssetId);
+    return updated;
+  }
+
+  /**
+   * Remove the media of an auto-message
+   * @param {string} groupId
+   * @param {string} type
+   * @returns {Promise<Object>}
+   */
+  async removeAutoMessageMedia(groupId, type) {
+    const settings = await this.getGroupSettings(groupId);
+    const assetId = settings.autoMessages[type]?.mediaAssetId;
+
+    const updated = await settings.updateAutoMessage(type, {
+      includeMedia: false,
+      mediaAssetId: null,
+      mediaUrl: null,
+    });
+
+    await mediaService.deleteAsset(assetId);
+    return updated;
+  }
+
+  /**
+   * Render an auto-message against the group without sending it
+   * @param {string} groupId
+   * @param {string} type
+   * @param {Object} options - { message, participantIds } (defaults to the
+   *   saved template and the bot's own number)
+   * @returns {Promise<Object>}
+   */
+  async previewAutoMessage(groupId, type, options = {}) {
+    if (!Object.values(AUTO_MESSAGE_TYPES).includes(type)) {
+      throw new Error("Invalid auto-message type");
+    }
+
+    const settings = await this.getGroupSettings(groupId);
+    const participantIds = options.participantIds?.length
+      ? options.participantIds.map(normalizePhoneNumber)
+      : [isClientReady() && getClient().info?.wid?._serialized].filter(Boolean);
+
+    const { text, mentions, variables, error } =
+      await templateService.renderAutoMessage(settings, type, participantIds, {
+        message: options.message,
+        timezone: await scheduleService.getTimezone(),
+      });
+
+    return {
+      type,
+      text,
+      mentions: mentions.map((contact) => contact.id._serialized),
+      variables,
+      error,
+    };
+  }
+
+  /**
+   * Work out when the group announcement is next due
+   * @param {Document} settings
+   * @returns {Promise<Object>}
+   */
+  async scheduleAnnouncement(settings) {
+    const announcement = settings.autoMessages.announcement;
+    announcement.nextRunAt =
+      announcement.enabled && announcement.cron
+        ? getNextRun(announcement.cron, await scheduleService.getTimezone())
+        : null;
+    return settings.save();
   }
 
   /**
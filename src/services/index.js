@@ -8,6 +8,23 @@ const groupService = require("./group.service");
 const messageService = require("./message.service");
 const watchlistService = require("./watchlist.service");
 const contactService = require("./contact.service");
+const moderationService = require("./moderation.service");
+const commandService = require("./command.service");
+const webhookService = require("./webhook.service");
+const authService = require("./auth.service");
+const userService = require("./user.service");
+const queueService = require("./queue.service");
+const scheduleService = require("./schedule.service");
+const templateService = require("./template.service");
+const welcomeService = require("./welcome.service");
+const autoReplyService = require("./auto-reply.service");
+const awayService = require("./away.service");
+const flowService = require("./flow.service");
+const settingsService = require("./settings.service");
+const retentionService = require("./retention.service");
+const sessionService = require("./session.service");
+const watchdogService = require("./watchdog.service");
+const alertService = require("./alert.service");
 
 module.exports = {
   whatsappService,
@@ -15,4 +32,21 @@ module.exports = {
   messageService,
   watchlistService,
   contactService,
+  moderationService,
+  commandService,
+  webhookService,
+  authService,
+  userService,
+  queueService,
+  scheduleService,
+  templateService,
+  welcomeService,
+  autoReplyService,
+  awayService,
+  flowService,
+  settingsService,
+  retentionService,
+  sessionService,
+  watchdogService,
+  alertService,
 };
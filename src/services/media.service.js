@@ -0,0 +1,104 @@
+/**
+ * Media Service
+ * Uploaded media assets and a cache of loaded MessageMedia
+ */
+
+const { MessageMedia } = require("whatsapp-web.js");
+const { MediaAsset } = require("../models");
+const { DEFAULTS, ERROR_MESSAGES } = require("../config/constants");
+const logger = require("../utils/logger");
+
+class MediaService {
+  constructor() {
+    // key -> { promise, expiresAt }
+    this.cache = new Map();
+  }
+
+  /**
+   * Load the media of an auto-message config, from the cache when possible.
+   * mediaUrl wins over an uploaded asset.
+   * @param {Object} config - { mediaUrl, mediaAssetId }
+   * @returns {Promise<MessageMedia|null>}
+   */
+  async getMedia({ mediaUrl, mediaAssetId }) {
+    if (mediaUrl) {
+      return this.cached(`url:${mediaUrl}`, () =>
+        MessageMedia.fromUrl(mediaUrl, { unsafeMime: true })
+      );
+    }
+
+    if (mediaAssetId) {
+      return this.cached(`asset:${mediaAssetId}`, async () => {
+        const asset = await MediaAsset.findById(mediaAssetId);
+        if (!asset) throw new Error(ERROR_MESSAGES.MEDIA_ASSET_NOT_FOUND);
+        return new MessageMedia(asset.mimetype, asset.data, asset.filename);
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Share one load between concurrent callers and keep the result for
+   * MEDIA_CACHE_TTL. Failed loads are not cached.
+   * @param {string} key
+   * @param {Function} load
+   * @returns {Promise<MessageMedia>}
+   */
+  cached(key, load) {
+    const entry = this.cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.promise;
+    }
+
+    const promise = load().catch((error) => {
+      this.cache.delete(key);
+      throw error;
+    });
+
+    this.cache.delete(key);
+    this.cache.set(key, {
+      promise,
+      expiresAt: Date.now() + DEFAULTS.MEDIA_CACHE_TTL,
+    });
+
+    // Map keeps insertion order, so the first key is the oldest
+    if (this.cache.size > DEFAULTS.MEDIA_CACHE_MAX_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+
+    return promise;
+  }
+
+  /**
+   * Store an uploaded file
+   * @param {Object} file - { base64, mimetype, filename }
+   * @param {string|null} createdBy
+   * @returns {Promise<Document>}
+   */
+  async createAsset({ base64, mimetype, filename }, createdBy = null) {
+    const asset = await MediaAsset.create({
+      data: base64,
+      mimetype,
+      filename: filename || null,
+      size: Buffer.byteLength(base64, "base64"),
+      createdBy,
+    });
+
+    logger.info(`Media asset ${asset._id} uploaded (${mimetype})`);
+    return asset;
+  }
+
+  /**
+   * Delete an uploaded file and drop it from the cache
+   * @param {ObjectId|string} assetId
+   */
+  async deleteAsset(assetId) {
+    if (!assetId) return;
+
+    await MediaAsset.deleteOne({ _id: assetId });
+    this.cache.delete(`asset:${assetId}`);
+  }
+}
+
+module.exports = new MediaService();
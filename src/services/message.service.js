@@ -6,7 +6,13 @@
 const { getClient, isClientReady } = require("../config/whatsapp");
 const { MessageMedia, Location, Poll } = require("whatsapp-web.js");
 const { Message } = require("../models");
-const { ERROR_MESSAGES } = require("../config/constants");
+const {
+  ERROR_MESSAGES,
+  AUTO_MESSAGE_MEDIA_TYPES,
+  SEND_PRIORITY,
+} = require("../config/constants");
+const queueService = require("./queue.service");
+const mediaService = require("./media.service");
 const { formatMessage } = require("../utils/formatters");
 const {
   normalizePhoneNumber,
@@ -38,10 +44,10 @@ class MessageService {
     if (options.linkPreview !== undefined)
       messageOptions.linkPreview = options.linkPreview;
 
-    const sentMessage = await client.sendMessage(
+    const sentMessage = await queueService.enqueue(
       normalizedId,
-      content,
-      messageOptions
+      () => getClient().sendMessage(normalizedId, content, messageOptions),
+      { priority: options.priority, label: "message" }
     );
     logger.info(`Sent message to ${normalizedId}`);
     return formatMessage(sentMessage);
@@ -49,7 +55,6 @@ class MessageService {
 
   async sendMedia(chatId, mediaData, options = {}) {
     this.ensureReady();
-    const client = getClient();
     const normalizedId = isGroupId(chatId)
       ? normalizeGroupId(chatId)
       : normalizePhoneNumber(chatId);
@@ -79,10 +84,10 @@ class MessageService {
     if (options.sendAsDocument) messageOptions.sendMediaAsDocument = true;
     if (options.viewOnce) messageOptions.isViewOnce = true;
 
-    const sentMessage = await client.sendMessage(
+    const sentMessage = await queueService.enqueue(
       normalizedId,
-      media,
-      messageOptions
+      () => getClient().sendMessage(normalizedId, media, messageOptions),
+      { priority: options.priority, label: "media" }
     );
     logger.info(`Sent media to ${normalizedId}`);
     return formatMessage(sentMessage);
@@ -90,7 +95,6 @@ class MessageService {
 
   async sendLocation(chatId, latitude, longitude, options = {}) {
     this.ensureReady();
-    const client = getClient();
     const normalizedId = isGroupId(chatId)
       ? normalizeGroupId(chatId)
       : normalizePhoneNumber(chatId);
@@ -98,7 +102,11 @@ class MessageService {
       name: options.name,
       address: options.address,
     });
-    const sentMessage = await client.sendMessage(normalizedId, location);
+    const sentMessage = await queueService.enqueue(
+      normalizedId,
+      () => getClient().sendMessage(normalizedId, location),
+      { priority: options.priority, label: "location" }
+    );
     logger.info(`Sent location to ${normalizedId}`);
     return formatMessage(sentMessage);
   }
@@ -115,32 +123,104 @@ class MessageService {
     );
     const validContacts = contacts.filter(Boolean);
     if (validContacts.length === 0) throw new Error("No valid contacts found");
-    const sentMessage =
-      validContacts.length === 1
-        ? await client.sendMessage(normalizedId, validContacts[0])
-        : await client.sendMessage(normalizedId, validContacts);
+    const sentMessage = await queueService.enqueue(
+      normalizedId,
+      () =>
+        getClient().sendMessage(
+          normalizedId,
+          validContacts.length === 1 ? validContacts[0] : validContacts
+        ),
+      { label: "contact" }
+    );
     return formatMessage(sentMessage);
   }
 
   async sendPoll(chatId, question, options, pollOptions = {}) {
     this.ensureReady();
-    const client = getClient();
     const normalizedId = isGroupId(chatId)
       ? normalizeGroupId(chatId)
       : normalizePhoneNumber(chatId);
     const poll = new Poll(question, options, {
       allowMultipleAnswers: pollOptions.allowMultipleAnswers ?? false,
     });
-    const sentMessage = await client.sendMessage(normalizedId, poll);
+    const sentMessage = await queueService.enqueue(
+      normalizedId,
+      () => getClient().sendMessage(normalizedId, poll),
+      { priority: pollOptions.priority, label: "poll" }
+    );
     return formatMessage(sentMessage);
   }
 
+  /**
+   * Send a group auto-message (welcome, farewell, announcement) with its
+   * configured media. The text is used as the caption; stickers can't have
+   * one, so it follows as a separate message.
+   * @param {string} groupId
+   * @param {Object} config - autoMessages.<type> settings
+   * @param {string} text
+   * @param {Object} options - { mentions, label }
+   */
+  async sendAutoMessage(groupId, config, text, options = {}) {
+    this.ensureReady();
+    const { mentions = [], label = "auto-message" } = options;
+    const queueOptions = { priority: SEND_PRIORITY.AUTOMATION, label };
+
+    let media = null;
+    if (config.includeMedia) {
+      try {
+        media = await mediaService.getMedia(config);
+      } catch (error) {
+        // Better the text alone than nothing
+        logger.warn(`Could not load ${label} media: ${error.message}`);
+      }
+    }
+
+    if (!media) {
+      return queueService.enqueue(
+        groupId,
+        () => getClient().sendMessage(groupId, text, { mentions }),
+        queueOptions
+      );
+    }
+
+    const mediaOptions = {
+      [AUTO_MESSAGE_MEDIA_TYPES.GIF]: { sendVideoAsGif: true },
+      [AUTO_MESSAGE_MEDIA_TYPES.STICKER]: { sendMediaAsSticker: true },
+      [AUTO_MESSAGE_MEDIA_TYPES.DOCUMENT]: { sendMediaAsDocument: true },
+    }[config.mediaType];
+    const isSticker = config.mediaType === AUTO_MESSAGE_MEDIA_TYPES.STICKER;
+
+    const sent = await queueService.enqueue(
+      groupId,
+      () =>
+        getClient().sendMessage(groupId, media, {
+          ...mediaOptions,
+          ...(!isSticker && { caption: text, mentions }),
+        }),
+      queueOptions
+    );
+
+    if (isSticker && text) {
+      await queueService.enqueue(
+        groupId,
+        () => getClient().sendMessage(groupId, text, { mentions }),
+        queueOptions
+      );
+    }
+
+    return sent;
+  }
+
   async replyToMessage(messageId, content, options = {}) {
     this.ensureReady();
     const client = getClient();
     const message = await client.getMessageById(messageId);
     if (!message) throw new Error(ERROR_MESSAGES.MESSAGE_NOT_FOUND);
-    const reply = await message.reply(content, options.chatId, options);
+    const reply = await queueService.enqueue(
+      options.chatId || message.id.remote,
+      () => message.reply(content, options.chatId, options),
+      { priority: options.priority, label: "reply" }
+    );
     return formatMessage(reply);
   }
 
@@ -152,7 +232,11 @@ class MessageService {
     const normalizedId = isGroupId(chatId)
       ? normalizeGroupId(chatId)
       : normalizePhoneNumber(chatId);
-    const forwardedMessage = await message.forward(normalizedId);
+    const forwardedMessage = await queueService.enqueue(
+      normalizedId,
+      () => message.forward(normalizedId),
+      { label: "forward" }
+    );
     return formatMessage(forwardedMessage);
   }
 
@@ -0,0 +1,306 @@
+/**
+ * Moderation Service
+ * Automated group moderation driven by GroupSettings policies
+ * (anti-spam and anti-link)
+ */
+
+const { getClient } = require("../config/whatsapp");
+const { ModerationLog } = require("../models");
+const { MODERATION_TYPES, SEND_PRIORITY } = require("../config/constants");
+const queueService = require("./queue.service");
+const {
+  normalizeGroupId,
+  isGroupAdmin,
+  extractPhoneNumber,
+  extractDomains,
+  normalizeDomain,
+} = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+// How often idle sender windows are purged from memory
+const SWEEP_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+class ModerationService {
+  constructor() {
+    // Recent message timestamps keyed by `${groupId}:${senderId}`
+    this.messageWindows = new Map();
+    this.longestWindow = 0;
+
+    this.sweepTimer = setInterval(() => this.sweepWindows(), SWEEP_INTERVAL);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Run all enabled moderation checks for an incoming group message
+   * @param {Message} message
+   * @param {GroupChat} chat
+   * @param {Object} settings - GroupSettings document
+   * @returns {Promise<Object|null>} Recorded strike, if any
+   */
+  async moderateMessage(message, chat, settings) {
+    if (!settings || message.fromMe) return null;
+
+    const senderId = message.author || message.from;
+
+    // Admins are never moderated
+    if (isGroupAdmin(chat, senderId)) return null;
+
+    if (settings.antiLink?.enabled) {
+      const strike = await this.checkLinks(message, chat, settings.antiLink);
+      if (strike) return strike;
+    }
+
+    if (settings.antiSpam?.enabled) {
+      const strike = await this.checkSpam(message, chat, settings.antiSpam);
+      if (strike) return strike;
+    }
+
+    return null;
+  }
+
+  /**
+   * Sliding-window flood detection per group and sender
+   * @param {Message} message
+   * @param {GroupChat} chat
+   * @param {Object} policy - antiSpam settings
+   * @returns {Promise<Object|null>}
+   */
+  async checkSpam(message, chat, policy) {
+    const groupId = chat.id._serialized;
+    const senderId = message.author || message.from;
+    const key = `${groupId}:${senderId}`;
+    const windowMs = policy.timeWindowSeconds * 1000;
+    const now = Date.now();
+
+    this.longestWindow = Math.max(this.longestWindow, windowMs);
+
+    const timestamps = (this.messageWindows.get(key) || []).filter(
+      (timestamp) => now - timestamp < windowMs
+    );
+    timestamps.push(now);
+
+    if (timestamps.length <= policy.maxMessages) {
+      this.messageWindows.set(key, timestamps);
+      return null;
+    }
+
+    // Start a fresh window so a single burst only produces one strike
+    this.messageWindows.delete(key);
+
+    logger.warn(
+      `Spam detected in ${groupId} from ${senderId}: ${timestamps.length} messages in ${policy.timeWindowSeconds}s`
+    );
+
+    return this.applyAction(message, chat, {
+      type: MODERATION_TYPES.SPAM,
+      action: policy.action,
+      reason: `Sent more than ${policy.maxMessages} messages in ${policy.timeWindowSeconds} seconds`,
+      details: {
+        messageCount: timestamps.length,
+        maxMessages: policy.maxMessages,
+        timeWindowSeconds: policy.timeWindowSeconds,
+      },
+    });
+  }
+
+  /**
+   * Detect links to domains outside the group's allow-list
+   * @param {Message} message
+   * @param {GroupChat} chat
+   * @param {Object} policy - antiLink settings
+   * @returns {Promise<Object|null>}
+   */
+  async checkLinks(message, chat, policy) {
+    const domains = this.getMessageDomains(message);
+    const allowedDomains = (policy.allowedDomains || [])
+      .map(normalizeDomain)
+      .filter(Boolean);
+
+    const blockedDomains = domains.filter(
+      (domain) =>
+        !allowedDomains.some(
+          (allowed) => domain === allowed || domain.endsWith(`.${allowed}`)
+        )
+    );
+
+    if (blockedDomains.length === 0) {
+      return null;
+    }
+
+    const groupId = chat.id._serialized;
+    const senderId = message.author || message.from;
+    logger.warn(
+      `Link detected in ${groupId} from ${senderId}: ${blockedDomains.join(
+        ", "
+      )}`
+    );
+
+    return this.applyAction(message, chat, {
+      type: MODERATION_TYPES.LINK,
+      action: policy.action,
+      reason: "Links are not allowed in this group",
+      details: { domains: blockedDomains },
+    });
+  }
+
+  /**
+   * Collect link domains from WhatsApp's parsed links and the message text
+   * @param {Message} message
+   * @returns {string[]}
+   */
+  getMessageDomains(message) {
+    const domains = new Set(extractDomains(message.body));
+
+    for (const { link } of message.links || []) {
+      try {
+        const url = new URL(
+          /^[a-z]+:\/\//i.test(link) ? link : `http://${link}`
+        );
+        domains.add(normalizeDomain(url.hostname));
+      } catch {
+        extractDomains(link).forEach((domain) => domains.add(domain));
+      }
+    }
+
+    return [...domains];
+  }
+
+  /**
+   * Apply a moderation action and record the strike
+   * @param {Message} message
+   * @param {GroupChat} chat
+   * @param {Object} strike - { type, action, reason, details }
+   * @returns {Promise<Object>}
+   */
+  async applyAction(message, chat, strike) {
+    const groupId = chat.id._serialized;
+    const senderId = message.author || message.from;
+    let success = true;
+
+    try {
+      switch (strike.action) {
+        case "delete":
+          await message.delete(true);
+          logger.info(`Deleted message from ${senderId} in ${groupId}`);
+          break;
+        case "warn":
+          await this.warnParticipant(message, strike.reason);
+          break;
+        case "mute":
+          await this.lockGroup(chat, strike.details.timeWindowSeconds);
+          break;
+        case "remove":
+          if (strike.type === MODERATION_TYPES.LINK) {
+            await message.delete(true);
+          }
+          await chat.removeParticipants([senderId]);
+          logger.info(`Removed ${senderId} from group ${groupId}`);
+          break;
+        default:
+          logger.warn(`Unknown moderation action: ${strike.action}`);
+          success = false;
+      }
+    } catch (error) {
+      success = false;
+      logger.error(
+        `Failed to apply moderation action "${strike.action}" in ${groupId}: ${error.message}`
+      );
+    }
+
+    return ModerationLog.recordStrike({
+      groupId,
+      participantId: senderId,
+      type: strike.type,
+      action: strike.action,
+      success,
+      reason: strike.reason,
+      messageId: message.id?._serialized || null,
+      details: strike.details || {},
+    });
+  }
+
+  /**
+   * Reply to the offending message with a warning mentioning the sender
+   * @param {Message} message
+   * @param {string} reason
+   */
+  async warnParticipant(message, reason) {
+    const client = getClient();
+    const senderId = message.author || message.from;
+    const contact = await client.getContactById(senderId);
+
+    await queueService.enqueue(
+      message.from,
+      () =>
+        message.reply(
+          `⚠️ @${
+            contact.number || extractPhoneNumber(senderId)
+          } *Warning:* ${reason}. Please stop or you may be removed.`,
+          undefined,
+          { mentions: [contact] }
+        ),
+      { priority: SEND_PRIORITY.REPLY, label: "moderation-warning" }
+    );
+  }
+
+  /**
+   * Restrict the group to admin-only messages for a cool-down period
+   * @param {GroupChat} chat
+   * @param {number} durationSeconds
+   */
+  async lockGroup(chat, durationSeconds) {
+    const groupId = chat.id._serialized;
+
+    // false when the bot is not an admin of the group
+    const locked = await chat.setMessagesAdminsOnly(true);
+    if (!locked) {
+      throw new Error("Could not lock the group: the bot is not an admin");
+    }
+
+    await queueService.enqueue(
+      groupId,
+      () =>
+        chat.sendMessage(
+          `🔒 The group has been locked for ${durationSeconds} seconds due to spam.`
+        ),
+      { priority: SEND_PRIORITY.REPLY, label: "moderation-lock" }
+    );
+    logger.info(`Locked group ${groupId} for ${durationSeconds}s`);
+
+    const unlockTimer = setTimeout(async () => {
+      try {
+        await chat.setMessagesAdminsOnly(false);
+        logger.info(`Unlocked group ${groupId}`);
+      } catch (error) {
+        logger.error(`Failed to unlock group ${groupId}: ${error.message}`);
+      }
+    }, durationSeconds * 1000);
+    unlockTimer.unref();
+  }
+
+  /**
+   * Get moderation strike history for a group
+   * @param {string} groupId
+   * @param {Object} options - { limit, type, participantId }
+   * @returns {Promise<Array>}
+   */
+  async getHistory(groupId, options = {}) {
+    return ModerationLog.getGroupHistory(normalizeGroupId(groupId), options);
+  }
+
+  /**
+   * Drop sender windows that have no recent messages
+   */
+  sweepWindows() {
+    const now = Date.now();
+
+    for (const [key, timestamps] of this.messageWindows) {
+      const latest = timestamps[timestamps.length - 1] || 0;
+      if (now - latest >= this.longestWindow) {
+        this.messageWindows.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,56 @@
+/**
+ * Email Notifier
+ * Sends alerts to notifications.email.address through the SMTP server in
+ * SMTP_HOST (and SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM)
+ */
+
+const nodemailer = require("nodemailer");
+const { DEFAULTS } = require("../../config/constants");
+
+class EmailNotifier {
+  constructor() {
+    this.name = "email";
+    this.transport = null;
+  }
+
+  isEnabled(notifications) {
+    const { email } = notifications || {};
+    return Boolean(email?.enabled && email.address && process.env.SMTP_HOST);
+  }
+
+  /**
+   * Created on first use, so the server starts without SMTP settings
+   */
+  getTransport() {
+    if (!this.transport) {
+      const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS } =
+        process.env;
+
+      this.transport = nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: parseInt(SMTP_PORT) || 587,
+        secure: SMTP_SECURE === "true",
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+        connectionTimeout: DEFAULTS.NOTIFIER_TIMEOUT,
+        greetingTimeout: DEFAULTS.NOTIFIER_TIMEOUT,
+        socketTimeout: DEFAULTS.NOTIFIER_TIMEOUT,
+      });
+    }
+    return this.transport;
+  }
+
+  /**
+   * @param {Object} message - { subject, text }
+   * @param {Object} notifications - GlobalSettings.notifications
+   */
+  async send(message, notifications) {
+    await this.getTransport().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: notifications.email.address,
+      subject: message.subject,
+      text: message.text,
+    });
+  }
+}
+
+module.exports = new EmailNotifier();
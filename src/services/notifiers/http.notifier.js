@@ -0,0 +1,45 @@
+/**
+ * HTTP Notifier
+ * POSTs alerts as JSON to notifications.http.url:
+ * { event: "alert.raised" | "alert.resolved", subject, text, alert }
+ */
+
+const { DEFAULTS } = require("../../config/constants");
+
+class HttpNotifier {
+  constructor() {
+    this.name = "http";
+  }
+
+  isEnabled(notifications) {
+    const { http } = notifications || {};
+    return Boolean(http?.enabled && http.url);
+  }
+
+  /**
+   * @param {Object} message - { subject, text, resolved, alert }
+   * @param {Object} notifications - GlobalSettings.notifications
+   */
+  async send(message, notifications) {
+    const response = await fetch(notifications.http.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "whatsapp-bot-alerts",
+      },
+      body: JSON.stringify({
+        event: message.resolved ? "alert.resolved" : "alert.raised",
+        subject: message.subject,
+        text: message.text,
+        alert: message.alert,
+      }),
+      signal: AbortSignal.timeout(DEFAULTS.NOTIFIER_TIMEOUT),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Alert URL responded with HTTP ${response.status}`);
+    }
+  }
+}
+
+module.exports = new HttpNotifier();
@@ -0,0 +1,12 @@
+/**
+ * Notifiers Index
+ * Alert channels. Each has a name, isEnabled(notifications) and
+ * send(message, notifications), where notifications is
+ * GlobalSettings.notifications.
+ */
+
+const emailNotifier = require("./email.notifier");
+const slackNotifier = require("./slack.notifier");
+const httpNotifier = require("./http.notifier");
+
+module.exports = [emailNotifier, slackNotifier, httpNotifier];
@@ -0,0 +1,38 @@
+/**
+ * Slack Notifier
+ * Posts alerts to a Slack incoming webhook (notifications.slack.webhookUrl).
+ * Mattermost, Rocket.Chat and Discord's /slack endpoint accept the same
+ * payload.
+ */
+
+const { DEFAULTS } = require("../../config/constants");
+
+class SlackNotifier {
+  constructor() {
+    this.name = "slack";
+  }
+
+  isEnabled(notifications) {
+    const { slack } = notifications || {};
+    return Boolean(slack?.enabled && slack.webhookUrl);
+  }
+
+  /**
+   * @param {Object} message - { subject, text }
+   * @param {Object} notifications - GlobalSettings.notifications
+   */
+  async send(message, notifications) {
+    const response = await fetch(notifications.slack.webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text: `*${message.subject}*\n${message.text}` }),
+      signal: AbortSignal.timeout(DEFAULTS.NOTIFIER_TIMEOUT),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Slack responded with HTTP ${response.status}`);
+    }
+  }
+}
+
+module.exports = new SlackNotifier();
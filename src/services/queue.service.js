@@ -0,0 +1,365 @@
+/**
+ * Queue Service
+ * Central outbound send queue with token buckets, priorities and pacing
+ *
+ * Each WhatsApp session (account) has its own account bucket; jobs run in
+ * the session they were queued from.
+ */
+
+const { GlobalSettings } = require("../models");
+const {
+  DEFAULTS,
+  ERROR_MESSAGES,
+  SEND_PRIORITY,
+} = require("../config/constants");
+const { delay, randomInt, generateId } = require("../utils/helpers");
+const {
+  getCurrentSessionId,
+  getSessionScope,
+  bindToSession,
+} = require("../utils/session-context");
+const logger = require("../utils/logger");
+
+// How long maxMessagesPerMinute is cached between settings reads
+const LIMITS_CACHE_TTL = 30000; // 30 seconds
+
+const PRIORITY_NAMES = Object.fromEntries(
+  Object.entries(SEND_PRIORITY).map(([name, value]) => [
+    value,
+    name.toLowerCase(),
+  ])
+);
+
+/**
+ * Token bucket refilled continuously at ratePerMinute
+ */
+class TokenBucket {
+  constructor(capacity, ratePerMinute) {
+    this.capacity = capacity;
+    this.ratePerMinute = ratePerMinute;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  configure(capacity, ratePerMinute) {
+    this.refill();
+    this.capacity = capacity;
+    this.ratePerMinute = ratePerMinute;
+    this.tokens = Math.min(this.tokens, capacity);
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsed = now - this.updatedAt;
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + (elapsed * this.ratePerMinute) / 60000
+    );
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until a token is available (0 = now)
+   */
+  waitTime() {
+    this.refill();
+    if (this.tokens >= 1) return 0;
+    return Math.ceil(((1 - this.tokens) * 60000) / this.ratePerMinute);
+  }
+
+  take() {
+    this.refill();
+    this.tokens -= 1;
+  }
+
+  isFull() {
+    this.refill();
+    return this.tokens >= this.capacity;
+  }
+}
+
+class QueueService {
+  constructor() {
+    this.pending = [];
+    this.failed = [];
+    this.active = null;
+    this.processing = false;
+    this.stats = { sent: 0, failed: 0 };
+
+    this.maxMessagesPerMinute = null;
+    this.limitsExpiresAt = 0;
+    this.accountBuckets = new Map();
+    this.chatBuckets = new Map();
+  }
+
+  /**
+   * Queue an outbound send. Resolves with the task's result once sent.
+   * @param {string} chatId - Target chat (used for per-chat pacing)
+   * @param {Function} task - Performs the actual send, in the current session
+   * @param {Object} options - { priority, label }
+   * @returns {Promise<any>}
+   */
+  enqueue(chatId, task, options = {}) {
+    if (this.pending.length >= DEFAULTS.SEND_QUEUE_MAX_PENDING) {
+      return Promise.reject(new Error(ERROR_MESSAGES.SEND_QUEUE_FULL));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending.push({
+        id: generateId("job"),
+        sessionId: getCurrentSessionId(),
+        chatId,
+        task: bindToSession(task),
+        label: options.label || "message",
+        priority: options.priority ?? SEND_PRIORITY.MANUAL,
+        status: "pending",
+        enqueuedAt: new Date(),
+        resolve,
+        reject,
+      });
+
+      this.process().catch((error) =>
+        logger.error(`Send queue worker error: ${error.message}`)
+      );
+    });
+  }
+
+  /**
+   * Worker loop: runs until the queue is empty
+   */
+  async process() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.pending.length > 0) {
+        await this.refreshLimits();
+
+        const job = this.nextJob();
+        if (!job) {
+          await delay(this.nextWait());
+          continue;
+        }
+
+        this.getAccountBucket(job.sessionId).take();
+        this.getChatBucket(job).take();
+        await this.run(job);
+
+        // Human-like pause before the next send
+        if (this.pending.length > 0) {
+          await delay(
+            randomInt(DEFAULTS.SEND_MIN_DELAY, DEFAULTS.SEND_MAX_DELAY)
+          );
+        }
+      }
+    } finally {
+      this.processing = false;
+      this.sweepBuckets();
+    }
+  }
+
+  /**
+   * Execute one job and settle its promise
+   * @param {Object} job
+   */
+  async run(job) {
+    this.pending.splice(this.pending.indexOf(job), 1);
+    job.status = "sending";
+    job.startedAt = new Date();
+    this.active = job;
+
+    try {
+      const result = await this.runWithTimeout(job);
+      this.stats.sent++;
+      job.resolve(result);
+    } catch (error) {
+      this.stats.failed++;
+      job.status = "failed";
+      job.error = error.message;
+      job.failedAt = new Date();
+
+      this.failed.unshift(job);
+      this.failed.length = Math.min(
+        this.failed.length,
+        DEFAULTS.SEND_QUEUE_FAILED_HISTORY
+      );
+
+      logger.warn(
+        `Queued ${job.label} to ${job.chatId} failed: ${error.message}`
+      );
+      job.reject(error);
+    } finally {
+      this.active = null;
+    }
+  }
+
+  /**
+   * Run a job's task, failing it after SEND_TASK_TIMEOUT so one send that
+   * never settles (e.g. a page stuck during a reconnect) doesn't hold up the
+   * queue. The task itself can't be cancelled and may still complete.
+   * @param {Object} job
+   * @returns {Promise<any>}
+   */
+  async runWithTimeout(job) {
+    let timeout;
+    try {
+      return await Promise.race([
+        job.task(),
+        new Promise((resolve, reject) => {
+          timeout = setTimeout(
+            () =>
+              reject(
+                new Error(
+                  `Send timed out after ${DEFAULTS.SEND_TASK_TIMEOUT / 1000}s`
+                )
+              ),
+            DEFAULTS.SEND_TASK_TIMEOUT
+          );
+        }),
+      ]);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Highest priority (then oldest) job whose account and chat have a token
+   * available
+   * @returns {Object|null}
+   */
+  nextJob() {
+    const ordered = [...this.pending].sort(
+      (a, b) => a.priority - b.priority || a.enqueuedAt - b.enqueuedAt
+    );
+    return ordered.find((job) => this.waitTime(job) === 0) || null;
+  }
+
+  /**
+   * Shortest wait until any pending job can be sent
+   * @returns {number}
+   */
+  nextWait() {
+    return Math.min(...this.pending.map((job) => this.waitTime(job)));
+  }
+
+  waitTime(job) {
+    return Math.max(
+      this.getAccountBucket(job.sessionId).waitTime(),
+      this.getChatBucket(job).waitTime()
+    );
+  }
+
+  getAccountBucket(sessionId) {
+    if (!this.accountBuckets.has(sessionId)) {
+      const perMinute = this.maxMessagesPerMinute || 30;
+      this.accountBuckets.set(
+        sessionId,
+        new TokenBucket(
+          Math.min(DEFAULTS.SEND_ACCOUNT_BURST, perMinute),
+          perMinute
+        )
+      );
+    }
+    return this.accountBuckets.get(sessionId);
+  }
+
+  getChatBucket(job) {
+    const key = `${job.sessionId}:${job.chatId}`;
+    if (!this.chatBuckets.has(key)) {
+      this.chatBuckets.set(
+        key,
+        new TokenBucket(DEFAULTS.SEND_CHAT_BURST, DEFAULTS.SEND_CHAT_PER_MINUTE)
+      );
+    }
+    return this.chatBuckets.get(key);
+  }
+
+  /**
+   * Drop idle buckets; a full bucket is the same as a new one
+   */
+  sweepBuckets() {
+    for (const buckets of [this.accountBuckets, this.chatBuckets]) {
+      for (const [key, bucket] of buckets) {
+        if (bucket.isFull()) {
+          buckets.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Apply GlobalSettings.maxMessagesPerMinute to the account buckets
+   */
+  async refreshLimits() {
+    if (Date.now() < this.limitsExpiresAt) return;
+    this.limitsExpiresAt = Date.now() + LIMITS_CACHE_TTL;
+
+    try {
+      const settings = await GlobalSettings.getSettings();
+      const perMinute = Math.max(1, settings.maxMessagesPerMinute || 1);
+
+      if (perMinute !== this.maxMessagesPerMinute) {
+        this.maxMessagesPerMinute = perMinute;
+        for (const bucket of this.accountBuckets.values()) {
+          bucket.configure(
+            Math.min(DEFAULTS.SEND_ACCOUNT_BURST, perMinute),
+            perMinute
+          );
+        }
+      }
+    } catch (error) {
+      logger.warn(`Could not load send limits: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue state for the API, limited to the current session's jobs
+   * (stats cover all sessions)
+   * @returns {Object}
+   */
+  getStatus() {
+    const sessionId = getSessionScope();
+    const inSession = (job) => !sessionId || job.sessionId === sessionId;
+
+    const pending = this.pending
+      .filter(inSession)
+      .sort((a, b) => a.priority - b.priority || a.enqueuedAt - b.enqueuedAt);
+    const active = this.active && inSession(this.active) ? this.active : null;
+
+    return {
+      limits: {
+        maxMessagesPerMinute: this.maxMessagesPerMinute,
+        perChatPerMinute: DEFAULTS.SEND_CHAT_PER_MINUTE,
+      },
+      stats: {
+        ...this.stats,
+        pending: this.pending.length,
+      },
+      active: active ? this.formatJob(active) : null,
+      pending: pending.map((job) => this.formatJob(job)),
+      failed: this.failed.filter(inSession).map((job) => this.formatJob(job)),
+    };
+  }
+
+  /**
+   * Format a job for API responses
+   * @param {Object} job
+   * @returns {Object}
+   */
+  formatJob(job) {
+    return {
+      id: job.id,
+      sessionId: job.sessionId,
+      chatId: job.chatId,
+      label: job.label,
+      priority: PRIORITY_NAMES[job.priority] || job.priority,
+      status: job.status,
+      enqueuedAt: job.enqueuedAt,
+      startedAt: job.startedAt || null,
+      failedAt: job.failedAt || null,
+      error: job.error || null,
+    };
+  }
+}
+
+module.exports = new QueueService();
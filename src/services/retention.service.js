@@ -0,0 +1,218 @@
+/**
+ * Retention Service
+ * Background job that removes logged messages older than
+ * GlobalSettings.logRetentionDays (or a watchlist item's retentionDays)
+ *
+ * Starred messages are never removed. Depending on
+ * GlobalSettings.logRetentionAction, old messages are deleted or moved to
+ * the ArchivedMessage collection. Runs across all WhatsApp sessions.
+ */
+
+const {
+  Message,
+  ArchivedMessage,
+  GlobalSettings,
+  Watchlist,
+  AuditLog,
+} = require("../models");
+const { DEFAULTS, RETENTION_ACTIONS } = require("../config/constants");
+const { runOutsideSession } = require("../utils/session-context");
+const logger = require("../utils/logger");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class RetentionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.lastReport = null;
+  }
+
+  /**
+   * Purge on start and then every RETENTION_INTERVAL
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), DEFAULTS.RETENTION_INTERVAL);
+    this.timer.unref();
+    this.tick();
+
+    logger.info("🧹 Message retention job started");
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    try {
+      await this.run();
+    } catch (error) {
+      logger.error(`Retention job error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove messages past their retention window
+   * @param {Object} options - { dryRun } only counts what would be removed
+   * @returns {Promise<Object|null>} Report, or null if a run is in progress
+   */
+  async run(options = {}) {
+    // Spans every session, even when started from a session's route
+    return runOutsideSession(() => this.runAll(options));
+  }
+
+  async runAll(options) {
+    const { dryRun = false } = options;
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const settings = await GlobalSettings.getSettings();
+      const action = settings.logRetentionAction || RETENTION_ACTIONS.DELETE;
+      const startedAt = new Date();
+
+      // Watchlist overrides first, then everything else with the global window
+      const overrides = await Watchlist.find(
+        { retentionDays: { $ne: null } },
+        { sessionId: 1, chatId: 1, retentionDays: 1 }
+      ).lean();
+
+      const scopes = overrides.map((item) => ({
+        retentionDays: item.retentionDays,
+        filter: { sessionId: item.sessionId, chatId: item.chatId },
+      }));
+      scopes.push({
+        retentionDays: settings.logRetentionDays,
+        filter:
+          overrides.length > 0
+            ? {
+                $nor: overrides.map((item) => ({
+                  sessionId: item.sessionId,
+                  chatId: item.chatId,
+                })),
+              }
+            : {},
+      });
+
+      const chats = [];
+      for (const { retentionDays, filter } of scopes) {
+        const cutoff = new Date(startedAt.getTime() - retentionDays * DAY);
+        const query = {
+          ...filter,
+          timestamp: { $lt: cutoff },
+          isStarred: { $ne: true },
+        };
+
+        const counts = await Message.aggregate([
+          { $match: query },
+          {
+            $group: {
+              _id: { sessionId: "$sessionId", chatId: "$chatId" },
+              count: { $sum: 1 },
+            },
+          },
+        ]);
+        if (counts.length === 0) continue;
+
+        if (!dryRun) {
+          await (action === RETENTION_ACTIONS.ARCHIVE
+            ? this.archive(query)
+            : Message.deleteMany(query));
+        }
+
+        for (const { _id, count } of counts) {
+          chats.push({ ..._id, count, retentionDays, cutoff });
+        }
+      }
+
+      const report = {
+        action,
+        dryRun,
+        total: chats.reduce((sum, chat) => sum + chat.count, 0),
+        chats: chats.sort((a, b) => b.count - a.count),
+        startedAt,
+        finishedAt: new Date(),
+      };
+
+      if (!dryRun) {
+        this.lastReport = report;
+        if (report.total > 0) {
+          await AuditLog.record(`retention.${action}d`, null, report);
+          logger.info(
+            `Retention: ${action}d ${report.total} messages from ${chats.length} chats`
+          );
+        }
+      }
+
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Move matching messages to the archive in batches
+   * @param {Object} query
+   */
+  async archive(query) {
+    let batch;
+    while (
+      (batch = await Message.find(query)
+        .limit(DEFAULTS.RETENTION_BATCH_SIZE)
+        .lean()).length > 0
+    ) {
+      try {
+        await ArchivedMessage.insertMany(batch, { ordered: false });
+      } catch (error) {
+        // Already archived by an earlier, interrupted run
+        if (error.code !== 11000) throw error;
+      }
+
+      await Message.deleteMany({
+        _id: { $in: batch.map((message) => message._id) },
+      });
+    }
+  }
+
+  /**
+   * Retention settings and the last run
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    // Overrides from every session
+    return runOutsideSession(() => this.getAllStatus());
+  }
+
+  async getAllStatus() {
+    const settings = await GlobalSettings.getSettings();
+
+    let lastReport = this.lastReport;
+    if (!lastReport) {
+      // Survives restarts through the audit log
+      const [entry] = await AuditLog.find({
+        action: { $in: ["retention.deleted", "retention.archived"] },
+      })
+        .sort({ createdAt: -1 })
+        .limit(1)
+        .lean();
+      lastReport = entry?.details || null;
+    }
+
+    return {
+      enableLogging: settings.enableLogging,
+      logRetentionDays: settings.logRetentionDays,
+      logRetentionAction: settings.logRetentionAction,
+      overrides: await Watchlist.find(
+        { retentionDays: { $ne: null } },
+        { _id: 0, sessionId: 1, chatId: 1, chatName: 1, retentionDays: 1 }
+      ).lean(),
+      running: this.running,
+      lastReport,
+    };
+  }
+}
+
+module.exports = new RetentionService();
@@ -0,0 +1,386 @@
+/**
+ * Schedule Service
+ * Stores scheduled messages and sends them, and group announcements, when due
+ */
+
+const EventEmitter = require("events");
+const {
+  ScheduledMessage,
+  GlobalSettings,
+  GroupSettings,
+} = require("../models");
+const { getReadySessionIds } = require("../config/whatsapp");
+const messageService = require("./message.service");
+const templateService = require("./template.service");
+const settingsService = require("./settings.service");
+const {
+  DEFAULTS,
+  AUTO_MESSAGE_TYPES,
+  SCHEDULED_MESSAGE_TYPES,
+  SCHEDULE_STATUS,
+  SEND_PRIORITY,
+} = require("../config/constants");
+const {
+  getNextRun,
+  isValidTimezone,
+  parseDateInTimezone,
+} = require("../utils/cron");
+const { runInSession } = require("../utils/session-context");
+const logger = require("../utils/logger");
+
+// Fields accepted on create and update
+const SCHEDULE_FIELDS = [
+  "chatId",
+  "chatName",
+  "type",
+  "content",
+  "media",
+  "poll",
+  "location",
+];
+
+/**
+ * Emits "sent" and "failed" with the formatted schedule after each run
+ */
+class ScheduleService extends EventEmitter {
+  constructor() {
+    super();
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start polling for due messages. Schedules live in MongoDB, so anything
+   * that came due while the server was down is sent on the first tick.
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), DEFAULTS.SCHEDULER_INTERVAL);
+    this.timer.unref();
+    this.tick();
+
+    logger.info("⏰ Message scheduler started");
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send every due message, session by session. Messages stay due while
+   * their session's client is offline or maintenance mode is on.
+   */
+  async tick() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      if (await settingsService.isMaintenanceMode()) return;
+
+      for (const sessionId of getReadySessionIds()) {
+        try {
+          await runInSession(sessionId, () => this.sendDue());
+        } catch (error) {
+          logger.error(`Scheduler error [${sessionId}]: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Scheduler error: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Send the current session's due messages and announcements
+   */
+  async sendDue() {
+    let schedule;
+    while (
+      (schedule = await ScheduledMessage.claimDue(
+        DEFAULTS.SCHEDULE_LOCK_TIMEOUT
+      ))
+    ) {
+      await this.run(schedule);
+    }
+
+    await this.sendAnnouncements();
+  }
+
+  /**
+   * Send one scheduled message and move it to its next run
+   * @param {Document} schedule
+   */
+  async run(schedule) {
+    const now = new Date();
+    let error = null;
+
+    try {
+      await this.send(schedule);
+      schedule.runCount++;
+      schedule.lastError = null;
+      logger.info(`Sent scheduled ${schedule.type} to ${schedule.chatId}`);
+    } catch (err) {
+      error = err;
+      schedule.lastError = err.message;
+      logger.error(
+        `Scheduled ${schedule.type} to ${schedule.chatId} failed: ${err.message}`
+      );
+    }
+
+    schedule.lastRunAt = now;
+    schedule.lockedUntil = null;
+
+    if (schedule.isRecurring()) {
+      // Missed occurrences are skipped, not sent in a burst
+      schedule.nextRunAt = getNextRun(
+        schedule.cron,
+        await this.getTimezone(),
+        now
+      );
+      if (!schedule.nextRunAt) schedule.status = SCHEDULE_STATUS.COMPLETED;
+    } else {
+      schedule.nextRunAt = null;
+      schedule.status = error
+        ? SCHEDULE_STATUS.FAILED
+        : SCHEDULE_STATUS.COMPLETED;
+    }
+
+    await schedule.save();
+    this.emit(error ? "failed" : "sent", this.formatSchedule(schedule));
+  }
+
+  /**
+   * Send due group announcements (AUTO_MESSAGE_TYPES.ANNOUNCEMENT)
+   */
+  async sendAnnouncements() {
+    const due = await GroupSettings.getDueAnnouncements();
+    if (due.length === 0) return;
+
+    const timezone = await this.getTimezone();
+    const now = new Date();
+
+    for (const settings of due) {
+      const config = settings.autoMessages.announcement;
+      const nextRunAt = config.cron
+        ? getNextRun(config.cron, timezone, now)
+        : null;
+
+      // Another instance already sent this one
+      if (!(await GroupSettings.claimAnnouncement(settings, nextRunAt))) {
+        continue;
+      }
+
+      try {
+        const { text } = await templateService.renderAutoMessage(
+          settings,
+          AUTO_MESSAGE_TYPES.ANNOUNCEMENT,
+          [],
+          { timezone }
+        );
+        await messageService.sendAutoMessage(settings.groupId, config, text, {
+          label: "announcement",
+        });
+        logger.info(`Sent announcement in group ${settings.groupId}`);
+      } catch (error) {
+        logger.error(
+          `Failed to send announcement in group ${settings.groupId}: ${error.message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Hand the message to the message service (and so the send queue)
+   * @param {Document} schedule
+   */
+  async send(schedule) {
+    const { chatId, content, media, poll, location } = schedule;
+    const priority = SEND_PRIORITY.AUTOMATION;
+
+    switch (schedule.type) {
+      case SCHEDULED_MESSAGE_TYPES.MEDIA:
+        return messageService.sendMedia(chatId, media, {
+          caption: media.caption,
+          sendAsDocument: media.sendAsDocument,
+          sendAsSticker: media.sendAsSticker,
+          priority,
+        });
+      case SCHEDULED_MESSAGE_TYPES.POLL:
+        return messageService.sendPoll(
+          chatId,
+          poll.question,
+          [...poll.options],
+          {
+            allowMultipleAnswers: poll.allowMultipleAnswers,
+            priority,
+          }
+        );
+      case SCHEDULED_MESSAGE_TYPES.LOCATION:
+        return messageService.sendLocation(
+          chatId,
+          location.latitude,
+          location.longitude,
+          { name: location.name, address: location.address, priority }
+        );
+      default:
+        return messageService.sendMessage(chatId, content, { priority });
+    }
+  }
+
+  /**
+   * Timezone schedules are written in
+   * @returns {Promise<string>}
+   */
+  async getTimezone() {
+    const { timezone } = await GlobalSettings.getSettings();
+    if (timezone && isValidTimezone(timezone)) return timezone;
+
+    logger.warn(`Invalid GlobalSettings.timezone "${timezone}", using UTC`);
+    return "UTC";
+  }
+
+  /**
+   * Parse sendAt. Times without an offset are read in the bot's timezone.
+   * @param {string|Date} sendAt
+   * @returns {Promise<Date|null>}
+   */
+  async resolveSendAt(sendAt) {
+    return parseDateInTimezone(sendAt, await this.getTimezone());
+  }
+
+  /**
+   * List scheduled messages, soonest first
+   * @param {Object} options - { status, chatId, limit }
+   * @returns {Promise<Array>}
+   */
+  async getSchedules(options = {}) {
+    const schedules = await ScheduledMessage.getSchedules(options);
+    return schedules.map((schedule) => this.formatSchedule(schedule));
+  }
+
+  /**
+   * Get a scheduled message document
+   * @param {string} scheduleId
+   * @returns {Promise<Document|null>}
+   */
+  async getSchedule(scheduleId) {
+    return ScheduledMessage.findById(scheduleId);
+  }
+
+  /**
+   * Create a scheduled message
+   * @param {Object} data - content fields plus sendAt (Date) or cron
+   * @param {string|null} createdBy
+   * @returns {Promise<Object>}
+   */
+  async createSchedule(data, createdBy = null) {
+    const schedule = new ScheduledMessage({ createdBy });
+    await this.applyChanges(schedule, data);
+    await schedule.save();
+
+    logger.info(
+      `Scheduled ${schedule.type} to ${
+        schedule.chatId
+      } for ${schedule.nextRunAt?.toISOString()}`
+    );
+    return this.formatSchedule(schedule);
+  }
+
+  /**
+   * Update a scheduled message. Setting status to "scheduled" resumes a
+   * paused message.
+   * @param {Document} schedule
+   * @param {Object} updates
+   * @returns {Promise<Object>}
+   */
+  async updateSchedule(schedule, updates) {
+    await this.applyChanges(schedule, updates);
+    await schedule.save();
+
+    logger.info(`Scheduled message ${schedule._id} updated`);
+    return this.formatSchedule(schedule);
+  }
+
+  /**
+   * Delete a scheduled message
+   * @param {Document} schedule
+   * @returns {Promise<boolean>}
+   */
+  async deleteSchedule(schedule) {
+    await schedule.deleteOne();
+
+    logger.info(`Scheduled message ${schedule._id} deleted`);
+    return true;
+  }
+
+  /**
+   * Copy fields onto a schedule and work out its next run
+   * @param {Document} schedule
+   * @param {Object} data
+   */
+  async applyChanges(schedule, data) {
+    for (const field of SCHEDULE_FIELDS) {
+      if (data[field] !== undefined) {
+        schedule[field] = data[field];
+      }
+    }
+
+    // A message is either one-off or recurring
+    if (data.cron) {
+      schedule.cron = data.cron;
+      schedule.sendAt = null;
+    } else if (data.sendAt) {
+      schedule.sendAt = data.sendAt;
+      schedule.cron = null;
+    }
+
+    if (data.status !== undefined) {
+      schedule.status = data.status;
+    }
+
+    if (schedule.status === SCHEDULE_STATUS.PAUSED) {
+      schedule.nextRunAt = null;
+    } else if (schedule.cron) {
+      schedule.status = SCHEDULE_STATUS.SCHEDULED;
+      schedule.nextRunAt = getNextRun(schedule.cron, await this.getTimezone());
+    } else if (data.sendAt || data.status === SCHEDULE_STATUS.SCHEDULED) {
+      schedule.status = SCHEDULE_STATUS.SCHEDULED;
+      schedule.nextRunAt = schedule.sendAt;
+    }
+  }
+
+  /**
+   * Format a scheduled message for API responses
+   * @param {Document} schedule
+   * @returns {Object}
+   */
+  formatSchedule(schedule) {
+    return {
+      id: schedule._id.toString(),
+      chatId: schedule.chatId,
+      chatName: schedule.chatName,
+      type: schedule.type,
+      content: schedule.content,
+      media: schedule.media
+        ? { ...schedule.media.toObject(), base64: undefined }
+        : null,
+      poll: schedule.poll,
+      location: schedule.location,
+      sendAt: schedule.sendAt,
+      cron: schedule.cron,
+      recurring: schedule.isRecurring(),
+      status: schedule.status,
+      nextRunAt: schedule.nextRunAt,
+      lastRunAt: schedule.lastRunAt,
+      lastError: schedule.lastError,
+      runCount: schedule.runCount,
+      createdBy: schedule.createdBy,
+      createdAt: schedule.createdAt,
+    };
+  }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,349 @@
+/**
+ * Session Service
+ * Named WhatsApp sessions (accounts): the Session registry in MongoDB and
+ * the client running for each one
+ */
+
+const {
+  Session,
+  SessionEvent,
+  GlobalSettings,
+  Message,
+  ArchivedMessage,
+  Watchlist,
+  GroupSettings,
+  ScheduledMessage,
+  FlowSession,
+  AwayMessageLog,
+} = require("../models");
+const {
+  initializeClient,
+  destroyClient,
+  clearStoredSession,
+  removeSessionState,
+  getClientStatus,
+  getCurrentQR,
+} = require("../config/whatsapp");
+const { DEFAULTS, CLIENT_STATUS } = require("../config/constants");
+const { getZonedParts, zonedTimeToDate } = require("../utils/cron");
+const alertService = require("./alert.service");
+const logger = require("../utils/logger");
+
+// Models tagged with a sessionId (see models/session-scope.plugin)
+const SESSION_SCOPED_MODELS = [
+  Message,
+  ArchivedMessage,
+  Watchlist,
+  GroupSettings,
+  ScheduledMessage,
+  FlowSession,
+  AwayMessageLog,
+];
+
+class SessionService {
+  constructor() {
+    // Known sessions, so session routes can be checked without a query
+    this.sessionIds = new Set([DEFAULTS.SESSION_ID]);
+  }
+
+  /**
+   * Load the registry and start every session with autoStart
+   */
+  async startAll() {
+    await this.migrateLegacyData();
+    await Session.getOrCreate(DEFAULTS.SESSION_ID);
+
+    const sessions = await Session.find({}).sort({ createdAt: 1 });
+    for (const session of sessions) {
+      this.sessionIds.add(session.sessionId);
+      if (session.autoStart) {
+        await initializeClient(session.sessionId);
+      }
+    }
+
+    logger.info(`📱 ${sessions.length} WhatsApp session(s) registered`);
+  }
+
+  /**
+   * Data from before multi-account support belongs to the default session.
+   * Also replaces the old single-session unique indexes.
+   */
+  async migrateLegacyData() {
+    for (const Model of SESSION_SCOPED_MODELS) {
+      const { modifiedCount } = await Model.updateMany(
+        { sessionId: { $exists: false } },
+        { $set: { sessionId: DEFAULTS.SESSION_ID } }
+      );
+      if (modifiedCount > 0) {
+        logger.info(
+          `Assigned ${modifiedCount} ${Model.modelName} documents to the default session`
+        );
+      }
+      await Model.syncIndexes();
+    }
+  }
+
+  /**
+   * Whether a session exists
+   * @param {string} sessionId
+   * @returns {boolean}
+   */
+  hasSession(sessionId) {
+    return this.sessionIds.has(sessionId);
+  }
+
+  /**
+   * All sessions with their live client status
+   * @returns {Promise<Array>}
+   */
+  async getSessions() {
+    const sessions = await Session.find({}).sort({ createdAt: 1 });
+    return sessions.map((session) => this.formatSession(session));
+  }
+
+  /**
+   * Get a session
+   * @param {string} sessionId
+   * @returns {Promise<Document|null>}
+   */
+  async getSession(sessionId) {
+    return Session.findOne({ sessionId });
+  }
+
+  /**
+   * Register a session and start its client (it shows a QR code)
+   * @param {Object} data - { sessionId, label }
+   * @returns {Promise<Object>}
+   */
+  async createSession(data) {
+    const session = await Session.create({
+      sessionId: data.sessionId,
+      label: data.label || null,
+    });
+    this.sessionIds.add(session.sessionId);
+
+    logger.info(`📱 Session ${session.sessionId} created`);
+    await initializeClient(session.sessionId);
+    return this.formatSession(session);
+  }
+
+  /**
+   * Start a session's client, also on future server starts
+   * @param {Document} session
+   * @returns {Promise<Object>}
+   */
+  async startSession(session) {
+    session.autoStart = true;
+    await session.save();
+
+    await initializeClient(session.sessionId);
+    return this.formatSession(session);
+  }
+
+  /**
+   * Stop a session's client and keep it stopped across restarts.
+   * Its login is kept, so starting it again needs no QR code.
+   * @param {Document} session
+   * @returns {Promise<Object>}
+   */
+  async stopSession(session) {
+    await destroyClient(session.sessionId);
+    alertService.resolveSession(session.sessionId);
+    await this.recordStatus(
+      session.sessionId,
+      CLIENT_STATUS.DISCONNECTED,
+      "stopped"
+    );
+
+    session.autoStart = false;
+    session.status = CLIENT_STATUS.DISCONNECTED;
+    await session.save();
+
+    logger.info(`📱 Session ${session.sessionId} stopped`);
+    return this.formatSession(session);
+  }
+
+  /**
+   * Stop a session and delete its login. Messages, watchlist and group
+   * settings stay tagged with the sessionId.
+   * @param {Document} session
+   */
+  async deleteSession(session) {
+    const { sessionId } = session;
+
+    await destroyClient(sessionId);
+    await clearStoredSession(sessionId);
+    await Session.deleteOne({ sessionId });
+
+    this.sessionIds.delete(sessionId);
+    removeSessionState(sessionId);
+    alertService.resolveSession(sessionId);
+    logger.info(`📱 Session ${sessionId} deleted`);
+  }
+
+  /**
+   * Store a client status change on the session and, if the status
+   * differs from the last one, in its history
+   * @param {string} sessionId
+   * @param {string} status
+   * @param {string|null} reason
+   * @returns {Promise<Object|null>} The history entry, if one was added
+   */
+  async recordStatus(sessionId, status, reason = null) {
+    const update = { status, lastActive: new Date() };
+    if (status === CLIENT_STATUS.READY) {
+      update.$inc = { connectionsCount: 1 };
+    }
+    await Session.findOneAndUpdate({ sessionId }, update, { upsert: true });
+
+    // QR refreshes repeat qr_ready; only transitions are history
+    const last = await SessionEvent.getLatest(sessionId);
+    if (last?.status === status) return null;
+
+    return SessionEvent.create({
+      sessionId,
+      status,
+      previousStatus: last?.status || null,
+      reason,
+    });
+  }
+
+  /**
+   * Close every session's history on shutdown, so the time the server is
+   * down doesn't count as connected
+   */
+  async recordShutdown() {
+    for (const sessionId of this.sessionIds) {
+      await this.recordStatus(
+        sessionId,
+        CLIENT_STATUS.DISCONNECTED,
+        "server shutdown"
+      );
+    }
+  }
+
+  /**
+   * Status history, newest first
+   * @param {string} sessionId
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array>}
+   */
+  async getHistory(sessionId, options = {}) {
+    const events = await SessionEvent.getHistory(sessionId, options);
+    return events.map(({ status, previousStatus, reason, createdAt }) => ({
+      status,
+      previousStatus,
+      reason,
+      createdAt,
+    }));
+  }
+
+  /**
+   * Share of time the client was ready, per day in GlobalSettings.timezone.
+   * Time before the first recorded status is not counted.
+   * @param {string} sessionId
+   * @param {number} days - Including today
+   * @returns {Promise<Object>} { timezone, availability, days: [...] }
+   */
+  async getUptime(sessionId, days = 7) {
+    const { timezone } = await GlobalSettings.getSettings();
+    const now = Date.now();
+
+    // Midnight of each day, oldest first, then now
+    const today = getZonedParts(new Date(now), timezone);
+    const bounds = [];
+    for (let i = days - 1; i >= 0; i--) {
+      bounds.push(
+        zonedTimeToDate(
+          { ...today, day: today.day - i, hour: 0, minute: 0, second: 0 },
+          timezone
+        ).getTime()
+      );
+    }
+    bounds.push(now);
+
+    const from = new Date(bounds[0]);
+    const [before, events] = await Promise.all([
+      SessionEvent.getLatest(sessionId, from),
+      SessionEvent.find({ sessionId, createdAt: { $gte: from } })
+        .sort({ createdAt: 1 })
+        .lean(),
+    ]);
+
+    // Each status lasts until the next one
+    const changes = events.map((event) => ({
+      at: event.createdAt.getTime(),
+      status: event.status,
+    }));
+    if (before) changes.unshift({ at: bounds[0], status: before.status });
+    const periods = changes.map((change, i) => ({
+      start: change.at,
+      end: i + 1 < changes.length ? changes[i + 1].at : now,
+      ready: change.status === CLIENT_STATUS.READY,
+    }));
+
+    const report = bounds.slice(0, -1).map((start, i) => {
+      const end = bounds[i + 1];
+      let observedMs = 0;
+      let uptimeMs = 0;
+      for (const period of periods) {
+        const overlap =
+          Math.min(period.end, end) - Math.max(period.start, start);
+        if (overlap <= 0) continue;
+        observedMs += overlap;
+        if (period.ready) uptimeMs += overlap;
+      }
+
+      const { year, month, day } = getZonedParts(new Date(start), timezone);
+      return {
+        date: [year, month, day]
+          .map((part) => String(part).padStart(2, "0"))
+          .join("-"),
+        uptimeMs,
+        observedMs,
+        availability: this.toPercent(uptimeMs, observedMs),
+        disconnects: events.filter(
+          (event) =>
+            event.status === CLIENT_STATUS.DISCONNECTED &&
+            event.createdAt >= start &&
+            event.createdAt < end
+        ).length,
+      };
+    });
+
+    const sum = (key) => report.reduce((total, day) => total + day[key], 0);
+    return {
+      timezone,
+      availability: this.toPercent(sum("uptimeMs"), sum("observedMs")),
+      days: report,
+    };
+  }
+
+  toPercent(part, total) {
+    return total > 0 ? Math.round((part / total) * 10000) / 100 : null;
+  }
+
+  /**
+   * Format a session for API responses
+   * @param {Document} session
+   * @returns {Object}
+   */
+  formatSession(session) {
+    const { sessionId } = session;
+    return {
+      sessionId,
+      label: session.label,
+      isDefault: sessionId === DEFAULTS.SESSION_ID,
+      status: getClientStatus(sessionId),
+      hasQR: Boolean(getCurrentQR(sessionId)),
+      autoStart: session.autoStart,
+      phoneNumber: session.phoneNumber,
+      pushname: session.pushname,
+      lastActive: session.lastActive,
+      connectionsCount: session.connectionsCount,
+      createdAt: session.createdAt,
+    };
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,213 @@
+/**
+ * Settings Service
+ * Bot-wide settings, maintenance mode and the audit log
+ *
+ * Emits "maintenance" with { enabled, changedBy, changedAt } when
+ * maintenance mode is toggled
+ */
+
+const EventEmitter = require("events");
+const { GlobalSettings, AuditLog } = require("../models");
+const { ERROR_MESSAGES, SETTINGS_FIELDS } = require("../config/constants");
+const logger = require("../utils/logger");
+
+// How long the maintenance flag is cached between settings reads
+const CACHE_TTL = 30000; // 30 seconds
+
+class SettingsService extends EventEmitter {
+  constructor() {
+    super();
+    this.maintenance = null;
+    this.maintenanceExpiresAt = 0;
+  }
+
+  /**
+   * Global settings
+   * @returns {Promise<Object>}
+   */
+  async getSettings() {
+    return this.formatSettings(await GlobalSettings.getSettings());
+  }
+
+  /**
+   * Where alerts are sent
+   * @returns {Promise<Object>} GlobalSettings.notifications
+   */
+  async getNotifications() {
+    const settings = await GlobalSettings.getSettings();
+    return settings.toObject().notifications || {};
+  }
+
+  /**
+   * Update global settings and audit-log what changed
+   * @param {Object} updates - Any of SETTINGS_FIELDS
+   * @param {string|null} actor - Who changed them
+   * @returns {Promise<Object>}
+   */
+  async updateSettings(updates, actor = null) {
+    const settings = await GlobalSettings.getSettings();
+    const changes = {};
+
+    for (const field of SETTINGS_FIELDS) {
+      if (field === "maintenanceMode" || updates[field] === undefined) continue;
+      if (field === "notifications") {
+        const changed = this.mergeNotifications(settings, updates[field]);
+        // Only the keys: webhook URLs are secrets
+        if (changed.length > 0) changes[field] = { changed };
+        continue;
+      }
+
+      const current = settings.get(field);
+      const from = Array.isArray(current) ? [...current] : current;
+      if (JSON.stringify(from) === JSON.stringify(updates[field])) continue;
+
+      settings.set(field, updates[field]);
+      changes[field] = { from, to: updates[field] };
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await settings.save();
+      await AuditLog.record("settings.updated", actor, { changes });
+      logger.info(
+        `Settings updated by ${actor || "anonymous"}: ${Object.keys(
+          changes
+        ).join(", ")}`
+      );
+    }
+
+    // Toggled last so a rejected update doesn't flip it
+    if (updates.maintenanceMode !== undefined) {
+      await this.setMaintenanceMode(updates.maintenanceMode, actor);
+      settings.maintenanceMode = updates.maintenanceMode;
+    }
+
+    return this.formatSettings(settings);
+  }
+
+  /**
+   * Apply notification settings per channel, keeping channels and keys
+   * the update leaves out
+   * @param {Document} settings
+   * @param {Object} notifications - { email, slack, http } with any keys
+   * @returns {string[]} Changed keys, e.g. "slack.webhookUrl"
+   */
+  mergeNotifications(settings, notifications) {
+    const changed = [];
+    for (const [channel, config] of Object.entries(notifications)) {
+      for (const [key, value] of Object.entries(config)) {
+        const path = `notifications.${channel}.${key}`;
+        if (settings.get(path) === value) continue;
+
+        settings.set(path, value);
+        changed.push(`${channel}.${key}`);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Whether maintenance mode is on, cached briefly so every message and
+   * send doesn't hit MongoDB
+   * @returns {Promise<boolean>}
+   */
+  async isMaintenanceMode() {
+    if (this.maintenance === null || Date.now() >= this.maintenanceExpiresAt) {
+      const settings = await GlobalSettings.getSettings();
+      this.maintenance = settings.maintenanceMode;
+      this.maintenanceExpiresAt = Date.now() + CACHE_TTL;
+    }
+    return this.maintenance;
+  }
+
+  /**
+   * Reject outbound sends during maintenance unless forced
+   * @param {boolean} force
+   */
+  async assertSendAllowed(force = false) {
+    if (!force && (await this.isMaintenanceMode())) {
+      throw new Error(ERROR_MESSAGES.MAINTENANCE_MODE);
+    }
+  }
+
+  /**
+   * Maintenance state with who last changed it
+   * @returns {Promise<Object>} { enabled, changedBy, changedAt }
+   */
+  async getMaintenance() {
+    const settings = await GlobalSettings.getSettings();
+    const enabled = settings.maintenanceMode;
+    const [last] = await AuditLog.getEntries({
+      action: enabled ? "maintenance.enabled" : "maintenance.disabled",
+      limit: 1,
+    });
+
+    return {
+      enabled,
+      changedBy: last?.actor ?? null,
+      changedAt: last?.createdAt ?? null,
+    };
+  }
+
+  /**
+   * Turn maintenance mode on or off
+   * @param {boolean} enabled
+   * @param {string|null} actor - Who changed it, for the audit log
+   * @returns {Promise<Object>} { enabled, changed }
+   */
+  async setMaintenanceMode(enabled, actor = null) {
+    const settings = await GlobalSettings.getSettings();
+    const changed = settings.maintenanceMode !== enabled;
+
+    if (changed) {
+      settings.maintenanceMode = enabled;
+      await settings.save();
+      await AuditLog.record(
+        enabled ? "maintenance.enabled" : "maintenance.disabled",
+        actor
+      );
+
+      logger.warn(
+        `Maintenance mode ${enabled ? "enabled" : "disabled"} by ${
+          actor || "anonymous"
+        }`
+      );
+      this.emit("maintenance", {
+        enabled,
+        changedBy: actor,
+        changedAt: new Date(),
+      });
+    }
+
+    this.maintenance = enabled;
+    this.maintenanceExpiresAt = Date.now() + CACHE_TTL;
+
+    return { enabled, changed };
+  }
+
+  /**
+   * Audit log entries, newest first
+   * @param {Object} options - { action, limit }
+   * @returns {Promise<Array>}
+   */
+  async getAuditLog(options = {}) {
+    return AuditLog.getEntries(options);
+  }
+
+  /**
+   * Format global settings for API responses
+   * @param {Document} settings
+   * @returns {Object}
+   */
+  formatSettings(settings) {
+    const formatted = {};
+    for (const field of SETTINGS_FIELDS) {
+      // Webhook URLs are secrets; managers read them from /settings/alerts
+      if (field === "notifications") continue;
+      formatted[field] = settings.get(field);
+    }
+    formatted.updatedAt = settings.updatedAt;
+    return formatted;
+  }
+}
+
+module.exports = new SettingsService();
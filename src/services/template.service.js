@@ -0,0 +1,116 @@
+/**
+ * Template Service
+ * Renders group auto-messages against live group data
+ */
+
+const { getClient, isClientReady } = require("../config/whatsapp");
+const {
+  renderTemplate,
+  getTemplateError,
+  joinList,
+} = require("../utils/template");
+const logger = require("../utils/logger");
+
+class TemplateService {
+  /**
+   * Gather template variables for a group
+   * @param {Document} settings - GroupSettings
+   * @param {string[]} memberIds - Members the message is about
+   * @param {Object} options - { mention, timezone }
+   * @returns {Promise<Object>} { context, mentions }
+   */
+  async buildContext(settings, memberIds = [], options = {}) {
+    const { mention = false, timezone = "UTC" } = options;
+    const client = isClientReady() ? getClient() : null;
+
+    let group = settings.groupName;
+    let memberCount = "";
+    if (client) {
+      try {
+        const chat = await client.getChatById(settings.groupId);
+        group = chat.name || group;
+        memberCount = chat.participants?.length ?? "";
+      } catch (error) {
+        logger.warn(
+          `Could not load group ${settings.groupId}: ${error.message}`
+        );
+      }
+    }
+
+    const names = [];
+    const mentions = [];
+    for (const id of memberIds) {
+      const contact = client
+        ? await client.getContactById(id).catch(() => null)
+        : null;
+      const number = contact?.number || contact?.id.user || id.split("@")[0];
+
+      if (contact) {
+        mentions.push(contact);
+      } else {
+        logger.warn(`Could not get contact for ${id}`);
+      }
+      names.push(
+        mention ? `@${number}` : contact?.pushname || contact?.name || number
+      );
+    }
+
+    const now = new Date();
+    const users = joinList(names);
+
+    return {
+      context: {
+        user: users,
+        users,
+        count: memberIds.length,
+        group,
+        memberCount,
+        date: now.toLocaleDateString("en-US", {
+          timeZone: timezone,
+          dateStyle: "medium",
+        }),
+        time: now.toLocaleTimeString("en-US", {
+          timeZone: timezone,
+          timeStyle: "short",
+        }),
+        rules: settings.groupRules || "",
+      },
+      mentions: mention ? mentions : [],
+    };
+  }
+
+  /**
+   * Render an auto-message of a group
+   * @param {Document} settings - GroupSettings
+   * @param {string} type - AUTO_MESSAGE_TYPES value
+   * @param {string[]} memberIds - Members the message is about
+   * @param {Object} options - { timezone, message } (message overrides the
+   *   configured template, for previews)
+   * @returns {Promise<Object>} { text, mentions, variables, error }
+   */
+  async renderAutoMessage(settings, type, memberIds = [], options = {}) {
+    const config = settings.autoMessages[type];
+    let template = options.message ?? config.message;
+
+    // Templates saved before validation existed are sent as they are
+    const error = getTemplateError(template);
+    if (error) {
+      logger.warn(`Invalid ${type} template in ${settings.groupId}: ${error}`);
+      template = template.replace(/[{}|\\]/g, "\\$&");
+    }
+
+    const { context, mentions } = await this.buildContext(settings, memberIds, {
+      mention: config.mentionUser,
+      timezone: options.timezone,
+    });
+
+    let text = renderTemplate(template, context);
+    if (config.includeGroupRules && settings.groupRules) {
+      text += `\n\n📋 *Group Rules*:\n${settings.groupRules}`;
+    }
+
+    return { text, mentions, variables: context, error };
+  }
+}
+
+module.exports = new TemplateService();
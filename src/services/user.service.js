@@ -0,0 +1,158 @@
+/**
+ * User Service
+ * Dashboard operator accounts
+ *
+ * Emits "sessions_revoked" with { userId } when a user's session tokens
+ * are invalidated
+ */
+
+const EventEmitter = require("events");
+const { User, AuthToken } = require("../models");
+const { ROLES } = require("../config/constants");
+const logger = require("../utils/logger");
+
+class UserService extends EventEmitter {
+  /**
+   * Create the first owner from ADMIN_USERNAME / ADMIN_PASSWORD when no
+   * users exist yet
+   * @returns {Promise<Object|null>} The created owner, if any
+   */
+  async ensureOwner() {
+    const password = process.env.ADMIN_PASSWORD;
+    if (!password || (await User.exists({}))) return null;
+
+    const owner = new User({
+      username: process.env.ADMIN_USERNAME || "admin",
+      displayName: "Owner",
+      role: ROLES.OWNER,
+    });
+    await owner.setPassword(password);
+    await owner.save();
+
+    logger.info(
+      `Created owner account "${owner.username}" from ADMIN_PASSWORD`
+    );
+    return owner;
+  }
+
+  /**
+   * List users
+   * @returns {Promise<Array>}
+   */
+  async getUsers() {
+    const users = await User.find().sort({ createdAt: 1 });
+    return users.map((user) => this.formatUser(user));
+  }
+
+  /**
+   * Get a user document
+   * @param {string} userId
+   * @returns {Promise<Document|null>}
+   */
+  async getUser(userId) {
+    return User.findById(userId);
+  }
+
+  /**
+   * Create a user
+   * @param {Object} data - { username, password, displayName, role }
+   * @returns {Promise<Object>}
+   */
+  async createUser({ username, password, displayName, role }) {
+    const user = new User({ username, displayName, role });
+    await user.setPassword(password);
+    await user.save();
+
+    logger.info(`User "${user.username}" created with role ${user.role}`);
+    return this.formatUser(user);
+  }
+
+  /**
+   * Update a user. Changing the password or role, or deactivating the
+   * account, signs the user out everywhere.
+   * @param {Document} user
+   * @param {Object} updates - { displayName, role, active, password }
+   * @returns {Promise<Object>}
+   */
+  async updateUser(user, updates) {
+    const roleChanged =
+      updates.role !== undefined && updates.role !== user.role;
+
+    for (const field of ["displayName", "role", "active"]) {
+      if (updates[field] !== undefined) {
+        user[field] = updates[field];
+      }
+    }
+    if (updates.password) {
+      await user.setPassword(updates.password);
+    }
+    await user.save();
+
+    // Open sockets keep the role they connected with
+    if (updates.password || updates.active === false || roleChanged) {
+      await this.revokeSessions(user._id);
+    }
+
+    logger.info(`User "${user.username}" updated`);
+    return this.formatUser(user);
+  }
+
+  /**
+   * Delete a user and their sessions
+   * @param {Document} user
+   * @returns {Promise<boolean>}
+   */
+  async deleteUser(user) {
+    await user.deleteOne();
+    await this.revokeSessions(user._id);
+
+    logger.info(`User "${user.username}" deleted`);
+    return true;
+  }
+
+  /**
+   * Whether applying updates (or deleting, when updates is null) would
+   * leave no active owner
+   * @param {Document} user
+   * @param {Object|null} updates
+   * @returns {Promise<boolean>}
+   */
+  async wouldRemoveLastOwner(user, updates = null) {
+    if (user.role !== ROLES.OWNER || !user.active) return false;
+
+    const losesOwner =
+      !updates ||
+      (updates.role !== undefined && updates.role !== ROLES.OWNER) ||
+      updates.active === false;
+
+    return losesOwner && (await User.countActiveOwners()) <= 1;
+  }
+
+  /**
+   * Invalidate all dashboard session tokens of a user
+   * @param {ObjectId} userId
+   */
+  async revokeSessions(userId) {
+    await AuthToken.deleteMany({ userId });
+    this.emit("sessions_revoked", { userId: userId.toString() });
+  }
+
+  /**
+   * Format a user for API responses
+   * @param {Document} user
+   * @returns {Object}
+   */
+  formatUser(user) {
+    return {
+      id: user._id.toString(),
+      username: user.username,
+      displayName: user.displayName,
+      role: user.role,
+      active: user.active,
+      lastLoginAt: user.lastLoginAt,
+      createdAt: user.createdAt,
+    };
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,266 @@
+/**
+ * Watchdog Service
+ * Keeps the WhatsApp clients running: reinitializes a client with
+ * exponential backoff after it disconnects or fails, and restarts clients
+ * that hang while starting or whose browser stopped responding
+ *
+ * Sessions that were stopped or deleted, and clients unlinked from the
+ * phone, are left alone.
+ */
+
+const EventEmitter = require("events");
+const { Session } = require("../models");
+const {
+  clientEvents,
+  getClient,
+  getClientStatus,
+  restartClient,
+} = require("../config/whatsapp");
+const { DEFAULTS, CLIENT_STATUS } = require("../config/constants");
+const {
+  runInSession,
+  getCurrentSessionId,
+} = require("../utils/session-context");
+const logger = require("../utils/logger");
+
+// Disconnect reasons meaning the login is gone; a restart would only show
+// a new QR code
+const LOGGED_OUT_REASONS = ["LOGOUT", "UNPAIRED", "UNPAIRED_IDLE"];
+
+// Statuses a client passes through on its way to ready
+const STARTING_STATUSES = [
+  CLIENT_STATUS.INITIALIZING,
+  CLIENT_STATUS.AUTHENTICATED,
+];
+
+/**
+ * Emits "reconnecting" with { sessionId, attempt, maxAttempts, delay, reason }
+ * and "reconnect_failed" with { sessionId, attempts, reason }
+ */
+class WatchdogService extends EventEmitter {
+  constructor() {
+    super();
+    this.timer = null;
+    this.checking = false;
+    // sessionId -> { since, failedChecks, attempts, retryTimer }
+    this.clients = new Map();
+
+    this.onStatus = (status) =>
+      this.handleStatus(getCurrentSessionId(), status);
+    this.onDisconnected = (reason) =>
+      this.handleDisconnected(getCurrentSessionId(), reason);
+  }
+
+  /**
+   * Follow client events and check every client each WATCHDOG_INTERVAL
+   */
+  start() {
+    if (this.timer) return;
+
+    clientEvents.on("status", this.onStatus);
+    clientEvents.on("disconnected", this.onDisconnected);
+
+    this.timer = setInterval(() => this.tick(), DEFAULTS.WATCHDOG_INTERVAL);
+    this.timer.unref();
+
+    logger.info("🐕 WhatsApp client watchdog started");
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    clientEvents.off("status", this.onStatus);
+    clientEvents.off("disconnected", this.onDisconnected);
+
+    for (const entry of this.clients.values()) {
+      clearTimeout(entry.retryTimer);
+    }
+    this.clients.clear();
+  }
+
+  getEntry(sessionId) {
+    if (!this.clients.has(sessionId)) {
+      this.clients.set(sessionId, {
+        since: Date.now(),
+        failedChecks: 0,
+        attempts: 0,
+        retryTimer: null,
+      });
+    }
+    return this.clients.get(sessionId);
+  }
+
+  handleStatus(sessionId, status) {
+    const entry = this.getEntry(sessionId);
+    entry.since = Date.now();
+    entry.failedChecks = 0;
+
+    if (
+      status === CLIENT_STATUS.READY ||
+      status === CLIENT_STATUS.QR_READY ||
+      status === CLIENT_STATUS.PAIRING_CODE_READY
+    ) {
+      // Up, or waiting for someone to scan the QR code or enter the code
+      entry.attempts = 0;
+    } else if (status === CLIENT_STATUS.FAILED) {
+      this.scheduleReconnect(sessionId, "initialization failed");
+    }
+  }
+
+  handleDisconnected(sessionId, reason) {
+    if (LOGGED_OUT_REASONS.includes(reason)) {
+      logger.info(`📱 [${sessionId}] Logged out (${reason}), not reconnecting`);
+      return;
+    }
+
+    this.scheduleReconnect(sessionId, `disconnected: ${reason}`);
+  }
+
+  /**
+   * Restart a session's client after an exponential backoff delay
+   * @param {string} sessionId
+   * @param {string} reason
+   */
+  scheduleReconnect(sessionId, reason) {
+    const entry = this.getEntry(sessionId);
+    if (!this.timer || entry.retryTimer) return;
+
+    if (entry.attempts >= DEFAULTS.RECONNECT_MAX_ATTEMPTS) {
+      logger.error(
+        `❌ [${sessionId}] Giving up reconnecting after ${entry.attempts} attempts: ${reason}`
+      );
+      this.emit("reconnect_failed", {
+        sessionId,
+        attempts: entry.attempts,
+        reason,
+      });
+      // Counting starts over when someone initializes the client again
+      entry.attempts = 0;
+      return;
+    }
+
+    entry.attempts += 1;
+    const delay = Math.min(
+      DEFAULTS.RECONNECT_BASE_DELAY * 2 ** (entry.attempts - 1),
+      DEFAULTS.RECONNECT_MAX_DELAY
+    );
+
+    logger.warn(
+      `📱 [${sessionId}] Reconnecting in ${delay / 1000}s (attempt ${
+        entry.attempts
+      }/${DEFAULTS.RECONNECT_MAX_ATTEMPTS}): ${reason}`
+    );
+    this.emit("reconnecting", {
+      sessionId,
+      attempt: entry.attempts,
+      maxAttempts: DEFAULTS.RECONNECT_MAX_ATTEMPTS,
+      delay,
+      reason,
+    });
+
+    entry.retryTimer = setTimeout(() => {
+      entry.retryTimer = null;
+      this.reconnect(sessionId);
+    }, delay);
+    entry.retryTimer.unref();
+  }
+
+  async reconnect(sessionId) {
+    try {
+      // Stopped or deleted while we waited
+      const session = await Session.findOne(
+        { sessionId },
+        { autoStart: 1 }
+      ).lean();
+      if (!session?.autoStart) {
+        this.clients.delete(sessionId);
+        return;
+      }
+
+      await runInSession(sessionId, () => restartClient(sessionId));
+    } catch (error) {
+      logger.error(`❌ [${sessionId}] Reconnect failed: ${error.message}`);
+      this.scheduleReconnect(sessionId, error.message);
+    }
+  }
+
+  /**
+   * Restart clients that are stuck starting or no longer respond
+   */
+  async tick() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      for (const [sessionId, entry] of this.clients) {
+        if (entry.retryTimer) continue;
+
+        const reason = await this.checkClient(sessionId, entry);
+        if (reason) this.scheduleReconnect(sessionId, reason);
+      }
+    } catch (error) {
+      logger.error(`Watchdog error: ${error.message}`);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Why a session's client needs a restart, if it does
+   * @param {string} sessionId
+   * @param {Object} entry
+   * @returns {Promise<string|null>}
+   */
+  async checkClient(sessionId, entry) {
+    const client = getClient(sessionId);
+    const status = getClientStatus(sessionId);
+    if (!client) return null;
+
+    if (STARTING_STATUSES.includes(status)) {
+      return Date.now() - entry.since > DEFAULTS.WATCHDOG_STUCK_TIMEOUT
+        ? `stuck in ${status}`
+        : null;
+    }
+    if (status !== CLIENT_STATUS.READY) return null;
+
+    const state = await this.getWAState(client);
+    if (state === "CONNECTED") {
+      entry.failedChecks = 0;
+      return null;
+    }
+
+    entry.failedChecks += 1;
+    logger.warn(`📱 [${sessionId}] Health check failed: ${state}`);
+    return entry.failedChecks >= DEFAULTS.WATCHDOG_MAX_FAILED_CHECKS
+      ? `not responding (${state})`
+      : null;
+  }
+
+  /**
+   * WhatsApp Web state of a client, or why it could not be read
+   * @param {Client} client
+   * @returns {Promise<string>}
+   */
+  async getWAState(client) {
+    let timeout;
+    try {
+      const state = await Promise.race([
+        client.getState(),
+        new Promise((resolve) => {
+          timeout = setTimeout(
+            () => resolve("TIMEOUT"),
+            DEFAULTS.WATCHDOG_STATE_TIMEOUT
+          );
+        }),
+      ]);
+      return state || "UNKNOWN";
+    } catch (error) {
+      return error.message;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+}
+
+module.exports = new WatchdogService();
@@ -320,6 +320,15 @@ class WatchlistService {
     return this.updateWatchlistItem(chatId, { notes });
   }
 
+  /**
+   * Set how long logged messages of a chat are kept
+   * @param {string} chatId
+   * @param {number|null} retentionDays - null uses the global setting
+   */
+  async setRetention(chatId, retentionDays) {
+    return this.updateWatchlistItem(chatId, { retentionDays });
+  }
+
   /**
    * Add tags to a watchlist item
    */
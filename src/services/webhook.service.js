@@ -0,0 +1,306 @@
+/**
+ * Webhook Service
+ * Fans out real-time events to outgoing webhooks with signed payloads
+ */
+
+const crypto = require("crypto");
+const { GlobalSettings, WebhookDelivery } = require("../models");
+const {
+  DEFAULTS,
+  ERROR_MESSAGES,
+  WS_EVENT_PERMISSIONS,
+} = require("../config/constants");
+const { retryWithBackoff, generateId } = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+// Event name used by "send test event"
+const TEST_EVENT = "webhook:test";
+
+// How long the enabled webhook list is cached between settings reads
+const CACHE_TTL = 30000; // 30 seconds
+
+class WebhookService {
+  constructor() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * Deliver an event to every enabled webhook subscribed to it
+   * @param {string} event
+   * @param {any} data
+   * @returns {Promise<void>}
+   */
+  async dispatch(event, data) {
+    const webhooks = await this.getActiveWebhooks();
+    const targets = webhooks.filter((webhook) =>
+      this.isSubscribed(webhook, event)
+    );
+
+    await Promise.all(
+      targets.map((webhook) =>
+        this.deliver(webhook, event, data).catch((error) =>
+          logger.error(
+            `Webhook "${webhook.name}" delivery error: ${error.message}`
+          )
+        )
+      )
+    );
+  }
+
+  /**
+   * Check whether a webhook subscribes to an event.
+   * An empty events list or "*" subscribes to everything except the
+   * permission-gated events (QR and pairing codes), which never leave the dashboard.
+   * @param {Object} webhook
+   * @param {string} event
+   * @returns {boolean}
+   */
+  isSubscribed(webhook, event) {
+    if (WS_EVENT_PERMISSIONS[event]) return false;
+
+    const events = webhook.events || [];
+    return (
+      events.length === 0 || events.includes("*") || events.includes(event)
+    );
+  }
+
+  /**
+   * Send one signed payload with retries and record the delivery
+   * @param {Object} webhook
+   * @param {string} event
+   * @param {any} data
+   * @returns {Promise<Object>} Delivery log entry
+   */
+  async deliver(webhook, event, data) {
+    const deliveryId = generateId("whd");
+    const timestamp = new Date().toISOString();
+    const body = JSON.stringify({ id: deliveryId, event, timestamp, data });
+    const signature = this.sign(webhook.secret, `${timestamp}.${body}`);
+
+    const startedAt = Date.now();
+    let attempts = 0;
+    let statusCode = null;
+    let error = null;
+
+    try {
+      await retryWithBackoff(
+        async () => {
+          attempts++;
+          const response = await fetch(webhook.url, {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              "User-Agent": "whatsapp-bot-webhooks",
+              "X-Webhook-Id": deliveryId,
+              "X-Webhook-Event": event,
+              "X-Webhook-Timestamp": timestamp,
+              "X-Webhook-Signature": `sha256=${signature}`,
+            },
+            body,
+            signal: AbortSignal.timeout(DEFAULTS.WEBHOOK_TIMEOUT),
+          });
+
+          statusCode = response.status;
+          if (!response.ok) {
+            throw new Error(`Webhook responded with HTTP ${response.status}`);
+          }
+        },
+        DEFAULTS.WEBHOOK_MAX_RETRIES,
+        DEFAULTS.WEBHOOK_RETRY_DELAY
+      );
+    } catch (err) {
+      error = err.message;
+      logger.warn(
+        `Webhook "${webhook.name}" failed for ${event} after ${attempts} attempts: ${error}`
+      );
+    }
+
+    return WebhookDelivery.create({
+      webhookId: webhook._id.toString(),
+      webhookName: webhook.name,
+      url: webhook.url,
+      event,
+      deliveryId,
+      status: error ? "failed" : "success",
+      statusCode,
+      attempts,
+      error,
+      durationMs: Date.now() - startedAt,
+    });
+  }
+
+  /**
+   * HMAC-SHA256 signature of a payload
+   * @param {string} secret
+   * @param {string} payload
+   * @returns {string} Hex digest
+   */
+  sign(secret, payload) {
+    return crypto
+      .createHmac("sha256", secret || "")
+      .update(payload)
+      .digest("hex");
+  }
+
+  /**
+   * Enabled webhooks, cached briefly so every event doesn't hit MongoDB
+   * @returns {Promise<Array>}
+   */
+  async getActiveWebhooks() {
+    if (this.cache && Date.now() < this.cacheExpiresAt) {
+      return this.cache;
+    }
+
+    const settings = await GlobalSettings.getSettings();
+    this.cache = (settings.webhooks || [])
+      .filter((webhook) => webhook.enabled && webhook.url)
+      .map((webhook) => webhook.toObject());
+    this.cacheExpiresAt = Date.now() + CACHE_TTL;
+
+    return this.cache;
+  }
+
+  /**
+   * Drop the cached webhook list after configuration changes
+   */
+  invalidateCache() {
+    this.cache = null;
+    this.cacheExpiresAt = 0;
+  }
+
+  /**
+   * List configured webhooks
+   * @returns {Promise<Array>}
+   */
+  async getWebhooks() {
+    const settings = await GlobalSettings.getSettings();
+    return settings.webhooks.map((webhook) => this.formatWebhook(webhook));
+  }
+
+  /**
+   * Get a single webhook subdocument
+   * @param {string} webhookId
+   * @returns {Promise<Object>} { settings, webhook }
+   */
+  async findWebhook(webhookId) {
+    const settings = await GlobalSettings.getSettings();
+    const webhook = settings.webhooks.id(webhookId);
+
+    if (!webhook) {
+      throw new Error(ERROR_MESSAGES.WEBHOOK_NOT_FOUND);
+    }
+
+    return { settings, webhook };
+  }
+
+  /**
+   * Create a webhook. The signing secret is only returned here.
+   * @param {Object} data - { name, url, events, enabled, secret }
+   * @returns {Promise<Object>}
+   */
+  async createWebhook(data) {
+    const settings = await GlobalSettings.getSettings();
+
+    settings.webhooks.push({
+      name: data.name,
+      url: data.url,
+      events: data.events || [],
+      enabled: data.enabled ?? true,
+      secret: data.secret || crypto.randomBytes(32).toString("hex"),
+    });
+    await settings.save();
+    this.invalidateCache();
+
+    const webhook = settings.webhooks[settings.webhooks.length - 1];
+    logger.info(`Webhook "${webhook.name}" created`);
+
+    return this.formatWebhook(webhook, { includeSecret: true });
+  }
+
+  /**
+   * Update a webhook
+   * @param {string} webhookId
+   * @param {Object} updates
+   * @returns {Promise<Object>}
+   */
+  async updateWebhook(webhookId, updates) {
+    const { settings, webhook } = await this.findWebhook(webhookId);
+
+    for (const field of ["name", "url", "events", "enabled", "secret"]) {
+      if (updates[field] !== undefined) {
+        webhook[field] = updates[field];
+      }
+    }
+    await settings.save();
+    this.invalidateCache();
+
+    return this.formatWebhook(webhook, {
+      includeSecret: updates.secret !== undefined,
+    });
+  }
+
+  /**
+   * Delete a webhook
+   * @param {string} webhookId
+   * @returns {Promise<boolean>}
+   */
+  async deleteWebhook(webhookId) {
+    const { settings, webhook } = await this.findWebhook(webhookId);
+
+    webhook.deleteOne();
+    await settings.save();
+    this.invalidateCache();
+
+    logger.info(`Webhook "${webhook.name}" deleted`);
+    return true;
+  }
+
+  /**
+   * Send a test event to a webhook regardless of its subscriptions
+   * @param {string} webhookId
+   * @returns {Promise<Object>} Delivery log entry
+   */
+  async sendTestEvent(webhookId) {
+    const { webhook } = await this.findWebhook(webhookId);
+
+    return this.deliver(webhook.toObject(), TEST_EVENT, {
+      message: "This is a test event",
+      webhook: { id: webhook._id.toString(), name: webhook.name },
+    });
+  }
+
+  /**
+   * Get the delivery log for a webhook
+   * @param {string} webhookId
+   * @param {Object} options - { limit, status }
+   * @returns {Promise<Array>}
+   */
+  async getDeliveries(webhookId, options = {}) {
+    await this.findWebhook(webhookId);
+    return WebhookDelivery.getDeliveries(webhookId, options);
+  }
+
+  /**
+   * Format a webhook for API responses, masking the secret by default
+   * @param {Object} webhook
+   * @param {Object} options - { includeSecret }
+   * @returns {Object}
+   */
+  formatWebhook(webhook, options = {}) {
+    const secret = webhook.secret || "";
+
+    return {
+      id: webhook._id.toString(),
+      name: webhook.name,
+      url: webhook.url,
+      events: webhook.events,
+      enabled: webhook.enabled,
+      secret: options.includeSecret
+        ? secret
+        : secret && `••••${secret.slice(-4)}`,
+    };
+  }
+}
+
+module.exports = new WebhookService();
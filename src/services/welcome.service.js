@@ -0,0 +1,117 @@
+/**
+ * Welcome Service
+ * Batches group joins into one welcome and mutes welcomes after our own adds
+ */
+
+const { DEFAULTS } = require("../config/constants");
+const {
+  getCurrentSessionId,
+  runInSession,
+} = require("../utils/session-context");
+const logger = require("../utils/logger");
+
+class WelcomeService {
+  constructor() {
+    // sessionId:groupId -> { sessionId, groupId, memberIds, timer, startedAt, send }
+    this.batches = new Map();
+    // sessionId:groupId -> timestamp welcomes are muted until
+    this.cooldowns = new Map();
+  }
+
+  /**
+   * Key of a group for the current session; two accounts can share a group
+   * @param {string} groupId
+   * @returns {string}
+   */
+  getKey(groupId) {
+    return `${getCurrentSessionId()}:${groupId}`;
+  }
+
+  /**
+   * Add joiners to the group's pending welcome. Each join restarts the
+   * window, so a burst of joins gets one welcome once it settles (or after
+   * WELCOME_BATCH_MAX_WAIT).
+   * @param {string} groupId
+   * @param {string[]} memberIds
+   * @param {number} windowMs - Quiet time before sending
+   * @param {Function} send - Called with (memberIds)
+   */
+  collect(groupId, memberIds, windowMs, send) {
+    const key = this.getKey(groupId);
+    const batch = this.batches.get(key) || {
+      sessionId: getCurrentSessionId(),
+      groupId,
+      memberIds: new Set(),
+      timer: null,
+      startedAt: Date.now(),
+    };
+
+    memberIds.forEach((id) => batch.memberIds.add(id));
+    batch.send = send;
+    clearTimeout(batch.timer);
+
+    const wait = Math.max(
+      0,
+      Math.min(
+        windowMs,
+        batch.startedAt + DEFAULTS.WELCOME_BATCH_MAX_WAIT - Date.now()
+      )
+    );
+    batch.timer = setTimeout(() => this.flush(key), wait);
+    batch.timer.unref();
+
+    this.batches.set(key, batch);
+  }
+
+  /**
+   * Send a pending welcome now, as the session that collected it
+   * @param {string} key - From getKey()
+   */
+  async flush(key) {
+    const batch = this.batches.get(key);
+    if (!batch) return;
+
+    clearTimeout(batch.timer);
+    this.batches.delete(key);
+
+    try {
+      await runInSession(batch.sessionId, () =>
+        batch.send([...batch.memberIds])
+      );
+    } catch (error) {
+      logger.error(
+        `Failed to send welcome in ${batch.groupId}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Mute welcomes in a group for the current session, e.g. while we add participants ourselves
+   * @param {string} groupId
+   * @param {number} durationMs
+   */
+  suppress(groupId, durationMs = DEFAULTS.WELCOME_ADD_COOLDOWN) {
+    const key = this.getKey(groupId);
+    const until = Date.now() + durationMs;
+    this.cooldowns.set(key, Math.max(until, this.cooldowns.get(key) || 0));
+  }
+
+  /**
+   * Whether welcomes are muted in a group
+   * @param {string} groupId
+   * @returns {boolean}
+   */
+  isSuppressed(groupId) {
+    const key = this.getKey(groupId);
+    const until = this.cooldowns.get(key);
+    if (!until) return false;
+
+    if (until <= Date.now()) {
+      this.cooldowns.delete(key);
+      return false;
+    }
+    return true;
+  }
+}
+
+module.exports = new WelcomeService();
@@ -9,6 +9,8 @@ const {
   clientEvents,
   initializeClient,
   logoutClient,
+  startPairing,
+  stopPairing,
 } = require("../config/whatsapp");
 const { Session } = require("../models");
 const { ERROR_MESSAGES, CLIENT_STATUS } = require("../config/constants");
@@ -32,20 +34,58 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Log in with a pairing code instead of the QR code
+   * @param {string} phoneNumber - International format, digits only
+   * @returns {Promise<Object>}
+   */
+  async requestPairingCode(phoneNumber) {
+    try {
+      await startPairing(phoneNumber);
+      return { success: true, message: "Pairing code requested" };
+    } catch (error) {
+      logger.error("Failed to request pairing code", {
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Go back to QR code login
+   * @returns {Promise<Object>}
+   */
+  async cancelPairing() {
+    try {
+      await stopPairing();
+      return { success: true, message: "Switched to QR code login" };
+    } catch (error) {
+      logger.error("Failed to cancel pairing", { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get current client status
    * @returns {Object}
    */
   getStatus() {
-    const { getClientStatus, getCurrentQR } = require("../config/whatsapp");
+    const {
+      getClientStatus,
+      getCurrentQR,
+      getPairingCode,
+    } = require("../config/whatsapp");
     const status = getClientStatus();
     const qr = getCurrentQR();
+    const pairingCode = getPairingCode();
 
     return {
       status,
       isReady: status === CLIENT_STATUS.READY,
       hasQR: !!qr,
       qr: qr,
+      hasPairingCode: !!pairingCode,
+      pairingCode,
     };
   }
 
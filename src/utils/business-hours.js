@@ -0,0 +1,88 @@
+/**
+ * Business Hours Utilities
+ * Weekly opening hours and holidays in an IANA timezone
+ */
+
+const { getZonedParts, zonedTimeToDate } = require("./cron");
+
+// How far ahead to look for the next opening (covers long holiday lists)
+const MAX_LOOKAHEAD_DAYS = 400;
+
+function toMinutes(time) {
+  const [hour, minute] = time.split(":").map(Number);
+  return hour * 60 + minute;
+}
+
+function formatDay({ year, month, day }) {
+  return [year, month, day]
+    .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, "0"))
+    .join("-");
+}
+
+/**
+ * Whether a date falls inside business hours
+ * @param {Object} config - { businessHours: [{ day, start, end }], holidays }
+ * @param {string} timezone
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isWithinBusinessHours(config, timezone, date = new Date()) {
+  const parts = getZonedParts(date, timezone);
+  if ((config.holidays || []).includes(formatDay(parts))) return false;
+
+  const weekday = new Date(
+    Date.UTC(parts.year, parts.month - 1, parts.day)
+  ).getUTCDay();
+  const now = parts.hour * 60 + parts.minute;
+
+  return (config.businessHours || []).some(
+    (range) =>
+      range.day === weekday &&
+      now >= toMinutes(range.start) &&
+      now < toMinutes(range.end)
+  );
+}
+
+/**
+ * Next time business hours start after a date
+ * @param {Object} config - { businessHours, holidays }
+ * @param {string} timezone
+ * @param {Date} after
+ * @returns {Date|null} null when there are no business hours
+ */
+function getNextOpening(config, timezone, after = new Date()) {
+  const ranges = [...(config.businessHours || [])].sort(
+    (a, b) => toMinutes(a.start) - toMinutes(b.start)
+  );
+  if (ranges.length === 0) return null;
+
+  const holidays = new Set(config.holidays || []);
+  const start = getZonedParts(after, timezone);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const day = new Date(Date.UTC(start.year, start.month - 1, start.day));
+    day.setUTCDate(day.getUTCDate() + offset);
+
+    const parts = {
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+    };
+    if (holidays.has(formatDay(parts))) continue;
+
+    for (const range of ranges) {
+      if (range.day !== day.getUTCDay()) continue;
+
+      const [hour, minute] = range.start.split(":").map(Number);
+      const opening = zonedTimeToDate({ ...parts, hour, minute }, timezone);
+      if (opening > after) return opening;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  isWithinBusinessHours,
+  getNextOpening,
+};
@@ -0,0 +1,329 @@
+/**
+ * Cron Utilities
+ * Five-field cron expressions and wall-clock dates in an IANA timezone
+ */
+
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// minute hour day-of-month month day-of-week
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+// Long enough to reach the next Feb 29
+const MAX_LOOKAHEAD_DAYS = 366 * 8;
+
+// "2024-05-01T09:30" or "2024-05-01 09:30:00" without a timezone designator
+const LOCAL_DATE_TIME =
+  /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+const formatters = new Map();
+
+/**
+ * Parse a single value (number or name) of a field
+ */
+function parseValue(value, field) {
+  const name = value.toLowerCase();
+  if (field.names?.includes(name)) {
+    return field.names.indexOf(name) + field.offset;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(
+      `${field.name} must be between ${field.min} and ${field.max}`
+    );
+  }
+  return number;
+}
+
+/**
+ * Parse one cron field ("*", "1,15", "9-17", "*\/5", "mon-fri")
+ * @returns {number[]} Sorted allowed values
+ */
+function parseField(source, field) {
+  const values = new Set();
+
+  for (const part of source.split(",")) {
+    const [range, stepSource] = part.split("/");
+    const step = stepSource === undefined ? 1 : parseInt(stepSource, 10);
+
+    if (
+      !(step > 0) ||
+      (stepSource !== undefined && !/^\d+$/.test(stepSource))
+    ) {
+      throw new Error(`Invalid ${field.name} step "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes("-")) {
+      const [from, to] = range.split("-");
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepSource === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a five-field cron expression (or a macro such as "@daily")
+ * @param {string} expression
+ * @returns {Object}
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+  const source = String(expression || "").trim();
+  const fields = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+
+  if (fields.length !== FIELDS.length) {
+    throw new Error(
+      "Cron expression must have 5 fields: minute hour day-of-month month day-of-week"
+    );
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map(
+    (field, index) => parseField(field, FIELDS[index])
+  );
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth: new Set(daysOfMonth),
+    months: new Set(months),
+    // 7 is an alias for Sunday
+    daysOfWeek: new Set(daysOfWeek.map((day) => day % 7)),
+    // Like classic cron, a restricted day-of-month OR day-of-week matches
+    restrictsDayOfMonth: fields[2] !== "*",
+    restrictsDayOfWeek: fields[4] !== "*",
+  };
+}
+
+/**
+ * Check a cron expression without throwing
+ * @param {string} expression
+ * @returns {boolean}
+ */
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check that a timezone is a valid IANA name
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Wall-clock fields of a date in a timezone
+ * @param {Date} date
+ * @param {string} timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = parseInt(value, 10);
+  }
+  return parts;
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getTimezoneOffset(timestamp, timezone) {
+  const parts = getZonedParts(new Date(timestamp), timezone);
+  const wallClock = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a Date
+ * @param {Object} parts - { year, month, day, hour, minute, second }
+ * @param {string} timezone
+ * @returns {Date}
+ */
+function zonedTimeToDate(parts, timezone) {
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = parts;
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // A second pass settles times right next to a DST change
+  const offset = getTimezoneOffset(wallClock, timezone);
+  const corrected = getTimezoneOffset(wallClock - offset, timezone);
+  return new Date(wallClock - corrected);
+}
+
+/**
+ * Parse a date. Values without a timezone designator ("2024-05-01T09:30")
+ * are read as wall-clock time in the given timezone.
+ * @param {string|Date} value
+ * @param {string} timezone
+ * @returns {Date|null} null when the value is not a date
+ */
+function parseDateInTimezone(value, timezone) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value;
+  }
+
+  const match = LOCAL_DATE_TIME.exec(String(value).trim());
+  if (match) {
+    const [year, month, day, hour, minute, second] = match
+      .slice(1)
+      .map((part) => Number(part || 0));
+    return zonedTimeToDate(
+      { year, month, day, hour, minute, second },
+      timezone
+    );
+  }
+
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Next time a cron expression fires after a given date
+ * @param {string} expression
+ * @param {string} timezone - IANA timezone the expression is written in
+ * @param {Date} after
+ * @returns {Date|null} null when the expression never fires
+ */
+function getNextRun(expression, timezone = "UTC", after = new Date()) {
+  const schedule = parseCron(expression);
+  const start = getZonedParts(after, timezone);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    // Walk calendar days in the target timezone
+    const day = new Date(Date.UTC(start.year, start.month - 1, start.day));
+    day.setUTCDate(day.getUTCDate() + offset);
+
+    const month = day.getUTCMonth() + 1;
+    if (!schedule.months.has(month)) continue;
+
+    const dayOfMonthMatches = schedule.daysOfMonth.has(day.getUTCDate());
+    const dayOfWeekMatches = schedule.daysOfWeek.has(day.getUTCDay());
+    const dayMatches =
+      schedule.restrictsDayOfMonth && schedule.restrictsDayOfWeek
+        ? dayOfMonthMatches || dayOfWeekMatches
+        : dayOfMonthMatches && dayOfWeekMatches;
+    if (!dayMatches) continue;
+
+    for (const hour of schedule.hours) {
+      if (offset === 0 && hour < start.hour) continue;
+
+      for (const minute of schedule.minutes) {
+        if (offset === 0 && hour === start.hour && minute < start.minute) {
+          continue;
+        }
+
+        const candidate = zonedTimeToDate(
+          {
+            year: day.getUTCFullYear(),
+            month,
+            day: day.getUTCDate(),
+            hour,
+            minute,
+          },
+          timezone
+        );
+        if (candidate > after) return candidate;
+      }
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToDate,
+  parseDateInTimezone,
+  getNextRun,
+};
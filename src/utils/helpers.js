@@ -55,6 +55,18 @@ function isContactId(id) {
   return id?.endsWith("@c.us") || false;
 }
 
+/**
+ * Check if a participant is an admin of a group chat
+ * @param {GroupChat} chat
+ * @param {string} participantId
+ * @returns {boolean}
+ */
+function isGroupAdmin(chat, participantId) {
+  return (chat?.participants || []).some(
+    (p) => p.id?._serialized === participantId && (p.isAdmin || p.isSuperAdmin)
+  );
+}
+
 /**
  * Extract phone number from WhatsApp ID
  * @param {string} id
@@ -73,6 +85,16 @@ function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Random integer between min and max (inclusive)
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function randomInt(min, max) {
+  return Math.floor(min + Math.random() * (max - min + 1));
+}
+
 /**
  * Retry a function with exponential backoff
  * @param {Function} fn - Function to retry
@@ -209,6 +231,135 @@ function escapeRegex(str) {
   return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
+/**
+ * Why a user-supplied pattern can't be used as a regex: it doesn't compile,
+ * or it repeats something that already repeats ("(a+)+", "(\\w*)*"), which
+ * can take exponential time on a message that almost matches
+ * @param {string} pattern
+ * @returns {string|null} null when the pattern is usable
+ */
+function getRegexError(pattern) {
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    return error.message;
+  }
+
+  // Open groups, each noting whether it contains a repetition
+  const groups = [{ repeats: false }];
+  let lastGroup = null;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    let group = null;
+
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      // Skip the character class
+      for (i++; i < pattern.length && pattern[i] !== "]"; i++) {
+        if (pattern[i] === "\\") i++;
+      }
+    } else if (char === "(") {
+      groups.push({ repeats: false });
+    } else if (char === ")") {
+      group = groups.pop();
+      if (group.repeats) groups[groups.length - 1].repeats = true;
+    } else {
+      const bound = pattern.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+      const repeats =
+        char === "*" ||
+        char === "+" ||
+        (bound && (bound[2] === "," || Number(bound[3] || bound[1]) > 1));
+      if (repeats) {
+        if (lastGroup?.repeats)
+          return "pattern nests repetitions like (a+)+, which can be very slow";
+        groups[groups.length - 1].repeats = true;
+      }
+      if (bound) i += bound[0].length - 1;
+    }
+
+    lastGroup = group;
+  }
+  return null;
+}
+
+// Top-level domains recognised in links written without a scheme. These
+// are rarely words, so "example.com" or "example dot com" is a link.
+const LINK_TLDS =
+  /^(?:com|net|org|io|ly|gg|xyz|biz|dev|tk|ru|uk|ng|tv|cc|gl)$/i;
+
+// TLDs that are also common words: without a scheme or "www." they only
+// count with a path, so "t.me/join" is a link and "ok.At home" is not
+const WORD_TLDS =
+  /^(?:co|me|info|app|link|site|online|shop|store|live|in|us|to|be|at)$/i;
+
+/**
+ * Rewrite "example dot com" as "example.com" when every label looks like a
+ * hostname label and the last one is in LINK_TLDS
+ * @param {string} text
+ * @returns {string}
+ */
+function rewriteSpokenDots(text) {
+  return text.replace(/\b[a-z0-9-]+(?:\s+dot\s+[a-z0-9-]+)+\b/gi, (phrase) => {
+    const labels = phrase.split(/\s+dot\s+/i);
+    const isLabel = (label) => /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/i.test(label);
+    return labels.every(isLabel) && LINK_TLDS.test(labels[labels.length - 1])
+      ? labels.join(".")
+      : phrase;
+  });
+}
+
+/**
+ * Extract lowercase hostnames from text, including common obfuscations
+ * such as "example[.]com", "example (dot) com" and "hxxp://"
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractDomains(text) {
+  if (!text) return [];
+
+  const deobfuscated = rewriteSpokenDots(
+    text
+      .replace(/\s*[[({]\s*(?:\.|dot)\s*[\])}]\s*/gi, ".")
+      .replace(/\bhxxp(s?):\/\//gi, "http$1://")
+  );
+
+  const pattern =
+    /(https?:\/\/|www\.)?((?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+([a-z]{2,63}))(?=[:/?#\s]|$|[^\w.-])/gi;
+
+  const domains = new Set();
+  let match;
+
+  while ((match = pattern.exec(deobfuscated)) !== null) {
+    const [, prefix, host, tld] = match;
+    if (!prefix) {
+      // The domain of an email address
+      if (deobfuscated[match.index - 1] === "@") continue;
+
+      const hasPath = deobfuscated[pattern.lastIndex] === "/";
+      if (!LINK_TLDS.test(tld) && !(hasPath && WORD_TLDS.test(tld))) continue;
+    }
+    domains.add(host.toLowerCase().replace(/^www\./, ""));
+  }
+
+  return [...domains];
+}
+
+/**
+ * Normalize a domain or URL to a bare lowercase hostname
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeDomain(value) {
+  if (!value) return "";
+  return value
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/^www\./, "")
+    .split(/[/?#:]/)[0];
+}
+
 /**
  * Deep clone an object
  * @param {any} obj
@@ -249,8 +400,10 @@ module.exports = {
   normalizeGroupId,
   isGroupId,
   isContactId,
+  isGroupAdmin,
   extractPhoneNumber,
   delay,
+  randomInt,
   retryWithBackoff,
   truncate,
   formatDate,
@@ -260,6 +413,9 @@ module.exports = {
   safeJsonParse,
   isRegisteredOnWhatsApp,
   escapeRegex,
+  getRegexError,
+  extractDomains,
+  normalizeDomain,
   deepClone,
   omit,
   pick,
@@ -0,0 +1,66 @@
+/**
+ * Session Context
+ * Tracks which WhatsApp session the current request, client event or job
+ * belongs to, so getClient() and session-scoped models pick the right
+ * account without passing a sessionId through every call
+ */
+
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks");
+const { DEFAULTS } = require("../config/constants");
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function (and everything it awaits) as a session
+ * @param {string} sessionId
+ * @param {Function} fn
+ * @returns {any} fn's return value
+ */
+function runInSession(sessionId, fn) {
+  return storage.run(sessionId, fn);
+}
+
+/**
+ * Run a function outside any session, so session-scoped models see every
+ * session (e.g. a cross-session job started from an API request)
+ * @param {Function} fn
+ * @returns {any} fn's return value
+ */
+function runOutsideSession(fn) {
+  return storage.exit(fn);
+}
+
+/**
+ * Session of the current context, or null outside any session
+ * (background jobs that work across all sessions)
+ * @returns {string|null}
+ */
+function getSessionScope() {
+  return storage.getStore() ?? null;
+}
+
+/**
+ * Session of the current context, falling back to the default session
+ * @returns {string}
+ */
+function getCurrentSessionId() {
+  return storage.getStore() ?? DEFAULTS.SESSION_ID;
+}
+
+/**
+ * Bind a callback to the current session so it keeps it when called later
+ * from somewhere else (e.g. the send queue worker)
+ * @param {Function} fn
+ * @returns {Function}
+ */
+function bindToSession(fn) {
+  return AsyncResource.bind(fn);
+}
+
+module.exports = {
+  runInSession,
+  runOutsideSession,
+  getSessionScope,
+  getCurrentSessionId,
+  bindToSession,
+};
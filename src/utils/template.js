@@ -0,0 +1,290 @@
+/**
+ * Template Utilities
+ * Auto-message templates: {variables}, {#if}...{else}...{/if} blocks and
+ * {Hi|Hello|Hey} random variants
+ */
+
+// Variables available to auto-message templates
+const TEMPLATE_VARIABLES = Object.freeze({
+  user: "The members the message is about (same as {users})",
+  users: 'The members the message is about, e.g. "@1, @2 and @3"',
+  count: "Number of members the message is about",
+  group: "Group name",
+  memberCount: "Number of members in the group",
+  date: "Current date in the bot's timezone",
+  time: "Current time in the bot's timezone",
+  rules: "Group rules",
+});
+
+const VARIABLE_TAG = /^\{(\w+)\}/;
+const IF_TAG = /^\{#if ([^}]*)\}/;
+const ELSE_TAG = "{else}";
+const END_IF_TAG = "{/if}";
+const CONDITION =
+  /^(!)?\s*(\w+)(?:\s*(==|!=|>=|<=|>|<)\s*(?:"([^"]*)"|'([^']*)'|(\S+)))?$/;
+const ESCAPABLE = "{}|\\";
+
+/**
+ * Check a variable name
+ */
+function assertVariable(name) {
+  if (!Object.hasOwn(TEMPLATE_VARIABLES, name)) {
+    throw new Error(
+      `Unknown variable {${name}}. Available: ${Object.keys(
+        TEMPLATE_VARIABLES
+      ).join(", ")}`
+    );
+  }
+}
+
+/**
+ * Parse the condition of an {#if} tag ("count > 1", "rules", "!rules")
+ */
+function parseCondition(source) {
+  const match = CONDITION.exec(source.trim());
+  if (!match) {
+    throw new Error(`Invalid condition "{#if ${source}}"`);
+  }
+
+  const [, negate, variable, operator, doubleQuoted, singleQuoted, bare] =
+    match;
+  assertVariable(variable);
+
+  return {
+    variable,
+    negate: Boolean(negate),
+    operator: operator || null,
+    value: doubleQuoted ?? singleQuoted ?? bare ?? null,
+  };
+}
+
+/**
+ * Parse nodes until the end of the template or the end of the enclosing
+ * block ("spin": at "|" or "}", "if": at {else} or {/if})
+ */
+function parseSequence(parser, block) {
+  const nodes = [];
+  let text = "";
+
+  const flushText = () => {
+    if (text) nodes.push({ type: "text", value: text });
+    text = "";
+  };
+
+  const { source } = parser;
+
+  while (parser.pos < source.length) {
+    const char = source[parser.pos];
+    const next = source[parser.pos + 1];
+
+    if (char === "\\" && next && ESCAPABLE.includes(next)) {
+      text += next;
+      parser.pos += 2;
+      continue;
+    }
+
+    if (block === "spin" && (char === "|" || char === "}")) break;
+
+    if (char !== "{") {
+      text += char;
+      parser.pos++;
+      continue;
+    }
+
+    const rest = source.slice(parser.pos);
+    const closingTag = [ELSE_TAG, END_IF_TAG].find((tag) =>
+      rest.startsWith(tag)
+    );
+    if (closingTag) {
+      if (block !== "if") throw new Error(`${closingTag} without {#if}`);
+      break;
+    }
+
+    flushText();
+
+    const ifMatch = IF_TAG.exec(rest);
+    const variableMatch = VARIABLE_TAG.exec(rest);
+
+    if (ifMatch) {
+      parser.pos += ifMatch[0].length;
+      nodes.push(parseIf(parser, parseCondition(ifMatch[1])));
+    } else if (variableMatch) {
+      assertVariable(variableMatch[1]);
+      parser.pos += variableMatch[0].length;
+      nodes.push({ type: "variable", name: variableMatch[1] });
+    } else {
+      nodes.push(parseSpin(parser));
+    }
+  }
+
+  flushText();
+  return nodes;
+}
+
+/**
+ * Parse the body of an {#if} block; the opening tag is already consumed
+ */
+function parseIf(parser, condition) {
+  const node = { type: "if", condition, then: [], otherwise: [] };
+
+  node.then = parseSequence(parser, "if");
+  if (parser.source.startsWith(ELSE_TAG, parser.pos)) {
+    parser.pos += ELSE_TAG.length;
+    node.otherwise = parseSequence(parser, "if");
+  }
+
+  if (!parser.source.startsWith(END_IF_TAG, parser.pos)) {
+    throw new Error(
+      parser.pos < parser.source.length
+        ? "Only one {else} is allowed per {#if}"
+        : "{#if} without {/if}"
+    );
+  }
+  parser.pos += END_IF_TAG.length;
+  return node;
+}
+
+/**
+ * Parse {a|b|c}; options may contain variables and nested variants
+ */
+function parseSpin(parser) {
+  const start = parser.pos;
+  const options = [];
+  parser.pos++;
+
+  for (;;) {
+    options.push(parseSequence(parser, "spin"));
+
+    const char = parser.source[parser.pos];
+    if (char === "|") {
+      parser.pos++;
+    } else if (char === "}") {
+      parser.pos++;
+      break;
+    } else {
+      throw new Error(`Unclosed "{" at position ${start + 1}`);
+    }
+  }
+
+  if (options.length < 2) {
+    throw new Error(
+      `Invalid expression at position ${
+        start + 1
+      }. Use {variable} or {option|option}, and \\{ for a literal brace`
+    );
+  }
+  return { type: "spin", options };
+}
+
+/**
+ * Parse a template
+ * @param {string} template
+ * @returns {Array} Template nodes
+ * @throws {Error} When the template is invalid
+ */
+function parseTemplate(template) {
+  return parseSequence({ source: String(template ?? ""), pos: 0 }, null);
+}
+
+/**
+ * Check a template without throwing
+ * @param {string} template
+ * @returns {string|null} Error message, or null when valid
+ */
+function getTemplateError(template) {
+  try {
+    parseTemplate(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function isTruthy(value) {
+  return value !== undefined && value !== null && value !== "" && value !== 0;
+}
+
+function evaluateCondition(condition, context) {
+  const actual = context[condition.variable];
+  let result;
+
+  if (!condition.operator) {
+    result = isTruthy(actual);
+  } else {
+    const expected = condition.value;
+    const numeric =
+      expected !== "" && !isNaN(expected) && !isNaN(Number(actual));
+    const left = numeric ? Number(actual) : String(actual ?? "");
+    const right = numeric ? Number(expected) : expected;
+
+    result = {
+      "==": left === right,
+      "!=": left !== right,
+      ">": left > right,
+      "<": left < right,
+      ">=": left >= right,
+      "<=": left <= right,
+    }[condition.operator];
+  }
+
+  return condition.negate ? !result : result;
+}
+
+function renderNodes(nodes, context, random) {
+  let output = "";
+
+  for (const node of nodes) {
+    if (node.type === "text") {
+      output += node.value;
+    } else if (node.type === "variable") {
+      const value = String(context[node.name] ?? "");
+      // Older templates wrote "@{user}"; the variable already has the "@"
+      if (value.startsWith("@") && output.endsWith("@")) {
+        output = output.slice(0, -1);
+      }
+      output += value;
+    } else if (node.type === "spin") {
+      const option = node.options[Math.floor(random() * node.options.length)];
+      output += renderNodes(option, context, random);
+    } else if (node.type === "if") {
+      output += renderNodes(
+        evaluateCondition(node.condition, context) ? node.then : node.otherwise,
+        context,
+        random
+      );
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template
+ * @param {string} template
+ * @param {Object} context - Variable values
+ * @param {Object} options - { random } to pick variants deterministically
+ * @returns {string}
+ * @throws {Error} When the template is invalid
+ */
+function renderTemplate(template, context = {}, options = {}) {
+  const { random = Math.random } = options;
+  return renderNodes(parseTemplate(template), context, random);
+}
+
+/**
+ * Join names as "a, b and c"
+ * @param {string[]} items
+ * @returns {string}
+ */
+function joinList(items) {
+  if (items.length <= 1) return items.join("");
+  return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  parseTemplate,
+  getTemplateError,
+  renderTemplate,
+  joinList,
+};
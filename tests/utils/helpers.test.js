@@ -0,0 +1,55 @@
+const { extractDomains, getRegexError } = require("../../src/utils/helpers");
+
+describe("extractDomains", () => {
+  it.each([
+    ["visit example.com now", ["example.com"]],
+    ["https://shop.me/deal", ["shop.me"]],
+    ["www.example.co", ["example.co"]],
+    ["join t.me/spamgroup", ["t.me"]],
+    ["go to example dot com", ["example.com"]],
+    ["example dot co dot uk", ["example.co.uk"]],
+    ["evil[.]com", ["evil.com"]],
+    ["hxxp://a.b.com/x", ["a.b.com"]],
+  ])("finds the link in %j", (text, domains) => {
+    expect(extractDomains(text)).toEqual(domains);
+  });
+
+  it.each([
+    "See you there.In the morning",
+    "Thanks.Be safe",
+    "I am ok.At home",
+    "write to a@b.co",
+    "mail me at jane.doe@example.com",
+    "you dot me",
+    "log in dot in",
+    "see you at 5 dot",
+    "More.Info below",
+  ])("finds no link in %j", (text) => {
+    expect(extractDomains(text)).toEqual([]);
+  });
+});
+
+describe("getRegexError", () => {
+  it.each([
+    "price|cost",
+    "^hi\\b",
+    "\\d{3}-\\d+",
+    "(good )?(morning|evening)",
+    "(ab)+c",
+    "[(+*]+",
+    "(a{0,1})+",
+  ])("accepts %s", (pattern) => {
+    expect(getRegexError(pattern)).toBeNull();
+  });
+
+  it.each(["(a+)+", "(\\w*)*b", "((ab)*c)+", "(x{2,})*", "(?:a|b+){2,5}"])(
+    "rejects nested repetition in %s",
+    (pattern) => {
+      expect(getRegexError(pattern)).toMatch(/nests repetitions/);
+    }
+  );
+
+  it("rejects a pattern that doesn't compile", () => {
+    expect(getRegexError("(unclosed")).toMatch(/Invalid regular expression/);
+  });
+});